@@ -1,51 +1,123 @@
-import React, { useEffect, useState } from "react";
-import { Routes, Route } from "react-router-dom";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Routes, Route, useLocation, useNavigate } from "react-router-dom";
 import "./App.css";
 
 import Navbar from "./components/Navbar";
 import LoginModal from "./components/LoginModal";
 import SettingsModal from "./components/SettingsModal";
+import NetworkInspector from "./components/NetworkInspector";
+import RouteGuard from "./components/RouteGuard";
+import ErrorBoundary from "./components/ErrorBoundary";
+import UsageWarnings from "./components/UsageWarnings";
 import Dashboard from "./pages/Dashboard";
 import Profile from "./pages/Profile";
+import Analytics from "./pages/Analytics";
 import ApiExplorer from "./pages/ApiExplorer";
+import Plans from "./pages/Plans";
+import ContentDiff from "./pages/ContentDiff";
+import ResetPassword from "./pages/ResetPassword";
+import { useAuth } from "./context/AuthContext";
+import { useNotifications } from "./context/NotificationsContext";
+import { useI18n } from "./hooks/useI18n";
 
 // PUBLIC_INTERFACE
 function App() {
-  /** Main application: navigation, theming, routes, and modal management. */
-  const [theme, setTheme] = useState(() => localStorage.getItem("theme") || "light");
+  /** Main application: navigation, routes, and modal management (theming lives in services/theme). */
   const [loginOpen, setLoginOpen] = useState(false);
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [networkOpen, setNetworkOpen] = useState(false);
+  // Where to go once LoginModal succeeds (set by route guards)
+  const [loginRedirect, setLoginRedirect] = useState(null);
+  const { sessionNotice, clearSessionNotice } = useAuth();
+  const toast = useNotifications();
+  const { t } = useI18n();
+  const sessionToastRef = useRef(null);
+  const navigate = useNavigate();
+  const location = useLocation();
 
+  // PUBLIC_INTERFACE
+  const requestLogin = useCallback((redirectTo) => {
+    /** Open the login modal, optionally returning to `redirectTo` after a successful login. */
+    setLoginRedirect(typeof redirectTo === "string" ? redirectTo : null);
+    setLoginOpen(true);
+  }, []);
+
+  // Tell the user why they were signed out, with a way straight back in
   useEffect(() => {
-    document.documentElement.setAttribute("data-theme", theme);
-    localStorage.setItem("theme", theme);
-  }, [theme]);
+    if (!sessionNotice) return;
+    sessionToastRef.current = toast.warning(sessionNotice, {
+      key: "session",
+      duration: 0,
+      actions: [{ label: t("auth.logInAgain"), onClick: () => requestLogin() }],
+    });
+    clearSessionNotice();
+  }, [sessionNotice, clearSessionNotice, requestLogin, toast, t]);
 
-  // PUBLIC_INTERFACE
-  const toggleTheme = () => {
-    /** Toggle between light and dark theme. */
-    setTheme((prev) => (prev === "light" ? "dark" : "light"));
+  const onLoginSuccess = () => {
+    toast.dismiss(sessionToastRef.current);
+    if (loginRedirect) navigate(loginRedirect, { replace: true });
+    setLoginRedirect(null);
   };
 
   return (
     <div className="app-root">
-      <Navbar onOpenLogin={() => setLoginOpen(true)} onOpenSettings={() => setSettingsOpen(true)} />
+      <Navbar
+        onOpenLogin={() => requestLogin()}
+        onOpenSettings={() => setSettingsOpen(true)}
+        onToggleNetwork={() => setNetworkOpen((open) => !open)}
+      />
+      <UsageWarnings />
       <main className="main">
-        <Routes>
-          <Route path="/" element={<Dashboard onRequestLogin={() => setLoginOpen(true)} />} />
-          <Route path="/profile" element={<Profile onRequestLogin={() => setLoginOpen(true)} />} />
-          <Route path="/api" element={<ApiExplorer onRequestLogin={() => setLoginOpen(true)} />} />
-        </Routes>
+        {/* A crashing page keeps the navbar and the rest of the app usable */}
+        <ErrorBoundary boundary="route" resetKeys={[location.pathname]} onHome={() => navigate("/")}>
+          <Routes>
+            <Route
+              path="/"
+              element={
+                <RouteGuard
+                  onRequestLogin={requestLogin}
+                  title={t("dashboard.welcomeTitle")}
+                  description={t("dashboard.welcomeDescription")}
+                >
+                  <Dashboard />
+                </RouteGuard>
+              }
+            />
+            <Route
+              path="/profile"
+              element={
+                <RouteGuard onRequestLogin={requestLogin} description={t("profile.loginDescription")}>
+                  <Profile />
+                </RouteGuard>
+              }
+            />
+            <Route
+              path="/analytics"
+              element={
+                <RouteGuard onRequestLogin={requestLogin} feature="analytics">
+                  <Analytics />
+                </RouteGuard>
+              }
+            />
+            {/* Plans, Compare and the API Explorer stay usable without a session */}
+            <Route path="/plans" element={<Plans onRequestLogin={requestLogin} />} />
+            <Route path="/compare" element={<ContentDiff onRequestLogin={requestLogin} />} />
+            <Route path="/api" element={<ApiExplorer onRequestLogin={requestLogin} />} />
+            <Route path="/reset-password" element={<ResetPassword onRequestLogin={requestLogin} />} />
+          </Routes>
+        </ErrorBoundary>
       </main>
 
-      <LoginModal isOpen={loginOpen} onClose={() => setLoginOpen(false)} />
-      <SettingsModal
-        isOpen={settingsOpen}
-        onClose={() => setSettingsOpen(false)}
-        theme={theme}
-        onChangeTheme={setTheme}
-        toggleTheme={toggleTheme}
+      <NetworkInspector isOpen={networkOpen} onClose={() => setNetworkOpen(false)} />
+      <LoginModal
+        isOpen={loginOpen}
+        onClose={() => {
+          setLoginOpen(false);
+          setLoginRedirect(null);
+        }}
+        onSuccess={onLoginSuccess}
       />
+      <SettingsModal isOpen={settingsOpen} onClose={() => setSettingsOpen(false)} />
     </div>
   );
 }
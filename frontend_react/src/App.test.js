@@ -1,15 +1,21 @@
 import { render, screen } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { AuthProvider } from './context/AuthContext';
+import { FeaturesProvider } from './context/FeaturesContext';
+import { NotificationsProvider } from './context/NotificationsContext';
 import App from './App';
 
 test('renders navigation links', () => {
   render(
-    <AuthProvider>
-      <BrowserRouter>
-        <App />
-      </BrowserRouter>
-    </AuthProvider>
+    <NotificationsProvider>
+      <AuthProvider>
+        <FeaturesProvider>
+          <BrowserRouter>
+            <App />
+          </BrowserRouter>
+        </FeaturesProvider>
+      </AuthProvider>
+    </NotificationsProvider>
   );
   expect(screen.getByText(/Dashboard/i)).toBeInTheDocument();
   expect(screen.getByText(/Profile/i)).toBeInTheDocument();
@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function AccountMenu({ onAddAccount }) {
+  /**
+   * Navbar dropdown for the signed-in accounts: switch the active account,
+   * sign individual accounts out, add another account or sign out of all.
+   * Accounts whose session expired stay listed; picking one asks to log in again.
+   * - onAddAccount: opens the login modal; signing in there adds the account
+   */
+  const { user, accounts, switchAccount, removeAccount, logout, logoutAll } = useAuth();
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    const onPointer = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onPointer);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onPointer);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  const run = (fn) => () => {
+    setOpen(false);
+    fn();
+  };
+
+  return (
+    <div className="account-menu" ref={rootRef}>
+      <button
+        className="account-trigger"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((o) => !o)}
+      >
+        <span className="nav-user">{user?.email || t("account.accounts")}</span>
+        {user?.package_tier && <span className={`badge tier-${user.package_tier}`}>{user.package_tier}</span>}
+        <span aria-hidden="true">▾</span>
+      </button>
+      {open && (
+        <div className="account-dropdown" role="menu">
+          <div className="account-dropdown-title">{t("account.signedIn")}</div>
+          <ul className="account-list">
+            {accounts.map((a) => (
+              <li key={a.id} className={a.active ? "active" : ""}>
+                <button
+                  className="account-switch"
+                  role="menuitemradio"
+                  aria-checked={a.active}
+                  title={a.expired ? t("auth.logInAgain") : undefined}
+                  onClick={run(() => (a.expired ? onAddAccount() : switchAccount(a.id)))}
+                >
+                  <span className="account-email">{a.email}</span>
+                  {a.expired ? (
+                    <span className="badge expired">{t("account.expired")}</span>
+                  ) : (
+                    a.package_tier && <span className={`badge tier-${a.package_tier}`}>{a.package_tier}</span>
+                  )}
+                </button>
+                <button
+                  className="icon-btn"
+                  aria-label={t("account.signOutEmail", { email: a.email })}
+                  title={t("account.signOutThis")}
+                  onClick={() => removeAccount(a.id)}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="account-actions">
+            <button className="link-btn" role="menuitem" onClick={run(onAddAccount)}>{t("account.add")}</button>
+            {user && <button className="link-btn" role="menuitem" onClick={run(logout)}>{t("account.signOut")}</button>}
+            {accounts.length > 1 && (
+              <button className="link-btn" role="menuitem" onClick={run(logoutAll)}>{t("account.signOutAll")}</button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
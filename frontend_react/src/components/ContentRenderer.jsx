@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from "react";
+import { findContentRenderer, registerContentRenderer } from "../services/contentRenderers";
+import { detectShape, humanizeKey, isScalar, recordColumns, sortRecords } from "../utils/contentShapes";
+import { useI18n } from "../hooks/useI18n";
+
+// Longer tables show this many rows until expanded
+const TABLE_PAGE_ROWS = 50;
+
+function ScalarValue({ value }) {
+  /** Inline rendering of a single value: links, emails, dates, numbers, yes/no or text. */
+  const { t, formatNumber, formatDateTime } = useI18n();
+  switch (detectShape(value)) {
+    case "empty":
+      return <span className="muted">—</span>;
+    case "url":
+      return (
+        <a className="content-link" href={value} target="_blank" rel="noopener noreferrer">
+          {value}
+        </a>
+      );
+    case "email":
+      return <a className="content-link" href={`mailto:${value}`}>{value}</a>;
+    case "date":
+      // Date-only values are calendar days, not midnight UTC shifted into the local zone
+      return <time dateTime={value}>{formatDateTime(value, { dateStyle: "medium", timeZone: "UTC" })}</time>;
+    case "datetime":
+      return <time dateTime={value} title={value}>{formatDateTime(value)}</time>;
+    case "boolean":
+      return value ? t("content.yes") : t("content.no");
+    case "number":
+      return formatNumber(value);
+    default:
+      return String(value);
+  }
+}
+
+function RecordTable({ rows, path }) {
+  /** An array of records as a table; click a column header to sort by it. */
+  const { t } = useI18n();
+  const [sort, setSort] = useState(null); // { key, direction }
+  const [showAll, setShowAll] = useState(false);
+  const columns = useMemo(() => recordColumns(rows), [rows]);
+  const sorted = useMemo(() => (sort ? sortRecords(rows, sort.key, sort.direction) : rows), [rows, sort]);
+  const visible = showAll ? sorted : sorted.slice(0, TABLE_PAGE_ROWS);
+
+  const toggleSort = (key) =>
+    setSort((s) => (s?.key === key ? { key, direction: s.direction === "asc" ? "desc" : "asc" } : { key, direction: "asc" }));
+
+  return (
+    <div className="table-scroll">
+      <table className="content-table">
+        <caption>{t("content.rows", { count: rows.length })}</caption>
+        <thead>
+          <tr>
+            {columns.map((col) => {
+              const active = sort?.key === col;
+              return (
+                <th key={col} scope="col" aria-sort={active ? (sort.direction === "asc" ? "ascending" : "descending") : "none"}>
+                  <button type="button" className="content-sort" onClick={() => toggleSort(col)} title={t("content.sortBy", { column: humanizeKey(col) })}>
+                    {humanizeKey(col)}
+                    <span aria-hidden="true">{active ? (sort.direction === "asc" ? " ▲" : " ▼") : ""}</span>
+                  </button>
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((row) => {
+            const index = rows.indexOf(row);
+            return (
+              <tr key={row.id ?? index}>
+                {columns.map((col) => (
+                  <td key={col}>
+                    <ContentValue value={row[col]} path={[...path, index, col]} />
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {!showAll && rows.length > TABLE_PAGE_ROWS && (
+        <button type="button" className="link-btn" onClick={() => setShowAll(true)}>
+          {t("content.showAll", { count: rows.length })}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function DescriptionList({ value, path }) {
+  /** A key/value object: simple values as a description list, nested ones as titled sections. */
+  const entries = Object.entries(value);
+  const simple = entries.filter(([, v]) => isScalar(v));
+  const nested = entries.filter(([, v]) => !isScalar(v));
+  return (
+    <div className="content-object">
+      {simple.length > 0 && (
+        <dl className="content-dl">
+          {simple.map(([key, v]) => (
+            <div key={key} className="content-dl-row">
+              <dt>{humanizeKey(key)}</dt>
+              <dd><ContentValue value={v} path={[...path, key]} /></dd>
+            </div>
+          ))}
+        </dl>
+      )}
+      {nested.map(([key, v]) => (
+        <section key={key} className="content-section">
+          <h4>{humanizeKey(key)}</h4>
+          <ContentValue value={v} path={[...path, key]} />
+        </section>
+      ))}
+    </div>
+  );
+}
+
+function ContentValue({ value, path }) {
+  /** Render any value: a registered renderer if one matches, else the built-in shape. */
+  const key = path.length ? path[path.length - 1] : null;
+  const custom = findContentRenderer(value, { path, key, depth: path.length });
+  if (custom) {
+    const Custom = custom.component;
+    const renderValue = (child, childKey) => <ContentValue value={child} path={[...path, childKey]} />;
+    return <Custom value={value} path={path} renderValue={renderValue} />;
+  }
+  switch (detectShape(value)) {
+    case "records":
+      return <RecordTable rows={value} path={path} />;
+    case "list":
+      return (
+        <ul className="content-list">
+          {value.map((item, index) => (
+            <li key={index}><ContentValue value={item} path={[...path, index]} /></li>
+          ))}
+        </ul>
+      );
+    case "object":
+      return <DescriptionList value={value} path={path} />;
+    default:
+      return <ScalarValue value={value} />;
+  }
+}
+
+function MetricTiles({ value, renderValue }) {
+  /** Tailored content analytics (numbers keyed by metric) as tiles; *_rate values are percentages. */
+  const { formatPercent } = useI18n();
+  return (
+    <div className="metric-tiles">
+      {Object.entries(value).map(([key, v]) => (
+        <div key={key} className="metric-tile">
+          <span className="metric-value">{key.endsWith("_rate") && typeof v === "number" ? formatPercent(v) : renderValue(v, key)}</span>
+          <span className="metric-label">{humanizeKey(key)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+registerContentRenderer({
+  id: "analytics",
+  match: (value, { key }) => key === "analytics" && detectShape(value) === "object" && Object.values(value).every(isScalar),
+  component: MetricTiles,
+});
+
+// PUBLIC_INTERFACE
+export default function ContentRenderer({ value, defaultView = "formatted" }) {
+  /**
+   * Shows JSON content as readable UI, with a toggle back to raw JSON.
+   * Arrays of records become sortable tables, objects description lists, URLs links
+   * and ISO dates formatted times; services/contentRenderers adds custom renderers.
+   * - value: parsed JSON
+   * - defaultView: "formatted" | "raw"
+   */
+  const { t } = useI18n();
+  const [view, setView] = useState(defaultView);
+
+  return (
+    <div className="content-renderer">
+      <div className="segmented" role="group" aria-label={t("content.view")}>
+        {["formatted", "raw"].map((v) => (
+          <button key={v} type="button" className={`segmented-item ${view === v ? "active" : ""}`} aria-pressed={view === v} onClick={() => setView(v)}>
+            {t(`content.${v}`)}
+          </button>
+        ))}
+      </div>
+      {view === "raw" ? (
+        <pre className="code-block">{JSON.stringify(value, null, 2)}</pre>
+      ) : (
+        <div className="content-view">
+          <ContentValue value={value} path={[]} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import ContentRenderer from './ContentRenderer';
+import { registerContentRenderer } from '../services/contentRenderers';
+
+const content = {
+  title: 'Pro content',
+  generated_at: '2026-10-19T08:30:00.000Z',
+  items: [
+    { id: 'a-2', title: 'Webhooks', url: 'https://docs.example.com/articles/a-2' },
+    { id: 'a-1', title: 'Getting started', url: 'https://docs.example.com/articles/a-1' },
+  ],
+  analytics: { requests_today: 84, error_rate: 0.01 },
+};
+
+test('renders records as a sortable table, links and a raw JSON toggle', () => {
+  render(<ContentRenderer value={content} />);
+  expect(screen.getByText('Generated at')).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'https://docs.example.com/articles/a-1' })).toHaveAttribute('rel', 'noopener noreferrer');
+  expect(screen.getByText('1%')).toBeInTheDocument();
+
+  const table = screen.getByRole('table');
+  const titles = () => within(table).getAllByRole('row').slice(1).map((row) => within(row).getAllByRole('cell')[1].textContent);
+  expect(titles()).toEqual(['Webhooks', 'Getting started']);
+  fireEvent.click(within(table).getByRole('button', { name: 'Title' }));
+  expect(titles()).toEqual(['Getting started', 'Webhooks']);
+  expect(within(table).getByRole('columnheader', { name: /Title/ })).toHaveAttribute('aria-sort', 'ascending');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Raw JSON' }));
+  expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  expect(screen.getByText(/"requests_today": 84/)).toBeInTheDocument();
+});
+
+test('uses registered renderers for custom content types', () => {
+  const unregister = registerContentRenderer({
+    id: 'chart',
+    match: (value) => value?.type === 'chart',
+    component: ({ value }) => <figure>Chart with {value.points.length} points</figure>,
+  });
+  render(<ContentRenderer value={{ usage: { type: 'chart', points: [1, 2, 3] } }} />);
+  expect(screen.getByText('Chart with 3 points')).toBeInTheDocument();
+  unregister();
+});
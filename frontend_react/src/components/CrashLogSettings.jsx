@@ -0,0 +1,55 @@
+import React, { useState, useSyncExternalStore } from "react";
+import { buildDiagnosticReport, clearCrashes, getCrashes, subscribe } from "../services/crashLog";
+import { copyText } from "../utils/clipboard";
+import { useI18n } from "../hooks/useI18n";
+import { useDialogs } from "../context/DialogsContext";
+
+// PUBLIC_INTERFACE
+export default function CrashLogSettings() {
+  /** Settings section listing recent crashes from the local crash log, with copy and clear. */
+  const crashes = useSyncExternalStore(subscribe, getCrashes);
+  const { t, formatDateTime } = useI18n();
+  const [copiedId, setCopiedId] = useState(null);
+  const dialogs = useDialogs();
+
+  const onCopy = async (entry) => {
+    if (await copyText(buildDiagnosticReport(entry))) {
+      setCopiedId(entry.id);
+      setTimeout(() => setCopiedId(null), 1500);
+    }
+  };
+
+  const onClear = async () => {
+    const confirmed = await dialogs.confirm({
+      title: t("crash.clearTitle"),
+      message: t("crash.clearMessage", { count: crashes.length }),
+      confirmLabel: t("crash.clear"),
+      danger: true,
+    });
+    if (confirmed) clearCrashes();
+  };
+
+  if (!crashes.length) return <div className="form-hint">{t("crash.none")}</div>;
+
+  return (
+    <div className="crash-log">
+      <ul className="crash-list">
+        {crashes.slice(0, 5).map((entry) => (
+          <li key={entry.id}>
+            <div className="crash-summary">
+              <strong>{entry.message}</strong>
+              <span className="form-hint">{formatDateTime(entry.at)} · {entry.route}</span>
+            </div>
+            <button type="button" className="link-btn" onClick={() => onCopy(entry)}>
+              {copiedId === entry.id ? t("common.copied") : t("crash.copyReport")}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="form-hint">
+        {t("crash.count", { count: crashes.length })}{" "}
+        <button type="button" className="link-btn" onClick={onClear}>{t("crash.clear")}</button>
+      </div>
+    </div>
+  );
+}
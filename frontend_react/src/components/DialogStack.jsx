@@ -0,0 +1,96 @@
+import React, { useId, useState, useSyncExternalStore } from "react";
+import Modal from "./Modal";
+import { cancelDialog, getDialogs, resolveDialog, subscribe } from "../services/dialogs";
+import { useI18n } from "../hooks/useI18n";
+
+function ConfirmDialog({ dialog }) {
+  /** A confirm() request: resolves true from the confirm button, false otherwise. */
+  const { t } = useI18n();
+  const footer = (
+    <div className="modal-actions">
+      {/* Destructive actions start on Cancel so Enter does not confirm by accident */}
+      <button type="button" className="btn btn-secondary" onClick={() => cancelDialog(dialog.id)} data-autofocus={dialog.danger ? "" : undefined}>
+        {dialog.cancelLabel || t("common.cancel")}
+      </button>
+      <button
+        type="button"
+        className={`btn ${dialog.danger ? "btn-danger" : ""}`}
+        onClick={() => resolveDialog(dialog.id, true)}
+        data-autofocus={dialog.danger ? undefined : ""}
+      >
+        {dialog.confirmLabel || t("dialogs.confirm")}
+      </button>
+    </div>
+  );
+
+  return (
+    <Modal
+      isOpen
+      onClose={() => cancelDialog(dialog.id)}
+      title={dialog.title || t("dialogs.confirmTitle")}
+      description={dialog.message}
+      footer={footer}
+      role="alertdialog"
+    />
+  );
+}
+
+function PromptDialog({ dialog }) {
+  /** A prompt() request: resolves the entered text, or null when cancelled. */
+  const { t } = useI18n();
+  const id = useId();
+  const [value, setValue] = useState(dialog.defaultValue ?? "");
+  const [error, setError] = useState(null);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    const message = dialog.required && !value.trim() ? t("dialogs.required") : dialog.validate?.(value) || null;
+    if (message) {
+      setError(message);
+      return;
+    }
+    resolveDialog(dialog.id, value);
+  };
+
+  const footer = (
+    <div className="modal-actions">
+      <button type="button" className="btn btn-secondary" onClick={() => cancelDialog(dialog.id)}>
+        {dialog.cancelLabel || t("common.cancel")}
+      </button>
+      <button type="submit" className="btn" form={`${id}form`}>
+        {dialog.confirmLabel || t("dialogs.ok")}
+      </button>
+    </div>
+  );
+
+  return (
+    <Modal isOpen onClose={() => cancelDialog(dialog.id)} title={dialog.title || t("dialogs.promptTitle")} description={dialog.message} footer={footer}>
+      <form id={`${id}form`} className="form" onSubmit={onSubmit} noValidate>
+        <div className="form-row">
+          <label htmlFor={`${id}input`}>{dialog.label || t("dialogs.value")}</label>
+          <input
+            id={`${id}input`}
+            value={value}
+            placeholder={dialog.placeholder}
+            onChange={(e) => {
+              setValue(e.target.value);
+              setError(null);
+            }}
+            aria-invalid={error ? "true" : undefined}
+            aria-describedby={error ? `${id}error` : undefined}
+          />
+          {error && <div id={`${id}error`} className="form-error">{error}</div>}
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function DialogStack() {
+  /** Render the open confirm/prompt requests from services/dialogs, newest on top. */
+  const dialogs = useSyncExternalStore(subscribe, getDialogs);
+  return dialogs.map((dialog) =>
+    dialog.kind === "prompt" ? <PromptDialog key={dialog.id} dialog={dialog} /> : <ConfirmDialog key={dialog.id} dialog={dialog} />
+  );
+}
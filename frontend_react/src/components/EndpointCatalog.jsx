@@ -0,0 +1,59 @@
+import React, { useMemo, useState } from "react";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function EndpointCatalog({ groups, selectedId, onSelect }) {
+  /**
+   * Lists OpenAPI operations grouped by tag with a text filter.
+   * - groups: [{ tag, operations }] from utils/openapi.listOperations
+   * - selectedId: id of the highlighted operation
+   * - onSelect: called with the chosen operation
+   */
+  const { t } = useI18n();
+  const [filter, setFilter] = useState("");
+
+  const filtered = useMemo(() => {
+    const q = filter.trim().toLowerCase();
+    if (!q) return groups || [];
+    return (groups || [])
+      .map((g) => ({
+        ...g,
+        operations: g.operations.filter((op) =>
+          [op.method, op.path, op.summary, g.tag].some((s) => String(s || "").toLowerCase().includes(q))
+        ),
+      }))
+      .filter((g) => g.operations.length);
+  }, [groups, filter]);
+
+  return (
+    <div className="endpoint-catalog">
+      <input
+        type="search"
+        className="catalog-filter"
+        placeholder={t("explorer.filter")}
+        aria-label={t("explorer.filter")}
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+      />
+      {filtered.map((group) => (
+        <div key={group.tag} className="catalog-group">
+          <div className="catalog-tag">{group.tag}</div>
+          {group.operations.map((op) => (
+            <button
+              key={`${group.tag}-${op.id}`}
+              type="button"
+              className={`catalog-op ${selectedId === op.id ? "active" : ""} ${op.deprecated ? "deprecated" : ""}`}
+              onClick={() => onSelect(op)}
+              title={op.summary || op.path}
+            >
+              <span className={`method-tag method-${op.method.toLowerCase()}`}>{op.method}</span>
+              <span className="catalog-path">{op.path}</span>
+              {op.secured && <span className="catalog-lock" aria-label={t("explorer.requiresAuth")}>🔒</span>}
+            </button>
+          ))}
+        </div>
+      ))}
+      {!filtered.length && <p className="muted">{t("explorer.noMatch")}</p>}
+    </div>
+  );
+}
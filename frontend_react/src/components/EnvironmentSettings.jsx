@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { useEnvironments } from "../hooks/useEnvironment";
+import { testConnection } from "../services/api";
+import { deleteEnvironment, saveEnvironment, setActiveEnvironment, validateEnvironment } from "../services/environments";
+import { DEMO_PASSWORD } from "../services/mockBackend";
+import { useI18n } from "../hooks/useI18n";
+import { useDialogs } from "../context/DialogsContext";
+
+const describeUrl = (env, t) =>
+  env.mock ? t("environments.mockBackend") : env.baseUrl || t("environments.sameOrigin", { origin: window.location.origin });
+
+// PUBLIC_INTERFACE
+export default function EnvironmentSettings() {
+  /**
+   * Manage backend environment profiles: pick the active one, test connections,
+   * and add, edit or delete custom profiles. Each environment keeps its own session.
+   */
+  const { environments, active } = useEnvironments();
+  const { t, formatNumber } = useI18n();
+  const [results, setResults] = useState({});
+  const [form, setForm] = useState(null); // { id?, name, baseUrl } while adding or editing
+  const [formError, setFormError] = useState(null);
+  const dialogs = useDialogs();
+
+  const runTest = async (env) => {
+    setResults((r) => ({ ...r, [env.id]: { pending: true } }));
+    const result = await testConnection(env);
+    setResults((r) => ({ ...r, [env.id]: result }));
+  };
+
+  const onDelete = async (env) => {
+    const confirmed = await dialogs.confirm({
+      title: t("environments.deleteTitle"),
+      message: t("environments.deleteMessage", { name: env.name }),
+      confirmLabel: t("common.delete"),
+      danger: true,
+    });
+    if (confirmed) deleteEnvironment(env.id);
+  };
+
+  const onSave = (e) => {
+    e.preventDefault();
+    const error = validateEnvironment(form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    saveEnvironment(form);
+    setForm(null);
+    setFormError(null);
+  };
+
+  return (
+    <div className="env-settings">
+      <ul className="env-list">
+        {environments.map((env) => {
+          const result = results[env.id];
+          return (
+            <li key={env.id} className={env.id === active.id ? "active" : ""}>
+              <div className="env-info">
+                <strong>{env.name}</strong>
+                {env.id === active.id && <span className="chip">{t("environments.active")}</span>}
+                <div className="form-hint">{describeUrl(env, t)}</div>
+                {result && (
+                  <div className={`form-hint ${result.pending ? "" : result.ok ? "env-ok" : "env-fail"}`}>
+                    {result.pending
+                      ? t("environments.testing")
+                      : `${result.ok ? "✓" : "✕"} ${result.message} (${formatNumber(result.durationMs)} ms)`}
+                  </div>
+                )}
+              </div>
+              <div className="env-actions">
+                <button type="button" className="link-btn" onClick={() => runTest(env)} disabled={result?.pending}>{t("environments.test")}</button>
+                {!env.builtIn && (
+                  <>
+                    <button type="button" className="link-btn" onClick={() => setForm({ id: env.id, name: env.name, baseUrl: env.baseUrl })}>
+                      {t("common.edit")}
+                    </button>
+                    <button type="button" className="link-btn" onClick={() => onDelete(env)}>{t("common.delete")}</button>
+                  </>
+                )}
+                {env.id !== active.id && (
+                  <button type="button" className="btn btn-secondary" onClick={() => setActiveEnvironment(env.id)}>{t("environments.use")}</button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      {form ? (
+        <form className="form env-form" onSubmit={onSave}>
+          <div className="form-row">
+            <label htmlFor="env-name">{t("environments.name")}</label>
+            <input id="env-name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Staging" />
+          </div>
+          <div className="form-row">
+            <label htmlFor="env-url">{t("environments.baseUrl")}</label>
+            <input
+              id="env-url"
+              value={form.baseUrl}
+              onChange={(e) => setForm({ ...form, baseUrl: e.target.value })}
+              placeholder="https://staging.example.com"
+            />
+          </div>
+          {formError && <div className="form-error">{formError}</div>}
+          <div className="actions">
+            <button type="submit" className="btn">{form.id ? t("common.save") : t("environments.addSubmit")}</button>
+            <button type="button" className="link-btn" onClick={() => { setForm(null); setFormError(null); }}>{t("common.cancel")}</button>
+          </div>
+        </form>
+      ) : (
+        <button type="button" className="link-btn" onClick={() => setForm({ name: "", baseUrl: "" })}>{t("environments.add")}</button>
+      )}
+
+      <div className="form-hint">
+        {t("environments.hint")}
+        {active.mock && ` ${t("environments.mockAccounts", { password: DEMO_PASSWORD })}`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { buildDiagnosticReport, recordCrash } from "../services/crashLog";
+import { copyText } from "../utils/clipboard";
+import { useI18n } from "../hooks/useI18n";
+
+function CrashFallback({ entry, boundary, onRetry, onHome }) {
+  /** Recovery UI shown in place of the subtree that crashed. */
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(null);
+
+  const onCopy = async () => {
+    setCopied((await copyText(buildDiagnosticReport(entry))) ? t("common.copied") : t("common.copyFailed"));
+    setTimeout(() => setCopied(null), 1500);
+  };
+
+  return (
+    <div className={`container crash-fallback crash-${boundary}`} role="alert">
+      <div className="card">
+        <div className="card-header">
+          <h3>{t("crash.title")}</h3>
+        </div>
+        <div className="card-content">
+          <p>
+            {boundary === "route" ? t("crash.routeMessage") : t("crash.appMessage")}
+          </p>
+          <pre className="code-block crash-message">{`${entry.name}: ${entry.message}`}</pre>
+          <div className="actions">
+            <button className="btn" onClick={onRetry}>{t("common.retry")}</button>
+            <button className="btn btn-secondary" onClick={onHome}>{t("crash.goHome")}</button>
+            <button className="link-btn" onClick={onCopy}>{copied || t("crash.copyDiagnostic")}</button>
+          </div>
+          <div className="form-hint">{t("crash.saved")}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Catches render errors in its subtree, records them in the crash log and shows
+ * CrashFallback instead of a blank screen.
+ * - boundary: "app" or "route" (recorded with the crash and used for the copy)
+ * - resetKeys: the fallback clears when any of these change (e.g. the route path)
+ * - onHome: navigate home; defaults to a full page load of "/"
+ */
+// PUBLIC_INTERFACE
+export default class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { entry: null };
+    this.reset = this.reset.bind(this);
+    this.goHome = this.goHome.bind(this);
+  }
+
+  static getDerivedStateFromError() {
+    // The entry is filled in by componentDidCatch, which also has the component stack
+    return { entry: { pending: true, name: "Error", message: "" } };
+  }
+
+  componentDidCatch(error, info) {
+    const entry = recordCrash(error, { componentStack: info?.componentStack || null, boundary: this.props.boundary || "app" });
+    this.setState({ entry });
+  }
+
+  componentDidUpdate(prevProps) {
+    const prev = prevProps.resetKeys || [];
+    const next = this.props.resetKeys || [];
+    if (this.state.entry && (prev.length !== next.length || prev.some((key, i) => !Object.is(key, next[i])))) {
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.setState({ entry: null });
+  }
+
+  goHome() {
+    this.reset();
+    if (this.props.onHome) this.props.onHome();
+    else window.location.assign("/");
+  }
+
+  render() {
+    const { entry } = this.state;
+    if (!entry) return this.props.children;
+    if (entry.pending) return null;
+    return <CrashFallback entry={entry} boundary={this.props.boundary || "app"} onRetry={this.reset} onHome={this.goHome} />;
+  }
+}
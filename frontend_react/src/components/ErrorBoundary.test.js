@@ -0,0 +1,28 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import ErrorBoundary from './ErrorBoundary';
+import { clearCrashes, getCrashes, setCrashContext } from '../services/crashLog';
+
+function Boom({ explode }) {
+  if (explode) throw new Error('features.map is not a function');
+  return <p>Dashboard content</p>;
+}
+
+test('logs the crash and recovers on retry', () => {
+  clearCrashes();
+  setCrashContext({ tier: 'pro' });
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  let explode = true;
+  const Page = () => <Boom explode={explode} />;
+  render(
+    <ErrorBoundary boundary="route">
+      <Page />
+    </ErrorBoundary>
+  );
+  expect(screen.getByRole('alert')).toHaveTextContent('features.map is not a function');
+  expect(getCrashes()[0]).toMatchObject({ boundary: 'route', tier: 'pro', route: '/' });
+
+  explode = false;
+  fireEvent.click(screen.getByText('Retry'));
+  expect(screen.getByText('Dashboard content')).toBeInTheDocument();
+  spy.mockRestore();
+});
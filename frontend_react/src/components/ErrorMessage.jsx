@@ -0,0 +1,26 @@
+import React from "react";
+import { extractErrorMessage } from "../utils/error";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function ErrorMessage({ error, fallback }) {
+  /**
+   * Inline error for a failed action. Accepts a typed API error (services/errors) or a
+   * plain string; shows the request id for support and troubleshooting steps for
+   * network errors.
+   */
+  const { t } = useI18n();
+  if (!error) return null;
+  return (
+    <div className="form-error" role="alert">
+      {extractErrorMessage(error, fallback)}
+      {error.requestId && <span className="error-meta">{t("errors.requestId", { id: error.requestId })}</span>}
+      {error.hint && (
+        <details className="error-hint">
+          <summary>{t("errors.troubleshooting")}</summary>
+          <pre className="pre-wrap">{error.hint}</pre>
+        </details>
+      )}
+    </div>
+  );
+}
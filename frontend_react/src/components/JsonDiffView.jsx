@@ -0,0 +1,63 @@
+import React, { useMemo } from "react";
+import { diffJson, diffToLines, summarizeDiff } from "../utils/jsonDiff";
+import { useI18n } from "../hooks/useI18n";
+
+const INDENT = "  ";
+
+function Cell({ line, status, side }) {
+  if (!line) return <td className={`diff-cell diff-empty ${side}`} />;
+  return (
+    <td className={`diff-cell diff-${status} ${side}`}>
+      <span className="diff-text">{INDENT.repeat(line.depth)}{line.text}</span>
+    </td>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function JsonDiffView({ left, right, leftLabel, rightLabel, ignoreKeys, onlyChanges = false }) {
+  /**
+   * Side-by-side structural JSON diff with added, removed and changed keys highlighted.
+   * - left / right: JSON values to compare
+   * - ignoreKeys: object keys to skip at any depth (e.g. volatile timestamps)
+   * - onlyChanges: hide unchanged subtrees
+   */
+  const { t } = useI18n();
+  const diff = useMemo(() => diffJson(left, right, { ignoreKeys }), [left, right, ignoreKeys]);
+  const lines = useMemo(() => diffToLines(diff, { onlyChanges }), [diff, onlyChanges]);
+  const counts = useMemo(() => summarizeDiff(diff), [diff]);
+  const identical = diff.status === "unchanged";
+
+  return (
+    <div className="json-diff">
+      <div className="diff-summary">
+        {identical ? (
+          <span className="muted">{t("diff.none")}</span>
+        ) : (
+          <>
+            <span className="diff-pill diff-added">+{t("diff.added", { count: counts.added })}</span>
+            <span className="diff-pill diff-removed">−{t("diff.removed", { count: counts.removed })}</span>
+            <span className="diff-pill diff-changed">~{t("diff.changed", { count: counts.changed })}</span>
+          </>
+        )}
+      </div>
+      <div className="table-scroll">
+        <table className="diff-table">
+          <thead>
+            <tr>
+              <th>{leftLabel || t("diff.left")}</th>
+              <th>{rightLabel || t("diff.right")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((row, idx) => (
+              <tr key={idx}>
+                <Cell line={row.left} status={row.status} side="left" />
+                <Cell line={row.right} status={row.status} side="right" />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
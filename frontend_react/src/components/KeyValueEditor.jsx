@@ -0,0 +1,46 @@
+import React from "react";
+import { createRow } from "../utils/request";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function KeyValueEditor({ rows, onChange, keyPlaceholder, valuePlaceholder, addLabel }) {
+  /**
+   * Editable list of key/value rows with per-row enable toggles.
+   * - rows: array of { id, key, value, enabled }
+   * - onChange: called with the next rows array
+   */
+  const { t } = useI18n();
+  const list = rows || [];
+
+  const update = (id, patch) => onChange(list.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const remove = (id) => onChange(list.filter((r) => r.id !== id));
+
+  return (
+    <div className="kv-editor">
+      {list.map((row) => (
+        <div key={row.id} className="kv-row">
+          <input
+            type="checkbox"
+            checked={row.enabled}
+            onChange={(e) => update(row.id, { enabled: e.target.checked })}
+            aria-label={t("kv.include")}
+          />
+          <input
+            type="text"
+            placeholder={keyPlaceholder || t("kv.key")}
+            value={row.key}
+            onChange={(e) => update(row.id, { key: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder={valuePlaceholder || t("kv.value")}
+            value={row.value}
+            onChange={(e) => update(row.id, { value: e.target.value })}
+          />
+          <button type="button" className="link-btn" onClick={() => remove(row.id)} aria-label={t("kv.remove")}>✕</button>
+        </div>
+      ))}
+      <button type="button" className="link-btn" onClick={() => onChange([...list, createRow()])}>+ {addLabel || t("kv.add")}</button>
+    </div>
+  );
+}
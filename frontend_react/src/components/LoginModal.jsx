@@ -1,42 +1,52 @@
 import React, { useMemo, useState } from "react";
 import Modal from "./Modal";
+import { Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { requestPasswordReset } from "../services/api";
+import { ValidationError } from "../services/errors";
+import { useEmailPolicy } from "../hooks/useQuery";
+import { checkEmail } from "../utils/emailPolicy";
 import { extractErrorMessage, parseValidationErrors } from "../utils/error";
+import { useI18n } from "../hooks/useI18n";
 
 // PUBLIC_INTERFACE
-export default function LoginModal({ isOpen, onClose }) {
+export default function LoginModal({ isOpen, onClose, onSuccess }) {
   /**
-   * Modal dialog for user login and signup with package selection.
-   * Adds frontend email validation: must contain "@" and end with "@tata.co.in".
+   * Modal dialog for user login and signup with package selection, plus a
+   * "Forgot password?" mode that requests a reset link for an email.
+   * Validates the email against the login or signup domain policy (from the backend
+   * or runtime configuration, see utils/emailPolicy) before calling the API.
    * Enhances error display by parsing FastAPI 422 validation errors and mapping
    * them to specific form fields for actionable feedback.
    */
-  const { login, signup, loading, error, validationErrors, clearAuthError } = useAuth();
-  const [mode, setMode] = useState("login"); // 'login' | 'signup'
+  const { isAuthenticated, login, signup, loading, error, validationErrors, clearAuthError } = useAuth();
+  const { t } = useI18n();
+  const [mode, setMode] = useState("login"); // 'login' | 'signup' | 'forgot'
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [packageTier, setPackageTier] = useState("free");
   const [localError, setLocalError] = useState(null);
+  // Forgot-password request state; kept out of AuthContext since it creates no session
+  const [resetBusy, setResetBusy] = useState(false);
+  const [resetResult, setResetResult] = useState(null);
+  const [resetErrors, setResetErrors] = useState({});
 
-  // Validate email to contain '@' and end with '@tata.co.in'
-  const validateEmailDomain = (val) => {
-    const e = String(val || "").trim().toLowerCase();
-    return e.includes("@") && e.endsWith("@tata.co.in");
-  };
-
-  const emailIsValid = useMemo(() => validateEmailDomain(email), [email]);
-  const emailInlineError =
-    email && !emailIsValid
-      ? 'Email must contain "@" and end with "@tata.co.in".'
-      : null;
+  const emailPolicy = useEmailPolicy();
+  // Resetting a password is open to anyone who may log in
+  const emailRule = emailPolicy[mode === "signup" ? "signup" : "login"];
+  // Not memoized: the message follows the active language
+  const emailError = checkEmail(email, emailRule);
+  const emailIsValid = !emailError;
+  const emailInlineError = email ? emailError : null;
 
   // Parse server errors into field/non-field buckets
   const parsedFromError = useMemo(() => parseValidationErrors(error), [error]);
   const fieldErrors = useMemo(() => {
+    if (mode === "forgot") return resetErrors;
     // Prefer context-provided validationErrors (set during signup), else parse from error
     if (validationErrors && Object.keys(validationErrors || {}).length > 0) return validationErrors;
     return parsedFromError.fieldErrors || {};
-  }, [validationErrors, parsedFromError]);
+  }, [mode, resetErrors, validationErrors, parsedFromError]);
   const nonFieldErrorsText = useMemo(() => {
     const items = parsedFromError?.nonFieldErrors || [];
     return items.length ? items.join("; ") : null;
@@ -47,22 +57,59 @@ export default function LoginModal({ isOpen, onClose }) {
     setPassword("");
     setPackageTier("free");
     setLocalError(null);
+    setResetResult(null);
+    setResetErrors({});
+    clearAuthError?.();
+  };
+
+  const switchMode = (next) => {
+    setMode(next);
+    setLocalError(null);
+    setResetResult(null);
+    setResetErrors({});
     clearAuthError?.();
   };
 
+  const onRequestReset = async () => {
+    if (!emailIsValid) {
+      setLocalError(emailError);
+      return;
+    }
+    setResetBusy(true);
+    try {
+      setResetResult(await requestPasswordReset(email.trim()));
+    } catch (err) {
+      const parsed = parseValidationErrors(err);
+      setResetErrors(parsed.fieldErrors || {});
+      setLocalError(
+        err instanceof ValidationError
+          ? parsed.nonFieldErrors.join("; ") || null
+          : extractErrorMessage(err, t("login.resetFailed"))
+      );
+    } finally {
+      setResetBusy(false);
+    }
+  };
+
   const onSubmit = async (e) => {
     e.preventDefault();
     setLocalError(null);
     clearAuthError?.();
 
+    if (mode === "forgot") {
+      setResetErrors({});
+      await onRequestReset();
+      return;
+    }
+
     if (!email || !password) {
-      setLocalError("Please enter email and password.");
+      setLocalError(t("login.missingCredentials"));
       return;
     }
 
     // Enforce email validation before calling APIs
     if (!emailIsValid) {
-      setLocalError('Email must contain "@" and end with "@tata.co.in".');
+      setLocalError(emailError);
       return;
     }
 
@@ -70,6 +117,7 @@ export default function LoginModal({ isOpen, onClose }) {
     const res = await action;
     if (res.ok) {
       resetForm();
+      onSuccess?.();
       onClose();
     } else if (res.error) {
       // Context error/validationErrors will display
@@ -86,57 +134,113 @@ export default function LoginModal({ isOpen, onClose }) {
 
   const onCancel = () => {
     clearAuthError?.();
+    if (mode === "forgot") switchMode("login");
     onClose();
   };
 
+  const busy = loading || resetBusy;
+  const submitLabel = { login: t("login.submit"), signup: t("login.createAccount"), forgot: t("login.sendResetLink") }[mode];
   const footer = (
     <div className="modal-actions">
-      <button className="btn btn-secondary" onClick={onCancel} disabled={loading}>Cancel</button>
-      <button
-        className="btn"
-        onClick={onSubmit}
-        disabled={loading || !emailIsValid || !password}
-      >
-        {loading ? "Please wait..." : (mode === "login" ? "Login" : "Create account")}
-      </button>
+      <button className="btn btn-secondary" onClick={onCancel} disabled={busy}>{resetResult ? t("common.close") : t("common.cancel")}</button>
+      {!resetResult && (
+        <button
+          className="btn"
+          onClick={onSubmit}
+          disabled={busy || !emailIsValid || (mode !== "forgot" && !password)}
+        >
+          {busy ? t("common.pleaseWait") : submitLabel}
+        </button>
+      )}
     </div>
   );
 
   const topLevelErrorText = useMemo(() => {
     // Prefer local error; else use non-field server validation; else fallback to generic extracted message
-    return localError || nonFieldErrorsText || (error ? extractErrorMessage(error) : null);
-  }, [localError, nonFieldErrorsText, error]);
+    if (mode === "forgot") return localError;
+    // Field errors of a ValidationError are already shown next to their inputs
+    return localError || nonFieldErrorsText || (error && !(error instanceof ValidationError) ? extractErrorMessage(error) : null);
+  }, [mode, localError, nonFieldErrorsText, error]);
+
+  const title =
+    mode === "forgot"
+      ? t("login.titleForgot")
+      : mode === "signup"
+        ? t("login.titleSignup")
+        : isAuthenticated
+          ? t("login.titleAddAccount")
+          : t("login.titleLogin");
+
+  if (mode === "forgot" && resetResult) {
+    return (
+      <Modal isOpen={isOpen} onClose={onCancel} title={title} footer={footer} dismissible={!busy}>
+        <div className="form">
+          <div className="form-success">
+            {resetResult.message || t("login.resetSent", { email: email.trim() })}
+          </div>
+          {resetResult.reset_token && (
+            <div className="form-hint">
+              {t("login.mockNoEmail")}{" "}
+              <Link
+                className="link-btn"
+                to={`/reset-password?token=${encodeURIComponent(resetResult.reset_token)}`}
+                onClick={() => {
+                  switchMode("login");
+                  onClose();
+                }}
+              >
+                {t("login.openResetLink")}
+              </Link>
+            </div>
+          )}
+          <div className="form-hint">
+            <button type="button" className="link-btn" onClick={() => switchMode("login")}>{t("login.backToLogin")}</button>
+          </div>
+        </div>
+      </Modal>
+    );
+  }
 
   return (
-    <Modal isOpen={isOpen} onClose={onCancel} title={mode === "login" ? "Welcome back" : "Create your account"} footer={footer}>
+    <Modal isOpen={isOpen} onClose={onCancel} title={title} footer={footer} dismissible={!busy}>
       <form onSubmit={onSubmit} className="form">
         <div className="form-row">
-          <label htmlFor="email">Email</label>
+          <label htmlFor="email">{t("login.email")}</label>
           <input
             id="email"
             type="email"
-            placeholder="you@tata.co.in"
+            placeholder={`you@${emailRule.allow.find((d) => !d.includes("*")) || "example.com"}`}
             value={email}
             onChange={(e) => setEmail(e.target.value)}
           />
           {emailInlineError && <div className="form-error">{emailInlineError}</div>}
           {!emailInlineError && renderFieldErrors("email")}
         </div>
-        <div className="form-row">
-          <label htmlFor="password">Password</label>
-          <input
-            id="password"
-            type="password"
-            placeholder="••••••••"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            minLength={6}
-          />
-          {renderFieldErrors("password")}
-        </div>
+        {mode === "forgot" && (
+          <div className="form-hint">{t("login.forgotHint")}</div>
+        )}
+        {mode !== "forgot" && (
+          <div className="form-row">
+            <label htmlFor="password">{t("login.password")}</label>
+            <input
+              id="password"
+              type="password"
+              placeholder="••••••••"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              minLength={6}
+            />
+            {renderFieldErrors("password")}
+            {mode === "login" && (
+              <button type="button" className="link-btn forgot-link" onClick={() => switchMode("forgot")}>
+                {t("login.forgotPassword")}
+              </button>
+            )}
+          </div>
+        )}
         {mode === "signup" && (
           <div className="form-row">
-            <label htmlFor="tier">Package tier</label>
+            <label htmlFor="tier">{t("login.packageTier")}</label>
             <select id="tier" value={packageTier} onChange={(e) => setPackageTier(e.target.value)}>
               <option value="free">Free</option>
               <option value="pro">Pro</option>
@@ -149,32 +253,16 @@ export default function LoginModal({ isOpen, onClose }) {
         <div className="form-hint">
           {mode === "login" ? (
             <>
-              Don't have an account?{" "}
-              <button
-                type="button"
-                className="link-btn"
-                onClick={() => {
-                  setMode("signup");
-                  setLocalError(null);
-                  clearAuthError?.();
-                }}
-              >
-                Create one
+              {t("login.noAccount")}{" "}
+              <button type="button" className="link-btn" onClick={() => switchMode("signup")}>
+                {t("login.createOne")}
               </button>
             </>
           ) : (
             <>
-              Already have an account?{" "}
-              <button
-                type="button"
-                className="link-btn"
-                onClick={() => {
-                  setMode("login");
-                  setLocalError(null);
-                  clearAuthError?.();
-                }}
-              >
-                Log in
+              {mode === "forgot" ? t("login.remembered") : t("login.haveAccount")}{" "}
+              <button type="button" className="link-btn" onClick={() => switchMode("login")}>
+                {t("login.logIn")}
               </button>
             </>
           )}
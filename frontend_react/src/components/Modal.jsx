@@ -1,29 +1,167 @@
-import React from "react";
+import React, { useEffect, useId, useRef, useSyncExternalStore } from "react";
+import { createPortal } from "react-dom";
+import { getStack, getTopModal, pushModal, removeModal, subscribe } from "../services/modalStack";
+import { useI18n } from "../hooks/useI18n";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+const focusableIn = (node) => Array.from(node.querySelectorAll(FOCUSABLE)).filter((el) => !el.closest("[hidden]"));
+
+const dialogElementId = (modalId) => `${modalId}dialog`;
 
 // PUBLIC_INTERFACE
-export default function Modal({ isOpen, onClose, title, children, footer }) {
+export default function Modal({
+  isOpen,
+  onClose,
+  title,
+  description,
+  children,
+  footer,
+  initialFocusRef,
+  dismissible = true,
+  role = "dialog",
+}) {
   /**
-   * Accessible modal dialog with overlay.
+   * Accessible modal dialog, rendered into document.body through a portal.
    * - isOpen: boolean to control visibility
-   * - onClose: function to close the modal
-   * - title: string displayed in header
+   * - onClose: function to close the modal (close button, Escape, overlay click)
+   * - title: heading that labels the dialog
+   * - description: optional text shown first and announced with the title
    * - children: modal body content
    * - footer: optional footer node for actions
+   * - initialFocusRef: element to focus on open; otherwise the first [data-autofocus]
+   *   element, then the first focusable element of the body
+   * - dismissible: false ignores Escape and overlay clicks and disables the close button
+   *   (e.g. while a request is in flight)
+   * - role: "alertdialog" for confirmations that interrupt the user
+   * Focus stays inside the dialog and returns to the element that opened it on close.
+   * Modals stack (services/modalStack): only the topmost one reacts to keys and clicks.
    */
+  const { t } = useI18n();
+  const id = useId();
+  const cardRef = useRef(null);
+  // Pressed on the overlay itself, so dragging a text selection out of an input does not close
+  const overlayPressRef = useRef(false);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+  const stack = useSyncExternalStore(subscribe, getStack);
+  const depth = stack.indexOf(id);
+  const isTop = depth !== -1 && depth === stack.length - 1;
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const trigger = document.activeElement;
+    pushModal(id);
+    const card = cardRef.current;
+    const target =
+      initialFocusRef?.current ||
+      card.querySelector("[data-autofocus]") ||
+      focusableIn(card.querySelector(".modal-content"))[0] ||
+      card;
+    target.focus();
+    return () => {
+      removeModal(id);
+      if (trigger && trigger !== document.body && trigger.isConnected) {
+        trigger.focus();
+      } else {
+        // The opener is gone (e.g. the row it was in was deleted): stay in the modal below
+        const below = getTopModal();
+        if (below) document.getElementById(dialogElementId(below))?.focus();
+      }
+    };
+  }, [isOpen, id, initialFocusRef]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    // Every open modal listens; only the one on top of the stack acts
+    const onKeyDown = (e) => {
+      const card = cardRef.current;
+      if (getTopModal() !== id) return;
+      if (e.key === "Escape") {
+        if (!dismissible) return;
+        e.stopPropagation();
+        onCloseRef.current?.();
+        return;
+      }
+      if (e.key !== "Tab" || !card) return;
+      const items = focusableIn(card);
+      if (!items.length) {
+        e.preventDefault();
+        card.focus();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      const inside = card.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === card)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    // Pull focus back if it escapes (e.g. a click on the overlay or page behind)
+    const onFocusIn = (e) => {
+      const card = cardRef.current;
+      if (card && getTopModal() === id && !card.contains(e.target)) card.focus();
+    };
+    document.addEventListener("keydown", onKeyDown);
+    document.addEventListener("focusin", onFocusIn);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("focusin", onFocusIn);
+    };
+  }, [isOpen, id, dismissible]);
+
   if (!isOpen) return null;
 
-  return (
-    <div className="modal-overlay" role="dialog" aria-modal="true" aria-label={title || "Dialog"}>
-      <div className="modal-card">
+  const titleId = `${id}title`;
+  const descriptionId = `${id}description`;
+
+  return createPortal(
+    <div
+      className="modal-overlay"
+      style={depth > 0 ? { zIndex: 100 + depth } : undefined}
+      // Covered modals are hidden from assistive technology until they are on top again
+      aria-hidden={depth !== -1 && !isTop ? "true" : undefined}
+      onMouseDown={(e) => {
+        overlayPressRef.current = e.target === e.currentTarget;
+      }}
+      onClick={(e) => {
+        if (isTop && dismissible && overlayPressRef.current && e.target === e.currentTarget) onClose?.();
+        overlayPressRef.current = false;
+      }}
+    >
+      <div
+        ref={cardRef}
+        id={dialogElementId(id)}
+        className="modal-card"
+        role={role}
+        aria-modal="true"
+        aria-labelledby={title ? titleId : undefined}
+        aria-label={title ? undefined : t("common.dialog")}
+        aria-describedby={description ? descriptionId : undefined}
+        tabIndex={-1}
+      >
         <div className="modal-header">
-          <h3 className="modal-title">{title}</h3>
-          <button className="icon-btn" onClick={onClose} aria-label="Close modal">✕</button>
+          <h2 id={titleId} className="modal-title">{title}</h2>
+          <button type="button" className="icon-btn" onClick={onClose} disabled={!dismissible} aria-label={t("common.closeDialog")}>✕</button>
         </div>
         <div className="modal-content">
+          {description ? <p id={descriptionId} className="modal-description">{description}</p> : null}
           {children}
         </div>
         {footer ? <div className="modal-footer">{footer}</div> : null}
       </div>
-    </div>
+    </div>,
+    document.body
   );
 }
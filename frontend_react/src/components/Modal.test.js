@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import Modal from './Modal';
+import { DialogsProvider } from '../context/DialogsContext';
+import { confirm, prompt } from '../services/dialogs';
+
+function Settings() {
+  const [outer, setOuter] = useState(false);
+  const [inner, setInner] = useState(false);
+  return (
+    <>
+      <button onClick={() => setOuter(true)}>Open settings</button>
+      <Modal isOpen={outer} onClose={() => setOuter(false)} title="Settings">
+        <input aria-label="Name" />
+        <button onClick={() => setInner(true)}>Delete</button>
+      </Modal>
+      <Modal isOpen={inner} onClose={() => setInner(false)} title="Delete profile?">
+        <button>Yes</button>
+      </Modal>
+    </>
+  );
+}
+
+test('traps focus and closes only the topmost modal on Escape', () => {
+  render(<Settings />);
+  const opener = screen.getByText('Open settings');
+  opener.focus();
+  fireEvent.click(opener);
+
+  expect(screen.getByRole('dialog', { name: 'Settings' })).toBeInTheDocument();
+  expect(screen.getByLabelText('Name')).toHaveFocus();
+  expect(document.body.style.overflow).toBe('hidden');
+
+  // Tab from the last element wraps to the first (the close button)
+  const remove = screen.getByText('Delete');
+  remove.focus();
+  fireEvent.keyDown(remove, { key: 'Tab' });
+  expect(screen.getByLabelText('Close dialog')).toHaveFocus();
+
+  remove.focus();
+  fireEvent.click(remove);
+  expect(screen.getByText('Yes')).toHaveFocus();
+  expect(screen.getByRole('dialog', { name: 'Settings', hidden: true })).toBeInTheDocument();
+
+  fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+  expect(screen.queryByText('Yes')).not.toBeInTheDocument();
+  expect(screen.getByRole('dialog', { name: 'Settings' })).toBeInTheDocument();
+  expect(remove).toHaveFocus();
+
+  fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(opener).toHaveFocus();
+  expect(document.body.style.overflow).toBe('');
+});
+
+test('confirm and prompt resolve with the user\'s answer', async () => {
+  render(<DialogsProvider><p>Page</p></DialogsProvider>);
+
+  let answer;
+  act(() => {
+    confirm({ title: 'Delete snapshot?', message: '"Pro" will be deleted.', danger: true }).then((v) => { answer = v; });
+  });
+  expect(screen.getByRole('alertdialog', { name: 'Delete snapshot?' })).toHaveAccessibleDescription('"Pro" will be deleted.');
+  expect(screen.getByText('Cancel')).toHaveFocus();
+  await act(async () => fireEvent.click(screen.getByText('Confirm')));
+  expect(answer).toBe(true);
+
+  act(() => {
+    prompt({ title: 'Name the snapshot', validate: (v) => (v === 'x' ? 'Too short' : null) }).then((v) => { answer = v; });
+  });
+  fireEvent.change(screen.getByLabelText('Value'), { target: { value: 'x' } });
+  fireEvent.click(screen.getByText('OK'));
+  expect(screen.getByText('Too short')).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Value'), { target: { value: 'Before upgrade' } });
+  await act(async () => fireEvent.click(screen.getByText('OK')));
+  expect(answer).toBe('Before upgrade');
+
+  act(() => {
+    prompt({ title: 'Name the snapshot' }).then((v) => { answer = v; });
+  });
+  await act(async () => fireEvent.keyDown(document.activeElement, { key: 'Escape' }));
+  expect(answer).toBeNull();
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
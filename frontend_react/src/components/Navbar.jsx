@@ -1,30 +1,44 @@
 import React from "react";
 import { Link, NavLink } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useEnvironments } from "../hooks/useEnvironment";
+import { useI18n } from "../hooks/useI18n";
+import AccountMenu from "./AccountMenu";
 
 // PUBLIC_INTERFACE
-export default function Navbar({ onOpenLogin, onOpenSettings }) {
+export default function Navbar({ onOpenLogin, onOpenSettings, onToggleNetwork }) {
   /** Top navigation bar with routes and auth controls. */
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, accounts } = useAuth();
+  const { active: environment } = useEnvironments();
+  const { t } = useI18n();
   return (
     <nav className="navbar">
       <div className="nav-left">
         <Link to="/" className="brand">
           TATA ELXSI <span className="brand-accent">MOCK API</span>
         </Link>
-        <NavLink to="/" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")} end>Dashboard</NavLink>
-        <NavLink to="/profile" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>Profile</NavLink>
-        <NavLink to="/api" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>API Explorer</NavLink>
+        <NavLink to="/" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")} end>{t("nav.dashboard")}</NavLink>
+        <NavLink to="/profile" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>{t("nav.profile")}</NavLink>
+        <NavLink to="/analytics" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>{t("nav.analytics")}</NavLink>
+        <NavLink to="/plans" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>{t("nav.plans")}</NavLink>
+        <NavLink to="/compare" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>{t("nav.compare")}</NavLink>
+        <NavLink to="/api" className={({ isActive }) => "nav-item" + (isActive ? " active" : "")}>{t("nav.apiExplorer")}</NavLink>
       </div>
       <div className="nav-right">
-        <button className="icon-btn" aria-label="Settings" onClick={onOpenSettings}>⚙️</button>
-        {isAuthenticated ? (
-          <>
-            <span className="nav-user">Hi, {user?.email}</span>
-            <button className="btn btn-secondary" onClick={logout}>Logout</button>
-          </>
+        <button
+          className={`env-badge ${environment.mock ? "mock" : ""}`}
+          onClick={onOpenSettings}
+          title={t("nav.backend", { target: environment.mock ? t("nav.inBrowserMock") : environment.baseUrl || window.location.origin })}
+        >
+          {environment.name}
+        </button>
+        <button className="icon-btn" aria-label={t("nav.networkInspector")} title={t("nav.networkInspector")} onClick={onToggleNetwork}>📡</button>
+        <button className="icon-btn" aria-label={t("nav.settings")} title={t("nav.settings")} onClick={onOpenSettings}>⚙️</button>
+        {/* Saved accounts stay reachable after the active session expired */}
+        {isAuthenticated || accounts.length ? (
+          <AccountMenu onAddAccount={onOpenLogin} />
         ) : (
-          <button className="btn" onClick={onOpenLogin}>Login / Sign up</button>
+          <button className="btn" onClick={onOpenLogin}>{t("nav.login")}</button>
         )}
       </div>
     </nav>
@@ -0,0 +1,196 @@
+import React, { useMemo, useState, useSyncExternalStore } from "react";
+import * as networkLog from "../services/networkLog";
+import { replayRequest } from "../services/api";
+import { useI18n } from "../hooks/useI18n";
+
+const STATUS_FILTERS = ["all", "2xx", "4xx", "5xx", "failed"];
+
+function matchesStatus(entry, filter) {
+  if (filter === "all") return true;
+  if (filter === "failed") return entry.state === "error" || !!entry.error;
+  return entry.status !== null && String(entry.status).charAt(0) === filter.charAt(0);
+}
+
+function HeaderList({ headers }) {
+  const { t } = useI18n();
+  const items = Object.entries(headers || {});
+  if (!items.length) return <p className="muted">{t("response.noHeaders")}</p>;
+  return items.map(([k, v]) => (
+    <div key={k} className="detail-row"><span className="label">{k}</span><span className="value">{String(v)}</span></div>
+  ));
+}
+
+function EntryDetails({ entry, onReplay, replaying }) {
+  const { t } = useI18n();
+  const [tab, setTab] = useState("headers");
+  const tabs = ["headers", "request", "response"];
+  if (entry.error) tabs.push("error");
+  return (
+    <div className="netlog-details">
+      <div className="netlog-details-head">
+        <code className="netlog-url">{entry.method} {entry.url}</code>
+        <button type="button" className="btn btn-secondary" onClick={() => onReplay(entry)} disabled={replaying}>
+          {replaying ? t("network.replaying") : t("network.replay")}
+        </button>
+      </div>
+      <div className="segmented">
+        {tabs.map((id) => (
+          <button key={id} type="button" className={`segmented-item ${tab === id ? "active" : ""}`} onClick={() => setTab(id)}>
+            {t(`network.tab.${id}`)}
+          </button>
+        ))}
+      </div>
+      {tab === "headers" && (
+        <>
+          <p className="muted">{t("network.requestHeaders")}</p>
+          <HeaderList headers={entry.requestHeaders} />
+          <p className="muted">{t("network.responseHeaders")}</p>
+          <HeaderList headers={entry.responseHeaders} />
+        </>
+      )}
+      {tab === "request" && (
+        <>
+          {entry.params && Object.keys(entry.params).length > 0 && (
+            <pre className="code-block">{JSON.stringify(entry.params, null, 2)}</pre>
+          )}
+          <pre className="code-block">{entry.requestBody || t("network.noBody")}</pre>
+        </>
+      )}
+      {tab === "response" && <pre className="code-block">{entry.responseBody || t("network.noBody")}</pre>}
+      {tab === "error" && entry.error && (
+        <>
+          <div className="detail-row"><span className="label">{t("network.error")}</span><span className="value">{entry.error.message}</span></div>
+          {entry.error.code && (
+            <div className="detail-row"><span className="label">{t("network.code")}</span><span className="value">{entry.error.code}</span></div>
+          )}
+          {entry.note && <div className="detail-row"><span className="label">{t("network.recovery")}</span><span className="value">{entry.note}</span></div>}
+          {entry.friendlyMessage && (
+            <>
+              <p className="muted">{t("network.friendlyMessage")}</p>
+              <pre className="code-block">{entry.friendlyMessage}</pre>
+            </>
+          )}
+          {entry.hint && (
+            <>
+              <p className="muted">{t("errors.troubleshooting")}</p>
+              <pre className="code-block">{entry.hint}</pre>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function NetworkInspector({ isOpen, onClose }) {
+  /**
+   * Devtools-style drawer listing every request made through the shared API client,
+   * with filtering, clear, pause and replay.
+   */
+  const { entries, paused } = useSyncExternalStore(networkLog.subscribe, networkLog.getSnapshot);
+  const { t, formatNumber, formatBytes } = useI18n();
+  const [query, setQuery] = useState("");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [selectedId, setSelectedId] = useState(null);
+  const [replaying, setReplaying] = useState(false);
+
+  const visible = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return entries.filter(
+      (e) => matchesStatus(e, statusFilter) && (!q || `${e.method} ${e.url} ${e.status ?? ""}`.toLowerCase().includes(q))
+    );
+  }, [entries, query, statusFilter]);
+  const selected = entries.find((e) => e.id === selectedId) || null;
+
+  const onReplay = async (entry) => {
+    setReplaying(true);
+    try {
+      await replayRequest(entry);
+    } catch {
+      // the failure is recorded as a new entry
+    } finally {
+      setReplaying(false);
+      // Select the replayed request, which is now the newest entry
+      setSelectedId(networkLog.getEntries()[0]?.id ?? null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <section className="netlog-drawer" aria-label={t("nav.networkInspector")}>
+      <div className="netlog-toolbar">
+        <strong>{t("network.title")}</strong>
+        <input
+          type="search"
+          placeholder={t("network.filterPlaceholder")}
+          aria-label={t("network.filter")}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="segmented">
+          {STATUS_FILTERS.map((id) => (
+            <button
+              key={id}
+              type="button"
+              className={`segmented-item ${statusFilter === id ? "active" : ""}`}
+              onClick={() => setStatusFilter(id)}
+            >
+              {id === "all" || id === "failed" ? t(`network.status.${id}`) : id}
+            </button>
+          ))}
+        </div>
+        <button type="button" className="link-btn" onClick={() => networkLog.setPaused(!paused)}>
+          {paused ? t("network.resume") : t("network.pause")}
+        </button>
+        <button
+          type="button"
+          className="link-btn"
+          onClick={() => {
+            networkLog.clearEntries();
+            setSelectedId(null);
+          }}
+        >
+          {t("network.clear")}
+        </button>
+        <button type="button" className="link-btn" onClick={onClose} aria-label={t("network.close")}>✕</button>
+      </div>
+      <div className="netlog-body">
+        <div className="netlog-list">
+          <table className="netlog-table">
+            <thead>
+              <tr>
+                <th>{t("network.method")}</th>
+                <th>{t("network.url")}</th>
+                <th>{t("network.status")}</th>
+                <th>{t("network.time")}</th>
+                <th>{t("network.size")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((e) => (
+                <tr
+                  key={e.id}
+                  className={`${selectedId === e.id ? "active" : ""} ${e.error ? "failed" : ""}`}
+                  onClick={() => setSelectedId(e.id)}
+                >
+                  <td><span className={`method-tag method-${e.method.toLowerCase()}`}>{e.method}</span></td>
+                  <td className="netlog-url" title={e.url}>
+                    {e.path}
+                    {e.backend === "mock" && <span className="muted"> ({t("network.mock")})</span>}
+                  </td>
+                  <td>{e.state === "pending" ? "…" : e.status ?? t("network.failed")}</td>
+                  <td>{e.durationMs !== null ? `${formatNumber(e.durationMs)} ms` : ""}</td>
+                  <td>{formatBytes(e.responseSize)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!visible.length && <p className="muted">{entries.length ? t("network.noMatch") : t("network.empty")}</p>}
+        </div>
+        {selected && <EntryDetails key={selected.id} entry={selected} onReplay={onReplay} replaying={replaying} />}
+      </div>
+    </section>
+  );
+}
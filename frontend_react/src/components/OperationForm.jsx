@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { getFieldKey, getOperationFields, operationToDraft, validateOperationInput } from "../utils/openapi";
+import { useI18n } from "../hooks/useI18n";
+
+const initialValues = (fields) =>
+  fields.reduce((acc, f) => {
+    const def = f.schema?.default;
+    acc[getFieldKey(f)] = def === undefined ? "" : typeof def === "object" ? JSON.stringify(def) : String(def);
+    return acc;
+  }, {});
+
+function FieldInput({ id, field, value, onChange }) {
+  const { t } = useI18n();
+  const schema = field.schema || {};
+  if (Array.isArray(schema.enum)) {
+    return (
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">{field.required ? t("form.select") : t("form.notSet")}</option>
+        {schema.enum.map((opt) => (
+          <option key={String(opt)} value={String(opt)}>{String(opt)}</option>
+        ))}
+      </select>
+    );
+  }
+  if (schema.type === "boolean") {
+    return (
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)}>
+        <option value="">{t("form.notSet")}</option>
+        <option value="true">true</option>
+        <option value="false">false</option>
+      </select>
+    );
+  }
+  if (schema.raw || schema.type === "object" || schema.type === "array") {
+    return (
+      <textarea
+        id={id}
+        className="code-input"
+        rows={4}
+        spellCheck={false}
+        placeholder="JSON"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+  const type = schema.type === "integer" || schema.type === "number" ? "number" : schema.format === "password" || field.name === "password" ? "password" : "text";
+  return <input id={id} type={type} value={value} onChange={(e) => onChange(e.target.value)} />;
+}
+
+// PUBLIC_INTERFACE
+export default function OperationForm({ operation, onSubmit, onLoadDraft, sending }) {
+  /**
+   * Generated form for one OpenAPI operation: one input per path/query/header
+   * parameter and body property, with required and enum validation.
+   * - onSubmit: called with a request draft to send immediately
+   * - onLoadDraft: called with a request draft to edit in the composer
+   */
+  const { t } = useI18n();
+  const fields = getOperationFields(operation);
+  const [values, setValues] = useState(() => initialValues(fields));
+  const [errors, setErrors] = useState({});
+
+  // Reset the form when another operation is selected
+  useEffect(() => {
+    setValues(initialValues(getOperationFields(operation)));
+    setErrors({});
+  }, [operation]);
+
+  const build = () => {
+    const { errors: nextErrors, parsed } = validateOperationInput(operation, values);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length) return null;
+    return operationToDraft(operation, parsed);
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const draft = build();
+    if (draft) onSubmit(draft);
+  };
+
+  const load = () => {
+    const draft = build();
+    if (draft) onLoadDraft(draft);
+  };
+
+  return (
+    <form className="form operation-form" onSubmit={submit}>
+      <div>
+        <span className={`method-tag method-${operation.method.toLowerCase()}`}>{operation.method}</span>{" "}
+        <code>{operation.path}</code>
+        {operation.summary && <strong> — {operation.summary}</strong>}
+      </div>
+      {operation.description && <div className="form-hint">{operation.description}</div>}
+      {fields.map((field) => {
+        const key = getFieldKey(field);
+        const id = `op-${operation.id}-${key}`;
+        return (
+          <div key={key} className="form-row">
+            <label htmlFor={id}>
+              {field.name}
+              {field.required && <span className="required-mark"> *</span>}
+              <span className="field-location"> {field.location}</span>
+            </label>
+            <FieldInput
+              id={id}
+              field={field}
+              value={values[key] ?? ""}
+              onChange={(v) => setValues((prev) => ({ ...prev, [key]: v }))}
+            />
+            {field.description && <div className="form-hint">{field.description}</div>}
+            {errors[key] && <div className="form-error">{errors[key]}</div>}
+          </div>
+        );
+      })}
+      {!fields.length && <div className="form-hint">{t("form.noParameters")}</div>}
+      <div className="actions">
+        <button className="btn" type="submit" disabled={sending}>{sending ? t("composer.sending") : t("composer.send")}</button>
+        <button className="link-btn" type="button" onClick={load}>{t("form.editInComposer")}</button>
+      </div>
+    </form>
+  );
+}
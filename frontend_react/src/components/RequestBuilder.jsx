@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import KeyValueEditor from "./KeyValueEditor";
+import { BODY_TYPES, HTTP_METHODS, methodAllowsBody } from "../utils/request";
+import { useEnvironments } from "../hooks/useEnvironment";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function RequestBuilder({ draft, onChange, onSend, sending }) {
+  /**
+   * Request composer: method, path relative to the backend base URL, query params,
+   * headers and a JSON or form-encoded body.
+   * - draft: request draft (see utils/request.createDraft)
+   * - onChange: called with the next draft
+   * - onSend: called when the user submits the request
+   */
+  const [tab, setTab] = useState("params");
+  const { active } = useEnvironments();
+  const { t } = useI18n();
+  const set = (patch) => onChange({ ...draft, ...patch });
+  const bodyAllowed = methodAllowsBody(draft.method);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    onSend();
+  };
+
+  const tabs = [
+    { id: "params", label: `${t("composer.params")}${draft.params.length ? ` (${draft.params.length})` : ""}` },
+    { id: "headers", label: `${t("composer.headers")}${draft.headers.length ? ` (${draft.headers.length})` : ""}` },
+    { id: "body", label: t("composer.body") },
+  ];
+
+  return (
+    <form className="request-builder" onSubmit={onSubmit}>
+      <div className="request-bar">
+        <select aria-label={t("composer.method")} value={draft.method} onChange={(e) => set({ method: e.target.value })}>
+          {HTTP_METHODS.map((m) => (
+            <option key={m} value={m}>{m}</option>
+          ))}
+        </select>
+        <span className="request-base" title={t("composer.baseUrl", { name: active.name })}>{active.baseUrl || window.location.origin}</span>
+        <input
+          type="text"
+          aria-label={t("composer.path")}
+          placeholder="/api/content"
+          value={draft.path}
+          onChange={(e) => set({ path: e.target.value })}
+        />
+        <button className="btn" type="submit" disabled={sending}>{sending ? t("composer.sending") : t("composer.send")}</button>
+      </div>
+
+      <div className="segmented">
+        {tabs.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            className={`segmented-item ${tab === item.id ? "active" : ""}`}
+            onClick={() => setTab(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      {tab === "params" && (
+        <KeyValueEditor rows={draft.params} onChange={(params) => set({ params })} addLabel={t("composer.addParam")} />
+      )}
+      {tab === "headers" && (
+        <>
+          <KeyValueEditor
+            rows={draft.headers}
+            onChange={(headers) => set({ headers })}
+            keyPlaceholder={t("composer.header")}
+            addLabel={t("composer.addHeader")}
+          />
+          <div className="form-hint">{t("composer.authHint")}</div>
+        </>
+      )}
+      {tab === "body" && (
+        !bodyAllowed ? (
+          <div className="form-hint">{t("composer.noBody", { method: draft.method })}</div>
+        ) : (
+          <>
+            <div className="segmented">
+              {BODY_TYPES.map((type) => (
+                <button
+                  key={type}
+                  type="button"
+                  className={`segmented-item ${draft.bodyType === type ? "active" : ""}`}
+                  onClick={() => set({ bodyType: type })}
+                >
+                  {t(`composer.bodyType.${type}`)}
+                </button>
+              ))}
+            </div>
+            {draft.bodyType === "json" && (
+              <textarea
+                className="code-input"
+                aria-label={t("composer.jsonBody")}
+                rows={8}
+                spellCheck={false}
+                placeholder='{ "package_tier": "pro" }'
+                value={draft.jsonBody}
+                onChange={(e) => set({ jsonBody: e.target.value })}
+              />
+            )}
+            {draft.bodyType === "form" && (
+              <KeyValueEditor
+                rows={draft.formBody}
+                onChange={(formBody) => set({ formBody })}
+                keyPlaceholder={t("composer.field")}
+                addLabel={t("composer.addField")}
+              />
+            )}
+          </>
+        )
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,26 @@
+import React from "react";
+import { describeSchema } from "../utils/openapi";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function ResponseSchemas({ operation, status }) {
+  /**
+   * Documented responses of an OpenAPI operation, with the one matching the
+   * live `status` highlighted.
+   */
+  const { t } = useI18n();
+  if (!operation?.responses?.length) return <p className="muted">{t("explorer.noDocumentedResponses")}</p>;
+  return (
+    <div className="response-schemas">
+      {operation.responses.map((r) => (
+        <div key={r.status} className={`response-schema ${String(r.status) === String(status) ? "active" : ""}`}>
+          <div className="response-schema-head">
+            <span className={`status-badge status-${String(r.status).charAt(0)}xx`}>{r.status}</span>
+            <span className="muted">{r.description}</span>
+          </div>
+          {r.schema && <pre className="code-block">{JSON.stringify(describeSchema(r.schema), null, 2)}</pre>}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import ContentRenderer from "./ContentRenderer";
+import { useI18n } from "../hooks/useI18n";
+
+const statusClass = (status) => `status-${String(status || 0).charAt(0)}xx`;
+
+// PUBLIC_INTERFACE
+export default function ResponseViewer({ response }) {
+  /**
+   * Shows an API response: status, timing, size, headers and body.
+   * - response: { status, statusText, headers, data, durationMs, size } as returned by api.sendRequest
+   */
+  const { t, formatNumber, formatBytes } = useI18n();
+  const [tab, setTab] = useState("body");
+  if (!response) return null;
+
+  const headerEntries = Object.entries(response.headers || {});
+  // JSON bodies get the readable content view; text bodies are shown as they are
+  const json = response.data !== null && typeof response.data === "object";
+  const body = json ? null : String(response.data ?? "");
+
+  return (
+    <div className="response-viewer">
+      <div className="response-meta">
+        <span className={`status-badge ${statusClass(response.status)}`}>
+          {response.status} {response.statusText}
+        </span>
+        <span className="muted">{formatNumber(response.durationMs)} ms</span>
+        <span className="muted">{formatBytes(response.size || 0)}</span>
+      </div>
+      <div className="segmented">
+        <button type="button" className={`segmented-item ${tab === "body" ? "active" : ""}`} onClick={() => setTab("body")}>{t("composer.body")}</button>
+        <button type="button" className={`segmented-item ${tab === "headers" ? "active" : ""}`} onClick={() => setTab("headers")}>
+          {t("composer.headers")} ({headerEntries.length})
+        </button>
+      </div>
+      {tab === "body" ? (
+        json ? <ContentRenderer value={response.data} /> : <pre className="code-block">{body || t("response.emptyBody")}</pre>
+      ) : (
+        <div className="headers-table">
+          {headerEntries.map(([k, v]) => (
+            <div key={k} className="detail-row"><span className="label">{k}</span><span className="value">{String(v)}</span></div>
+          ))}
+          {!headerEntries.length && <p className="muted">{t("response.noHeaders")}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useFeatures } from "../context/FeaturesContext";
+import { useNotifications } from "../context/NotificationsContext";
+import { useDialogs } from "../context/DialogsContext";
+import { featureLabel, TIER_LABELS, tierAtLeast } from "../utils/plans";
+import { useI18n } from "../hooks/useI18n";
+import ErrorMessage from "./ErrorMessage";
+
+function LoginPrompt({ title, description, onLogin }) {
+  const { t } = useI18n();
+  return (
+    <div className="container">
+      <div className="hero">
+        <h1>{title}</h1>
+        <p className="muted">{description}</p>
+        <div className="actions">
+          <button className="btn btn-large" onClick={onLogin}>{t("nav.login")}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function LoadError({ error, onRetry }) {
+  const { t } = useI18n();
+  return (
+    <div className="container">
+      <div className="card">
+        <div className="card-header">
+          <h3>{t("guard.loadFailed")}</h3>
+        </div>
+        <div className="card-content">
+          <ErrorMessage error={error} />
+          <div className="actions">
+            <button className="btn" onClick={onRetry}>{t("common.retry")}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function UpgradePrompt({ minTier, featureName, currentTier, from }) {
+  const { updatePlan, loading } = useAuth();
+  const toast = useNotifications();
+  const dialogs = useDialogs();
+  const { t } = useI18n();
+  const [err, setErr] = useState(null);
+  const label = TIER_LABELS[minTier] || minTier;
+
+  const onUpgrade = async () => {
+    const confirmed = await dialogs.confirm({
+      title: t("guard.confirmUpgradeTitle", { plan: label }),
+      message: t("profile.changeHint"),
+      confirmLabel: t("plans.upgradeTo", { plan: label }),
+    });
+    if (!confirmed) return;
+    setErr(null);
+    const res = await updatePlan(minTier);
+    // On success the guard re-renders with the new tier and shows the page
+    if (res.ok) toast.success(t("plans.upgraded", { plan: label }), { key: "plan-updated" });
+    else setErr(res.error);
+  };
+
+  return (
+    <div className="container">
+      <div className="card">
+        <div className="card-header">
+          <h3>{featureName ? t("guard.featureMissing", { feature: featureName }) : t("guard.planRequired", { plan: label })}</h3>
+          {currentTier && <span className={`badge tier-${currentTier}`}>{currentTier}</span>}
+        </div>
+        <div className="card-content">
+          <p className="muted">
+            {featureName ? t("guard.featureHint", { feature: featureName }) : t("guard.planHint", { plan: label })}{" "}
+            {t("guard.currentPlan", { plan: TIER_LABELS[currentTier] || currentTier || t("guard.unknownPlan") })}
+          </p>
+          <ErrorMessage error={err} fallback={t("plans.updateFailed")} />
+          <div className="actions">
+            {minTier && (
+              <button className="btn" onClick={onUpgrade} disabled={loading}>
+                {loading ? t("plans.upgrading") : t("plans.upgradeTo", { plan: label })}
+              </button>
+            )}
+            <Link to="/plans" state={{ from }} className="link-btn">{t("guard.comparePlans")}</Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function RouteGuard({
+  children,
+  minTier,
+  feature,
+  onRequestLogin,
+  title,
+  description,
+}) {
+  /**
+   * Wrap a route element to require a logged-in user and, optionally, a minimum package tier.
+   * Unauthenticated visitors see a login prompt; onRequestLogin receives the current
+   * location so the app can return here once LoginModal succeeds. Users below `minTier`,
+   * or whose entitlements lack `feature` (a /dashboard/me feature key), see an upgrade
+   * prompt instead of the page; if the entitlements cannot be loaded they see the error
+   * and a retry. Prefer `feature` where one exists.
+   */
+  const { t } = useI18n();
+  const { isAuthenticated, user } = useAuth();
+  const { features, getFeature, loading: featuresLoading, error: featuresError, refresh } = useFeatures();
+  const location = useLocation();
+  const from = `${location.pathname}${location.search}${location.hash}`;
+
+  if (!isAuthenticated) {
+    return (
+      <LoginPrompt
+        title={title || t("guard.signInTitle")}
+        description={description || t("guard.signInDescription")}
+        onLogin={() => onRequestLogin?.(from)}
+      />
+    );
+  }
+  if (minTier || feature) {
+    // The profile or entitlements are still loading right after login or on startup
+    if (!user || (feature && featuresLoading)) {
+      return (
+        <div className="container">
+          <div className="skeleton lines-4" />
+        </div>
+      );
+    }
+    if (minTier && !tierAtLeast(user.package_tier, minTier)) {
+      return <UpgradePrompt minTier={minTier} currentTier={user.package_tier} from={from} />;
+    }
+    // Without the entitlements a missing feature means "unknown", not "not on your plan"
+    if (feature && featuresError && !features.length) {
+      // A failed retry shows up as the (new) query error
+      return <LoadError error={featuresError} onRetry={() => refresh().catch(() => {})} />;
+    }
+    const entitlement = feature ? getFeature(feature) : null;
+    if (entitlement && !entitlement.enabled) {
+      return (
+        <UpgradePrompt featureName={featureLabel(entitlement)} currentTier={user.package_tier} from={from} />
+      );
+    }
+  }
+  return children;
+}
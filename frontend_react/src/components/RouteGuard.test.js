@@ -0,0 +1,57 @@
+import { fireEvent, screen, within } from '@testing-library/react';
+import RouteGuard from './RouteGuard';
+import * as api from '../services/api';
+import { renderWithSession, resetMockSession, signInAs } from '../testUtils';
+
+function renderGuard(props) {
+  const onRequestLogin = jest.fn();
+  renderWithSession(
+    <RouteGuard onRequestLogin={onRequestLogin} {...props}>
+      <p>Reports page</p>
+    </RouteGuard>,
+    { route: '/reports?range=7d' }
+  );
+  return onRequestLogin;
+}
+
+beforeEach(resetMockSession);
+
+afterEach(() => jest.restoreAllMocks());
+
+test('asks signed-out visitors to log in and returns them to the page', () => {
+  const onRequestLogin = renderGuard({ minTier: 'pro' });
+  expect(screen.queryByText('Reports page')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Login / Sign up' }));
+  expect(onRequestLogin).toHaveBeenCalledWith('/reports?range=7d');
+});
+
+test('offers lower tiers an upgrade that only happens once confirmed', async () => {
+  await signInAs('free');
+  renderGuard({ minTier: 'pro' });
+  expect(await screen.findByText('Pro plan required')).toBeInTheDocument();
+
+  // Enabled once the profile has loaded
+  fireEvent.click(await screen.findByRole('button', { name: 'Upgrade to Pro' }));
+  const dialog = await screen.findByRole('alertdialog', { name: 'Upgrade to the Pro plan?' });
+  fireEvent.click(within(dialog).getByRole('button', { name: 'Cancel' }));
+  expect(await api.getPlan()).toEqual({ package_tier: 'free' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Upgrade to Pro' }));
+  fireEvent.click(within(await screen.findByRole('alertdialog')).getByRole('button', { name: 'Upgrade to Pro' }));
+  expect(await screen.findByText('Reports page')).toBeInTheDocument();
+});
+
+test('shows an error with a retry instead of an upgrade prompt when entitlements fail to load', async () => {
+  await signInAs('pro');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const getDashboard = api.getDashboard;
+  jest.spyOn(api, 'getDashboard').mockRejectedValue(new Error('Service unavailable'));
+  renderGuard({ feature: 'analytics' });
+
+  const heading = await screen.findByText('Could not check your access to this page');
+  expect(screen.queryByText(/not included/)).not.toBeInTheDocument();
+
+  api.getDashboard.mockImplementation(getDashboard);
+  fireEvent.click(within(heading.closest('.card')).getByRole('button', { name: 'Retry' }));
+  expect(await screen.findByText('Reports page')).toBeInTheDocument();
+});
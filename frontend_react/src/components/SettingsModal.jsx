@@ -1,25 +1,76 @@
-import React from "react";
+import React, { useState } from "react";
 import Modal from "./Modal";
+import ThemeSettings from "./ThemeSettings";
+import EnvironmentSettings from "./EnvironmentSettings";
+import CrashLogSettings from "./CrashLogSettings";
+import { getThresholds, setThresholds } from "../services/usageTracker";
+import { parseThresholds } from "../utils/usage";
+import { LANGUAGES } from "../i18n";
+import { useI18n } from "../hooks/useI18n";
 
 // PUBLIC_INTERFACE
-export default function SettingsModal({ isOpen, onClose, theme, onChangeTheme }) {
-  /** Modal dialog for application settings like theme. */
+export default function SettingsModal({ isOpen, onClose }) {
+  /** Modal dialog for application settings like language, theme, backend environment and usage warnings. */
+  const { locale, setLocale, t, formatNumber, formatDateTime } = useI18n();
+  const [thresholdText, setThresholdText] = useState(() => getThresholds().map((v) => Math.round(v * 100)).join(", "));
+  const [thresholdError, setThresholdError] = useState(null);
+
+  const saveThresholds = () => {
+    const parsed = parseThresholds(thresholdText);
+    if (!parsed) {
+      setThresholdError(t("settings.thresholdsInvalid"));
+      return;
+    }
+    setThresholdError(null);
+    setThresholds(parsed);
+  };
+
   const footer = (
     <div className="modal-actions">
-      <button className="btn btn" onClick={onClose}>Close</button>
+      <button type="button" className="btn" onClick={onClose}>{t("common.close")}</button>
     </div>
   );
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Settings" footer={footer}>
+    <Modal isOpen={isOpen} onClose={onClose} title={t("settings.title")} footer={footer}>
       <div className="form">
         <div className="form-row">
-          <label>Theme</label>
-          <div className="segmented">
-            <button className={`segmented-item ${theme === "light" ? "active" : ""}`} onClick={() => onChangeTheme("light")}>Light</button>
-            <button className={`segmented-item ${theme === "dark" ? "active" : ""}`} onClick={() => onChangeTheme("dark")}>Dark</button>
+          <label htmlFor="settings-language">{t("settings.language")}</label>
+          <select id="settings-language" value={locale} onChange={(e) => setLocale(e.target.value)}>
+            {LANGUAGES.map((l) => (
+              <option key={l.code} value={l.code}>{l.label}</option>
+            ))}
+          </select>
+          <div className="form-hint">
+            {t("settings.languageHint", { number: formatNumber(1234567.89), date: formatDateTime(Date.now()) })}
           </div>
-          <div className="form-hint">Theme colors: Primary #1976d2, Accent #ff9800, Secondary #424242.</div>
+        </div>
+        <div className="form-row">
+          <label id="settings-theme">{t("settings.theme")}</label>
+          <ThemeSettings />
+        </div>
+        <div className="form-row">
+          <label>{t("settings.environment")}</label>
+          <EnvironmentSettings />
+        </div>
+        <div className="form-row">
+          <label htmlFor="usage-thresholds">{t("settings.thresholds")}</label>
+          <input
+            id="usage-thresholds"
+            value={thresholdText}
+            onChange={(e) => setThresholdText(e.target.value)}
+            onBlur={saveThresholds}
+            placeholder="80, 95"
+          />
+          {thresholdError ? (
+            <div className="form-error">{thresholdError}</div>
+          ) : (
+            <div className="form-hint">{t("settings.thresholdsHint")}</div>
+          )}
+        </div>
+        <div className="form-row">
+          <label>{t("settings.crashLog")}</label>
+          <CrashLogSettings />
         </div>
       </div>
     </Modal>
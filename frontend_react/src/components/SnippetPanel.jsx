@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { useEnvironments } from "../hooks/useEnvironment";
+import { generateSnippet, SNIPPET_LANGUAGES } from "../utils/snippets";
+import { copyText } from "../utils/clipboard";
+import { useI18n } from "../hooks/useI18n";
+
+// PUBLIC_INTERFACE
+export default function SnippetPanel({ composed, lastSent }) {
+  /**
+   * Ready-to-run code snippets (curl, fetch, axios, Python requests, HTTPie) for
+   * the request in the composer or the last request sent.
+   * - composed / lastSent: request configs from utils/request.buildRequestConfig (either may be null)
+   */
+  const { token } = useAuth();
+  const { active } = useEnvironments();
+  const { t } = useI18n();
+  const [language, setLanguage] = useState("curl");
+  const [source, setSource] = useState("composed");
+  const [includeToken, setIncludeToken] = useState(false);
+  const [copied, setCopied] = useState(null);
+
+  const config = source === "sent" && lastSent ? lastSent : composed;
+  const snippet = useMemo(
+    () =>
+      generateSnippet(language, config, {
+        baseUrl: active.baseUrl || window.location.origin,
+        token: includeToken && token ? token : undefined,
+      }),
+    [language, config, includeToken, token, active.baseUrl]
+  );
+
+  const onCopy = async () => {
+    const ok = await copyText(snippet);
+    setCopied(ok ? t("common.copied") : t("common.copyFailed"));
+    setTimeout(() => setCopied(null), 1500);
+  };
+
+  return (
+    <div className="snippet-panel">
+      <div className="snippet-toolbar">
+        <div className="segmented">
+          {SNIPPET_LANGUAGES.map((l) => (
+            <button
+              key={l.id}
+              type="button"
+              className={`segmented-item ${language === l.id ? "active" : ""}`}
+              onClick={() => setLanguage(l.id)}
+            >
+              {l.label}
+            </button>
+          ))}
+        </div>
+        {lastSent && (
+          <select aria-label={t("snippets.source")} value={source} onChange={(e) => setSource(e.target.value)}>
+            <option value="composed">{t("snippets.composer")}</option>
+            <option value="sent">{t("snippets.lastSent")}</option>
+          </select>
+        )}
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={includeToken}
+            disabled={!token}
+            onChange={(e) => setIncludeToken(e.target.checked)}
+          />
+          {t("snippets.includeToken")}
+        </label>
+        <button type="button" className="link-btn" onClick={onCopy} disabled={!snippet}>
+          {copied || t("common.copy")}
+        </button>
+      </div>
+      {includeToken && token && (
+        <div className="form-hint">{t("snippets.tokenWarning")}</div>
+      )}
+      <pre className="code-block">{snippet || t("snippets.invalid")}</pre>
+    </div>
+  );
+}
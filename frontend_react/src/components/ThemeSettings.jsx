@@ -0,0 +1,143 @@
+import React, { useRef, useState } from "react";
+import { useTheme } from "../hooks/useTheme";
+import { resetPalette, setPalette, setThemeMode } from "../services/theme";
+import { PALETTE_ROLES, THEME_BACKGROUNDS, THEME_MODES, normalizeHex, paletteWarnings, parsePalette, serializePalette } from "../utils/theme";
+import { useI18n } from "../hooks/useI18n";
+import { useDialogs } from "../context/DialogsContext";
+import { useNotifications } from "../context/NotificationsContext";
+
+const MODE_LABELS = { light: "settings.themeLight", dark: "settings.themeDark", auto: "settings.themeAuto", "high-contrast": "settings.themeHighContrast" };
+
+// PUBLIC_INTERFACE
+export default function ThemeSettings() {
+  /**
+   * Settings section for the theme mode and the brand palette: a color picker and hex
+   * field per role, contrast warnings, and JSON import/export for white-label palettes.
+   */
+  const { mode, resolved, palette, custom } = useTheme();
+  const { t } = useI18n();
+  const dialogs = useDialogs();
+  const toast = useNotifications();
+  const fileRef = useRef(null);
+  // Hex fields being typed in; applied as soon as they hold a valid color
+  const [drafts, setDrafts] = useState({});
+
+  // The high-contrast theme ignores the palette, so its contrast is not worth reporting there
+  const paletteActive = resolved !== "high-contrast";
+  const warnings = paletteActive ? paletteWarnings(palette, THEME_BACKGROUNDS[resolved === "dark" ? "dark" : "light"]) : [];
+
+  const onHexChange = (role, value) => {
+    setDrafts((d) => ({ ...d, [role]: value }));
+    if (normalizeHex(value)) setPalette({ [role]: value });
+  };
+
+  const applyImported = (next) => {
+    setDrafts({});
+    setPalette(next);
+    toast.success(t("theme.imported"));
+  };
+
+  const onExport = () => {
+    const blob = new Blob([serializePalette(palette)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "palette.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const onImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const next = parsePalette(await file.text());
+    if (next) applyImported(next);
+    else toast.error(t("theme.importInvalid"));
+  };
+
+  const onPaste = async () => {
+    const text = await dialogs.prompt({
+      title: t("theme.pasteTitle"),
+      label: t("theme.pasteLabel"),
+      placeholder: serializePalette(palette).replace(/\s+/g, " "),
+      confirmLabel: t("theme.import"),
+      validate: (value) => (parsePalette(value) ? null : t("theme.importInvalid")),
+    });
+    if (text !== null) applyImported(parsePalette(text));
+  };
+
+  return (
+    <div className="theme-settings">
+      <div className="segmented" role="group" aria-labelledby="settings-theme">
+        {THEME_MODES.map((m) => (
+          <button key={m} type="button" className={`segmented-item ${mode === m ? "active" : ""}`} aria-pressed={mode === m} onClick={() => setThemeMode(m)}>
+            {t(MODE_LABELS[m])}
+          </button>
+        ))}
+      </div>
+      {mode === "auto" && <div className="form-hint">{t("theme.autoHint", { theme: t(MODE_LABELS[resolved]) })}</div>}
+      {mode === "high-contrast" && <div className="form-hint">{t("theme.highContrastHint")}</div>}
+
+      <div className="palette-editor" role="group" aria-labelledby="theme-palette">
+        <strong id="theme-palette">{t("theme.palette")}</strong>
+        {PALETTE_ROLES.map((role) => {
+          const draft = drafts[role] ?? palette[role];
+          const invalid = !normalizeHex(draft);
+          return (
+            <div key={role} className="palette-row">
+              <label htmlFor={`palette-${role}`}>{t(`theme.${role}`)}</label>
+              <input
+                type="color"
+                value={palette[role]}
+                onChange={(e) => onHexChange(role, e.target.value)}
+                aria-label={t("theme.pick", { role: t(`theme.${role}`) })}
+              />
+              <input
+                id={`palette-${role}`}
+                className="palette-hex"
+                value={draft}
+                onChange={(e) => onHexChange(role, e.target.value)}
+                onBlur={() => setDrafts((d) => ({ ...d, [role]: undefined }))}
+                aria-invalid={invalid ? "true" : undefined}
+                spellCheck={false}
+              />
+              {invalid && <span className="form-error">{t("theme.hexInvalid")}</span>}
+            </div>
+          );
+        })}
+        <div aria-live="polite">
+          {!paletteActive ? (
+            <div className="form-hint">{t("theme.paletteInactive")}</div>
+          ) : warnings.length ? (
+            <ul className="palette-warnings">
+              {warnings.map((w) => (
+                <li key={w.id}>⚠ {t(`theme.warning.${w.id}`, { ratio: w.ratio, minimum: w.minimum })}</li>
+              ))}
+            </ul>
+          ) : (
+            <div className="form-hint">{t("theme.contrastOk")}</div>
+          )}
+        </div>
+        <div className="palette-actions">
+          <button type="button" className="link-btn" onClick={onExport}>{t("theme.export")}</button>
+          <button type="button" className="link-btn" onClick={() => fileRef.current?.click()}>{t("theme.importFile")}</button>
+          <button type="button" className="link-btn" onClick={onPaste}>{t("theme.paste")}</button>
+          {custom && (
+            <button
+              type="button"
+              className="link-btn"
+              onClick={() => {
+                setDrafts({});
+                resetPalette();
+              }}
+            >
+              {t("theme.reset")}
+            </button>
+          )}
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={onImportFile} hidden />
+        </div>
+      </div>
+    </div>
+  );
+}
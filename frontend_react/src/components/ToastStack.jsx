@@ -0,0 +1,66 @@
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+import * as notifications from "../services/notifications";
+import { useI18n } from "../hooks/useI18n";
+
+const ICONS = { info: "ℹ️", success: "✅", warning: "⚠️", error: "⛔" };
+
+function Toast({ toast }) {
+  /** One toast; auto-dismisses after its duration unless hovered or focused. */
+  const { t } = useI18n();
+  const [paused, setPaused] = useState(false);
+
+  useEffect(() => {
+    if (paused || !toast.duration) return undefined;
+    const timer = setTimeout(() => notifications.dismiss(toast.id), toast.duration);
+    return () => clearTimeout(timer);
+  }, [toast.id, toast.version, toast.duration, paused]);
+
+  return (
+    <div
+      className={`toast toast-${toast.type}`}
+      role={toast.type === "error" ? "alert" : "status"}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <span className="toast-icon" aria-hidden="true">{ICONS[toast.type]}</span>
+      <div className="toast-body">
+        {toast.title && <div className="toast-title">{toast.title}</div>}
+        <div className="toast-message">{toast.message}</div>
+        {toast.actions.length > 0 && (
+          <div className="toast-actions">
+            {toast.actions.map((action) => (
+              <button
+                key={action.label}
+                className="link-btn"
+                onClick={() => {
+                  notifications.dismiss(toast.id);
+                  action.onClick?.();
+                }}
+              >
+                {action.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      <button className="icon-btn toast-close" aria-label={t("toast.dismiss")} onClick={() => notifications.dismiss(toast.id)}>
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function ToastStack() {
+  /** Renders the toasts from services/notifications, newest at the bottom. */
+  const toasts = useSyncExternalStore(notifications.subscribe, notifications.getSnapshot);
+  return (
+    <div className="toast-stack" aria-live="polite">
+      {toasts.map((toast) => (
+        <Toast key={toast.id} toast={toast} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import React from "react";
+import { useUsageMeters } from "../hooks/useUsage";
+import { useI18n } from "../hooks/useI18n";
+import { featureLabel } from "../utils/plans";
+
+// PUBLIC_INTERFACE
+export default function UsageMeters() {
+  /** Progress meters for each metered feature in the current period. */
+  const meters = useUsageMeters();
+  const { t, formatDateTime } = useI18n();
+  if (!meters.length) return <p className="muted">{t("usage.noMeters")}</p>;
+  return (
+    <ul className="usage-meters">
+      {meters.map((m) => (
+        <li key={m.key}>
+          <div className="usage-meter-head">
+            <span className="feat-label">{featureLabel(m)}</span>
+            <span className="muted">
+              {t(m.period === "month" ? "usage.meterMonth" : "usage.meterDay", { used: m.used, limit: m.limit })}
+            </span>
+          </div>
+          <div
+            className={`usage-meter ${m.ratio >= 1 ? "full" : m.threshold ? "warn" : ""}`}
+            role="progressbar"
+            aria-label={featureLabel(m)}
+            aria-valuemin={0}
+            aria-valuemax={m.limit}
+            aria-valuenow={Math.min(m.used, m.limit)}
+          >
+            <span style={{ width: `${Math.round(m.ratio * 100)}%` }} />
+          </div>
+          <div className="form-hint">
+            {m.source === "server" ? t("usage.fromServer") : t("usage.fromBrowser")}
+            {m.resetsAt && ` · ${t("usage.resets", { date: formatDateTime(m.resetsAt) })}`}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useUsageMeters } from "../hooks/useUsage";
+import { dismissWarning, isWarningDismissed } from "../services/usageTracker";
+import { useI18n } from "../hooks/useI18n";
+import { featureLabel } from "../utils/plans";
+
+// PUBLIC_INTERFACE
+export default function UsageWarnings() {
+  /** Banners for metered features that reached a warning threshold this period. */
+  const { isAuthenticated } = useAuth();
+  const meters = useUsageMeters();
+  const { t, formatPercent } = useI18n();
+  if (!isAuthenticated) return null;
+  const warnings = meters.filter((m) => m.threshold && !isWarningDismissed(m.key, m.periodKey, m.threshold));
+  return warnings.map((m) => (
+    <div key={m.key} className="notice-banner" role="status">
+      <span>
+        {m.ratio >= 1
+          ? t("usage.warningFull", { limit: m.limit, feature: featureLabel(m) })
+          : t("usage.warning", { percent: formatPercent(m.used / m.limit), feature: featureLabel(m), used: m.used, limit: m.limit })}
+      </span>
+      <div className="notice-actions">
+        <Link to="/plans" className="link-btn">{t("usage.upgrade")}</Link>
+        <button
+          className="link-btn"
+          onClick={() => dismissWarning(m.key, m.periodKey, m.threshold)}
+          aria-label={t("usage.dismiss")}
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  ));
+}
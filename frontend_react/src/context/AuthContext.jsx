@@ -1,79 +1,181 @@
-import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
 import * as api from "../services/api";
-import { extractErrorMessage, parseValidationErrors } from "../utils/error";
+import { fetchDashboard, invalidateAccountQueries, updatePlan as updatePlanAndInvalidate } from "../services/queries";
+import { clearQueries } from "../services/queryClient";
+import { getActiveEnvironment, scopedStorageKey, subscribe as subscribeEnvironments } from "../services/environments";
+import { ApiError, AuthError, ValidationError, toApiError } from "../services/errors";
+import { notifyError } from "../services/notifications";
+import { setCrashContext } from "../services/crashLog";
+import { getTokenExpiry, isTokenExpired } from "../utils/jwt";
+import { acquireLock, releaseLock, waitForStorageChange } from "../utils/tabLock";
+import { backoffDelay } from "../utils/retry";
+import { extractErrorMessage } from "../utils/error";
+import { t } from "../i18n";
 
 /**
  * AuthContext provides authentication state and actions (login, signup, logout)
- * and the current user's profile/package.
+ * and the current user's profile/package. `error` is the typed API error
+ * (services/errors) of the last failed action, or null.
+ * Sessions are stored per backend environment, so switching environments swaps in
+ * that environment's session instead of sending credentials to another backend.
+ * Several accounts can be signed in at once; one is active and the others are kept
+ * in a saved list so QA can switch between e.g. free, pro and enterprise instantly.
+ * Open tabs share the session: only one of them refreshes it at a time (a localStorage
+ * lock) and the others pick up the new token through the storage event.
  */
 
 const AuthContext = createContext(null);
 
 const TOKEN_KEY = "auth_token";
+const REFRESH_TOKEN_KEY = "auth_refresh_token";
 const USER_KEY = "auth_user";
+// Every signed-in account: [{ id, token, refreshToken, user, expired? }]. An account whose
+// session expired keeps its profile but no tokens until it is signed in again.
+const ACCOUNTS_KEY = "auth_accounts";
+// Held by the tab that is currently refreshing the session
+const REFRESH_LOCK_KEY = "auth_refresh_lock";
+
+const sessionKeys = (environmentId) => ({
+  token: scopedStorageKey(TOKEN_KEY, environmentId),
+  refresh: scopedStorageKey(REFRESH_TOKEN_KEY, environmentId),
+  user: scopedStorageKey(USER_KEY, environmentId),
+  accounts: scopedStorageKey(ACCOUNTS_KEY, environmentId),
+  refreshLock: scopedStorageKey(REFRESH_LOCK_KEY, environmentId),
+});
+
+const accountId = (u) => (u && (u.id ?? u.email) != null ? String(u.id ?? u.email) : null);
+
+function readStoredUser(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function readAccounts(key) {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(key) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((a) => a && a.id && (a.token || a.expired)) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Refresh this long before the access token's `exp`
+const REFRESH_MARGIN_MS = 60 * 1000;
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_MS = 2147483647;
+// How long one tab may hold the refresh lock; other tabs wait at most this long for it
+const REFRESH_LOCK_TTL_MS = 10 * 1000;
+// Backoff for scheduled refreshes that failed for now (e.g. the device woke up offline)
+const REFRESH_RETRY_POLICY = { baseDelayMs: 5 * 1000, maxDelayMs: 5 * 60 * 1000 };
+
+// Only a refresh token the backend rejects ends the session; being offline, timing out
+// or a failing backend (5xx) leaves it to be refreshed later
+const isTransientRefreshError = (e) =>
+  e instanceof ApiError && (e.status === null || e.status === 408 || e.status === 429 || e.status >= 500);
 
 // PUBLIC_INTERFACE
 export function AuthProvider({ children }) {
   /** Provide authentication state and actions to descendants. */
-  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
-  const [user, setUser] = useState(() => {
-    const raw = localStorage.getItem(USER_KEY);
-    try {
-      return raw ? JSON.parse(raw) : null;
-    } catch {
-      return null;
-    }
-  });
+  // Storage keys of the active environment's session
+  const keysRef = useRef(null);
+  if (!keysRef.current) keysRef.current = sessionKeys(getActiveEnvironment().id);
+  const [environmentId, setEnvironmentId] = useState(() => getActiveEnvironment().id);
+  const [token, setToken] = useState(() => localStorage.getItem(keysRef.current.token));
+  const [user, setUser] = useState(() => readStoredUser(keysRef.current.user));
+  const [accounts, setAccounts] = useState(() => readAccounts(keysRef.current.accounts));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   // Store parsed field-level validation errors (e.g., from FastAPI 422)
   const [validationErrors, setValidationErrors] = useState({});
+  // Notice shown after the session ends on its own (e.g., expired and could not be refreshed)
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const refreshTokenRef = useRef(localStorage.getItem(keysRef.current.refresh));
+  const tokenRef = useRef(token);
+  // Account whose data this tab currently shows
+  const accountIdRef = useRef(accountId(user));
+  // Backend the session in keysRef was issued by
+  const baseUrlRef = useRef(getActiveEnvironment().baseUrl);
+
+  // Crash reports record who was signed in
+  useEffect(() => {
+    accountIdRef.current = accountId(user);
+    setCrashContext({ tier: user?.package_tier || null, userId: user?.id ?? null });
+  }, [user]);
 
   // Keep API token in sync
   useEffect(() => {
     api.setToken(token);
+    tokenRef.current = token;
   }, [token]);
 
-  // Load profile if token present on mount
-  useEffect(() => {
-    const init = async () => {
-      if (!token) return;
-      try {
-        setLoading(true);
-        const data = await api.getDashboard();
-        setUser(data?.user || null);
-        localStorage.setItem(USER_KEY, JSON.stringify(data?.user || null));
-      } catch (e) {
-        // Token may be invalid
-        console.warn("Failed to fetch profile during init", e);
-        doLogout();
-      } finally {
-        setLoading(false);
-      }
-    };
-    init();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
   const persistToken = useCallback((newToken) => {
     // Immediately inject token into API client before any protected calls
     api.setToken(newToken);
     setToken(newToken);
     if (newToken) {
-      localStorage.setItem(TOKEN_KEY, newToken);
+      localStorage.setItem(keysRef.current.token, newToken);
     } else {
-      localStorage.removeItem(TOKEN_KEY);
+      localStorage.removeItem(keysRef.current.token);
     }
   }, []);
 
+  const persistRefreshToken = useCallback((newRefreshToken) => {
+    refreshTokenRef.current = newRefreshToken || null;
+    if (newRefreshToken) {
+      localStorage.setItem(keysRef.current.refresh, newRefreshToken);
+    } else {
+      localStorage.removeItem(keysRef.current.refresh);
+    }
+  }, []);
+
+  const writeAccounts = useCallback((list) => {
+    setAccounts(list);
+    if (list.length) {
+      localStorage.setItem(keysRef.current.accounts, JSON.stringify(list));
+    } else {
+      localStorage.removeItem(keysRef.current.accounts);
+    }
+  }, []);
+
+  const syncActiveAccount = useCallback(() => {
+    /** Copy the active session (token, refresh token, profile) into the saved account list. */
+    const keys = keysRef.current;
+    const storedUser = readStoredUser(keys.user);
+    const storedToken = localStorage.getItem(keys.token);
+    const id = accountId(storedUser);
+    if (!id || !storedToken) return;
+    const record = { id, token: storedToken, refreshToken: localStorage.getItem(keys.refresh), user: storedUser };
+    const list = readAccounts(keys.accounts);
+    writeAccounts(list.some((a) => a.id === id) ? list.map((a) => (a.id === id ? record : a)) : [...list, record]);
+  }, [writeAccounts]);
+
   const persistUser = useCallback((u) => {
     setUser(u);
     if (u) {
-      localStorage.setItem(USER_KEY, JSON.stringify(u));
+      localStorage.setItem(keysRef.current.user, JSON.stringify(u));
+      syncActiveAccount();
     } else {
-      localStorage.removeItem(USER_KEY);
+      localStorage.removeItem(keysRef.current.user);
     }
-  }, []);
+  }, [syncActiveAccount]);
+
+  const activateSession = useCallback((session) => {
+    /** Make a saved session ({ token, refreshToken, user }) the active one, or clear it with null. */
+    clearQueries();
+    persistToken(session?.token || null);
+    persistRefreshToken(session?.refreshToken || null);
+    persistUser(session?.user || null);
+  }, [persistToken, persistRefreshToken, persistUser]);
+
+  const currentSession = useCallback(() => ({
+    token: tokenRef.current,
+    refreshToken: refreshTokenRef.current,
+    user: readStoredUser(keysRef.current.user),
+  }), []);
 
   const doLogin = useCallback(async (email, password) => {
     /**
@@ -83,22 +185,27 @@ export function AuthProvider({ children }) {
     setError(null);
     setValidationErrors({});
     setLoading(true);
+    // Signing in while another account is active adds an account; keep the old one on failure
+    const previous = currentSession();
     try {
       const tokenRes = await api.login({ email, password });
       persistToken(tokenRes?.access_token);
-      const dash = await api.getDashboard();
+      persistRefreshToken(tokenRes?.refresh_token);
+      setSessionNotice(null);
+      // Never show data cached for a previous account
+      clearQueries();
+      const dash = await fetchDashboard({ force: true });
       persistUser(dash?.user || null);
       return { ok: true };
     } catch (e) {
-      // Avoid leaking complex objects to UI; keep a friendly string
-      setError(extractErrorMessage(e, "Login failed"));
-      persistToken(null);
-      persistUser(null);
-      return { ok: false, error: e };
+      const apiError = toApiError(e, { fallback: t("auth.loginFailed") });
+      setError(apiError);
+      activateSession(previous.token ? previous : null);
+      return { ok: false, error: apiError };
     } finally {
       setLoading(false);
     }
-  }, [persistToken, persistUser]);
+  }, [persistToken, persistRefreshToken, persistUser, activateSession, currentSession]);
 
   const doSignup = useCallback(async (email, password, packageTier) => {
     /**
@@ -109,42 +216,341 @@ export function AuthProvider({ children }) {
     setError(null);
     setValidationErrors({});
     setLoading(true);
+    const previous = currentSession();
     try {
       const payload = { email, password };
       if (packageTier) payload.package_tier = packageTier;
       const tokenRes = await api.signup(payload);
       persistToken(tokenRes?.access_token);
-      const dash = await api.getDashboard();
+      persistRefreshToken(tokenRes?.refresh_token);
+      setSessionNotice(null);
+      // Never show data cached for a previous account
+      clearQueries();
+      const dash = await fetchDashboard({ force: true });
       persistUser(dash?.user || null);
       return { ok: true };
     } catch (e) {
-      // Parse field-specific validation errors (e.g., 422 from FastAPI)
-      const parsed = parseValidationErrors(e);
-      // Expose field errors to UI
-      setValidationErrors(parsed.fieldErrors || {});
-      // Keep a human-friendly top-level message for generic displays
-      const friendly = parsed.nonFieldErrors?.length
-        ? parsed.nonFieldErrors.join("; ")
-        : extractErrorMessage(e, "Signup failed");
-      setError(friendly);
-      persistToken(null);
-      persistUser(null);
-      return { ok: false, error: e };
+      const apiError = toApiError(e, { fallback: t("auth.signupFailed") });
+      // Expose field-specific validation errors (e.g., 422 from FastAPI) to the form
+      setValidationErrors(apiError instanceof ValidationError ? apiError.fieldErrors : {});
+      setError(apiError);
+      activateSession(previous.token ? previous : null);
+      return { ok: false, error: apiError };
+    } finally {
+      setLoading(false);
+    }
+  }, [persistToken, persistRefreshToken, persistUser, activateSession, currentSession]);
+
+  const loadProfile = useCallback(async () => {
+    /**
+     * Fetch the active account's profile in the background (after switching accounts or on
+     * startup). An invalid session is signed out; other failures keep it and offer a retry.
+     */
+    try {
+      setLoading(true);
+      const dash = await fetchDashboard({ force: true });
+      persistUser(dash?.user || null);
+    } catch (e) {
+      // A 401 that could not be refreshed already ended the session
+      if (e instanceof AuthError || e?.code === "ERR_CANCELED") return;
+      notifyError(t("auth.profileLoadFailed", { message: extractErrorMessage(e) }), {
+        key: "profile-load",
+        actions: [{ label: t("common.retry"), onClick: () => loadProfile() }],
+      });
     } finally {
       setLoading(false);
     }
-  }, [persistToken, persistUser]);
+  }, [persistUser]);
+
+  const doSwitchAccount = useCallback((id) => {
+    /**
+     * PUBLIC_INTERFACE
+     * Make another signed-in account active; all data views reload for that identity.
+     */
+    const target = readAccounts(keysRef.current.accounts).find((a) => a.id === id);
+    // An expired account has to be signed in again instead
+    if (!target || target.expired || target.id === accountId(readStoredUser(keysRef.current.user))) return;
+    activateSession(target);
+    setError(null);
+    setValidationErrors({});
+    setSessionNotice(null);
+    loadProfile();
+  }, [activateSession, loadProfile]);
+
+  const doRemoveAccount = useCallback((id) => {
+    /**
+     * PUBLIC_INTERFACE
+     * Sign out one account. Removing the active account switches to the next saved one that
+     * is still signed in, if any.
+     */
+    const remaining = readAccounts(keysRef.current.accounts).filter((a) => a.id !== id);
+    writeAccounts(remaining);
+    if (id !== accountId(readStoredUser(keysRef.current.user))) return;
+    const next = remaining.find((a) => !a.expired);
+    activateSession(next || null);
+    setError(null);
+    setValidationErrors({});
+    if (next) loadProfile();
+  }, [writeAccounts, activateSession, loadProfile]);
 
   const doLogout = useCallback(() => {
     /**
      * PUBLIC_INTERFACE
-     * Clear token and user profile.
+     * Sign out the active account (switching to another signed-in account if there is one).
+     */
+    const id = accountId(readStoredUser(keysRef.current.user));
+    if (id) {
+      doRemoveAccount(id);
+      return;
+    }
+    activateSession(null);
+    setError(null);
+    setValidationErrors({});
+  }, [doRemoveAccount, activateSession]);
+
+  const doLogoutAll = useCallback(() => {
+    /**
+     * PUBLIC_INTERFACE
+     * Sign out every account in the current environment.
      */
-    persistToken(null);
-    persistUser(null);
+    writeAccounts([]);
+    activateSession(null);
     setError(null);
     setValidationErrors({});
-  }, [persistToken, persistUser]);
+  }, [writeAccounts, activateSession]);
+
+  const expireSession = useCallback(() => {
+    /**
+     * End the active session because it could not be refreshed, and tell the user why.
+     * The account stays in the saved list marked as expired, and no other saved account
+     * becomes active in its place: that only happens when the user picks one.
+     */
+    if (!tokenRef.current) return;
+    tokenRef.current = null;
+    const keys = keysRef.current;
+    const expiredUser = readStoredUser(keys.user);
+    const id = accountId(expiredUser);
+    if (id) {
+      writeAccounts(
+        readAccounts(keys.accounts).map((a) =>
+          a.id === id ? { id, token: null, refreshToken: null, user: a.user, expired: true } : a
+        )
+      );
+    }
+    activateSession(null);
+    setError(null);
+    setValidationErrors({});
+    setSessionNotice(
+      expiredUser?.email ? t("auth.sessionExpiredFor", { email: expiredUser.email }) : t("auth.sessionExpired")
+    );
+  }, [writeAccounts, activateSession]);
+
+  const refreshSession = useCallback(async () => {
+    /**
+     * Exchange the stored refresh token for a new access token. Resolves to null when the
+     * refresh token is rejected and rejects on transient failures (see isTransientRefreshError).
+     * Tabs take turns through a lock: a tab that finds another one refreshing waits for
+     * the new token to arrive in storage instead of spending the (rotating) refresh token too.
+     */
+    const keys = keysRef.current;
+    const staleToken = tokenRef.current;
+    const adoptStoredToken = () => {
+      // A token another tab stored after ours went stale
+      const stored = localStorage.getItem(keys.token);
+      if (!stored || stored === staleToken || isTokenExpired(stored)) return null;
+      api.setToken(stored);
+      tokenRef.current = stored;
+      refreshTokenRef.current = localStorage.getItem(keys.refresh);
+      setToken(stored);
+      return stored;
+    };
+
+    const giveUpAt = Date.now() + 2 * REFRESH_LOCK_TTL_MS;
+    for (;;) {
+      const adopted = adoptStoredToken();
+      if (adopted) return adopted;
+      if (await acquireLock(keys.refreshLock, REFRESH_LOCK_TTL_MS)) break;
+      if (Date.now() >= giveUpAt) {
+        // The other tab is still at it (e.g. retrying while offline); try again later
+        throw new ApiError(t("auth.refreshPending"), { code: "refresh_pending", retryable: true, messageKey: "auth.refreshPending" });
+      }
+      await waitForStorageChange([keys.token, keys.refreshLock], REFRESH_LOCK_TTL_MS);
+    }
+
+    try {
+      const adopted = adoptStoredToken();
+      if (adopted) return adopted;
+      // Another tab may have rotated the refresh token since this one last read it
+      const refreshToken = localStorage.getItem(keys.refresh) || refreshTokenRef.current;
+      if (!refreshToken) return null;
+      const tokenRes = await api.refreshSession(refreshToken);
+      if (!tokenRes?.access_token) return adoptStoredToken();
+      persistToken(tokenRes.access_token);
+      // Backends may rotate the refresh token; keep the old one otherwise
+      if (tokenRes.refresh_token) persistRefreshToken(tokenRes.refresh_token);
+      syncActiveAccount();
+      return tokenRes.access_token;
+    } catch (e) {
+      if (process.env.NODE_ENV !== "production") {
+        // eslint-disable-next-line no-console
+        console.warn("Failed to refresh session", e);
+      }
+      // Re-read storage before giving up: another tab may have refreshed meanwhile
+      const adopted = adoptStoredToken();
+      if (adopted) return adopted;
+      if (isTransientRefreshError(e)) throw e;
+      return null;
+    } finally {
+      releaseLock(keys.refreshLock);
+    }
+  }, [persistToken, persistRefreshToken, syncActiveAccount]);
+
+  // Let the API client refresh on 401 and end the session when that fails
+  useEffect(() => {
+    api.setSessionHandlers({ refresh: refreshSession, expire: expireSession });
+    return () => api.setSessionHandlers(null);
+  }, [refreshSession, expireSession]);
+
+  // Schedule a silent refresh shortly before the access token expires
+  useEffect(() => {
+    const expiry = getTokenExpiry(token);
+    if (!token || expiry === null) return undefined;
+    let timer;
+    let attempt = 0;
+    let cancelled = false;
+    const schedule = (delay) => {
+      timer = setTimeout(run, Math.min(delay, MAX_TIMER_MS));
+    };
+    const run = async () => {
+      try {
+        const refreshed = await api.refreshAccessToken();
+        // A new token re-runs this effect and schedules the next refresh
+        if (!refreshed) expireSession();
+      } catch {
+        // Keep the session and try again with backoff
+        attempt += 1;
+        if (!cancelled) schedule(backoffDelay(attempt, REFRESH_RETRY_POLICY));
+      }
+    };
+    schedule(Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token, expireSession]);
+
+  // Mirror session changes made in other tabs. Every login, logout, token refresh and
+  // plan update is persisted to localStorage, which fires a storage event elsewhere.
+  useEffect(() => {
+    const onStorage = (event) => {
+      if (event.storageArea && event.storageArea !== localStorage) return;
+      const keys = keysRef.current;
+      // Cached data belongs to one account; a routine refresh of the same account keeps it
+      const identityChanged = accountId(readStoredUser(keys.user)) !== accountIdRef.current;
+      // key === null means storage was cleared entirely
+      if (event.key === null || event.key === keys.token) {
+        const nextToken = localStorage.getItem(keys.token);
+        api.setToken(nextToken);
+        tokenRef.current = nextToken;
+        setToken(nextToken);
+        if (!nextToken || identityChanged) clearQueries();
+        if (!nextToken) {
+          setUser(null);
+          setError(null);
+          setValidationErrors({});
+        } else {
+          setSessionNotice(null);
+        }
+      }
+      if (event.key === null || event.key === keys.refresh) {
+        refreshTokenRef.current = localStorage.getItem(keys.refresh);
+      }
+      if (event.key === null || event.key === keys.user) {
+        const storedUser = readStoredUser(keys.user);
+        accountIdRef.current = accountId(storedUser);
+        setUser(storedUser);
+        // Another account was signed in there, or e.g. the plan was changed
+        if (identityChanged) clearQueries();
+        else invalidateAccountQueries();
+      }
+      if (event.key === null || event.key === keys.accounts) {
+        setAccounts(readAccounts(keys.accounts));
+      }
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  // Swap in the stored session of the newly selected environment. Editing the active
+  // environment's base URL cleared its stored session, which is reloaded the same way.
+  useEffect(
+    () =>
+      subscribeEnvironments(() => {
+        const { id: nextId, baseUrl } = getActiveEnvironment();
+        const sameBackend = baseUrl === baseUrlRef.current;
+        baseUrlRef.current = baseUrl;
+        if (scopedStorageKey(TOKEN_KEY, nextId) === keysRef.current.token && sameBackend) return;
+        const keys = sessionKeys(nextId);
+        keysRef.current = keys;
+        clearQueries();
+        const nextToken = localStorage.getItem(keys.token);
+        api.setToken(nextToken);
+        tokenRef.current = nextToken;
+        refreshTokenRef.current = localStorage.getItem(keys.refresh);
+        setToken(nextToken);
+        setUser(readStoredUser(keys.user));
+        setAccounts(readAccounts(keys.accounts));
+        setError(null);
+        setValidationErrors({});
+        setSessionNotice(null);
+        setEnvironmentId(nextId);
+      }),
+    []
+  );
+
+  // Load profile if token present on mount (after session handlers are registered above)
+  useEffect(() => {
+    const init = async () => {
+      if (!token) return;
+      // An expired token is only worth keeping if it can be refreshed
+      if (isTokenExpired(token)) {
+        // undefined: the refresh failed for now; the refresh timer keeps trying
+        const refreshed = await api.refreshAccessToken().catch(() => undefined);
+        if (refreshed === null) {
+          expireSession();
+          return;
+        }
+      }
+      try {
+        setLoading(true);
+        const data = await fetchDashboard();
+        setUser(data?.user || null);
+        localStorage.setItem(keysRef.current.user, JSON.stringify(data?.user || null));
+        // Sessions from before multi-account support are not in the saved list yet
+        syncActiveAccount();
+      } catch (e) {
+        if (e instanceof AuthError) {
+          // Token is invalid
+          doLogout();
+        } else {
+          notifyError(t("auth.profileLoadFailed", { message: extractErrorMessage(e) }), {
+            key: "profile-load",
+            actions: [{ label: t("common.retry"), onClick: () => loadProfile() }],
+          });
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    init();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const clearSessionNotice = useCallback(() => {
+    /** Dismiss the "session expired" notice. */
+    setSessionNotice(null);
+  }, []);
 
   const refreshProfile = useCallback(async () => {
     /**
@@ -154,11 +560,11 @@ export function AuthProvider({ children }) {
     if (!token) return null;
     try {
       setLoading(true);
-      const dash = await api.getDashboard();
+      const dash = await fetchDashboard({ force: true });
       persistUser(dash?.user || null);
       return dash?.user || null;
     } catch (e) {
-      setError(e?.response?.data || e?.message || "Failed to refresh profile");
+      setError(toApiError(e, { fallback: t("auth.refreshFailed") }));
       return null;
     } finally {
       setLoading(false);
@@ -171,21 +577,24 @@ export function AuthProvider({ children }) {
      * Update user's plan/package and sync local profile state.
      */
     if (!token) {
-      setError("Unauthorized");
-      return { ok: false, error: "Unauthorized" };
+      const unauthorized = new AuthError(t("auth.loginToChangePlan"), { status: 401, messageKey: "auth.loginToChangePlan" });
+      setError(unauthorized);
+      return { ok: false, error: unauthorized };
     }
     setError(null);
     setValidationErrors({});
     setLoading(true);
     try {
-      const updated = await api.updatePlan(packageTier);
+      // Also invalidates the cached dashboard, content and plan queries
+      const updated = await updatePlanAndInvalidate(packageTier);
       // Immediately mirror into user object for responsive UI
       const nextUser = user ? { ...user, package_tier: updated?.package_tier } : user;
       persistUser(nextUser);
       return { ok: true, plan: updated };
     } catch (e) {
-      setError(e?.response?.data || e?.message || "Failed to update plan");
-      return { ok: false, error: e };
+      const apiError = toApiError(e, { fallback: t("plans.updateFailed") });
+      setError(apiError);
+      return { ok: false, error: apiError };
     } finally {
       setLoading(false);
     }
@@ -198,20 +607,39 @@ export function AuthProvider({ children }) {
     setValidationErrors({});
   }, []);
 
+  // Saved accounts without their tokens, for account switchers
+  const accountList = useMemo(() => {
+    const activeId = accountId(user);
+    return accounts.map((a) => ({
+      id: a.id,
+      email: a.user?.email,
+      package_tier: a.user?.package_tier,
+      active: a.id === activeId,
+      expired: !!a.expired,
+    }));
+  }, [accounts, user]);
+
   const value = useMemo(() => ({
     token,
     user,
+    accounts: accountList,
+    environmentId,
     loading,
     error,
     validationErrors,
+    sessionNotice,
     isAuthenticated: !!token,
     login: doLogin,
     signup: doSignup,
     logout: doLogout,
+    logoutAll: doLogoutAll,
+    switchAccount: doSwitchAccount,
+    removeAccount: doRemoveAccount,
     refreshProfile,
     updatePlan: doUpdatePlan,
     clearAuthError,
-  }), [token, user, loading, error, validationErrors, doLogin, doSignup, doLogout, refreshProfile, doUpdatePlan, clearAuthError]);
+    clearSessionNotice,
+  }), [token, user, accountList, environmentId, loading, error, validationErrors, sessionNotice, doLogin, doSignup, doLogout, doLogoutAll, doSwitchAccount, doRemoveAccount, refreshProfile, doUpdatePlan, clearAuthError, clearSessionNotice]);
 
   return (
     <AuthContext.Provider value={value}>
@@ -0,0 +1,79 @@
+import { act, waitFor } from '@testing-library/react';
+import { useAuth } from './AuthContext';
+import * as api from '../services/api';
+import { DEMO_PASSWORD } from '../services/mockBackend';
+import { renderWithSession, resetMockSession, signInAs } from '../testUtils';
+
+let auth;
+function Probe() {
+  auth = useAuth();
+  return null;
+}
+
+const storedAccounts = () => JSON.parse(localStorage.getItem('auth_accounts@mock') || '[]');
+const summary = () => auth.accounts.map(({ email, active, expired }) => ({ email, active, expired }));
+
+async function renderWithAccounts() {
+  // free signed in on a previous visit, pro added in this one
+  await signInAs('free');
+  renderWithSession(<Probe />);
+  await waitFor(() => expect(auth.accounts).toHaveLength(1));
+  await act(() => auth.login('pro@tata.co.in', DEMO_PASSWORD));
+}
+
+beforeEach(resetMockSession);
+
+afterEach(() => jest.restoreAllMocks());
+
+test('adds, switches and removes accounts', async () => {
+  await renderWithAccounts();
+  expect(auth.user.email).toBe('pro@tata.co.in');
+  expect(summary()).toEqual([
+    { email: 'free@tata.co.in', active: false, expired: false },
+    { email: 'pro@tata.co.in', active: true, expired: false },
+  ]);
+
+  const [free, pro] = auth.accounts;
+  act(() => auth.switchAccount(free.id));
+  await waitFor(() => expect(auth.user.package_tier).toBe('free'));
+  expect(localStorage.getItem('auth_token@mock')).toBe(storedAccounts()[0].token);
+
+  act(() => auth.removeAccount(pro.id));
+  expect(summary()).toEqual([{ email: 'free@tata.co.in', active: true, expired: false }]);
+  expect(auth.isAuthenticated).toBe(true);
+});
+
+test('keeps an expired account listed without switching to another one', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await renderWithAccounts();
+  act(() => auth.switchAccount(auth.accounts[0].id));
+  await waitFor(() => expect(auth.user.package_tier).toBe('free'));
+  const proSession = storedAccounts()[1];
+
+  // The access token is no longer accepted and neither is the refresh token
+  localStorage.setItem('auth_refresh_token@mock', 'revoked');
+  api.setToken('stale');
+  await act(() => api.getDashboard().catch(() => {}));
+
+  expect(auth.isAuthenticated).toBe(false);
+  expect(auth.user).toBeNull();
+  expect(auth.sessionNotice).toBe('The session for free@tata.co.in has expired. Log in again to continue.');
+  expect(summary()).toEqual([
+    { email: 'free@tata.co.in', active: false, expired: true },
+    { email: 'pro@tata.co.in', active: false, expired: false },
+  ]);
+  expect(storedAccounts()[0]).toMatchObject({ token: null, refreshToken: null, expired: true });
+  expect(storedAccounts()[1]).toEqual(proSession);
+
+  // Expired accounts have to log in again; the others can still be switched to
+  act(() => auth.switchAccount(auth.accounts[0].id));
+  expect(auth.user).toBeNull();
+  act(() => auth.switchAccount(auth.accounts[1].id));
+  await waitFor(() => expect(auth.user.package_tier).toBe('pro'));
+
+  await act(() => auth.login('free@tata.co.in', DEMO_PASSWORD));
+  expect(summary()).toEqual([
+    { email: 'free@tata.co.in', active: true, expired: false },
+    { email: 'pro@tata.co.in', active: false, expired: false },
+  ]);
+});
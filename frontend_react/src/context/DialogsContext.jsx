@@ -0,0 +1,36 @@
+import React from "react";
+import DialogStack from "../components/DialogStack";
+import * as dialogs from "../services/dialogs";
+
+/**
+ * Promise-based confirm and prompt dialogs. DialogsProvider renders the open requests
+ * once, at the root; useDialogs gives components the actions. Non-React code can call
+ * services/dialogs directly; both share one store.
+ */
+
+const api = {
+  confirm: dialogs.confirm,
+  prompt: dialogs.prompt,
+};
+
+// PUBLIC_INTERFACE
+export function DialogsProvider({ children }) {
+  /** Render children plus the dialog stack. */
+  return (
+    <>
+      {children}
+      <DialogStack />
+    </>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function useDialogs() {
+  /**
+   * Dialog actions: { confirm, prompt }.
+   * e.g. const dialogs = useDialogs();
+   *      if (await dialogs.confirm({ title: "Delete profile?", danger: true })) remove();
+   *      const name = await dialogs.prompt({ title: "Rename", defaultValue: name }); // null if cancelled
+   */
+  return api;
+}
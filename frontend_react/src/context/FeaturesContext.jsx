@@ -0,0 +1,86 @@
+import React, { createContext, useCallback, useContext, useMemo } from "react";
+import { useAuth } from "./AuthContext";
+import { useDashboardQuery } from "../hooks/useQuery";
+
+/**
+ * FeaturesContext exposes the current user's entitlements from /dashboard/me
+ * ({ key, label, enabled, limit }) so components can gate on what the backend
+ * actually grants instead of on tier names. Backed by the cached dashboard query,
+ * so a plan change (which invalidates it) updates every consumer.
+ */
+
+const FeaturesContext = createContext(null);
+
+const MISSING = Object.freeze({ key: null, label: null, enabled: false, limit: null });
+const NO_FEATURES = Object.freeze([]);
+
+// PUBLIC_INTERFACE
+export function FeaturesProvider({ children }) {
+  /** Provide feature entitlements to descendants. Must be rendered inside AuthProvider. */
+  const { isAuthenticated } = useAuth();
+  const dashboard = useDashboardQuery({ enabled: isAuthenticated });
+  const data = isAuthenticated ? dashboard.data : null;
+  // A profile without a usable `features` list grants nothing, rather than loading forever
+  const list = data ? (Array.isArray(data.features) ? data.features : NO_FEATURES) : null;
+  const { refetch } = dashboard;
+
+  const byKey = useMemo(() => new Map((list || []).map((f) => [f.key, f])), [list]);
+
+  const getFeature = useCallback(
+    (key) => {
+      /** Return { key, label, enabled, limit } for a feature; unknown features are disabled. */
+      const f = byKey.get(key);
+      if (!f) return { ...MISSING, key };
+      return { key, label: f.label || key, enabled: !!f.enabled, limit: typeof f.limit === "number" ? f.limit : null };
+    },
+    [byKey]
+  );
+
+  const value = useMemo(
+    () => ({
+      features: list || [],
+      // Entitlements are unknown (not merely disabled) until the first load completes
+      loading: isAuthenticated && list === null && !dashboard.error,
+      error: dashboard.error,
+      getFeature,
+      isEnabled: (key) => getFeature(key).enabled,
+      refresh: refetch,
+    }),
+    [list, isAuthenticated, dashboard.error, getFeature, refetch]
+  );
+
+  return <FeaturesContext.Provider value={value}>{children}</FeaturesContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+export function useFeatures() {
+  /** Access all entitlements: { features, loading, error, getFeature, isEnabled, refresh }. */
+  const ctx = useContext(FeaturesContext);
+  if (!ctx) {
+    throw new Error("useFeatures must be used within a FeaturesProvider");
+  }
+  return ctx;
+}
+
+// PUBLIC_INTERFACE
+export function useFeature(key) {
+  /**
+   * Entitlement for one feature: { key, label, enabled, limit, loading }.
+   * `limit` is a number when the plan caps the feature, otherwise null.
+   */
+  const { getFeature, loading } = useFeatures();
+  return { ...getFeature(key), loading };
+}
+
+// PUBLIC_INTERFACE
+export function Feature({ name, fallback = null, loadingFallback = null, children }) {
+  /**
+   * Render children only when feature `name` is enabled, otherwise `fallback`.
+   * Children may also be a function `(feature) => node`; it is always called, which
+   * lets callers disable or badge functionality instead of hiding it.
+   */
+  const feature = useFeature(name);
+  if (typeof children === "function") return children(feature);
+  if (feature.loading) return loadingFallback;
+  return feature.enabled ? children : fallback;
+}
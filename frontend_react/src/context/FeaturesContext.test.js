@@ -0,0 +1,62 @@
+import { screen } from '@testing-library/react';
+import { Feature, useFeature } from './FeaturesContext';
+import * as api from '../services/api';
+import { renderWithSession, resetMockSession, signInAs } from '../testUtils';
+
+function Entitlement({ name }) {
+  const { key, enabled, limit, loading } = useFeature(name);
+  return <p>{loading ? 'loading' : `${key}: ${enabled ? 'on' : 'off'}, limit ${limit}`}</p>;
+}
+
+async function renderAs(tier, children) {
+  await signInAs(tier);
+  renderWithSession(children);
+}
+
+beforeEach(resetMockSession);
+
+afterEach(() => jest.restoreAllMocks());
+
+test('reports enabled features with their limits and treats unknown ones as disabled', async () => {
+  await renderAs(
+    'pro',
+    <>
+      <Entitlement name="data_export" />
+      <Entitlement name="time_travel" />
+    </>
+  );
+  expect(await screen.findByText('data_export: on, limit 50')).toBeInTheDocument();
+  expect(screen.getByText('time_travel: off, limit null')).toBeInTheDocument();
+});
+
+test('renders the fallback for disabled and missing features, and the children otherwise', async () => {
+  await renderAs(
+    'free',
+    <>
+      <Feature name="basic_content" loadingFallback={<p>checking</p>}>
+        <p>Content list</p>
+      </Feature>
+      <Feature name="analytics" fallback={<p>Analytics needs Pro</p>}>
+        <p>Analytics chart</p>
+      </Feature>
+      <Feature name="time_travel" fallback={<p>Not available</p>}>
+        <p>Time travel</p>
+      </Feature>
+      <Feature name="analytics">{(f) => <button disabled={!f.enabled}>Export analytics</button>}</Feature>
+    </>
+  );
+  expect(screen.getByText('checking')).toBeInTheDocument();
+  expect(await screen.findByText('Content list')).toBeInTheDocument();
+  expect(screen.getByText('Analytics needs Pro')).toBeInTheDocument();
+  expect(screen.queryByText('Analytics chart')).not.toBeInTheDocument();
+  expect(screen.getByText('Not available')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Export analytics' })).toBeDisabled();
+});
+
+test('treats a profile without a features list as granting nothing', async () => {
+  await signInAs('pro');
+  const getDashboard = api.getDashboard;
+  jest.spyOn(api, 'getDashboard').mockImplementation(async () => ({ ...(await getDashboard()), features: null }));
+  renderWithSession(<Entitlement name="data_export" />);
+  expect(await screen.findByText('data_export: off, limit null')).toBeInTheDocument();
+});
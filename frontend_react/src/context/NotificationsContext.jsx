@@ -0,0 +1,40 @@
+import React from "react";
+import ToastStack from "../components/ToastStack";
+import * as notifications from "../services/notifications";
+
+/**
+ * App-wide toast notifications. NotificationsProvider renders the toast stack once,
+ * at the root; useNotifications gives components the actions. Non-React code (the
+ * API layer, AuthContext) calls services/notifications directly; both share one store.
+ */
+
+const api = {
+  notify: notifications.notify,
+  info: notifications.notifyInfo,
+  success: notifications.notifySuccess,
+  warning: notifications.notifyWarning,
+  error: notifications.notifyError,
+  dismiss: notifications.dismiss,
+  dismissAll: notifications.dismissAll,
+};
+
+// PUBLIC_INTERFACE
+export function NotificationsProvider({ children }) {
+  /** Render children plus the toast stack. */
+  return (
+    <>
+      {children}
+      <ToastStack />
+    </>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function useNotifications() {
+  /**
+   * Toast actions: { notify, info, success, warning, error, dismiss, dismissAll }.
+   * e.g. const toast = useNotifications(); toast.success("Saved");
+   *      toast.error("Sync failed", { actions: [{ label: "Retry", onClick: retry }] });
+   */
+  return api;
+}
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from "react";
+import * as environments from "../services/environments";
+
+// PUBLIC_INTERFACE
+export function useEnvironments() {
+  /** Live { environments, active } from the environment profile store. */
+  return useSyncExternalStore(environments.subscribe, environments.getSnapshot);
+}
+
+export default useEnvironments;
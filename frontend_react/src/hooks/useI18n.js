@@ -0,0 +1,27 @@
+import { useMemo, useSyncExternalStore } from "react";
+import * as i18n from "../i18n";
+
+// PUBLIC_INTERFACE
+export function useI18n() {
+  /**
+   * Translation and formatting for the active language:
+   * { locale, t, setLocale, formatNumber, formatPercent, formatBytes, formatDate, formatDateTime }.
+   * Components using it re-render when the language changes.
+   */
+  const { locale } = useSyncExternalStore(i18n.subscribe, i18n.getSnapshot);
+  return useMemo(
+    () => ({
+      locale,
+      t: i18n.t,
+      setLocale: i18n.setLocale,
+      formatNumber: i18n.formatNumber,
+      formatPercent: i18n.formatPercent,
+      formatBytes: i18n.formatBytes,
+      formatDate: i18n.formatDate,
+      formatDateTime: i18n.formatDateTime,
+    }),
+    [locale]
+  );
+}
+
+export default useI18n;
@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from "react";
+import { DEFAULT_STALE_TIME, fetchQuery, getQueryState, hashKey, subscribeQuery } from "../services/queryClient";
+import { queryFns, queryKeys } from "../services/queries";
+import { getConfiguredEmailPolicy, normalizeEmailPolicy } from "../utils/emailPolicy";
+
+// PUBLIC_INTERFACE
+export function useQuery(key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME } = {}) {
+  /**
+   * Subscribe to a cached query and fetch it when missing or stale.
+   * Returns { data, error, isLoading, isFetching, updatedAt, refetch }:
+   * cached data stays available while a background refetch runs, and the request
+   * is aborted if the component unmounts before it completes.
+   */
+  // Callers usually pass a new array each render; the hash keeps the key stable
+  const hash = hashKey(key);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback((listener) => subscribeQuery(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => getQueryState(stableKey), [stableKey]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    fetchQuery(stableKey, (ctx) => fetcherRef.current(ctx), { staleTime, detached: true }).catch(() => {
+      // surfaced through the query state
+    });
+    // Re-check freshness whenever the cache entry is invalidated or cleared
+  }, [stableKey, enabled, staleTime, state.isStale, state.generation]);
+
+  const refetch = useCallback(
+    () => fetchQuery(stableKey, (ctx) => fetcherRef.current(ctx), { force: true }),
+    [stableKey]
+  );
+
+  return {
+    data: state.data,
+    error: state.error,
+    updatedAt: state.updatedAt,
+    isFetching: state.isFetching,
+    isLoading: enabled && state.data === undefined && (state.isFetching || !state.error),
+    refetch,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function useDashboardQuery(options) {
+  /** /dashboard/me for the current user. */
+  return useQuery(queryKeys.dashboard, queryFns.dashboard, options);
+}
+
+// PUBLIC_INTERFACE
+export function useContentQuery(options) {
+  /** /api/content tailored to the current user's tier. */
+  return useQuery(queryKeys.content, queryFns.content, options);
+}
+
+// PUBLIC_INTERFACE
+export function useEmailPolicy() {
+  /**
+   * Resolved email domain policy { login: { allow, block }, signup: { allow, block } }.
+   * Uses runtime configuration until the backend's policy has loaded, or while it fails to.
+   */
+  const { data } = useQuery(queryKeys.emailPolicy(), queryFns.emailPolicy, { staleTime: 10 * 60 * 1000 });
+  return useMemo(() => normalizeEmailPolicy(data || getConfiguredEmailPolicy()), [data]);
+}
+
+export default useQuery;
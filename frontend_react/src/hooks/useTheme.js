@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from "react";
+import * as theme from "../services/theme";
+
+// PUBLIC_INTERFACE
+export function useTheme() {
+  /** Live { mode, resolved, palette, custom } from the theme store. */
+  return useSyncExternalStore(theme.subscribe, theme.getSnapshot);
+}
+
+export default useTheme;
@@ -0,0 +1,48 @@
+import { useMemo, useSyncExternalStore } from "react";
+import { useFeatures } from "../context/FeaturesContext";
+import * as usageTracker from "../services/usageTracker";
+import { FEATURE_PERIODS, highestThreshold } from "../utils/usage";
+
+// PUBLIC_INTERFACE
+export function useUsage() {
+  /** Raw usage snapshot for the active account: { account, usage, dismissed, thresholds }. */
+  return useSyncExternalStore(usageTracker.subscribe, usageTracker.getSnapshot);
+}
+
+// PUBLIC_INTERFACE
+export function useUsageMeters() {
+  /**
+   * One meter per metered feature the user is entitled to:
+   * [{ key, label, used, limit, ratio, period, periodKey, resetsAt, source, threshold }]
+   * `threshold` is the highest warning threshold reached (null if none). The backend's
+   * reported limit wins over the plan's feature limit when both exist.
+   */
+  const { features } = useFeatures();
+  const { usage, thresholds } = useUsage();
+  return useMemo(
+    () =>
+      features
+        .filter((f) => f.enabled && (FEATURE_PERIODS[f.key] || usage[f.key]))
+        .map((f) => {
+          const record = usage[f.key] || {};
+          const limit = typeof record.limit === "number" ? record.limit : typeof f.limit === "number" ? f.limit : null;
+          const used = record.used || 0;
+          return {
+            key: f.key,
+            label: f.label || f.key,
+            used,
+            limit,
+            ratio: limit ? Math.min(used / limit, 1) : 0,
+            period: record.period || FEATURE_PERIODS[f.key] || "day",
+            periodKey: record.periodKey || null,
+            resetsAt: record.resetsAt || null,
+            source: record.source || "local",
+            threshold: highestThreshold(used, limit, thresholds),
+          };
+        })
+        .filter((m) => m.limit !== null),
+    [features, usage, thresholds]
+  );
+}
+
+export default useUsageMeters;
@@ -0,0 +1,459 @@
+/** German messages. Keys missing here fall back to English (see i18n/en.js). */
+const de = {
+  // Shared
+  "common.dialog": "Dialog",
+  "common.closeDialog": "Dialog schließen",
+  "common.close": "Schließen",
+  "common.cancel": "Abbrechen",
+  "common.save": "Speichern",
+  "common.edit": "Bearbeiten",
+  "common.delete": "Löschen",
+  "common.copied": "Kopiert",
+  "common.pleaseWait": "Bitte warten...",
+  "common.copyFailed": "Kopieren fehlgeschlagen",
+  "common.retry": "Erneut versuchen",
+  "common.loading": "Wird geladen...",
+  "common.reload": "Neu laden",
+  "common.copy": "Kopieren",
+
+  // Confirm and prompt dialogs
+  "dialogs.confirmTitle": "Sind Sie sicher?",
+  "dialogs.confirm": "Bestätigen",
+  "dialogs.promptTitle": "Wert eingeben",
+  "dialogs.ok": "OK",
+  "dialogs.value": "Wert",
+  "dialogs.required": "Geben Sie einen Wert ein, um fortzufahren.",
+
+  // Navigation
+  "nav.dashboard": "Dashboard",
+  "nav.profile": "Profil",
+  "nav.analytics": "Analysen",
+  "nav.plans": "Tarife",
+  "nav.compare": "Vergleichen",
+  "nav.apiExplorer": "API-Explorer",
+  "nav.backend": "Backend: {target}",
+  "nav.inBrowserMock": "Mock im Browser",
+  "nav.networkInspector": "Netzwerkinspektor",
+  "nav.settings": "Einstellungen",
+  "nav.login": "Anmelden / Registrieren",
+
+  // Account menu
+  "account.signedIn": "Angemeldete Konten",
+  "account.accounts": "Konten",
+  "account.signOutEmail": "{email} abmelden",
+  "account.signOutThis": "Dieses Konto abmelden",
+  "account.expired": "abgelaufen",
+  "account.add": "+ Konto hinzufügen",
+  "account.signOut": "Abmelden",
+  "account.signOutAll": "Alle abmelden",
+
+  // Settings
+  "settings.title": "Einstellungen",
+  "settings.language": "Sprache",
+  "settings.languageHint": "Zahlen und Datumsangaben folgen der Sprache: {number} · {date}",
+  "settings.theme": "Design",
+  "settings.themeLight": "Hell",
+  "settings.themeDark": "Dunkel",
+  "settings.themeAuto": "Automatisch",
+  "settings.themeHighContrast": "Hoher Kontrast",
+  "settings.environment": "Backend-Umgebung",
+  "settings.thresholds": "Nutzungswarnungen bei (%)",
+  "settings.thresholdsHint": "Warnung anzeigen, wenn eine gemessene Funktion diese Anteile ihres Limits erreicht. Leer lassen, um Warnungen abzuschalten.",
+  "settings.thresholdsInvalid": "Geben Sie durch Kommas getrennte Prozentwerte zwischen 1 und 100 ein.",
+  "settings.crashLog": "Absturzprotokoll",
+
+  // Theme and brand palette
+  "theme.autoHint": "Folgt der hellen oder dunklen Systemeinstellung (aktuell: {theme}).",
+  "theme.highContrastHint": "Verwendet feste Farben mit hohem Kontrast. Ihre Palette gilt für die anderen Designs.",
+  "theme.palette": "Markenpalette",
+  "theme.primary": "Primär",
+  "theme.accent": "Akzent",
+  "theme.secondary": "Sekundär",
+  "theme.pick": "Farbwähler: {role}",
+  "theme.hexInvalid": "Verwenden Sie eine Hex-Farbe wie #1976d2.",
+  "theme.warning.primaryText": "Weißer Text auf der Primärfarbe hat einen Kontrast von {ratio}:1; empfohlen ist mindestens {minimum}:1.",
+  "theme.warning.primaryOnBackground": "Links in der Primärfarbe auf dem Seitenhintergrund haben einen Kontrast von {ratio}:1; empfohlen ist mindestens {minimum}:1.",
+  "theme.warning.accentText": "Schaltflächentext auf der Akzentfarbe hat einen Kontrast von {ratio}:1; empfohlen ist mindestens {minimum}:1.",
+  "theme.warning.secondaryText": "Weißer Text auf der Sekundärfarbe hat einen Kontrast von {ratio}:1; empfohlen ist mindestens {minimum}:1.",
+  "theme.contrastOk": "Alle Farben erreichen den empfohlenen Kontrast.",
+  "theme.paletteInactive": "Das Hochkontrast-Design verwendet diese Palette nicht. Wechseln Sie das Design, um ihren Kontrast zu prüfen.",
+  "theme.export": "Als JSON exportieren",
+  "theme.importFile": "Datei importieren",
+  "theme.paste": "JSON einfügen",
+  "theme.pasteTitle": "Palette importieren",
+  "theme.pasteLabel": "Paletten-JSON",
+  "theme.import": "Importieren",
+  "theme.importInvalid": "Das ist keine Palette. Erwartet wird JSON mit Hex-Farben für primary, accent und secondary.",
+  "theme.imported": "Palette importiert.",
+  "theme.reset": "Standardfarben wiederherstellen",
+
+  // Backend environments
+  "environments.mockBackend": "Mock-Backend im Browser",
+  "environments.sameOrigin": "{origin} (gleicher Ursprung)",
+  "environments.active": "Aktiv",
+  "environments.testing": "Wird getestet...",
+  "environments.test": "Testen",
+  "environments.use": "Verwenden",
+  "environments.name": "Name",
+  "environments.baseUrl": "Basis-URL",
+  "environments.add": "+ Umgebung hinzufügen",
+  "environments.addSubmit": "Umgebung hinzufügen",
+  "environments.hint": "Jede Umgebung hat ihre eigene Anmeldung; beim Wechseln werden Ihre Zugangsdaten nicht an ein anderes Backend gesendet.",
+  "environments.mockAccounts": "Mock-Demokonten: free@tata.co.in, pro@tata.co.in, enterprise@tata.co.in (Passwort: {password}).",
+  "environments.reachable": "Erreichbar",
+  "environments.unreachable": "Nicht erreichbar",
+  "environments.nameRequired": "Name ist erforderlich.",
+  "environments.baseUrlInvalid": "Die Basis-URL muss mit http:// oder https:// beginnen",
+  "environments.nameTaken": "Eine Umgebung namens \"{name}\" existiert bereits.",
+  "environments.deleteTitle": "Diese Umgebung löschen?",
+  "environments.deleteMessage": "\"{name}\" wird aus diesem Browser entfernt. Ist sie aktiv, gehen Anfragen wieder an Default.",
+
+  // Login, sign up and password reset requests
+  "login.titleLogin": "Willkommen zurück",
+  "login.titleSignup": "Konto erstellen",
+  "login.titleAddAccount": "Weiteres Konto hinzufügen",
+  "login.titleForgot": "Passwort zurücksetzen",
+  "login.email": "E-Mail",
+  "login.password": "Passwort",
+  "login.packageTier": "Paketstufe",
+  "login.submit": "Anmelden",
+  "login.createAccount": "Konto erstellen",
+  "login.sendResetLink": "Link zum Zurücksetzen senden",
+  "login.missingCredentials": "Bitte E-Mail und Passwort eingeben.",
+  "login.forgotPassword": "Passwort vergessen?",
+  "login.forgotHint": "Geben Sie die E-Mail-Adresse Ihres Kontos ein, und wir senden Ihnen einen Link zum Festlegen eines neuen Passworts.",
+  "login.resetFailed": "Zurücksetzen konnte nicht angefordert werden",
+  "login.resetSent": "Falls ein Konto für {email} existiert, haben wir einen Link zum Zurücksetzen des Passworts gesendet.",
+  "login.mockNoEmail": "Das Mock-Backend versendet keine E-Mails.",
+  "login.openResetLink": "Link zum Zurücksetzen öffnen",
+  "login.backToLogin": "Zurück zur Anmeldung",
+  "login.noAccount": "Noch kein Konto?",
+  "login.createOne": "Jetzt erstellen",
+  "login.remembered": "Doch wieder eingefallen?",
+  "login.haveAccount": "Sie haben bereits ein Konto?",
+  "login.logIn": "Anmelden",
+
+  // Email domain policy
+  "email.invalid": "Geben Sie eine gültige E-Mail-Adresse ein.",
+  "email.acceptedDomains": "Zulässige Domains: {domains}.",
+  "email.blocked": "E-Mail-Adressen unter @{domain} werden nicht akzeptiert.",
+  "email.mustEndWith": "Die E-Mail-Adresse muss auf {domains} enden.",
+  "email.anyDomain": "eine beliebige Domain",
+  "email.anySubdomain": "eine beliebige Subdomain von {domain}",
+
+  // Session
+  "auth.sessionExpired": "Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.",
+  "auth.sessionExpiredFor": "Die Sitzung für {email} ist abgelaufen. Melden Sie sich erneut an, um fortzufahren.",
+  "auth.logInAgain": "Erneut anmelden",
+  "auth.refreshPending": "Ihre Sitzung wird noch erneuert. Bitte versuchen Sie es gleich noch einmal.",
+  "auth.profileLoadFailed": "Ihr Profil konnte nicht geladen werden: {message}",
+  "auth.loginFailed": "Anmeldung fehlgeschlagen",
+  "auth.signupFailed": "Registrierung fehlgeschlagen",
+  "auth.refreshFailed": "Profil konnte nicht aktualisiert werden",
+  "auth.loginToChangePlan": "Melden Sie sich an, um Ihren Tarif zu ändern.",
+
+  // API errors
+  "errors.unexpected": "Ein unerwarteter Fehler ist aufgetreten.",
+  "errors.requestFailed": "Anfrage fehlgeschlagen mit Status {status}",
+  "errors.network": "Das Backend ist nicht erreichbar ({target}).",
+  "errors.timeout": "Das Backend hat nicht rechtzeitig geantwortet ({target}).",
+  "errors.sessionExpired": "Ihre Sitzung ist ungültig oder abgelaufen. Bitte melden Sie sich erneut an.",
+  "errors.rateLimited": "Das Backend drosselt Anfragen.",
+  "errors.rateLimitedRetry": "Das Backend drosselt Anfragen. Versuchen Sie es in {seconds} s erneut.",
+  "errors.requestId": "Anfrage-ID: {id}",
+  "errors.troubleshooting": "Fehlerbehebung",
+  "errors.hint.attempted": "Verwendete Basis-URL: {baseUrl}",
+  "errors.hint.gaveUp_one": "Nach {count} automatischen Wiederholung aufgegeben",
+  "errors.hint.gaveUp_other": "Nach {count} automatischen Wiederholungen aufgegeben",
+  "errors.hint.causes": [
+    "Mögliche Ursachen:",
+    "  • REACT_APP_BACKEND_URL nicht gesetzt oder falsch",
+    "  • Backend läuft nicht oder ist nicht erreichbar",
+    "  • CORS erlaubt den Ursprung {origin} nicht",
+    "  • Gemischte Inhalte oder TLS-/Hostnamen-Konflikt",
+  ].join("\n"),
+  "errors.hint.resolution": [
+    "Lösung:",
+    "  • REACT_APP_BACKEND_URL in Ihrer .env auf die Backend-URL setzen (z. B. http://localhost:3001)",
+    "  • Sicherstellen, dass CORS im Backend den Frontend-Ursprung erlaubt",
+    "  • Prüfen, ob das Backend im Browser erreichbar ist",
+  ].join("\n"),
+
+  // Automatic retries
+  "retry.timeout": "Zeitüberschreitung",
+  "retry.networkError": "Netzwerkfehler",
+
+  // Notifications
+  "toast.dismiss": "Benachrichtigung schließen",
+
+  // Crash reports
+  "crash.none": "Keine Abstürze aufgezeichnet.",
+  "crash.copyReport": "Bericht kopieren",
+  "crash.count_one": "{count} auf diesem Gerät gespeichert.",
+  "crash.count_other": "{count} auf diesem Gerät gespeichert.",
+  "crash.clear": "Absturzprotokoll leeren",
+  "crash.clearTitle": "Absturzprotokoll leeren?",
+  "crash.clearMessage_one": "Der gespeicherte Absturzbericht wird gelöscht.",
+  "crash.clearMessage_other": "Alle {count} gespeicherten Absturzberichte werden gelöscht.",
+  "crash.title": "Etwas ist schiefgelaufen",
+  "crash.routeMessage": "Auf dieser Seite ist ein unerwarteter Fehler aufgetreten. Der Rest der App funktioniert weiterhin.",
+  "crash.appMessage": "In der App ist ein unerwarteter Fehler aufgetreten.",
+  "crash.goHome": "Zur Startseite",
+  "crash.copyDiagnostic": "Diagnosebericht kopieren",
+  "crash.saved": "Der Fehler wurde im lokalen Absturzprotokoll gespeichert (Einstellungen → Absturzprotokoll).",
+
+  // Usage meters and warnings
+  "usage.noMeters": "Ihr Tarif enthält keine gemessenen Funktionen.",
+  "usage.meterDay": "{used} / {limit} heute",
+  "usage.meterMonth": "{used} / {limit} in diesem Monat",
+  "usage.fromServer": "Vom Backend gemeldet",
+  "usage.fromBrowser": "In diesem Browser gezählt",
+  "usage.resets": "wird zurückgesetzt am {date}",
+  "usage.warningFull": "Sie haben das gesamte Kontingent für {feature} ({limit}) in diesem Zeitraum verbraucht.",
+  "usage.warning": "Sie haben {percent} von {feature} verbraucht ({used} von {limit}).",
+  "usage.upgrade": "Tarif upgraden",
+  "usage.dismiss": "Nutzungswarnung schließen",
+
+  // Route guard
+  "guard.signInTitle": "Anmeldung erforderlich",
+  "guard.signInDescription": "Melden Sie sich an, um diese Seite aufzurufen.",
+  "guard.featureMissing": "{feature} nicht enthalten",
+  "guard.planRequired": "Tarif {plan} erforderlich",
+  "guard.featureHint": "Diese Seite benötigt {feature}, was in Ihrem Tarif nicht enthalten ist.",
+  "guard.planHint": "Diese Seite ist ab dem Tarif {plan} verfügbar.",
+  "guard.currentPlan": "Ihr aktueller Tarif: {plan}.",
+  "guard.unknownPlan": "unbekannt",
+  "guard.comparePlans": "Tarife vergleichen",
+  "guard.loadFailed": "Ihr Zugriff auf diese Seite konnte nicht geprüft werden",
+  "guard.confirmUpgradeTitle": "Auf den Tarif {plan} upgraden?",
+
+  // Dashboard
+  "dashboard.welcomeTitle": "Willkommen bei TATA ELXSI MOCK API",
+  "dashboard.welcomeDescription": "Melden Sie sich an, um auf Ihr Abonnement zugeschnittene Inhalte zu sehen.",
+  "dashboard.retrying": "Verbindungsproblem ({reason}). Neuer Versuch {attempt} von {retries}...",
+  "dashboard.package": "Ihr Paket",
+  "dashboard.email": "E-Mail:",
+  "dashboard.userId": "Benutzer-ID:",
+  "dashboard.features": "Funktionen",
+  "dashboard.enabled": "Aktiviert",
+  "dashboard.disabled": "Deaktiviert",
+  "dashboard.limit": "Limit: {limit}",
+  "dashboard.noFeatures": "Keine Funktionen verfügbar",
+  "dashboard.usage": "Nutzung",
+  "dashboard.content": "Zugeschnittene Inhalte",
+  "dashboard.export": "JSON exportieren",
+  "dashboard.exportsLeft_one": "(heute noch {count})",
+  "dashboard.exportsLeft_other": "(heute noch {count})",
+  "dashboard.exportNotIncluded": "Datenexport ist in Ihrem Tarif nicht enthalten",
+  "dashboard.exportLimitReached": "Tägliches Exportlimit erreicht",
+  "dashboard.noContent": "Noch keine Inhalte. Versuchen Sie es später erneut.",
+
+  // Analytics
+  "analytics.empty": "Noch keine Analysen vorhanden.",
+
+  // Profile
+  "profile.loginDescription": "Melden Sie sich an, um Ihr Profil anzuzeigen und Ihren Tarif zu verwalten.",
+  "profile.title": "Profil",
+  "profile.userId": "Benutzer-ID",
+  "profile.email": "E-Mail",
+  "profile.currentPackage": "Aktuelles Paket",
+  "profile.changePackage": "Abonnementpaket ändern",
+  "profile.selectPlan": "Tarif auswählen",
+  "profile.updating": "Wird aktualisiert...",
+  "profile.updatePlan": "Tarif aktualisieren",
+  "profile.planUpdated": "Tarif auf \"{plan}\" geändert.",
+  "profile.changeHint": "Eine Tarifänderung wirkt sich sofort auf Ihre verfügbaren Funktionen und API-Antworten aus.",
+  "profile.compareHint": "um zu sehen, was jedes Paket enthält.",
+
+  // Plans
+  "plans.feature": "Funktion",
+  "plans.included": "Enthalten",
+  "plans.notIncluded": "Nicht enthalten",
+  "plans.currentPlan": "Aktueller Tarif",
+  "plans.illustrative": "Beispielhaft",
+  "plans.yourPlan": "Ihr Tarif",
+  "plans.switching": "Wird gewechselt...",
+  "plans.switchTo": "Zu {plan} wechseln",
+  "plans.continueTo": "Weiter zu {path}",
+  "plans.loginToSwitch": "Melden Sie sich an, um den Tarif zu wechseln.",
+  "plans.illustrativeHint": "Als beispielhaft markierte Spalten zeigen den Beispielkatalog; {backend} kann andere Funktionen und Limits gewähren.",
+  "plans.updateFailed": "Tarif konnte nicht aktualisiert werden",
+  "plans.upgraded": "Upgrade auf {plan} durchgeführt.",
+  "plans.upgrading": "Upgrade läuft...",
+  "plans.upgradeTo": "Upgrade auf {plan}",
+
+  // Plan features (labels for known /dashboard/me feature keys)
+  "features.basic_content": "Basisinhalte",
+  "features.api_calls": "API-Aufrufe pro Tag",
+  "features.analytics": "Nutzungsanalysen",
+  "features.data_export": "Datenexport",
+  "features.priority_support": "Priorisierter Support",
+  "features.custom_integrations": "Individuelle Integrationen",
+
+  // Content renderer
+  "content.view": "Inhaltsansicht",
+  "content.formatted": "Formatiert",
+  "content.raw": "Roh-JSON",
+  "content.yes": "Ja",
+  "content.no": "Nein",
+  "content.rows_one": "{count} Zeile",
+  "content.rows_other": "{count} Zeilen",
+  "content.sortBy": "Nach {column} sortieren",
+  "content.showAll": "Alle {count} Zeilen anzeigen",
+
+  // Reset password page
+  "resetPage.title": "Neues Passwort festlegen",
+  "resetPage.token": "Token zum Zurücksetzen",
+  "resetPage.newPassword": "Neues Passwort",
+  "resetPage.confirmPassword": "Neues Passwort bestätigen",
+  "resetPage.submit": "Passwort zurücksetzen",
+  "resetPage.failed": "Passwort konnte nicht zurückgesetzt werden",
+  "resetPage.tokenRequired": "Fügen Sie das Token aus Ihrer E-Mail zum Zurücksetzen ein.",
+  "resetPage.tooShort_one": "Verwenden Sie mindestens {count} Zeichen.",
+  "resetPage.tooShort_other": "Verwenden Sie mindestens {count} Zeichen.",
+  "resetPage.mismatch": "Die Passwörter stimmen nicht überein.",
+  "resetPage.done": "Ihr Passwort wurde zurückgesetzt. Sie können sich jetzt anmelden.",
+  "resetPage.expired": "Link abgelaufen?",
+  "resetPage.requestNew": "Fordern Sie einen neuen an",
+  "resetPage.fromLogin": "über die Option \"Passwort vergessen?\" im Anmeldedialog.",
+
+  // API Explorer
+  "explorer.loggedOut": "Sie sind nicht angemeldet, daher antworten geschützte Endpunkte mit 401.",
+  "explorer.endpoints": "Endpunkte",
+  "explorer.specFailed": "Das OpenAPI-Dokument konnte nicht geladen werden",
+  "explorer.snippets": "Codebeispiele",
+  "explorer.requestFailed": "Anfrage fehlgeschlagen",
+  "explorer.quotaExceeded": "Kontingent überschritten.",
+  "explorer.quotaUsedUp": "Das API-Aufrufkontingent Ihres Tarifs ist aufgebraucht.",
+  "explorer.quotaResets": "Es wird am {date} zurückgesetzt.",
+  "explorer.upgradeForLimit": "Upgrade für ein höheres Limit",
+  "explorer.response": "Antwort",
+  "explorer.documentedResponses": "Dokumentierte Antworten",
+  "explorer.noDocumentedResponses": "Keine dokumentierten Antworten.",
+  "explorer.filter": "Endpunkte filtern",
+  "explorer.requiresAuth": "Erfordert Anmeldung",
+  "explorer.noMatch": "Keine passenden Endpunkte.",
+
+  // Request composer
+  "composer.method": "HTTP-Methode",
+  "composer.baseUrl": "Backend-Basis-URL ({name})",
+  "composer.path": "Anfragepfad",
+  "composer.send": "Senden",
+  "composer.sending": "Wird gesendet...",
+  "composer.params": "Parameter",
+  "composer.headers": "Header",
+  "composer.body": "Body",
+  "composer.addParam": "Query-Parameter hinzufügen",
+  "composer.header": "Header",
+  "composer.addHeader": "Header hinzufügen",
+  "composer.field": "Feld",
+  "composer.addField": "Feld hinzufügen",
+  "composer.authHint": "Der Authorization-Header wird automatisch hinzugefügt, wenn Sie angemeldet sind.",
+  "composer.noBody": "{method}-Anfragen senden keinen Body.",
+  "composer.bodyType.none": "Keiner",
+  "composer.bodyType.json": "JSON",
+  "composer.bodyType.form": "Formular (urlencoded)",
+  "composer.jsonBody": "JSON-Body",
+  "composer.pathRequired": "Geben Sie einen Pfad ein, z. B. /api/content",
+  "composer.absoluteUrl": "Geben Sie einen Pfad im aktiven Backend ein, z. B. /api/content. Vollständige URLs werden nicht gesendet, damit Ihre Sitzung bei diesem Backend bleibt.",
+  "composer.invalidJson": "Der Body ist kein gültiges JSON: {message}",
+
+  // Generated operation forms
+  "form.select": "Auswählen...",
+  "form.notSet": "(nicht gesetzt)",
+  "form.noParameters": "Dieser Endpunkt hat keine Parameter.",
+  "form.editInComposer": "Im Editor bearbeiten",
+  "form.required": "Dieses Feld ist erforderlich",
+  "form.wholeNumber": "Muss eine ganze Zahl sein",
+  "form.number": "Muss eine Zahl sein",
+  "form.json": "Muss gültiges JSON sein",
+  "form.oneOf": "Muss einer der folgenden Werte sein: {values}",
+
+  // Key/value editor
+  "kv.include": "Zeile einbeziehen",
+  "kv.key": "Schlüssel",
+  "kv.value": "Wert",
+  "kv.remove": "Zeile entfernen",
+  "kv.add": "Zeile hinzufügen",
+
+  // Code snippets
+  "snippets.source": "Quelle des Codebeispiels",
+  "snippets.composer": "Editor",
+  "snippets.lastSent": "Zuletzt gesendet",
+  "snippets.includeToken": "Mein Token einfügen",
+  "snippets.tokenWarning": "Dieses Codebeispiel enthält Ihr aktives Zugriffstoken. Nicht weitergeben.",
+  "snippets.invalid": "Korrigieren Sie die Anfrage im Editor, um ein Codebeispiel zu erzeugen.",
+
+  // Response viewer
+  "response.emptyBody": "(leerer Body)",
+  "response.noHeaders": "Keine Header.",
+
+  // JSON diff
+  "diff.none": "Keine Unterschiede.",
+  "diff.added": "{count} hinzugefügt",
+  "diff.removed": "{count} entfernt",
+  "diff.changed": "{count} geändert",
+  "diff.left": "Links",
+  "diff.right": "Rechts",
+
+  // Content comparison
+  "compare.before": "Vor {from} → {to}",
+  "compare.after": "Nach {from} → {to}",
+  "compare.selectSnapshot": "Snapshot auswählen...",
+  "compare.capture": "Inhalte erfassen",
+  "compare.loggedOut": "Melden Sie sich an, um neue Snapshots zu erfassen. Gespeicherte Snapshots lassen sich weiterhin vergleichen.",
+  "compare.capturing": "Wird erfasst...",
+  "compare.snapshot": "Snapshot der aktuellen Inhalte",
+  "compare.acrossPlans": "Über einen Tarifwechsel hinweg vergleichen",
+  "compare.switchTo": "Wechseln zu...",
+  "compare.switchAndCompare": "Wechseln und vergleichen",
+  "compare.switchHint": "Erfasst Inhalte vor und nach dem Tarifwechsel.",
+  "compare.saved": "Gespeicherte Snapshots",
+  "compare.delete": "{label} löschen",
+  "compare.none": "Noch keine Snapshots.",
+  "compare.deleteTitle": "Diesen Snapshot löschen?",
+  "compare.deleteMessage": "\"{label}\" wird aus diesem Browser gelöscht.",
+  "compare.nameTitle": "Snapshot benennen",
+  "compare.nameLabel": "Bezeichnung",
+  "compare.namePlaceholder": "Leer lassen für Tarif und Uhrzeit",
+  "compare.diff": "Inhaltsvergleich",
+  "compare.ignoreKeys": "Schlüssel ignorieren",
+  "compare.onlyChanges": "Nur Änderungen anzeigen",
+  "compare.pickTwo": "Wählen Sie zwei Snapshots zum Vergleichen.",
+
+  // Network inspector
+  "network.title": "Netzwerk",
+  "network.filter": "Anfragen filtern",
+  "network.filterPlaceholder": "Nach URL, Methode oder Status filtern",
+  "network.status.all": "Alle",
+  "network.status.failed": "Fehlgeschlagen",
+  "network.pause": "Pausieren",
+  "network.resume": "Fortsetzen",
+  "network.clear": "Leeren",
+  "network.close": "Netzwerkinspektor schließen",
+  "network.method": "Methode",
+  "network.url": "URL",
+  "network.status": "Status",
+  "network.time": "Zeit",
+  "network.size": "Größe",
+  "network.mock": "Mock",
+  "network.failed": "fehlgeschlagen",
+  "network.noMatch": "Keine Anfragen entsprechen dem Filter.",
+  "network.empty": "Noch keine Anfragen aufgezeichnet.",
+  "network.replay": "Anfrage wiederholen",
+  "network.replaying": "Wird wiederholt...",
+  "network.tab.headers": "Header",
+  "network.tab.request": "Anfrage",
+  "network.tab.response": "Antwort",
+  "network.tab.error": "Fehler",
+  "network.requestHeaders": "Anfrage-Header",
+  "network.responseHeaders": "Antwort-Header",
+  "network.noBody": "(kein Body)",
+  "network.error": "Fehler",
+  "network.code": "Code",
+  "network.recovery": "Wiederherstellung",
+  "network.friendlyMessage": "Dem Benutzer angezeigte Meldung",
+  "network.replayedAfterRefresh": "Nach Token-Aktualisierung wiederholt",
+};
+
+export default de;
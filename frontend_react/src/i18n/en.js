@@ -0,0 +1,462 @@
+/**
+ * English messages - the reference catalog. Every key must exist here; other
+ * languages may leave keys out and fall back to these.
+ */
+const en = {
+  // Shared
+  "common.dialog": "Dialog",
+  "common.closeDialog": "Close dialog",
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.save": "Save",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+  "common.copied": "Copied",
+  "common.pleaseWait": "Please wait...",
+  "common.copyFailed": "Copy failed",
+  "common.retry": "Retry",
+  "common.loading": "Loading...",
+  "common.reload": "Reload",
+  "common.copy": "Copy",
+
+  // Confirm and prompt dialogs
+  "dialogs.confirmTitle": "Are you sure?",
+  "dialogs.confirm": "Confirm",
+  "dialogs.promptTitle": "Enter a value",
+  "dialogs.ok": "OK",
+  "dialogs.value": "Value",
+  "dialogs.required": "Enter a value to continue.",
+
+  // Navigation
+  "nav.dashboard": "Dashboard",
+  "nav.profile": "Profile",
+  "nav.analytics": "Analytics",
+  "nav.plans": "Plans",
+  "nav.compare": "Compare",
+  "nav.apiExplorer": "API Explorer",
+  "nav.backend": "Backend: {target}",
+  "nav.inBrowserMock": "in-browser mock",
+  "nav.networkInspector": "Network inspector",
+  "nav.settings": "Settings",
+  "nav.login": "Login / Sign up",
+
+  // Account menu
+  "account.signedIn": "Signed-in accounts",
+  "account.accounts": "Accounts",
+  "account.signOutEmail": "Sign out {email}",
+  "account.signOutThis": "Sign out this account",
+  "account.expired": "expired",
+  "account.add": "+ Add account",
+  "account.signOut": "Sign out",
+  "account.signOutAll": "Sign out all",
+
+  // Settings
+  "settings.title": "Settings",
+  "settings.language": "Language",
+  "settings.languageHint": "Numbers and dates follow the language: {number} · {date}",
+  "settings.theme": "Theme",
+  "settings.themeLight": "Light",
+  "settings.themeDark": "Dark",
+  "settings.themeAuto": "Auto",
+  "settings.themeHighContrast": "High contrast",
+  "settings.environment": "Backend environment",
+  "settings.thresholds": "Usage warnings at (%)",
+  "settings.thresholdsHint": "Show a warning when a metered feature reaches these shares of its limit. Leave empty to turn warnings off.",
+  "settings.thresholdsInvalid": "Enter percentages between 1 and 100, separated by commas.",
+  "settings.crashLog": "Crash log",
+
+  // Theme and brand palette
+  "theme.autoHint": "Follows your system's light or dark setting (now: {theme}).",
+  "theme.highContrastHint": "Uses fixed high-contrast colors. Your palette applies to the other themes.",
+  "theme.palette": "Brand palette",
+  "theme.primary": "Primary",
+  "theme.accent": "Accent",
+  "theme.secondary": "Secondary",
+  "theme.pick": "{role} color picker",
+  "theme.hexInvalid": "Use a hex color like #1976d2.",
+  "theme.warning.primaryText": "White text on the primary color has {ratio}:1 contrast; at least {minimum}:1 is recommended.",
+  "theme.warning.primaryOnBackground": "Primary-colored links on the page background have {ratio}:1 contrast; at least {minimum}:1 is recommended.",
+  "theme.warning.accentText": "Button text on the accent color has {ratio}:1 contrast; at least {minimum}:1 is recommended.",
+  "theme.warning.secondaryText": "White text on the secondary color has {ratio}:1 contrast; at least {minimum}:1 is recommended.",
+  "theme.contrastOk": "All colors meet the recommended contrast.",
+  "theme.paletteInactive": "The high-contrast theme does not use this palette. Switch to another theme to check its contrast.",
+  "theme.export": "Export JSON",
+  "theme.importFile": "Import file",
+  "theme.paste": "Paste JSON",
+  "theme.pasteTitle": "Import a palette",
+  "theme.pasteLabel": "Palette JSON",
+  "theme.import": "Import",
+  "theme.importInvalid": "That is not a palette. Expected JSON with primary, accent and secondary hex colors.",
+  "theme.imported": "Palette imported.",
+  "theme.reset": "Reset to default colors",
+
+  // Backend environments
+  "environments.mockBackend": "In-browser mock backend",
+  "environments.sameOrigin": "{origin} (same origin)",
+  "environments.active": "Active",
+  "environments.testing": "Testing...",
+  "environments.test": "Test",
+  "environments.use": "Use",
+  "environments.name": "Name",
+  "environments.baseUrl": "Base URL",
+  "environments.add": "+ Add environment",
+  "environments.addSubmit": "Add environment",
+  "environments.hint": "Each environment keeps its own login; switching does not send your credentials to another backend.",
+  "environments.mockAccounts": "Mock demo accounts: free@tata.co.in, pro@tata.co.in, enterprise@tata.co.in (password: {password}).",
+  "environments.reachable": "Reachable",
+  "environments.unreachable": "Unreachable",
+  "environments.nameRequired": "Name is required.",
+  "environments.baseUrlInvalid": "Base URL must start with http:// or https://",
+  "environments.nameTaken": "An environment named \"{name}\" already exists.",
+  "environments.deleteTitle": "Delete this environment?",
+  "environments.deleteMessage": "\"{name}\" will be removed from this browser. If it is active, requests go back to Default.",
+
+  // Login, sign up and password reset requests
+  "login.titleLogin": "Welcome back",
+  "login.titleSignup": "Create your account",
+  "login.titleAddAccount": "Add another account",
+  "login.titleForgot": "Reset your password",
+  "login.email": "Email",
+  "login.password": "Password",
+  "login.packageTier": "Package tier",
+  "login.submit": "Login",
+  "login.createAccount": "Create account",
+  "login.sendResetLink": "Send reset link",
+  "login.missingCredentials": "Please enter email and password.",
+  "login.forgotPassword": "Forgot password?",
+  "login.forgotHint": "Enter your account's email and we'll send you a link to choose a new password.",
+  "login.resetFailed": "Could not request a reset",
+  "login.resetSent": "If an account exists for {email}, we've sent a link to reset its password.",
+  "login.mockNoEmail": "The mock backend doesn't send email.",
+  "login.openResetLink": "Open the reset link",
+  "login.backToLogin": "Back to login",
+  "login.noAccount": "Don't have an account?",
+  "login.createOne": "Create one",
+  "login.remembered": "Remembered it?",
+  "login.haveAccount": "Already have an account?",
+  "login.logIn": "Log in",
+
+  // Email domain policy
+  "email.invalid": "Enter a valid email address.",
+  "email.acceptedDomains": "Accepted domains: {domains}.",
+  "email.blocked": "Emails at @{domain} are not accepted.",
+  "email.mustEndWith": "Email must end with {domains}.",
+  "email.anyDomain": "any domain",
+  "email.anySubdomain": "any subdomain of {domain}",
+
+  // Session
+  "auth.sessionExpired": "Your session has expired. Please log in again.",
+  "auth.sessionExpiredFor": "The session for {email} has expired. Log in again to continue.",
+  "auth.logInAgain": "Log in again",
+  "auth.refreshPending": "Still renewing your session. Please try again in a moment.",
+  "auth.profileLoadFailed": "Couldn't load your profile: {message}",
+  "auth.loginFailed": "Login failed",
+  "auth.signupFailed": "Signup failed",
+  "auth.refreshFailed": "Failed to refresh profile",
+  "auth.loginToChangePlan": "Log in to change your plan.",
+
+  // API errors
+  "errors.unexpected": "An unexpected error occurred.",
+  "errors.requestFailed": "Request failed with status {status}",
+  "errors.network": "Failed to reach the backend ({target}).",
+  "errors.timeout": "The backend did not respond in time ({target}).",
+  "errors.sessionExpired": "Your session is invalid or has expired. Please log in again.",
+  "errors.rateLimited": "The backend is rate limiting requests.",
+  "errors.rateLimitedRetry": "The backend is rate limiting requests. Try again in {seconds} s.",
+  "errors.requestId": "Request ID: {id}",
+  "errors.troubleshooting": "Troubleshooting",
+  "errors.hint.attempted": "Attempted base URL: {baseUrl}",
+  "errors.hint.gaveUp_one": "Gave up after {count} automatic retry",
+  "errors.hint.gaveUp_other": "Gave up after {count} automatic retries",
+  "errors.hint.causes": [
+    "Possible causes:",
+    "  • REACT_APP_BACKEND_URL not set or incorrect",
+    "  • Backend is not running or not accessible",
+    "  • CORS not allowing origin {origin}",
+    "  • Mixed-content or TLS/hostname mismatch",
+  ].join("\n"),
+  "errors.hint.resolution": [
+    "Resolution:",
+    "  • Set REACT_APP_BACKEND_URL in your .env to your backend URL (e.g., http://localhost:3001)",
+    "  • Ensure backend CORS allows the frontend origin",
+    "  • Verify backend is reachable via the browser",
+  ].join("\n"),
+
+  // Automatic retries
+  "retry.timeout": "timeout",
+  "retry.networkError": "network error",
+
+  // Notifications
+  "toast.dismiss": "Dismiss notification",
+
+  // Crash reports
+  "crash.none": "No crashes recorded.",
+  "crash.copyReport": "Copy report",
+  "crash.count_one": "{count} saved on this device.",
+  "crash.count_other": "{count} saved on this device.",
+  "crash.clear": "Clear crash log",
+  "crash.clearTitle": "Clear the crash log?",
+  "crash.clearMessage_one": "The saved crash report will be deleted.",
+  "crash.clearMessage_other": "All {count} saved crash reports will be deleted.",
+  "crash.title": "Something went wrong",
+  "crash.routeMessage": "This page hit an unexpected error. The rest of the app still works.",
+  "crash.appMessage": "The app hit an unexpected error.",
+  "crash.goHome": "Go home",
+  "crash.copyDiagnostic": "Copy diagnostic report",
+  "crash.saved": "The error was saved to the local crash log (Settings → Crash log).",
+
+  // Usage meters and warnings
+  "usage.noMeters": "No metered features on your plan.",
+  "usage.meterDay": "{used} / {limit} today",
+  "usage.meterMonth": "{used} / {limit} this month",
+  "usage.fromServer": "Reported by the backend",
+  "usage.fromBrowser": "Counted in this browser",
+  "usage.resets": "resets {date}",
+  "usage.warningFull": "You have used all {limit} of your {feature} for this period.",
+  "usage.warning": "You have used {percent} of your {feature} ({used} of {limit}).",
+  "usage.upgrade": "Upgrade plan",
+  "usage.dismiss": "Dismiss usage warning",
+
+  // Route guard
+  "guard.signInTitle": "Sign in required",
+  "guard.signInDescription": "Log in to continue to this page.",
+  "guard.featureMissing": "{feature} not included",
+  "guard.planRequired": "{plan} plan required",
+  "guard.featureHint": "This page needs {feature}, which your plan does not include.",
+  "guard.planHint": "This page is available on the {plan} plan and above.",
+  "guard.currentPlan": "You are on the {plan} plan.",
+  "guard.unknownPlan": "unknown",
+  "guard.comparePlans": "Compare plans",
+  "guard.loadFailed": "Could not check your access to this page",
+  "guard.confirmUpgradeTitle": "Upgrade to the {plan} plan?",
+
+  // Dashboard
+  "dashboard.welcomeTitle": "Welcome to TATA ELXSI MOCK API",
+  "dashboard.welcomeDescription": "Sign in to see content tailored to your subscription package.",
+  "dashboard.retrying": "Connection problem ({reason}). Retrying, attempt {attempt} of {retries}...",
+  "dashboard.package": "Your Package",
+  "dashboard.email": "Email:",
+  "dashboard.userId": "User ID:",
+  "dashboard.features": "Features",
+  "dashboard.enabled": "Enabled",
+  "dashboard.disabled": "Disabled",
+  "dashboard.limit": "Limit: {limit}",
+  "dashboard.noFeatures": "No features available",
+  "dashboard.usage": "Usage",
+  "dashboard.content": "Tailored Content",
+  "dashboard.export": "Export JSON",
+  "dashboard.exportsLeft_one": "({count} left today)",
+  "dashboard.exportsLeft_other": "({count} left today)",
+  "dashboard.exportNotIncluded": "Data export is not included in your plan",
+  "dashboard.exportLimitReached": "Daily export limit reached",
+  "dashboard.noContent": "No content yet. Try again later.",
+
+  // Analytics
+  "analytics.empty": "No analytics reported yet.",
+
+  // Profile
+  "profile.loginDescription": "Log in to view your profile and manage your plan.",
+  "profile.title": "Profile",
+  "profile.userId": "User ID",
+  "profile.email": "Email",
+  "profile.currentPackage": "Current Package",
+  "profile.changePackage": "Change your subscription package",
+  "profile.selectPlan": "Select Plan",
+  "profile.updating": "Updating...",
+  "profile.updatePlan": "Update Plan",
+  "profile.planUpdated": "Plan updated to \"{plan}\".",
+  "profile.changeHint": "Changing your plan will immediately affect your available features and API responses.",
+  "profile.compareHint": "to see what each package includes.",
+
+  // Plans
+  "plans.feature": "Feature",
+  "plans.included": "Included",
+  "plans.notIncluded": "Not included",
+  "plans.currentPlan": "Current plan",
+  "plans.illustrative": "Illustrative",
+  "plans.yourPlan": "Your plan",
+  "plans.switching": "Switching...",
+  "plans.switchTo": "Switch to {plan}",
+  "plans.continueTo": "Continue to {path}",
+  "plans.loginToSwitch": "Log in to switch plans.",
+  "plans.illustrativeHint": "Columns marked illustrative show the sample plan catalog; {backend} may grant different features and limits.",
+  "plans.updateFailed": "Failed to update plan",
+  "plans.upgraded": "Upgraded to {plan}.",
+  "plans.upgrading": "Upgrading...",
+  "plans.upgradeTo": "Upgrade to {plan}",
+
+  // Plan features (labels for known /dashboard/me feature keys)
+  "features.basic_content": "Basic content",
+  "features.api_calls": "API calls per day",
+  "features.analytics": "Usage analytics",
+  "features.data_export": "Data export",
+  "features.priority_support": "Priority support",
+  "features.custom_integrations": "Custom integrations",
+
+  // Content renderer
+  "content.view": "Content view",
+  "content.formatted": "Formatted",
+  "content.raw": "Raw JSON",
+  "content.yes": "Yes",
+  "content.no": "No",
+  "content.rows_one": "{count} row",
+  "content.rows_other": "{count} rows",
+  "content.sortBy": "Sort by {column}",
+  "content.showAll": "Show all {count} rows",
+
+  // Reset password page
+  "resetPage.title": "Choose a new password",
+  "resetPage.token": "Reset token",
+  "resetPage.newPassword": "New password",
+  "resetPage.confirmPassword": "Confirm new password",
+  "resetPage.submit": "Reset password",
+  "resetPage.failed": "Could not reset password",
+  "resetPage.tokenRequired": "Paste the token from your reset email.",
+  "resetPage.tooShort_one": "Use at least {count} character.",
+  "resetPage.tooShort_other": "Use at least {count} characters.",
+  "resetPage.mismatch": "Passwords don't match.",
+  "resetPage.done": "Your password has been reset. You can now log in.",
+  "resetPage.expired": "Link expired?",
+  "resetPage.requestNew": "Request a new one",
+  "resetPage.fromLogin": "from the login dialog's \"Forgot password?\" option.",
+
+  // API Explorer
+  "explorer.loggedOut": "You are not logged in, so protected endpoints will return 401.",
+  "explorer.endpoints": "Endpoints",
+  "explorer.specFailed": "Failed to load the OpenAPI document",
+  "explorer.snippets": "Code snippets",
+  "explorer.requestFailed": "Request failed",
+  "explorer.quotaExceeded": "Quota exceeded.",
+  "explorer.quotaUsedUp": "Your plan's API call allowance is used up.",
+  "explorer.quotaResets": "It resets {date}.",
+  "explorer.upgradeForLimit": "Upgrade for a higher limit",
+  "explorer.response": "Response",
+  "explorer.documentedResponses": "Documented responses",
+  "explorer.noDocumentedResponses": "No documented responses.",
+  "explorer.filter": "Filter endpoints",
+  "explorer.requiresAuth": "Requires authentication",
+  "explorer.noMatch": "No endpoints match.",
+
+  // Request composer
+  "composer.method": "HTTP method",
+  "composer.baseUrl": "Backend base URL ({name})",
+  "composer.path": "Request path",
+  "composer.send": "Send",
+  "composer.sending": "Sending...",
+  "composer.params": "Params",
+  "composer.headers": "Headers",
+  "composer.body": "Body",
+  "composer.addParam": "Add query param",
+  "composer.header": "Header",
+  "composer.addHeader": "Add header",
+  "composer.field": "Field",
+  "composer.addField": "Add field",
+  "composer.authHint": "The Authorization header is added automatically when you are logged in.",
+  "composer.noBody": "{method} requests do not send a body.",
+  "composer.bodyType.none": "None",
+  "composer.bodyType.json": "JSON",
+  "composer.bodyType.form": "Form (urlencoded)",
+  "composer.jsonBody": "JSON body",
+  "composer.pathRequired": "Enter a path, e.g. /api/content",
+  "composer.absoluteUrl": "Enter a path on the active backend, e.g. /api/content. Full URLs are not sent, so your session stays with this backend.",
+  "composer.invalidJson": "Body is not valid JSON: {message}",
+
+  // Generated operation forms
+  "form.select": "Select...",
+  "form.notSet": "(not set)",
+  "form.noParameters": "This endpoint takes no parameters.",
+  "form.editInComposer": "Edit in composer",
+  "form.required": "This field is required",
+  "form.wholeNumber": "Must be a whole number",
+  "form.number": "Must be a number",
+  "form.json": "Must be valid JSON",
+  "form.oneOf": "Must be one of: {values}",
+
+  // Key/value editor
+  "kv.include": "Include row",
+  "kv.key": "Key",
+  "kv.value": "Value",
+  "kv.remove": "Remove row",
+  "kv.add": "Add row",
+
+  // Code snippets
+  "snippets.source": "Snippet source",
+  "snippets.composer": "Composer",
+  "snippets.lastSent": "Last sent",
+  "snippets.includeToken": "Include my token",
+  "snippets.tokenWarning": "This snippet contains your live access token. Do not share it.",
+  "snippets.invalid": "Fix the request in the composer to generate a snippet.",
+
+  // Response viewer
+  "response.emptyBody": "(empty body)",
+  "response.noHeaders": "No headers.",
+
+  // JSON diff
+  "diff.none": "No differences.",
+  "diff.added": "{count} added",
+  "diff.removed": "{count} removed",
+  "diff.changed": "{count} changed",
+  "diff.left": "Left",
+  "diff.right": "Right",
+
+  // Content comparison
+  "compare.before": "Before {from} → {to}",
+  "compare.after": "After {from} → {to}",
+  "compare.selectSnapshot": "Select a snapshot...",
+  "compare.capture": "Capture content",
+  "compare.loggedOut": "Log in to capture new snapshots. Saved snapshots can still be compared.",
+  "compare.capturing": "Capturing...",
+  "compare.snapshot": "Snapshot current content",
+  "compare.acrossPlans": "Compare across a plan change",
+  "compare.switchTo": "Switch to...",
+  "compare.switchAndCompare": "Switch and compare",
+  "compare.switchHint": "Captures content before and after changing your plan.",
+  "compare.saved": "Saved snapshots",
+  "compare.delete": "Delete {label}",
+  "compare.none": "No snapshots yet.",
+  "compare.deleteTitle": "Delete this snapshot?",
+  "compare.deleteMessage": "\"{label}\" will be deleted from this browser.",
+  "compare.nameTitle": "Name the snapshot",
+  "compare.nameLabel": "Label",
+  "compare.namePlaceholder": "Leave empty to use the plan and time",
+  "compare.diff": "Content diff",
+  "compare.ignoreKeys": "Ignore keys",
+  "compare.onlyChanges": "Only show changes",
+  "compare.pickTwo": "Pick two snapshots to compare.",
+
+  // Network inspector
+  "network.title": "Network",
+  "network.filter": "Filter requests",
+  "network.filterPlaceholder": "Filter by URL, method or status",
+  "network.status.all": "All",
+  "network.status.failed": "Failed",
+  "network.pause": "Pause",
+  "network.resume": "Resume",
+  "network.clear": "Clear",
+  "network.close": "Close network inspector",
+  "network.method": "Method",
+  "network.url": "URL",
+  "network.status": "Status",
+  "network.time": "Time",
+  "network.size": "Size",
+  "network.mock": "mock",
+  "network.failed": "failed",
+  "network.noMatch": "No requests match the filter.",
+  "network.empty": "No requests recorded yet.",
+  "network.replay": "Replay request",
+  "network.replaying": "Replaying...",
+  "network.tab.headers": "Headers",
+  "network.tab.request": "Request",
+  "network.tab.response": "Response",
+  "network.tab.error": "Error",
+  "network.requestHeaders": "Request headers",
+  "network.responseHeaders": "Response headers",
+  "network.noBody": "(no body)",
+  "network.error": "Error",
+  "network.code": "Code",
+  "network.recovery": "Recovery",
+  "network.friendlyMessage": "Message shown to the user",
+  "network.replayedAfterRefresh": "Replayed after token refresh",
+};
+
+export default en;
@@ -0,0 +1,459 @@
+/** Hindi messages. Keys missing here fall back to English (see i18n/en.js). */
+const hi = {
+  // Shared
+  "common.dialog": "डायलॉग",
+  "common.closeDialog": "डायलॉग बंद करें",
+  "common.close": "बंद करें",
+  "common.cancel": "रद्द करें",
+  "common.save": "सहेजें",
+  "common.edit": "संपादित करें",
+  "common.delete": "हटाएँ",
+  "common.copied": "कॉपी हो गया",
+  "common.pleaseWait": "कृपया प्रतीक्षा करें...",
+  "common.copyFailed": "कॉपी नहीं हो सका",
+  "common.retry": "फिर से प्रयास करें",
+  "common.loading": "लोड हो रहा है...",
+  "common.reload": "फिर से लोड करें",
+  "common.copy": "कॉपी करें",
+
+  // Confirm and prompt dialogs
+  "dialogs.confirmTitle": "क्या आप निश्चित हैं?",
+  "dialogs.confirm": "पुष्टि करें",
+  "dialogs.promptTitle": "मान दर्ज करें",
+  "dialogs.ok": "ठीक है",
+  "dialogs.value": "मान",
+  "dialogs.required": "जारी रखने के लिए एक मान दर्ज करें।",
+
+  // Navigation
+  "nav.dashboard": "डैशबोर्ड",
+  "nav.profile": "प्रोफ़ाइल",
+  "nav.analytics": "एनालिटिक्स",
+  "nav.plans": "प्लान",
+  "nav.compare": "तुलना",
+  "nav.apiExplorer": "API एक्सप्लोरर",
+  "nav.backend": "बैकएंड: {target}",
+  "nav.inBrowserMock": "ब्राउज़र में मॉक",
+  "nav.networkInspector": "नेटवर्क इंस्पेक्टर",
+  "nav.settings": "सेटिंग्स",
+  "nav.login": "लॉग इन / साइन अप",
+
+  // Account menu
+  "account.signedIn": "साइन-इन किए गए खाते",
+  "account.accounts": "खाते",
+  "account.signOutEmail": "{email} से साइन आउट करें",
+  "account.signOutThis": "इस खाते से साइन आउट करें",
+  "account.expired": "समाप्त",
+  "account.add": "+ खाता जोड़ें",
+  "account.signOut": "साइन आउट",
+  "account.signOutAll": "सभी से साइन आउट",
+
+  // Settings
+  "settings.title": "सेटिंग्स",
+  "settings.language": "भाषा",
+  "settings.languageHint": "संख्याएँ और तारीखें भाषा के अनुसार दिखती हैं: {number} · {date}",
+  "settings.theme": "थीम",
+  "settings.themeLight": "हल्की",
+  "settings.themeDark": "गहरी",
+  "settings.themeAuto": "स्वचालित",
+  "settings.themeHighContrast": "हाई कॉन्ट्रास्ट",
+  "settings.environment": "बैकएंड एनवायरनमेंट",
+  "settings.thresholds": "उपयोग चेतावनी (%) पर",
+  "settings.thresholdsHint": "जब कोई मीटर की गई सुविधा अपनी सीमा के इन हिस्सों तक पहुँचे तो चेतावनी दिखाएँ। चेतावनियाँ बंद करने के लिए खाली छोड़ें।",
+  "settings.thresholdsInvalid": "1 से 100 के बीच प्रतिशत दर्ज करें, अल्पविराम से अलग करके।",
+  "settings.crashLog": "क्रैश लॉग",
+
+  // Theme and brand palette
+  "theme.autoHint": "आपके सिस्टम की लाइट या डार्क सेटिंग का पालन करता है (अभी: {theme})।",
+  "theme.highContrastHint": "तय हाई-कॉन्ट्रास्ट रंगों का उपयोग करता है। आपका पैलेट अन्य थीम पर लागू होता है।",
+  "theme.palette": "ब्रांड पैलेट",
+  "theme.primary": "प्राथमिक",
+  "theme.accent": "एक्सेंट",
+  "theme.secondary": "द्वितीयक",
+  "theme.pick": "{role} रंग चुनें",
+  "theme.hexInvalid": "#1976d2 जैसा हेक्स रंग इस्तेमाल करें।",
+  "theme.warning.primaryText": "प्राथमिक रंग पर सफ़ेद टेक्स्ट का कॉन्ट्रास्ट {ratio}:1 है; कम से कम {minimum}:1 की सलाह दी जाती है।",
+  "theme.warning.primaryOnBackground": "पेज की पृष्ठभूमि पर प्राथमिक रंग के लिंक का कॉन्ट्रास्ट {ratio}:1 है; कम से कम {minimum}:1 की सलाह दी जाती है।",
+  "theme.warning.accentText": "एक्सेंट रंग पर बटन टेक्स्ट का कॉन्ट्रास्ट {ratio}:1 है; कम से कम {minimum}:1 की सलाह दी जाती है।",
+  "theme.warning.secondaryText": "द्वितीयक रंग पर सफ़ेद टेक्स्ट का कॉन्ट्रास्ट {ratio}:1 है; कम से कम {minimum}:1 की सलाह दी जाती है।",
+  "theme.contrastOk": "सभी रंग अनुशंसित कॉन्ट्रास्ट पूरा करते हैं।",
+  "theme.paletteInactive": "हाई-कंट्रास्ट थीम इस पैलेट का उपयोग नहीं करती। इसके कंट्रास्ट की जाँच के लिए कोई दूसरी थीम चुनें।",
+  "theme.export": "JSON एक्सपोर्ट करें",
+  "theme.importFile": "फ़ाइल इम्पोर्ट करें",
+  "theme.paste": "JSON पेस्ट करें",
+  "theme.pasteTitle": "पैलेट इम्पोर्ट करें",
+  "theme.pasteLabel": "पैलेट JSON",
+  "theme.import": "इम्पोर्ट करें",
+  "theme.importInvalid": "यह पैलेट नहीं है। primary, accent और secondary हेक्स रंगों वाला JSON अपेक्षित है।",
+  "theme.imported": "पैलेट इम्पोर्ट हो गया।",
+  "theme.reset": "डिफ़ॉल्ट रंग वापस लाएँ",
+
+  // Backend environments
+  "environments.mockBackend": "ब्राउज़र में मॉक बैकएंड",
+  "environments.sameOrigin": "{origin} (समान ओरिजिन)",
+  "environments.active": "सक्रिय",
+  "environments.testing": "जाँच हो रही है...",
+  "environments.test": "जाँचें",
+  "environments.use": "उपयोग करें",
+  "environments.name": "नाम",
+  "environments.baseUrl": "बेस URL",
+  "environments.add": "+ एनवायरनमेंट जोड़ें",
+  "environments.addSubmit": "एनवायरनमेंट जोड़ें",
+  "environments.hint": "हर एनवायरनमेंट का अपना लॉगिन होता है; बदलने पर आपके क्रेडेंशियल किसी दूसरे बैकएंड को नहीं भेजे जाते।",
+  "environments.mockAccounts": "मॉक डेमो खाते: free@tata.co.in, pro@tata.co.in, enterprise@tata.co.in (पासवर्ड: {password})।",
+  "environments.reachable": "पहुँच योग्य",
+  "environments.unreachable": "पहुँच से बाहर",
+  "environments.nameRequired": "नाम आवश्यक है।",
+  "environments.baseUrlInvalid": "बेस URL http:// या https:// से शुरू होना चाहिए",
+  "environments.nameTaken": "\"{name}\" नाम का एनवायरनमेंट पहले से मौजूद है।",
+  "environments.deleteTitle": "यह एनवायरनमेंट हटाएँ?",
+  "environments.deleteMessage": "\"{name}\" इस ब्राउज़र से हटा दिया जाएगा। यदि यह सक्रिय है, तो अनुरोध फिर से Default पर जाएँगे।",
+
+  // Login, sign up and password reset requests
+  "login.titleLogin": "फिर से स्वागत है",
+  "login.titleSignup": "अपना खाता बनाएँ",
+  "login.titleAddAccount": "एक और खाता जोड़ें",
+  "login.titleForgot": "अपना पासवर्ड रीसेट करें",
+  "login.email": "ईमेल",
+  "login.password": "पासवर्ड",
+  "login.packageTier": "पैकेज स्तर",
+  "login.submit": "लॉग इन",
+  "login.createAccount": "खाता बनाएँ",
+  "login.sendResetLink": "रीसेट लिंक भेजें",
+  "login.missingCredentials": "कृपया ईमेल और पासवर्ड दर्ज करें।",
+  "login.forgotPassword": "पासवर्ड भूल गए?",
+  "login.forgotHint": "अपने खाते का ईमेल दर्ज करें, हम आपको नया पासवर्ड चुनने के लिए एक लिंक भेजेंगे।",
+  "login.resetFailed": "रीसेट का अनुरोध नहीं किया जा सका",
+  "login.resetSent": "यदि {email} के लिए कोई खाता मौजूद है, तो हमने उसका पासवर्ड रीसेट करने का लिंक भेज दिया है।",
+  "login.mockNoEmail": "मॉक बैकएंड ईमेल नहीं भेजता।",
+  "login.openResetLink": "रीसेट लिंक खोलें",
+  "login.backToLogin": "लॉगिन पर वापस जाएँ",
+  "login.noAccount": "खाता नहीं है?",
+  "login.createOne": "नया बनाएँ",
+  "login.remembered": "याद आ गया?",
+  "login.haveAccount": "पहले से खाता है?",
+  "login.logIn": "लॉग इन करें",
+
+  // Email domain policy
+  "email.invalid": "एक मान्य ईमेल पता दर्ज करें।",
+  "email.acceptedDomains": "स्वीकृत डोमेन: {domains}।",
+  "email.blocked": "@{domain} के ईमेल स्वीकार नहीं किए जाते।",
+  "email.mustEndWith": "ईमेल {domains} पर समाप्त होना चाहिए।",
+  "email.anyDomain": "कोई भी डोमेन",
+  "email.anySubdomain": "{domain} का कोई भी सबडोमेन",
+
+  // Session
+  "auth.sessionExpired": "आपका सत्र समाप्त हो गया है। कृपया फिर से लॉग इन करें।",
+  "auth.sessionExpiredFor": "{email} का सत्र समाप्त हो गया है। जारी रखने के लिए फिर से लॉग इन करें।",
+  "auth.logInAgain": "फिर से लॉग इन करें",
+  "auth.refreshPending": "आपका सत्र अभी नवीनीकृत हो रहा है। कृपया थोड़ी देर में फिर से प्रयास करें।",
+  "auth.profileLoadFailed": "आपकी प्रोफ़ाइल लोड नहीं हो सकी: {message}",
+  "auth.loginFailed": "लॉग इन विफल रहा",
+  "auth.signupFailed": "साइन अप विफल रहा",
+  "auth.refreshFailed": "प्रोफ़ाइल रीफ़्रेश नहीं हो सकी",
+  "auth.loginToChangePlan": "अपना प्लान बदलने के लिए लॉग इन करें।",
+
+  // API errors
+  "errors.unexpected": "एक अप्रत्याशित त्रुटि हुई।",
+  "errors.requestFailed": "अनुरोध स्टेटस {status} के साथ विफल रहा",
+  "errors.network": "बैकएंड तक नहीं पहुँचा जा सका ({target})।",
+  "errors.timeout": "बैकएंड ने समय पर जवाब नहीं दिया ({target})।",
+  "errors.sessionExpired": "आपका सत्र अमान्य है या समाप्त हो गया है। कृपया फिर से लॉग इन करें।",
+  "errors.rateLimited": "बैकएंड अनुरोधों को सीमित कर रहा है।",
+  "errors.rateLimitedRetry": "बैकएंड अनुरोधों को सीमित कर रहा है। {seconds} सेकंड बाद फिर से प्रयास करें।",
+  "errors.requestId": "अनुरोध ID: {id}",
+  "errors.troubleshooting": "समस्या निवारण",
+  "errors.hint.attempted": "आज़माया गया बेस URL: {baseUrl}",
+  "errors.hint.gaveUp_one": "{count} स्वचालित पुनःप्रयास के बाद छोड़ दिया",
+  "errors.hint.gaveUp_other": "{count} स्वचालित पुनःप्रयासों के बाद छोड़ दिया",
+  "errors.hint.causes": [
+    "संभावित कारण:",
+    "  • REACT_APP_BACKEND_URL सेट नहीं है या गलत है",
+    "  • बैकएंड चल नहीं रहा है या उस तक पहुँच नहीं है",
+    "  • CORS ओरिजिन {origin} की अनुमति नहीं देता",
+    "  • मिक्स्ड-कंटेंट या TLS/होस्टनाम का मेल नहीं",
+  ].join("\n"),
+  "errors.hint.resolution": [
+    "समाधान:",
+    "  • अपनी .env में REACT_APP_BACKEND_URL को अपने बैकएंड URL पर सेट करें (जैसे http://localhost:3001)",
+    "  • सुनिश्चित करें कि बैकएंड CORS फ्रंटएंड ओरिजिन की अनुमति देता है",
+    "  • जाँचें कि बैकएंड ब्राउज़र से पहुँच योग्य है",
+  ].join("\n"),
+
+  // Automatic retries
+  "retry.timeout": "टाइमआउट",
+  "retry.networkError": "नेटवर्क त्रुटि",
+
+  // Notifications
+  "toast.dismiss": "सूचना हटाएँ",
+
+  // Crash reports
+  "crash.none": "कोई क्रैश दर्ज नहीं है।",
+  "crash.copyReport": "रिपोर्ट कॉपी करें",
+  "crash.count_one": "इस डिवाइस पर {count} सहेजा गया।",
+  "crash.count_other": "इस डिवाइस पर {count} सहेजे गए।",
+  "crash.clear": "क्रैश लॉग साफ़ करें",
+  "crash.clearTitle": "क्रैश लॉग साफ़ करें?",
+  "crash.clearMessage_one": "सहेजी गई क्रैश रिपोर्ट हटा दी जाएगी।",
+  "crash.clearMessage_other": "सहेजी गई सभी {count} क्रैश रिपोर्ट हटा दी जाएँगी।",
+  "crash.title": "कुछ गलत हो गया",
+  "crash.routeMessage": "इस पेज में एक अप्रत्याशित त्रुटि हुई। ऐप का बाकी हिस्सा अब भी काम करता है।",
+  "crash.appMessage": "ऐप में एक अप्रत्याशित त्रुटि हुई।",
+  "crash.goHome": "होम पर जाएँ",
+  "crash.copyDiagnostic": "डायग्नोस्टिक रिपोर्ट कॉपी करें",
+  "crash.saved": "त्रुटि स्थानीय क्रैश लॉग में सहेज ली गई है (सेटिंग्स → क्रैश लॉग)।",
+
+  // Usage meters and warnings
+  "usage.noMeters": "आपके प्लान में कोई मीटर की गई सुविधा नहीं है।",
+  "usage.meterDay": "आज {used} / {limit}",
+  "usage.meterMonth": "इस महीने {used} / {limit}",
+  "usage.fromServer": "बैकएंड द्वारा बताया गया",
+  "usage.fromBrowser": "इस ब्राउज़र में गिना गया",
+  "usage.resets": "{date} को रीसेट होगा",
+  "usage.warningFull": "आपने इस अवधि के लिए {feature} की पूरी सीमा ({limit}) का उपयोग कर लिया है।",
+  "usage.warning": "आपने {feature} का {percent} उपयोग कर लिया है ({limit} में से {used})।",
+  "usage.upgrade": "प्लान अपग्रेड करें",
+  "usage.dismiss": "उपयोग चेतावनी हटाएँ",
+
+  // Route guard
+  "guard.signInTitle": "साइन इन आवश्यक है",
+  "guard.signInDescription": "इस पेज पर जाने के लिए लॉग इन करें।",
+  "guard.featureMissing": "{feature} शामिल नहीं है",
+  "guard.planRequired": "{plan} प्लान आवश्यक है",
+  "guard.featureHint": "इस पेज के लिए {feature} चाहिए, जो आपके प्लान में शामिल नहीं है।",
+  "guard.planHint": "यह पेज {plan} और उससे ऊपर के प्लान पर उपलब्ध है।",
+  "guard.currentPlan": "आप {plan} प्लान पर हैं।",
+  "guard.unknownPlan": "अज्ञात",
+  "guard.comparePlans": "प्लान की तुलना करें",
+  "guard.loadFailed": "इस पेज तक आपकी पहुँच की जाँच नहीं हो सकी",
+  "guard.confirmUpgradeTitle": "{plan} प्लान में अपग्रेड करें?",
+
+  // Dashboard
+  "dashboard.welcomeTitle": "TATA ELXSI MOCK API में आपका स्वागत है",
+  "dashboard.welcomeDescription": "अपने सब्सक्रिप्शन पैकेज के अनुरूप सामग्री देखने के लिए साइन इन करें।",
+  "dashboard.retrying": "कनेक्शन समस्या ({reason})। फिर से प्रयास, {retries} में से {attempt}...",
+  "dashboard.package": "आपका पैकेज",
+  "dashboard.email": "ईमेल:",
+  "dashboard.userId": "यूज़र ID:",
+  "dashboard.features": "सुविधाएँ",
+  "dashboard.enabled": "सक्षम",
+  "dashboard.disabled": "अक्षम",
+  "dashboard.limit": "सीमा: {limit}",
+  "dashboard.noFeatures": "कोई सुविधा उपलब्ध नहीं",
+  "dashboard.usage": "उपयोग",
+  "dashboard.content": "आपके लिए सामग्री",
+  "dashboard.export": "JSON निर्यात करें",
+  "dashboard.exportsLeft_one": "(आज {count} शेष)",
+  "dashboard.exportsLeft_other": "(आज {count} शेष)",
+  "dashboard.exportNotIncluded": "डेटा निर्यात आपके प्लान में शामिल नहीं है",
+  "dashboard.exportLimitReached": "दैनिक निर्यात सीमा पूरी हो गई",
+  "dashboard.noContent": "अभी कोई सामग्री नहीं है। बाद में फिर से प्रयास करें।",
+
+  // Analytics
+  "analytics.empty": "अभी तक कोई एनालिटिक्स उपलब्ध नहीं है।",
+
+  // Profile
+  "profile.loginDescription": "अपनी प्रोफ़ाइल देखने और प्लान प्रबंधित करने के लिए लॉग इन करें।",
+  "profile.title": "प्रोफ़ाइल",
+  "profile.userId": "यूज़र ID",
+  "profile.email": "ईमेल",
+  "profile.currentPackage": "वर्तमान पैकेज",
+  "profile.changePackage": "अपना सब्सक्रिप्शन पैकेज बदलें",
+  "profile.selectPlan": "प्लान चुनें",
+  "profile.updating": "अपडेट हो रहा है...",
+  "profile.updatePlan": "प्लान अपडेट करें",
+  "profile.planUpdated": "प्लान \"{plan}\" में बदल दिया गया।",
+  "profile.changeHint": "प्लान बदलने से आपकी उपलब्ध सुविधाएँ और API प्रतिक्रियाएँ तुरंत बदल जाएँगी।",
+  "profile.compareHint": "और देखें कि हर पैकेज में क्या शामिल है।",
+
+  // Plans
+  "plans.feature": "सुविधा",
+  "plans.included": "शामिल",
+  "plans.notIncluded": "शामिल नहीं",
+  "plans.currentPlan": "वर्तमान प्लान",
+  "plans.illustrative": "उदाहरणात्मक",
+  "plans.yourPlan": "आपका प्लान",
+  "plans.switching": "बदला जा रहा है...",
+  "plans.switchTo": "{plan} पर जाएँ",
+  "plans.continueTo": "{path} पर जारी रखें",
+  "plans.loginToSwitch": "प्लान बदलने के लिए लॉग इन करें।",
+  "plans.illustrativeHint": "उदाहरणात्मक चिह्नित कॉलम नमूना प्लान कैटलॉग दिखाते हैं; {backend} अलग सुविधाएँ और सीमाएँ दे सकता है।",
+  "plans.updateFailed": "प्लान अपडेट नहीं हो सका",
+  "plans.upgraded": "{plan} पर अपग्रेड हो गया।",
+  "plans.upgrading": "अपग्रेड हो रहा है...",
+  "plans.upgradeTo": "{plan} पर अपग्रेड करें",
+
+  // Plan features (labels for known /dashboard/me feature keys)
+  "features.basic_content": "बुनियादी सामग्री",
+  "features.api_calls": "प्रति दिन API कॉल",
+  "features.analytics": "उपयोग विश्लेषण",
+  "features.data_export": "डेटा निर्यात",
+  "features.priority_support": "प्राथमिकता सहायता",
+  "features.custom_integrations": "कस्टम इंटीग्रेशन",
+
+  // Content renderer
+  "content.view": "सामग्री दृश्य",
+  "content.formatted": "फ़ॉर्मैट किया हुआ",
+  "content.raw": "रॉ JSON",
+  "content.yes": "हाँ",
+  "content.no": "नहीं",
+  "content.rows_one": "{count} पंक्ति",
+  "content.rows_other": "{count} पंक्तियाँ",
+  "content.sortBy": "{column} के अनुसार क्रमबद्ध करें",
+  "content.showAll": "सभी {count} पंक्तियाँ दिखाएँ",
+
+  // Reset password page
+  "resetPage.title": "नया पासवर्ड चुनें",
+  "resetPage.token": "रीसेट टोकन",
+  "resetPage.newPassword": "नया पासवर्ड",
+  "resetPage.confirmPassword": "नए पासवर्ड की पुष्टि करें",
+  "resetPage.submit": "पासवर्ड रीसेट करें",
+  "resetPage.failed": "पासवर्ड रीसेट नहीं हो सका",
+  "resetPage.tokenRequired": "अपने रीसेट ईमेल से टोकन पेस्ट करें।",
+  "resetPage.tooShort_one": "कम से कम {count} अक्षर का उपयोग करें।",
+  "resetPage.tooShort_other": "कम से कम {count} अक्षरों का उपयोग करें।",
+  "resetPage.mismatch": "पासवर्ड मेल नहीं खाते।",
+  "resetPage.done": "आपका पासवर्ड रीसेट हो गया है। अब आप लॉग इन कर सकते हैं।",
+  "resetPage.expired": "लिंक की समय-सीमा समाप्त हो गई?",
+  "resetPage.requestNew": "नया लिंक माँगें",
+  "resetPage.fromLogin": "लॉगिन डायलॉग के \"पासवर्ड भूल गए?\" विकल्प से।",
+
+  // API Explorer
+  "explorer.loggedOut": "आप लॉग इन नहीं हैं, इसलिए सुरक्षित एंडपॉइंट 401 लौटाएँगे।",
+  "explorer.endpoints": "एंडपॉइंट",
+  "explorer.specFailed": "OpenAPI दस्तावेज़ लोड नहीं हो सका",
+  "explorer.snippets": "कोड स्निपेट",
+  "explorer.requestFailed": "अनुरोध विफल रहा",
+  "explorer.quotaExceeded": "कोटा समाप्त।",
+  "explorer.quotaUsedUp": "आपके प्लान का API कॉल कोटा खत्म हो गया है।",
+  "explorer.quotaResets": "यह {date} को रीसेट होगा।",
+  "explorer.upgradeForLimit": "अधिक सीमा के लिए अपग्रेड करें",
+  "explorer.response": "प्रतिक्रिया",
+  "explorer.documentedResponses": "दस्तावेज़ित प्रतिक्रियाएँ",
+  "explorer.noDocumentedResponses": "कोई दस्तावेज़ित प्रतिक्रिया नहीं।",
+  "explorer.filter": "एंडपॉइंट फ़िल्टर करें",
+  "explorer.requiresAuth": "प्रमाणीकरण आवश्यक",
+  "explorer.noMatch": "कोई एंडपॉइंट मेल नहीं खाता।",
+
+  // Request composer
+  "composer.method": "HTTP मेथड",
+  "composer.baseUrl": "बैकएंड बेस URL ({name})",
+  "composer.path": "अनुरोध पाथ",
+  "composer.send": "भेजें",
+  "composer.sending": "भेजा जा रहा है...",
+  "composer.params": "पैरामीटर",
+  "composer.headers": "हेडर",
+  "composer.body": "बॉडी",
+  "composer.addParam": "क्वेरी पैरामीटर जोड़ें",
+  "composer.header": "हेडर",
+  "composer.addHeader": "हेडर जोड़ें",
+  "composer.field": "फ़ील्ड",
+  "composer.addField": "फ़ील्ड जोड़ें",
+  "composer.authHint": "लॉग इन होने पर Authorization हेडर अपने आप जुड़ जाता है।",
+  "composer.noBody": "{method} अनुरोध बॉडी नहीं भेजते।",
+  "composer.bodyType.none": "कोई नहीं",
+  "composer.bodyType.json": "JSON",
+  "composer.bodyType.form": "फ़ॉर्म (urlencoded)",
+  "composer.jsonBody": "JSON बॉडी",
+  "composer.pathRequired": "एक पाथ दर्ज करें, जैसे /api/content",
+  "composer.absoluteUrl": "सक्रिय बैकएंड पर एक पाथ दर्ज करें, जैसे /api/content. पूरे URL नहीं भेजे जाते, ताकि आपका सत्र इसी बैकएंड तक सीमित रहे।",
+  "composer.invalidJson": "बॉडी मान्य JSON नहीं है: {message}",
+
+  // Generated operation forms
+  "form.select": "चुनें...",
+  "form.notSet": "(सेट नहीं)",
+  "form.noParameters": "यह एंडपॉइंट कोई पैरामीटर नहीं लेता।",
+  "form.editInComposer": "कंपोज़र में संपादित करें",
+  "form.required": "यह फ़ील्ड आवश्यक है",
+  "form.wholeNumber": "पूर्ण संख्या होनी चाहिए",
+  "form.number": "संख्या होनी चाहिए",
+  "form.json": "मान्य JSON होना चाहिए",
+  "form.oneOf": "इनमें से एक होना चाहिए: {values}",
+
+  // Key/value editor
+  "kv.include": "पंक्ति शामिल करें",
+  "kv.key": "कुंजी",
+  "kv.value": "मान",
+  "kv.remove": "पंक्ति हटाएँ",
+  "kv.add": "पंक्ति जोड़ें",
+
+  // Code snippets
+  "snippets.source": "स्निपेट स्रोत",
+  "snippets.composer": "कंपोज़र",
+  "snippets.lastSent": "अंतिम भेजा गया",
+  "snippets.includeToken": "मेरा टोकन शामिल करें",
+  "snippets.tokenWarning": "इस स्निपेट में आपका सक्रिय एक्सेस टोकन है। इसे साझा न करें।",
+  "snippets.invalid": "स्निपेट बनाने के लिए कंपोज़र में अनुरोध ठीक करें।",
+
+  // Response viewer
+  "response.emptyBody": "(खाली बॉडी)",
+  "response.noHeaders": "कोई हेडर नहीं।",
+
+  // JSON diff
+  "diff.none": "कोई अंतर नहीं।",
+  "diff.added": "{count} जोड़े गए",
+  "diff.removed": "{count} हटाए गए",
+  "diff.changed": "{count} बदले गए",
+  "diff.left": "बायाँ",
+  "diff.right": "दायाँ",
+
+  // Content comparison
+  "compare.before": "{from} → {to} से पहले",
+  "compare.after": "{from} → {to} के बाद",
+  "compare.selectSnapshot": "स्नैपशॉट चुनें...",
+  "compare.capture": "सामग्री कैप्चर करें",
+  "compare.loggedOut": "नए स्नैपशॉट कैप्चर करने के लिए लॉग इन करें। सहेजे गए स्नैपशॉट की तुलना अब भी की जा सकती है।",
+  "compare.capturing": "कैप्चर हो रहा है...",
+  "compare.snapshot": "वर्तमान सामग्री का स्नैपशॉट लें",
+  "compare.acrossPlans": "प्लान बदलने से पहले और बाद की तुलना करें",
+  "compare.switchTo": "इस पर बदलें...",
+  "compare.switchAndCompare": "बदलें और तुलना करें",
+  "compare.switchHint": "प्लान बदलने से पहले और बाद की सामग्री कैप्चर करता है।",
+  "compare.saved": "सहेजे गए स्नैपशॉट",
+  "compare.delete": "{label} हटाएँ",
+  "compare.none": "अभी कोई स्नैपशॉट नहीं।",
+  "compare.deleteTitle": "यह स्नैपशॉट हटाएँ?",
+  "compare.deleteMessage": "\"{label}\" इस ब्राउज़र से हटा दिया जाएगा।",
+  "compare.nameTitle": "स्नैपशॉट का नाम दें",
+  "compare.nameLabel": "लेबल",
+  "compare.namePlaceholder": "प्लान और समय के लिए खाली छोड़ें",
+  "compare.diff": "सामग्री अंतर",
+  "compare.ignoreKeys": "इन कुंजियों को अनदेखा करें",
+  "compare.onlyChanges": "केवल बदलाव दिखाएँ",
+  "compare.pickTwo": "तुलना के लिए दो स्नैपशॉट चुनें।",
+
+  // Network inspector
+  "network.title": "नेटवर्क",
+  "network.filter": "अनुरोध फ़िल्टर करें",
+  "network.filterPlaceholder": "URL, मेथड या स्टेटस से फ़िल्टर करें",
+  "network.status.all": "सभी",
+  "network.status.failed": "विफल",
+  "network.pause": "रोकें",
+  "network.resume": "जारी रखें",
+  "network.clear": "साफ़ करें",
+  "network.close": "नेटवर्क इंस्पेक्टर बंद करें",
+  "network.method": "मेथड",
+  "network.url": "URL",
+  "network.status": "स्टेटस",
+  "network.time": "समय",
+  "network.size": "आकार",
+  "network.mock": "मॉक",
+  "network.failed": "विफल",
+  "network.noMatch": "कोई अनुरोध फ़िल्टर से मेल नहीं खाता।",
+  "network.empty": "अभी तक कोई अनुरोध दर्ज नहीं हुआ।",
+  "network.replay": "अनुरोध दोबारा भेजें",
+  "network.replaying": "दोबारा भेजा जा रहा है...",
+  "network.tab.headers": "हेडर",
+  "network.tab.request": "अनुरोध",
+  "network.tab.response": "प्रतिक्रिया",
+  "network.tab.error": "त्रुटि",
+  "network.requestHeaders": "अनुरोध हेडर",
+  "network.responseHeaders": "प्रतिक्रिया हेडर",
+  "network.noBody": "(कोई बॉडी नहीं)",
+  "network.error": "त्रुटि",
+  "network.code": "कोड",
+  "network.recovery": "पुनर्प्राप्ति",
+  "network.friendlyMessage": "उपयोगकर्ता को दिखाया गया संदेश",
+  "network.replayedAfterRefresh": "टोकन रीफ़्रेश के बाद दोबारा भेजा गया",
+};
+
+export default hi;
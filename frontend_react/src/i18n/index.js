@@ -0,0 +1,166 @@
+import en from "./en";
+import de from "./de";
+import hi from "./hi";
+
+/**
+ * Internationalization: message catalogs, the active language and locale-aware
+ * formatting. A module-level store, so services and utils can translate too;
+ * components use hooks/useI18n, which re-renders them when the language changes.
+ *
+ * Catalogs (i18n/<code>.js) map dotted keys to messages. Messages interpolate
+ * `{name}` params (numbers are formatted for the locale) and pick plural forms from
+ * `<key>_one` / `<key>_other` (Intl.PluralRules categories) when params.count is a number.
+ * Missing keys fall back to English, then to the key itself.
+ */
+
+export const LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "de", label: "Deutsch" },
+  { code: "hi", label: "हिन्दी" },
+];
+
+const CATALOGS = { en, de, hi };
+const LOCALE_KEY = "locale";
+const DEFAULT_LOCALE = "en";
+
+const supported = (code) => (code && CATALOGS[code] ? code : null);
+
+function detectLocale() {
+  try {
+    const stored = supported(localStorage.getItem(LOCALE_KEY));
+    if (stored) return stored;
+  } catch {
+    // ignore storage access errors
+  }
+  const preferred = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  for (const tag of preferred) {
+    const match = supported(String(tag || "").toLowerCase().split("-")[0]);
+    if (match) return match;
+  }
+  return DEFAULT_LOCALE;
+}
+
+let locale = detectLocale();
+let snapshot = { locale };
+const listeners = new Set();
+
+function applyDocumentLanguage() {
+  if (typeof document !== "undefined") document.documentElement.setAttribute("lang", locale);
+}
+applyDocumentLanguage();
+
+// PUBLIC_INTERFACE
+export function getLocale() {
+  /** The active language code, e.g. "en". */
+  return locale;
+}
+
+// PUBLIC_INTERFACE
+export function setLocale(code) {
+  /** Switch the UI language (persisted). Unsupported codes are ignored. */
+  const next = supported(code);
+  if (!next || next === locale) return;
+  locale = next;
+  snapshot = { locale };
+  try {
+    localStorage.setItem(LOCALE_KEY, next);
+  } catch {
+    // the choice still applies to this tab
+  }
+  applyDocumentLanguage();
+  listeners.forEach((fn) => fn());
+}
+
+// PUBLIC_INTERFACE
+export function formatNumber(value, options) {
+  /** Format a number for the active locale (Intl.NumberFormat options). */
+  const n = Number(value);
+  if (!Number.isFinite(n)) return String(value ?? "");
+  return new Intl.NumberFormat(locale, options).format(n);
+}
+
+// PUBLIC_INTERFACE
+export function formatPercent(ratio) {
+  /** Format a 0..1 ratio as a whole percentage, e.g. 0.8 -> "80%". */
+  return formatNumber(ratio, { style: "percent", maximumFractionDigits: 0 });
+}
+
+// PUBLIC_INTERFACE
+export function formatBytes(bytes) {
+  /** Format a byte count as "512 B" or "1.5 KB" with locale digits. */
+  const n = Number(bytes) || 0;
+  return n >= 1024 ? `${formatNumber(n / 1024, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} KB` : `${formatNumber(n)} B`;
+}
+
+// PUBLIC_INTERFACE
+export function formatDateTime(value, options = { dateStyle: "medium", timeStyle: "short" }) {
+  /** Format a timestamp (ms, ISO string or Date) for the active locale; "" when invalid. */
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
+
+// PUBLIC_INTERFACE
+export function formatDate(value) {
+  /** Format just the date part of a timestamp for the active locale. */
+  return formatDateTime(value, { dateStyle: "medium" });
+}
+
+function lookup(key, count) {
+  for (const lang of [locale, DEFAULT_LOCALE]) {
+    const catalog = CATALOGS[lang];
+    if (typeof count === "number") {
+      const plural = catalog[`${key}_${new Intl.PluralRules(lang).select(count)}`] ?? catalog[`${key}_other`];
+      if (typeof plural === "string") return plural;
+    }
+    if (typeof catalog[key] === "string") return catalog[key];
+  }
+  return key;
+}
+
+// PUBLIC_INTERFACE
+export function hasMessage(key) {
+  /** True when the active language or English has a message for `key`. */
+  return typeof CATALOGS[locale][key] === "string" || typeof CATALOGS[DEFAULT_LOCALE][key] === "string";
+}
+
+// PUBLIC_INTERFACE
+export function t(key, params = {}) {
+  /** Translate `key` into the active language, interpolating `{name}` params. */
+  const message = lookup(key, params.count);
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value ?? "");
+  });
+}
+
+// PUBLIC_INTERFACE
+export function getSnapshot() {
+  /** { locale } - a new object after every change (for useSyncExternalStore). */
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to language changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const i18n = {
+  LANGUAGES,
+  getLocale,
+  setLocale,
+  hasMessage,
+  t,
+  formatNumber,
+  formatPercent,
+  formatBytes,
+  formatDateTime,
+  formatDate,
+  getSnapshot,
+  subscribe,
+};
+
+export default i18n;
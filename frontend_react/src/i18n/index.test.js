@@ -0,0 +1,23 @@
+import { formatNumber, getLocale, hasMessage, setLocale, t } from './index';
+
+afterEach(() => setLocale('en'));
+
+test('interpolates params and picks plural forms', () => {
+  expect(getLocale()).toBe('en');
+  expect(t('nav.backend', { target: 'https://api.example.com' })).toBe('Backend: https://api.example.com');
+  expect(t('errors.hint.gaveUp', { count: 1 })).toBe('Gave up after 1 automatic retry');
+  expect(t('errors.hint.gaveUp', { count: 3 })).toBe('Gave up after 3 automatic retries');
+  expect(t('dashboard.limit', { limit: 10000 })).toBe('Limit: 10,000');
+});
+
+test('switches language, formats for the locale and falls back to English, then the key', () => {
+  setLocale('de');
+  expect(localStorage.getItem('locale')).toBe('de');
+  expect(document.documentElement.lang).toBe('de');
+  expect(t('nav.settings')).toBe('Einstellungen');
+  expect(formatNumber(1234.5)).toBe('1.234,5');
+  expect(t('no.such.key')).toBe('no.such.key');
+  expect(hasMessage('features.api_calls')).toBe(true);
+  setLocale('xx');
+  expect(getLocale()).toBe('de');
+});
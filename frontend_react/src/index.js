@@ -2,16 +2,30 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from "react-router-dom";
 import './index.css';
+// Applies the saved theme before the first render
+import "./services/theme";
 import App from './App';
 import { AuthProvider } from "./context/AuthContext";
+import { FeaturesProvider } from "./context/FeaturesContext";
+import { NotificationsProvider } from "./context/NotificationsContext";
+import { DialogsProvider } from "./context/DialogsContext";
+import ErrorBoundary from "./components/ErrorBoundary";
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <AuthProvider>
-      <BrowserRouter>
-        <App />
-      </BrowserRouter>
-    </AuthProvider>
+    <ErrorBoundary boundary="app">
+      <NotificationsProvider>
+        <DialogsProvider>
+          <AuthProvider>
+            <FeaturesProvider>
+              <BrowserRouter>
+                <App />
+              </BrowserRouter>
+            </FeaturesProvider>
+          </AuthProvider>
+        </DialogsProvider>
+      </NotificationsProvider>
+    </ErrorBoundary>
   </React.StrictMode>
 );
@@ -0,0 +1,40 @@
+import React from "react";
+import { useAuth } from "../context/AuthContext";
+import ErrorMessage from "../components/ErrorMessage";
+import ContentRenderer from "../components/ContentRenderer";
+import { useContentQuery } from "../hooks/useQuery";
+import { useI18n } from "../hooks/useI18n";
+import { featureLabel } from "../utils/plans";
+
+// PUBLIC_INTERFACE
+export default function Analytics() {
+  /**
+   * Usage analytics from the tailored content (its `analytics` metrics). Rendered behind
+   * RouteGuard with feature="analytics", so plans without the feature get the upgrade prompt.
+   */
+  const { isAuthenticated } = useAuth();
+  const { t } = useI18n();
+  const contentQuery = useContentQuery({ enabled: isAuthenticated });
+  const analytics = contentQuery.data?.analytics || null;
+
+  return (
+    <div className="container">
+      <div className="card full">
+        <div className="card-header">
+          <h3>{featureLabel({ key: "analytics" })}</h3>
+        </div>
+        <div className="card-content">
+          <ErrorMessage error={contentQuery.error} />
+          {contentQuery.isLoading ? <div className="skeleton lines-4" /> : (
+            analytics ? (
+              // Keyed as "analytics" so the metric tiles renderer picks it up
+              <ContentRenderer value={{ analytics }} />
+            ) : (
+              <p className="muted">{t("analytics.empty")}</p>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
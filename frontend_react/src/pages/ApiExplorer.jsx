@@ -1,63 +1,185 @@
-import React, { useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
-import { getTailoredContent, getBaseUrl } from "../services/api";
+import { sendRequest } from "../services/api";
+import { fetchOpenApiSpec, invalidateAccountQueries } from "../services/queries";
+import RequestBuilder from "../components/RequestBuilder";
+import ResponseViewer from "../components/ResponseViewer";
+import EndpointCatalog from "../components/EndpointCatalog";
+import OperationForm from "../components/OperationForm";
+import ResponseSchemas from "../components/ResponseSchemas";
+import SnippetPanel from "../components/SnippetPanel";
+import { buildRequestConfig, createDraft } from "../utils/request";
+import { findOperation, listOperations } from "../utils/openapi";
+import { isQuotaExceeded } from "../utils/usage";
+import ErrorMessage from "../components/ErrorMessage";
+import { useI18n } from "../hooks/useI18n";
+
+// Common requests that can be loaded into the composer with one click
+const PRESETS = [
+  { label: "GET /api/content", draft: { method: "GET", path: "/api/content" } },
+  { label: "GET /dashboard/me", draft: { method: "GET", path: "/dashboard/me" } },
+  { label: "GET /account/plan", draft: { method: "GET", path: "/account/plan" } },
+  {
+    label: "PUT /account/plan",
+    draft: { method: "PUT", path: "/account/plan", bodyType: "json", jsonBody: '{\n  "package_tier": "pro"\n}' },
+  },
+];
 
 // PUBLIC_INTERFACE
 export default function ApiExplorer({ onRequestLogin }) {
-  /** API Explorer to fetch and display tailored content with current token. */
-  const { isAuthenticated, user } = useAuth();
+  /**
+   * API Explorer: browse the backend's OpenAPI catalog, fill generated forms or
+   * compose arbitrary requests, and inspect responses next to their documented schemas.
+   */
+  const { isAuthenticated, user, environmentId } = useAuth();
+  const { t, formatDateTime } = useI18n();
+  const [draft, setDraft] = useState(() => createDraft({ path: "/api/content" }));
   const [resp, setResp] = useState(null);
+  const [sent, setSent] = useState(null);
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState(null);
 
-  const callApi = async () => {
+  const [spec, setSpec] = useState(null);
+  const [specLoading, setSpecLoading] = useState(false);
+  const [specErr, setSpecErr] = useState(null);
+  const [selectedOp, setSelectedOp] = useState(null);
+
+  const loadSpec = useCallback(async (force = false) => {
+    setSpecLoading(true);
+    setSpecErr(null);
+    try {
+      setSpec(await fetchOpenApiSpec({ force }));
+    } catch (e) {
+      setSpecErr(e);
+    } finally {
+      setSpecLoading(false);
+    }
+  }, []);
+
+  // Each environment serves its own spec
+  useEffect(() => {
+    loadSpec();
+  }, [loadSpec, environmentId]);
+
+  const groups = useMemo(() => (spec ? listOperations(spec) : []), [spec]);
+  // Operation matching the last sent request, for showing its documented responses
+  const sentOp = useMemo(() => (sent ? findOperation(groups, sent.method, sent.url) : null), [groups, sent]);
+  const composed = useMemo(() => buildRequestConfig(draft).config, [draft]);
+
+  const callApi = async (nextDraft = draft) => {
+    const { config, error } = buildRequestConfig(nextDraft);
+    if (error) {
+      setErr(error);
+      return;
+    }
     setLoading(true);
     setErr(null);
     setResp(null);
+    setSent(config);
     try {
-      const data = await getTailoredContent();
+      const data = await sendRequest(config);
       setResp(data);
+      // A write made from the explorer (e.g. PUT /account/plan) can change what other pages show
+      if (config.method !== "GET" && data.status < 400) invalidateAccountQueries();
     } catch (e) {
-      setErr(e?.response?.data || e?.message || "Request failed");
+      // Error statuses resolve; only NetworkErrors (backend unreachable, timeout) land here
+      setErr(e);
     } finally {
       setLoading(false);
     }
   };
 
+  const sendOperation = (nextDraft) => {
+    setDraft(nextDraft);
+    callApi(nextDraft);
+  };
+
   return (
     <div className="container">
-      <div className="card">
+      <div className="card full">
         <div className="card-header">
-          <h3>API Explorer</h3>
+          <h3>{t("nav.apiExplorer")}</h3>
           {isAuthenticated && <span className={`badge tier-${user?.package_tier}`}>{user?.package_tier}</span>}
         </div>
         <div className="card-content">
-          {!isAuthenticated ? (
-            <>
-              <p className="muted">You need to log in to call protected endpoints.</p>
-              <button className="btn" onClick={onRequestLogin}>Login / Sign up</button>
-            </>
-          ) : (
-            <>
-              <p>Call the tailored content endpoint to see data based on your package.</p>
-              <div className="actions">
-                <button className="btn" disabled={loading} onClick={callApi}>{loading ? "Calling..." : "GET /api/content"}</button>
+          {!isAuthenticated && (
+            <div className="actions">
+              <p className="muted">{t("explorer.loggedOut")}</p>
+              <button className="btn" onClick={onRequestLogin}>{t("nav.login")}</button>
+            </div>
+          )}
+          <div className="explorer-layout">
+            <aside className="explorer-sidebar">
+              <div className="explorer-sidebar-head">
+                <strong>{t("explorer.endpoints")}</strong>
+                <button type="button" className="link-btn" onClick={() => loadSpec(true)} disabled={specLoading}>
+                  {specLoading ? t("common.loading") : t("common.reload")}
+                </button>
+              </div>
+              <ErrorMessage error={specErr} fallback={t("explorer.specFailed")} />
+              {specLoading && !spec ? <div className="skeleton lines-6" /> : (
+                spec && <EndpointCatalog groups={groups} selectedId={selectedOp?.id} onSelect={setSelectedOp} />
+              )}
+            </aside>
+
+            <section className="explorer-main">
+              {selectedOp && (
+                <div className="explorer-panel">
+                  <OperationForm
+                    operation={selectedOp}
+                    onSubmit={sendOperation}
+                    onLoadDraft={setDraft}
+                    sending={loading}
+                  />
+                </div>
+              )}
+
+              <div className="actions preset-list">
+                {PRESETS.map((p) => (
+                  <button
+                    key={p.label}
+                    type="button"
+                    className="chip"
+                    onClick={() => setDraft(createDraft(p.draft))}
+                  >
+                    {p.label}
+                  </button>
+                ))}
               </div>
+              <RequestBuilder draft={draft} onChange={setDraft} onSend={() => callApi()} sending={loading} />
               <div className="code-section">
-                <p className="muted">Example curl</p>
-                <pre className="code-block">
-                  {`curl -H "Authorization: Bearer <your_token>" ${getBaseUrl()}/api/content`}
-                </pre>
+                <p className="muted">{t("explorer.snippets")}</p>
+                <SnippetPanel composed={composed} lastSent={sent} />
               </div>
-              {err && <div className="form-error">{String(err?.detail || err?.msg || err)}</div>}
+              <ErrorMessage error={err} fallback={t("explorer.requestFailed")} />
+              {resp && isQuotaExceeded(resp.status, resp.headers, resp.data) && (
+                <div className="quota-banner" role="alert">
+                  <div>
+                    <strong>{t("explorer.quotaExceeded")}</strong>{" "}
+                    {typeof resp.data?.detail === "string" ? resp.data.detail : t("explorer.quotaUsedUp")}
+                    {resp.headers?.["x-ratelimit-reset"] &&
+                      ` ${t("explorer.quotaResets", { date: formatDateTime(Number(resp.headers["x-ratelimit-reset"]) * 1000) })}`}
+                  </div>
+                  <Link to="/plans" className="btn">{t("explorer.upgradeForLimit")}</Link>
+                </div>
+              )}
               {resp && (
-                <>
-                  <p className="muted">Response</p>
-                  <pre className="code-block">{JSON.stringify(resp, null, 2)}</pre>
-                </>
+                <div className="explorer-result">
+                  <div>
+                    <p className="muted">{t("explorer.response")}</p>
+                    <ResponseViewer response={resp} />
+                  </div>
+                  {sentOp && (
+                    <div>
+                      <p className="muted">{t("explorer.documentedResponses")}</p>
+                      <ResponseSchemas operation={sentOp} status={resp.status} />
+                    </div>
+                  )}
+                </div>
               )}
-            </>
-          )}
+            </section>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,207 @@
+import React, { useMemo, useState } from "react";
+import { useAuth } from "../context/AuthContext";
+import { fetchTailoredContent } from "../services/queries";
+import JsonDiffView from "../components/JsonDiffView";
+import { deleteSnapshot, listSnapshots, saveSnapshot } from "../utils/contentSnapshots";
+import { PACKAGE_TIERS, TIER_LABELS } from "../utils/plans";
+import ErrorMessage from "../components/ErrorMessage";
+import { useI18n } from "../hooks/useI18n";
+import { useDialogs } from "../context/DialogsContext";
+
+const DEFAULT_IGNORED = "generated_at, published_at";
+
+// PUBLIC_INTERFACE
+export default function ContentDiff({ onRequestLogin }) {
+  /**
+   * Compare two /api/content responses side by side: saved snapshots from any
+   * session, or snapshots captured automatically before and after a plan change.
+   */
+  const { isAuthenticated, user, updatePlan } = useAuth();
+  const { t } = useI18n();
+  const dialogs = useDialogs();
+  const [snapshots, setSnapshots] = useState(() => listSnapshots());
+  const [leftId, setLeftId] = useState(() => snapshots[1]?.id || "");
+  const [rightId, setRightId] = useState(() => snapshots[0]?.id || "");
+  const [targetTier, setTargetTier] = useState("");
+  const [busy, setBusy] = useState(null);
+  const [err, setErr] = useState(null);
+  const [onlyChanges, setOnlyChanges] = useState(false);
+  const [ignoredText, setIgnoredText] = useState(DEFAULT_IGNORED);
+
+  const ignoreKeys = useMemo(
+    () => ignoredText.split(",").map((k) => k.trim()).filter(Boolean),
+    [ignoredText]
+  );
+  const left = snapshots.find((s) => s.id === leftId);
+  const right = snapshots.find((s) => s.id === rightId);
+
+  const capture = async (label) => {
+    // Snapshots must reflect the server right now, not the cache
+    const data = await fetchTailoredContent({ force: true });
+    return saveSnapshot({ data, tier: data?.package_tier || user?.package_tier, email: user?.email, label });
+  };
+
+  const onCapture = async () => {
+    const label = await dialogs.prompt({
+      title: t("compare.nameTitle"),
+      label: t("compare.nameLabel"),
+      placeholder: t("compare.namePlaceholder"),
+      confirmLabel: t("compare.capture"),
+    });
+    if (label === null) return;
+    setErr(null);
+    setBusy("capture");
+    try {
+      const snap = await capture(label.trim());
+      setSnapshots(listSnapshots());
+      setLeftId(rightId || snap.id);
+      setRightId(snap.id);
+    } catch (e) {
+      setErr(e);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const onSwitchAndCompare = async () => {
+    if (!targetTier) return;
+    setErr(null);
+    setBusy("switch");
+    try {
+      const fromTier = user?.package_tier;
+      const before = await capture(t("compare.before", { from: fromTier, to: targetTier }));
+      const res = await updatePlan(targetTier);
+      if (!res.ok) throw res.error;
+      const after = await capture(t("compare.after", { from: fromTier, to: targetTier }));
+      setSnapshots(listSnapshots());
+      setLeftId(before.id);
+      setRightId(after.id);
+      setTargetTier("");
+    } catch (e) {
+      setSnapshots(listSnapshots());
+      setErr(e);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const onDelete = async (snapshot) => {
+    const confirmed = await dialogs.confirm({
+      title: t("compare.deleteTitle"),
+      message: t("compare.deleteMessage", { label: snapshot.label }),
+      confirmLabel: t("common.delete"),
+      danger: true,
+    });
+    if (!confirmed) return;
+    deleteSnapshot(snapshot.id);
+    setSnapshots(listSnapshots());
+    if (leftId === snapshot.id) setLeftId("");
+    if (rightId === snapshot.id) setRightId("");
+  };
+
+  const snapshotSelect = (id, value, onChange) => (
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{t("compare.selectSnapshot")}</option>
+      {snapshots.map((s) => (
+        <option key={s.id} value={s.id}>{s.label}{s.email ? ` (${s.email})` : ""}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="container">
+      <div className="grid">
+        <div className="card">
+          <div className="card-header">
+            <h3>{t("compare.capture")}</h3>
+            {isAuthenticated && <span className={`badge tier-${user?.package_tier}`}>{user?.package_tier}</span>}
+          </div>
+          <div className="card-content form">
+            {!isAuthenticated ? (
+              <>
+                <p className="muted">{t("compare.loggedOut")}</p>
+                <div className="actions"><button className="btn" onClick={onRequestLogin}>{t("nav.login")}</button></div>
+              </>
+            ) : (
+              <>
+                <div className="actions">
+                  <button className="btn" onClick={onCapture} disabled={!!busy}>
+                    {busy === "capture" ? t("compare.capturing") : t("compare.snapshot")}
+                  </button>
+                </div>
+                <div className="form-row">
+                  <label htmlFor="diff-tier">{t("compare.acrossPlans")}</label>
+                  <div className="actions">
+                    <select id="diff-tier" value={targetTier} onChange={(e) => setTargetTier(e.target.value)}>
+                      <option value="">{t("compare.switchTo")}</option>
+                      {PACKAGE_TIERS.filter((tier) => tier !== user?.package_tier).map((tier) => (
+                        <option key={tier} value={tier}>{TIER_LABELS[tier]}</option>
+                      ))}
+                    </select>
+                    <button className="btn btn-secondary" onClick={onSwitchAndCompare} disabled={!targetTier || !!busy}>
+                      {busy === "switch" ? t("plans.switching") : t("compare.switchAndCompare")}
+                    </button>
+                  </div>
+                  <div className="form-hint">{t("compare.switchHint")}</div>
+                </div>
+              </>
+            )}
+            <ErrorMessage error={err} />
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header"><h3>{t("compare.saved")}</h3></div>
+          <div className="card-content">
+            <ul className="snapshot-list">
+              {snapshots.map((s) => (
+                <li key={s.id}>
+                  <span className={`badge tier-${s.tier}`}>{s.tier || "?"}</span>
+                  <span className="snapshot-label" title={s.takenAt}>{s.label}</span>
+                  <button className="link-btn" onClick={() => onDelete(s)} aria-label={t("compare.delete", { label: s.label })}>✕</button>
+                </li>
+              ))}
+              {!snapshots.length && <li className="muted">{t("compare.none")}</li>}
+            </ul>
+          </div>
+        </div>
+
+        <div className="card full">
+          <div className="card-header"><h3>{t("compare.diff")}</h3></div>
+          <div className="card-content form">
+            <div className="diff-controls">
+              <div className="form-row">
+                <label htmlFor="diff-left">{t("diff.left")}</label>
+                {snapshotSelect("diff-left", leftId, setLeftId)}
+              </div>
+              <div className="form-row">
+                <label htmlFor="diff-right">{t("diff.right")}</label>
+                {snapshotSelect("diff-right", rightId, setRightId)}
+              </div>
+              <div className="form-row">
+                <label htmlFor="diff-ignore">{t("compare.ignoreKeys")}</label>
+                <input id="diff-ignore" value={ignoredText} onChange={(e) => setIgnoredText(e.target.value)} />
+              </div>
+            </div>
+            <label className="checkbox-label">
+              <input type="checkbox" checked={onlyChanges} onChange={(e) => setOnlyChanges(e.target.checked)} />
+              {t("compare.onlyChanges")}
+            </label>
+            {left && right ? (
+              <JsonDiffView
+                left={left.data}
+                right={right.data}
+                leftLabel={left.label}
+                rightLabel={right.label}
+                ignoreKeys={ignoreKeys}
+                onlyChanges={onlyChanges}
+              />
+            ) : (
+              <p className="muted">{t("compare.pickTwo")}</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
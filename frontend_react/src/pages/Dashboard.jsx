@@ -1,90 +1,138 @@
 import React, { useEffect, useState } from "react";
 import { useAuth } from "../context/AuthContext";
-import { getDashboard, getTailoredContent } from "../services/api";
+import { Feature } from "../context/FeaturesContext";
+import { subscribeRetries } from "../services/api";
+import { recordUsage } from "../services/usageTracker";
+import { useUsageMeters } from "../hooks/useUsage";
+import UsageMeters from "../components/UsageMeters";
+import ErrorMessage from "../components/ErrorMessage";
+import ContentRenderer from "../components/ContentRenderer";
+import { useContentQuery, useDashboardQuery } from "../hooks/useQuery";
+import { useI18n } from "../hooks/useI18n";
+import { featureLabel } from "../utils/plans";
+
+// Requests behind this page's queries; retries of anything else are not this page's to report
+const DASHBOARD_REQUESTS = ["/dashboard/me", "/api/content"];
 
 // PUBLIC_INTERFACE
-export default function Dashboard({ onRequestLogin }) {
-  /** Dashboard shows profile and features enabled by package plus tailored content. */
+export default function Dashboard() {
+  /** Dashboard shows profile and features enabled by package plus tailored content. Rendered behind RouteGuard. */
   const { isAuthenticated, user } = useAuth();
-  const [features, setFeatures] = useState([]);
-  const [content, setContent] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [err, setErr] = useState(null);
+  const { t } = useI18n();
+  // Both queries are cached and refetched automatically after a plan change
+  const dashboard = useDashboardQuery({ enabled: isAuthenticated });
+  const contentQuery = useContentQuery({ enabled: isAuthenticated });
+  const features = dashboard.data?.features || [];
+  const content = contentQuery.data || null;
+  const fetching = dashboard.isFetching || contentQuery.isFetching;
+  const err = dashboard.error || contentQuery.error;
+  // Latest automatic retry while loading: { attempt, retries, reason, ... }
+  const [retrying, setRetrying] = useState(null);
 
-  useEffect(() => {
-    const fetchAll = async () => {
-      if (!isAuthenticated) return;
-      try {
-        setLoading(true);
-        setErr(null);
-        const dash = await getDashboard();
-        setFeatures(dash?.features || []);
-        const c = await getTailoredContent();
-        setContent(c || null);
-      } catch (e) {
-        setErr(e?.response?.data || e?.message || "Failed to load dashboard");
-      } finally {
-        setLoading(false);
-      }
-    };
-    fetchAll();
-  }, [isAuthenticated]);
+  const exportMeter = useUsageMeters().find((m) => m.key === "data_export");
+  const exportsLeft = exportMeter ? exportMeter.used < exportMeter.limit : true;
 
-  if (!isAuthenticated) {
-    return (
-      <div className="container">
-        <div className="hero">
-          <h1>Welcome to TATA ELXSI MOCK API</h1>
-          <p className="muted">Sign in to see content tailored to your subscription package.</p>
-          <div className="actions">
-            <button className="btn btn-large" onClick={onRequestLogin}>Login / Sign up</button>
-          </div>
-        </div>
-      </div>
-    );
-  }
+  const exportContent = () => {
+    const blob = new Blob([JSON.stringify(content, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `content-${user?.package_tier || "export"}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    recordUsage("data_export");
+  };
+
+  useEffect(
+    () =>
+      subscribeRetries((info) => {
+        const path = String(info.url || "").split("?")[0];
+        if (info.method === "GET" && DASHBOARD_REQUESTS.includes(path)) setRetrying(info);
+      }),
+    []
+  );
+  useEffect(() => {
+    if (!fetching) setRetrying(null);
+  }, [fetching]);
 
   return (
     <div className="container">
+      {retrying && (
+        <div className="notice-banner info" role="status">
+          <span>
+            {t("dashboard.retrying", { reason: retrying.reason, attempt: retrying.attempt, retries: retrying.retries })}
+          </span>
+        </div>
+      )}
       <div className="grid">
         <div className="card">
           <div className="card-header">
-            <h3>Your Package</h3>
+            <h3>{t("dashboard.package")}</h3>
             <span className={`badge tier-${user?.package_tier}`}>{user?.package_tier}</span>
           </div>
           <div className="card-content">
-            <p><strong>Email:</strong> {user?.email}</p>
-            <p><strong>User ID:</strong> {user?.id}</p>
+            <p><strong>{t("dashboard.email")}</strong> {user?.email}</p>
+            <p><strong>{t("dashboard.userId")}</strong> {user?.id}</p>
           </div>
         </div>
 
         <div className="card">
-          <div className="card-header"><h3>Features</h3></div>
+          <div className="card-header"><h3>{t("dashboard.features")}</h3></div>
           <div className="card-content">
-            {loading ? <div className="skeleton lines-4" /> : (
+            {dashboard.isLoading ? <div className="skeleton lines-4" /> : (
               <ul className="feature-list">
                 {features.map((f) => (
                   <li key={f.key} className={f.enabled ? "enabled" : "disabled"}>
-                    <span className="feat-label">{f.label}</span>
-                    <span className="feat-status">{f.enabled ? "Enabled" : "Disabled"}</span>
-                    {typeof f.limit === "number" ? <span className="feat-limit">Limit: {f.limit}</span> : null}
+                    <span className="feat-label">{featureLabel(f)}</span>
+                    <span className="feat-status">{f.enabled ? t("dashboard.enabled") : t("dashboard.disabled")}</span>
+                    {typeof f.limit === "number" ? <span className="feat-limit">{t("dashboard.limit", { limit: f.limit })}</span> : null}
                   </li>
                 ))}
-                {!features?.length && <li className="muted">No features available</li>}
+                {!features?.length && <li className="muted">{t("dashboard.noFeatures")}</li>}
               </ul>
             )}
           </div>
         </div>
 
         <div className="card full">
-          <div className="card-header"><h3>Tailored Content</h3></div>
+          <div className="card-header"><h3>{t("dashboard.usage")}</h3></div>
+          <div className="card-content">
+            {dashboard.isLoading ? <div className="skeleton lines-4" /> : <UsageMeters />}
+          </div>
+        </div>
+
+        <div className="card full">
+          <div className="card-header">
+            <h3>{t("dashboard.content")}</h3>
+            <Feature name="data_export">
+              {(exportFeature) => (
+                <button
+                  className="btn btn-secondary"
+                  onClick={exportContent}
+                  disabled={!exportFeature.enabled || !content || !exportsLeft}
+                  title={
+                    !exportFeature.enabled
+                      ? t("dashboard.exportNotIncluded")
+                      : exportsLeft
+                        ? undefined
+                        : t("dashboard.exportLimitReached")
+                  }
+                >
+                  {t("dashboard.export")}
+                  {exportMeter && (
+                    <span className="feat-limit"> {t("dashboard.exportsLeft", { count: exportMeter.limit - exportMeter.used })}</span>
+                  )}
+                </button>
+              )}
+            </Feature>
+          </div>
           <div className="card-content">
-            {err && <div className="form-error">{String(err?.detail || err?.msg || err)}</div>}
-            {loading ? <div className="skeleton lines-6" /> : (
+            <ErrorMessage error={err} />
+            {contentQuery.isLoading ? <div className="skeleton lines-6" /> : (
               content ? (
-                <pre className="code-block">{JSON.stringify(content, null, 2)}</pre>
+                <ContentRenderer value={content} />
               ) : (
-                <p className="muted">No content yet. Try again later.</p>
+                <p className="muted">{t("dashboard.noContent")}</p>
               )
             )}
           </div>
@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useFeatures } from "../context/FeaturesContext";
+import { useNotifications } from "../context/NotificationsContext";
+import { buildFeatureMatrix, featureLabel, PACKAGE_TIERS, TIER_FEATURES, TIER_LABELS } from "../utils/plans";
+import ErrorMessage from "../components/ErrorMessage";
+import { useEnvironments } from "../hooks/useEnvironment";
+import { useI18n } from "../hooks/useI18n";
+
+function FeatureCell({ cell }) {
+  const { t } = useI18n();
+  if (!cell || !cell.enabled) return <span className="matrix-off" aria-label={t("plans.notIncluded")}>—</span>;
+  return (
+    <span className="matrix-on">
+      <span aria-label={t("plans.included")}>✓</span>
+      {typeof cell.limit === "number" && <span className="feat-limit"> {t("dashboard.limit", { limit: cell.limit })}</span>}
+    </span>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function Plans({ onRequestLogin }) {
+  /**
+   * Plan comparison: a matrix of every feature across all package tiers with the
+   * current tier highlighted and a "switch to this plan" action per tier.
+   * The current tier's column uses the live features from /dashboard/me; the others
+   * come from the bundled catalog, which only the mock backend is known to match.
+   */
+  const { isAuthenticated, user, updatePlan, loading } = useAuth();
+  const currentTier = isAuthenticated ? user?.package_tier : null;
+  const { features } = useFeatures();
+  const { active: environment } = useEnvironments();
+  // Fall back to the published catalog for the current tier when the live list is unavailable
+  const liveFeatures = features.length ? features : null;
+  const [pendingTier, setPendingTier] = useState(null);
+  const [err, setErr] = useState(null);
+  const toast = useNotifications();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  // Set by RouteGuard's upgrade prompt so the user can return to the page they wanted
+  const returnTo = useLocation().state?.from || null;
+
+  const rows = useMemo(() => {
+    const byTier = { ...TIER_FEATURES };
+    if (currentTier && liveFeatures) byTier[currentTier] = liveFeatures;
+    return buildFeatureMatrix(byTier);
+  }, [currentTier, liveFeatures]);
+  // Columns a real backend may not match: everything but the live current tier
+  const isIllustrative = (tier) => !environment.mock && !(tier === currentTier && liveFeatures);
+  const anyIllustrative = PACKAGE_TIERS.some(isIllustrative);
+
+  const onSwitch = async (tier) => {
+    if (!isAuthenticated) {
+      onRequestLogin?.();
+      return;
+    }
+    setErr(null);
+    setPendingTier(tier);
+    const res = await updatePlan(tier);
+    setPendingTier(null);
+    if (res.ok) {
+      toast.success(t("profile.planUpdated", { plan: TIER_LABELS[res.plan?.package_tier] || res.plan?.package_tier }), {
+        key: "plan-updated",
+        actions: returnTo ? [{ label: t("plans.continueTo", { path: returnTo }), onClick: () => navigate(returnTo) }] : [],
+      });
+    } else {
+      setErr(res.error);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="card full">
+        <div className="card-header">
+          <h3>{t("guard.comparePlans")}</h3>
+          {currentTier && <span className={`badge tier-${currentTier}`}>{currentTier}</span>}
+        </div>
+        <div className="card-content">
+          <ErrorMessage error={err} fallback={t("plans.updateFailed")} />
+          <div className="table-scroll">
+            <table className="plan-matrix">
+              <thead>
+                <tr>
+                  <th scope="col">{t("plans.feature")}</th>
+                  {PACKAGE_TIERS.map((tier) => (
+                    <th key={tier} scope="col" className={tier === currentTier ? "current" : ""}>
+                      <span className={`badge tier-${tier}`}>{TIER_LABELS[tier]}</span>
+                      {tier === currentTier && <div className="matrix-current">{t("plans.currentPlan")}</div>}
+                      {isIllustrative(tier) && <div className="matrix-illustrative">{t("plans.illustrative")}</div>}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.key}>
+                    <th scope="row">
+                      <span className="feat-label">{featureLabel(row)}</span>
+                      <div className="feat-key">{row.key}</div>
+                    </th>
+                    {PACKAGE_TIERS.map((tier) => (
+                      <td key={tier} className={tier === currentTier ? "current" : ""}>
+                        <FeatureCell cell={row.cells[tier]} />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td />
+                  {PACKAGE_TIERS.map((tier) => (
+                    <td key={tier} className={tier === currentTier ? "current" : ""}>
+                      {tier === currentTier ? (
+                        <span className="muted">{t("plans.yourPlan")}</span>
+                      ) : (
+                        <button className="btn" disabled={loading || !!pendingTier} onClick={() => onSwitch(tier)}>
+                          {pendingTier === tier ? t("plans.switching") : t("plans.switchTo", { plan: TIER_LABELS[tier] })}
+                        </button>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          {anyIllustrative && <div className="form-hint">{t("plans.illustrativeHint", { backend: environment.name })}</div>}
+          {!isAuthenticated && <div className="form-hint">{t("plans.loginToSwitch")}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,44 +1,41 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import { useNotifications } from "../context/NotificationsContext";
+import ErrorMessage from "../components/ErrorMessage";
+import { useI18n } from "../hooks/useI18n";
 
 // PUBLIC_INTERFACE
-export default function Profile({ onRequestLogin }) {
-  /** Profile page displaying user and package details with plan management. */
+export default function Profile() {
+  /** Profile page displaying user and package details with plan management. Rendered behind RouteGuard. */
   const { isAuthenticated, user, updatePlan, loading, error } = useAuth();
   const [selectedPlan, setSelectedPlan] = useState(user?.package_tier || "free");
   const [localError, setLocalError] = useState(null);
-  const [success, setSuccess] = useState(null);
+  const toast = useNotifications();
+  const { t } = useI18n();
+
+  // Start from the new account's plan after switching accounts
+  useEffect(() => {
+    setSelectedPlan(user?.package_tier || "free");
+    setLocalError(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id]);
   const canSubmit = useMemo(
     () => isAuthenticated && selectedPlan && selectedPlan !== user?.package_tier,
     [isAuthenticated, selectedPlan, user?.package_tier]
   );
 
-  if (!isAuthenticated) {
-    return (
-      <div className="container">
-        <div className="card">
-          <div className="card-header"><h3>Profile</h3></div>
-          <div className="card-content">
-            <p className="muted">You are not logged in.</p>
-            <button className="btn" onClick={onRequestLogin}>Login / Sign up</button>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
   const onUpdate = async () => {
     setLocalError(null);
-    setSuccess(null);
     try {
       const res = await updatePlan(selectedPlan);
       if (res.ok) {
-        setSuccess(`Plan updated to "${res.plan?.package_tier}"`);
+        toast.success(t("profile.planUpdated", { plan: res.plan?.package_tier }), { key: "plan-updated" });
       } else {
-        setLocalError(res.error || "Failed to update plan");
+        setLocalError(res.error);
       }
     } catch (e) {
-      setLocalError(e?.response?.data || e?.message || "Failed to update plan");
+      setLocalError(e);
     }
   };
 
@@ -46,19 +43,19 @@ export default function Profile({ onRequestLogin }) {
     <div className="container">
       <div className="card">
         <div className="card-header">
-          <h3>Profile</h3>
+          <h3>{t("profile.title")}</h3>
           <span className={`badge tier-${user?.package_tier}`}>{user?.package_tier}</span>
         </div>
         <div className="card-content">
-          <div className="detail-row"><span className="label">User ID</span><span className="value">{user?.id}</span></div>
-          <div className="detail-row"><span className="label">Email</span><span className="value">{user?.email}</span></div>
-          <div className="detail-row"><span className="label">Current Package</span><span className="value">{user?.package_tier}</span></div>
+          <div className="detail-row"><span className="label">{t("profile.userId")}</span><span className="value">{user?.id}</span></div>
+          <div className="detail-row"><span className="label">{t("profile.email")}</span><span className="value">{user?.email}</span></div>
+          <div className="detail-row"><span className="label">{t("profile.currentPackage")}</span><span className="value">{user?.package_tier}</span></div>
 
           <div className="code-section">
-            <p className="muted" style={{ marginTop: 0 }}>Change your subscription package</p>
+            <p className="muted" style={{ marginTop: 0 }}>{t("profile.changePackage")}</p>
             <div className="form" style={{ maxWidth: 360 }}>
               <div className="form-row">
-                <label htmlFor="plan">Select Plan</label>
+                <label htmlFor="plan">{t("profile.selectPlan")}</label>
                 <select
                   id="plan"
                   value={selectedPlan}
@@ -69,18 +66,16 @@ export default function Profile({ onRequestLogin }) {
                   <option value="enterprise">Enterprise</option>
                 </select>
               </div>
-              {(localError || error) && (
-                <div className="form-error">{String(localError || (error?.detail || error?.msg || error))}</div>
-              )}
-              {success && (
-                <div className="badge" style={{ borderColor: "#16a34a", color: "#16a34a" }}>{success}</div>
-              )}
+              <ErrorMessage error={localError || error} fallback={t("plans.updateFailed")} />
               <div className="actions" style={{ marginTop: 8 }}>
                 <button className="btn" disabled={!canSubmit || loading} onClick={onUpdate}>
-                  {loading ? "Updating..." : "Update Plan"}
+                  {loading ? t("profile.updating") : t("profile.updatePlan")}
                 </button>
               </div>
-              <div className="form-hint">Changing your plan will immediately affect your available features and API responses.</div>
+              <div className="form-hint">{t("profile.changeHint")}</div>
+              <div className="form-hint">
+                <Link to="/plans" className="link-btn">{t("guard.comparePlans")}</Link> {t("profile.compareHint")}
+              </div>
             </div>
           </div>
         </div>
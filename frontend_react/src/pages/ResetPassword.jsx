@@ -0,0 +1,129 @@
+import React, { useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { confirmPasswordReset } from "../services/api";
+import { ValidationError } from "../services/errors";
+import { parseValidationErrors } from "../utils/error";
+import ErrorMessage from "../components/ErrorMessage";
+import { useI18n } from "../hooks/useI18n";
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// PUBLIC_INTERFACE
+export default function ResetPassword({ onRequestLogin }) {
+  /**
+   * Choose a new password using the token from a reset email (/reset-password?token=...).
+   * The token can also be pasted when the link was opened without it.
+   */
+  const { t } = useI18n();
+  const [searchParams] = useSearchParams();
+  const linkToken = searchParams.get("token") || "";
+  const [token, setToken] = useState(linkToken);
+  const [password, setPassword] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [done, setDone] = useState(null);
+
+  const validate = () => {
+    const errors = {};
+    if (!token.trim()) errors.token = [t("resetPage.tokenRequired")];
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      errors.new_password = [t("resetPage.tooShort", { count: MIN_PASSWORD_LENGTH })];
+    }
+    if (confirm !== password) errors.confirm = [t("resetPage.mismatch")];
+    return errors;
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const errors = validate();
+    setFieldErrors(errors);
+    if (Object.keys(errors).length) return;
+    setBusy(true);
+    try {
+      const res = await confirmPasswordReset({ token: token.trim(), newPassword: password });
+      setDone(res?.message || t("resetPage.done"));
+    } catch (err) {
+      const parsed = parseValidationErrors(err);
+      setFieldErrors(parsed.fieldErrors || {});
+      // Field errors are shown next to their inputs
+      setFormError(err instanceof ValidationError ? parsed.nonFieldErrors.join("; ") || null : err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderFieldErrors = (name) =>
+    (fieldErrors[name] || []).map((msg, idx) => (
+      <div key={`${name}-err-${idx}`} className="form-error">{msg}</div>
+    ));
+
+  return (
+    <div className="container">
+      <div className="card reset-card">
+        <div className="card-header">
+          <h3>{t("resetPage.title")}</h3>
+        </div>
+        <div className="card-content">
+          {done ? (
+            <div className="form">
+              <div className="form-success">{done}</div>
+              <div className="actions">
+                <button className="btn" onClick={() => onRequestLogin?.("/")}>{t("login.logIn")}</button>
+              </div>
+            </div>
+          ) : (
+            <form className="form" onSubmit={onSubmit}>
+              {!linkToken && (
+                <div className="form-row">
+                  <label htmlFor="reset-token">{t("resetPage.token")}</label>
+                  <input id="reset-token" value={token} onChange={(e) => setToken(e.target.value)} autoComplete="off" />
+                  {renderFieldErrors("token")}
+                </div>
+              )}
+              <div className="form-row">
+                <label htmlFor="new-password">{t("resetPage.newPassword")}</label>
+                <input
+                  id="new-password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="new-password"
+                />
+                {renderFieldErrors("new_password")}
+              </div>
+              <div className="form-row">
+                <label htmlFor="confirm-password">{t("resetPage.confirmPassword")}</label>
+                <input
+                  id="confirm-password"
+                  type="password"
+                  value={confirm}
+                  onChange={(e) => setConfirm(e.target.value)}
+                  autoComplete="new-password"
+                />
+                {renderFieldErrors("confirm")}
+              </div>
+              {/* A token error on a link-provided token has no field to attach to */}
+              {linkToken && renderFieldErrors("token")}
+              <ErrorMessage error={formError} fallback={t("resetPage.failed")} />
+              <div className="actions">
+                <button type="submit" className="btn" disabled={busy || !password || !confirm}>
+                  {busy ? t("common.pleaseWait") : t("resetPage.submit")}
+                </button>
+              </div>
+              <div className="form-hint">
+                {t("resetPage.expired")}{" "}
+                <button type="button" className="link-btn" onClick={() => onRequestLogin?.()}>
+                  {t("resetPage.requestNew")}
+                </button>{" "}
+                {t("resetPage.fromLogin")}
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,42 +1,47 @@
 import axios from "axios";
+import { mockAdapter } from "./mockBackend";
+import { DEFAULT_ENVIRONMENT_ID, MOCK_ENVIRONMENT_ID, getActiveEnvironment, setActiveEnvironment } from "./environments";
+import * as networkLog from "./networkLog";
+import * as usageTracker from "./usageTracker";
+import { DEFAULT_RETRY_POLICY, getRetryDecision } from "../utils/retry";
+import { parseUsageFields, parseUsageHeaders } from "../utils/usage";
+import { decodeJwt } from "../utils/jwt";
+import { ApiError, RateLimitError, toApiError } from "./errors";
+import { notifyWarning } from "./notifications";
+import { t } from "../i18n";
 
 /**
  * API service configured with backend base URL and JWT support.
- * Reads REACT_APP_BACKEND_URL from environment. If not set, will default to:
- *  - http(s)://<host>:3001 in development (when running on port 3000)
- *  - same-origin in other cases (empty string baseURL)
- *
- * This improves reliability in local dev without hard-coding addresses.
+ * The base URL comes from the active environment profile (see services/environments):
+ * by default the build-time REACT_APP_BACKEND_URL, or http(s)://<host>:3001 when the
+ * dev server runs on port 3000, or same-origin. Profiles can be switched at runtime
+ * without rebuilding.
+ * Failed requests reject with the typed errors in services/errors (AuthError,
+ * NetworkError, ValidationError, RateLimitError, ServerError or ApiError).
  */
 
-// Resolve base URL from env or infer sensible defaults for dev
-const ENV_BASE = (process.env.REACT_APP_BACKEND_URL || "").trim();
-
-/**
- * Determine effective backend base URL.
- * - If REACT_APP_BACKEND_URL is provided, use it.
- * - Else, if running on dev port 3000, try same host on port 3001.
- * - Otherwise, fall back to same-origin (relative paths).
- */
 // PUBLIC_INTERFACE
 export function getBaseUrl() {
-  /** Returns the computed backend base URL used by the API client. */
-  if (ENV_BASE) return ENV_BASE;
-  if (typeof window !== "undefined" && window.location) {
-    if (window.location.port === "3000") {
-      const proto = window.location.protocol;
-      const host = window.location.hostname;
-      return `${proto}//${host}:3001`;
-    }
-  }
-  return ""; // same-origin
+  /** Returns the backend base URL of the active environment ("" means same-origin). */
+  return getActiveEnvironment().baseUrl;
+}
+
+// PUBLIC_INTERFACE
+export function isMockBackend() {
+  /** Returns true when requests are served by the in-browser mock backend. */
+  return !!getActiveEnvironment().mock;
 }
 
-const BASE_URL = getBaseUrl();
+// PUBLIC_INTERFACE
+export function setMockBackend(enabled) {
+  /** Switch between the build-default backend and the in-browser mock backend at runtime. */
+  if (enabled) setActiveEnvironment(MOCK_ENVIRONMENT_ID);
+  else if (isMockBackend()) setActiveEnvironment(DEFAULT_ENVIRONMENT_ID);
+}
 
 // Axios instance for consistent headers and base URL
+// (baseURL is set per request from the active environment)
 const api = axios.create({
-  baseURL: BASE_URL,
   headers: {
     "Content-Type": "application/json",
   },
@@ -47,9 +52,126 @@ const api = axios.create({
 // Current token value stored in module scope and mirrored to localStorage by AuthContext
 let currentToken = null;
 
+// Session handlers registered by AuthContext (see setSessionHandlers)
+let sessionHandlers = { refresh: null, expire: null };
+// Shared in-flight refresh so concurrent 401s trigger a single refresh call
+let refreshPromise = null;
+
+// Auth endpoints never trigger a refresh: their 401s mean bad credentials, not an expired session
+const AUTH_PATHS = ["/auth/login", "/auth/signup", "/auth/refresh", "/auth/password-reset"];
+const isAuthRequest = (config) => AUTH_PATHS.some((p) => (config?.url || "").startsWith(p));
+// A full URL leaves the environment's baseURL behind, so it must not carry its token
+const isAbsoluteUrl = (url) => /^([a-z][a-z\d+.-]*:)?\/\//i.test(url || "");
+
+// PUBLIC_INTERFACE
+export function setSessionHandlers(handlers) {
+  /**
+   * Register session callbacks used by the API client.
+   * handlers: {
+   *   refresh: () => Promise<string|null>  // obtain a new access token, or null if not possible
+   *   expire: () => void                    // called when the session cannot be recovered
+   * }
+   */
+  sessionHandlers = { refresh: null, expire: null, ...(handlers || {}) };
+}
+
+// PUBLIC_INTERFACE
+export function refreshAccessToken() {
+  /**
+   * Run the registered refresh handler once, sharing the result with concurrent callers.
+   * Requests issued while a refresh is in flight wait for it before being sent.
+   * Resolves to the new access token, or null when the session is over (the refresh token
+   * was rejected). Rejects with the ApiError when the refresh could not be completed for
+   * now (offline, timeout, 5xx); the session is kept and can be refreshed later.
+   */
+  if (!sessionHandlers.refresh) return Promise.resolve(null);
+  if (!refreshPromise) {
+    refreshPromise = Promise.resolve()
+      .then(() => sessionHandlers.refresh())
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// Automatic retries for transient failures (see utils/retry). Individual requests can
+// pass `retry: false` or a partial policy, and `onRetry` to be told about each attempt.
+let retryPolicy = { ...DEFAULT_RETRY_POLICY };
+const retryListeners = new Set();
+
+// PUBLIC_INTERFACE
+export function configureRetry(policy) {
+  /**
+   * Override the default retry policy for all requests.
+   * policy: { retries?, baseDelayMs?, maxDelayMs?, maxRetryAfterMs?, statuses?, methods? }
+   * Pass { retries: 0 } to disable automatic retries.
+   */
+  retryPolicy = { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+}
+
+// PUBLIC_INTERFACE
+export function getRetryPolicy() {
+  /** Returns the retry policy currently applied to requests. */
+  return retryPolicy;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeRetries(listener) {
+  /**
+   * Be notified whenever any request is about to be retried.
+   * listener receives { attempt, retries, delayMs, reason, method, url }.
+   * Returns an unsubscribe function.
+   */
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+}
+
+async function retryIfTransient(error) {
+  /** Resolve with a retried response, or null when the error should not be retried. */
+  const config = error?.config;
+  if (!config || config.retry === false) return null;
+  const policy = { ...retryPolicy, ...(typeof config.retry === "object" ? config.retry : {}) };
+  const attempt = (config._retryCount || 0) + 1;
+  const decision = getRetryDecision(error, attempt, policy);
+  if (!decision.retry) return null;
+
+  const info = {
+    attempt,
+    retries: policy.retries,
+    delayMs: decision.delayMs,
+    reason: decision.reason,
+    method: String(config.method || "get").toUpperCase(),
+    url: config.url,
+  };
+  networkLog.recordError(config._logId, error, null, `Retrying in ${info.delayMs} ms (attempt ${attempt} of ${policy.retries})`);
+  [config.onRetry, ...retryListeners].forEach((fn) => {
+    try {
+      fn?.(info);
+    } catch {
+      // a faulty listener must not break the request
+    }
+  });
+  await new Promise((resolve) => setTimeout(resolve, decision.delayMs));
+  config._retryCount = attempt;
+  return api(config);
+}
+
 // Attach Authorization header if token present and log it in development
-api.interceptors.request.use((config) => {
-  if (currentToken) {
+api.interceptors.request.use(async (config) => {
+  // A request may target a specific profile (connection tests); otherwise the active one
+  const environment = config._environment || getActiveEnvironment();
+  config.baseURL = environment.baseUrl;
+  if (environment.mock) {
+    config.adapter = mockAdapter;
+  }
+  // Queue requests behind an in-flight refresh so they go out with the new token
+  if (refreshPromise && !isAuthRequest(config)) {
+    // A refresh that failed for now sends the request with the current token
+    await refreshPromise.catch(() => {});
+  }
+  // Credentials belong to the active environment and are never sent elsewhere
+  if (currentToken && !config._environment && !isAbsoluteUrl(config.url)) {
     config.headers.Authorization = `Bearer ${currentToken}`;
   }
 
@@ -61,80 +183,132 @@ api.interceptors.request.use((config) => {
       console.debug("[api] Request", {
         method: (config.method || "get").toUpperCase(),
         url: fullUrl,
+        backend: environment.mock ? "mock" : "live",
+        environment: environment.name,
         Authorization: config.headers?.Authorization || "(none)",
       });
     } catch {
       // ignore logging errors
     }
   }
+
+  // Record for the in-app Network inspector
+  config._logId = networkLog.recordRequest(config, {
+    backend: environment.mock ? "mock" : "live",
+    environment: environment.name,
+  });
   return config;
 });
 
-// Enhance error messages for 401 and network/CORS/misconfiguration issues
-api.interceptors.response.use(
-  (res) => res,
-  (error) => {
-    // Friendly Unauthorized messaging
-    if (error?.response?.status === 401) {
-      if (process.env.NODE_ENV !== "production") {
-        // eslint-disable-next-line no-console
-        console.debug("[api] 401 Unauthorized response", {
-          url: (error?.config?.baseURL || "") + (error?.config?.url || ""),
-          Authorization: error?.config?.headers?.Authorization || "(none)",
-        });
-      }
-      const friendly401 = new Error(
-        "Unauthorized (401): Your session may be invalid or expired. Please log in again."
-      );
-      friendly401.original = error;
-      friendly401.response = error.response;
-      return Promise.reject(friendly401);
-    }
+// Meter authenticated calls for usage tracking: trust counts reported by the backend,
+// otherwise count the call locally. Only a successful response counts, so failed
+// attempts and the automatic retries before it are not billed to the user.
+function trackUsage(config, response) {
+  if (!config?.headers?.Authorization || !response || isAuthRequest(config)) return;
+  const fromHeaders = parseUsageHeaders(response.headers);
+  if (fromHeaders) {
+    usageTracker.applyServerUsage("api_calls", fromHeaders);
+  } else if (response.status >= 200 && response.status < 300) {
+    usageTracker.recordUsage("api_calls");
+  }
+  Object.entries(parseUsageFields(response.data)).forEach(([feature, usage]) => {
+    usageTracker.applyServerUsage(feature, usage);
+  });
+}
 
-    const isNetworkIssue =
-      (!error?.response &&
-        (error?.code === "ERR_NETWORK" ||
-          (error?.message || "").toLowerCase().includes("network"))) ||
-      error?.message === "Network Error";
+// Troubleshooting steps attached to NetworkErrors, in the active language
+function networkHint(config) {
+  const frontendOrigin = typeof window !== "undefined" && window.location ? window.location.origin : "frontend";
+  return [
+    t("errors.hint.attempted", { baseUrl: config?.baseURL || frontendOrigin }),
+    ...(config?._retryCount ? [t("errors.hint.gaveUp", { count: config._retryCount })] : []),
+    t("errors.hint.causes", { origin: frontendOrigin }),
+    "",
+    t("errors.hint.resolution"),
+  ].join("\n");
+}
 
-    if (isNetworkIssue) {
+// Recover from 401s by refreshing the session, and reject everything else as a typed ApiError
+async function normalizeResponseError(error) {
+  let sessionExpired = false;
+  if (error?.response?.status === 401) {
+    const config = error.config;
+    if (config && !config._retried && !isAuthRequest(config)) {
+      // Try a silent refresh once, then replay the original request with the new token
+      config._retried = true;
+      let newToken;
       try {
-        const frontendOrigin =
-          typeof window !== "undefined" && window.location
-            ? window.location.origin
-            : "frontend";
-        const backendBase = BASE_URL || frontendOrigin;
-        const friendly = [
-          "NetworkError: Failed to reach the backend.",
-          `- Attempted base URL: ${backendBase}`,
-          "- Possible causes:",
-          "  • REACT_APP_BACKEND_URL not set or incorrect",
-          "  • Backend is not running or not accessible",
-          `  • CORS not allowing origin ${frontendOrigin}`,
-          "  • Mixed-content or TLS/hostname mismatch",
-          "",
-          "Resolution:",
-          "  • Set REACT_APP_BACKEND_URL in your .env to your backend URL (e.g., http://localhost:3001)",
-          "  • Ensure backend CORS allows the frontend origin",
-          "  • Verify backend is reachable via the browser",
-        ].join("\n");
-        const wrapped = new Error(friendly);
-        wrapped.original = error;
-        wrapped.response = error.response;
-        return Promise.reject(wrapped);
-      } catch {
-        // If any error occurs during wrapping, reject original error
-        return Promise.reject(error);
+        newToken = await refreshAccessToken();
+      } catch (refreshError) {
+        // The session is kept; the request fails the way the refresh did (e.g. offline)
+        return Promise.reject(refreshError);
       }
+      if (newToken) {
+        return api(config);
+      }
+      sessionExpired = true;
+      sessionHandlers.expire?.();
+    }
+    if (process.env.NODE_ENV !== "production") {
+      // eslint-disable-next-line no-console
+      console.debug("[api] 401 Unauthorized response", {
+        url: (error?.config?.baseURL || "") + (error?.config?.url || ""),
+        Authorization: error?.config?.headers?.Authorization || "(none)",
+      });
+    }
+  }
+  const hint = error && !error.response ? networkHint(error.config) : null;
+  return Promise.reject(toApiError(error, { hint, sessionExpired }));
+}
+
+api.interceptors.response.use(
+  (res) => {
+    networkLog.recordResponse(res.config?._logId, res);
+    trackUsage(res.config, res);
+    return res;
+  },
+  async (error) => {
+    const logId = error?.config?._logId;
+    trackUsage(error?.config, error?.response);
+    const retried = await retryIfTransient(error);
+    if (retried) return retried;
+    try {
+      // Only a 401 recovered by refresh + replay resolves here
+      const replayed = await normalizeResponseError(error);
+      networkLog.recordError(logId, error, null, t("network.replayedAfterRefresh"));
+      return replayed;
+    } catch (finalError) {
+      networkLog.recordError(logId, error, finalError);
+      // Let callers tell a flaky failure from a first-attempt one
+      if (finalError instanceof ApiError) finalError.retryCount = error?.config?._retryCount || 0;
+      // Throttling outlasted the automatic retries; used-up quotas are covered by UsageWarnings
+      if (finalError instanceof RateLimitError && !finalError.quotaExceeded) {
+        const message = finalError.retryAfterMs
+          ? t("errors.rateLimitedRetry", { seconds: Math.ceil(finalError.retryAfterMs / 1000) })
+          : t("errors.rateLimited");
+        notifyWarning(message, { key: "rate-limited" });
+      }
+      throw finalError;
     }
-    return Promise.reject(error);
   }
 );
 
+// PUBLIC_INTERFACE
+export function replayRequest(entry) {
+  /**
+   * Send a request recorded by the Network inspector again, with the current token.
+   * Resolves with the axios response; any HTTP status resolves.
+   */
+  return api.request({ ...networkLog.getReplayConfig(entry), validateStatus: () => true, retry: false });
+}
+
 // PUBLIC_INTERFACE
 export function setToken(token) {
   /** Set JWT token for subsequent API requests. */
   currentToken = token || null;
+  // Usage counters are kept per account and environment
+  const subject = currentToken ? decodeJwt(currentToken)?.sub : null;
+  usageTracker.setActiveAccount(subject ? `${getActiveEnvironment().id}:${subject}` : null);
 }
 
 // PUBLIC_INTERFACE
@@ -164,29 +338,79 @@ export async function signup(payload) {
   /**
    * Signup and return TokenResponse.
    * payload: { email: string, password: string, package_tier?: 'free'|'pro'|'enterprise' }
+   * Never retried: a lost response could otherwise create the account twice.
+   */
+  const res = await api.post("/auth/signup", payload, { retry: false });
+  return res.data;
+}
+
+// PUBLIC_INTERFACE
+export async function refreshSession(refreshToken) {
+  /**
+   * Exchange a refresh token for a new TokenResponse.
+   * refreshToken: string previously returned as `refresh_token` by login/signup.
+   */
+  const res = await api.post("/auth/refresh", { refresh_token: refreshToken });
+  return res.data;
+}
+
+// PUBLIC_INTERFACE
+export async function requestPasswordReset(email) {
+  /**
+   * Ask the backend to email a password reset link. Public.
+   * Resolves to { message } whether or not the account exists; the mock backend,
+   * which cannot send email, also returns the `reset_token`.
+   */
+  const res = await api.post("/auth/password-reset/request", { email }, { retry: false });
+  return res.data;
+}
+
+// PUBLIC_INTERFACE
+export async function confirmPasswordReset({ token, newPassword }) {
+  /**
+   * Set a new password using the token from a reset link. Public.
+   * Fails with 400 for an invalid or expired token and 422 for field errors
+   * (`token`, `new_password`).
    */
-  const res = await api.post("/auth/signup", payload);
+  const res = await api.post(
+    "/auth/password-reset/confirm",
+    { token, new_password: newPassword },
+    { retry: false }
+  );
   return res.data;
 }
 
 // PUBLIC_INTERFACE
-export async function getDashboard() {
-  /** Get DashboardResponse for the current user. Requires auth. */
-  const res = await api.get("/dashboard/me");
+export async function getEmailPolicy(options) {
+  /**
+   * Get the email domain policy for login and signup (see utils/emailPolicy). Public.
+   * Backends without this endpoint answer 404; callers then fall back to runtime configuration.
+   */
+  const res = await api.get("/auth/email-policy", options);
+  return res.data;
+}
+
+// PUBLIC_INTERFACE
+export async function getDashboard(options) {
+  /**
+   * Get DashboardResponse for the current user. Requires auth.
+   * options: extra axios config, e.g. { onRetry, retry, signal }.
+   */
+  const res = await api.get("/dashboard/me", options);
   return res.data;
 }
 
 // PUBLIC_INTERFACE
-export async function getTailoredContent() {
-  /** Get TailoredContentResponse for the current user. Requires auth. */
-  const res = await api.get("/api/content");
+export async function getTailoredContent(options) {
+  /** Get TailoredContentResponse for the current user. Requires auth. Accepts the same options as getDashboard. */
+  const res = await api.get("/api/content", options);
   return res.data;
 }
 
 // PUBLIC_INTERFACE
-export async function getPlan() {
-  /** Retrieve current user's plan/package tier. Requires auth. */
-  const res = await api.get("/account/plan");
+export async function getPlan(options) {
+  /** Retrieve current user's plan/package tier. Requires auth. Accepts the same options as getDashboard. */
+  const res = await api.get("/account/plan", options);
   return res.data;
 }
 
@@ -195,26 +419,112 @@ export async function updatePlan(package_tier) {
   /**
    * Update current user's plan/package tier. Requires auth.
    * package_tier: 'free' | 'pro' | 'enterprise'
+   * Never retried: plan changes may have billing side effects.
    */
-  const res = await api.put("/account/plan", { package_tier });
+  const res = await api.put("/account/plan", { package_tier }, { retry: false });
+  return res.data;
+}
+
+// PUBLIC_INTERFACE
+export async function sendRequest({ method = "GET", url, params, headers, data } = {}) {
+  /**
+   * Send an arbitrary request through the shared client (bearer token attached).
+   * Any HTTP status resolves so callers can inspect error responses; only
+   * network-level failures reject.
+   * Returns { status, statusText, headers, data, durationMs, size }.
+   */
+  const started = performance.now();
+  const res = await api.request({
+    method,
+    url,
+    params,
+    headers,
+    data,
+    validateStatus: () => true,
+    // The explorer shows exactly one exchange per Send
+    retry: false,
+    // Keep the raw body so non-JSON responses are shown as sent
+    transformResponse: [(raw) => raw],
+  });
+  const durationMs = Math.round(performance.now() - started);
+  let body = res.data;
+  if (typeof body === "string" && body) {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // not JSON; show as text
+    }
+  }
+  const rawText = typeof res.data === "string" ? res.data : JSON.stringify(res.data ?? "");
+  return {
+    status: res.status,
+    statusText: res.statusText,
+    headers: typeof res.headers?.toJSON === "function" ? res.headers.toJSON() : { ...(res.headers || {}) },
+    data: body,
+    durationMs,
+    size: new Blob([rawText]).size,
+  };
+}
+
+// PUBLIC_INTERFACE
+export async function getOpenApiSpec(options) {
+  /** Fetch the backend's OpenAPI document (FastAPI serves it at /openapi.json). */
+  const res = await api.get("/openapi.json", options);
   return res.data;
 }
 
 // PUBLIC_INTERFACE
-export async function health() {
-  /** Simple health check to verify backend connectivity. */
-  const res = await api.get("/");
+export async function health(options = {}) {
+  /**
+   * Simple health check to verify backend connectivity.
+   * options.environment: check another profile (no credentials are sent, no retries).
+   */
+  const { environment, ...config } = options;
+  const res = await api.get("/", environment ? { timeout: 8000, ...config, _environment: environment, retry: false } : config);
   return res.data;
 }
 
+// PUBLIC_INTERFACE
+export async function testConnection(environment) {
+  /**
+   * Check that an environment profile answers the health endpoint.
+   * Resolves (never rejects) to { ok, durationMs, message }.
+   */
+  const started = performance.now();
+  try {
+    const data = await health({ environment: environment || getActiveEnvironment() });
+    const durationMs = Math.round(performance.now() - started);
+    return { ok: true, durationMs, message: typeof data?.message === "string" ? data.message : t("environments.reachable") };
+  } catch (e) {
+    const durationMs = Math.round(performance.now() - started);
+    const message = e?.status ? `HTTP ${e.status}` : e?.message || t("environments.unreachable");
+    return { ok: false, durationMs, message };
+  }
+}
+
 export default {
   getBaseUrl,
+  isMockBackend,
+  setMockBackend,
   setToken,
+  setSessionHandlers,
+  refreshAccessToken,
+  configureRetry,
+  getRetryPolicy,
+  subscribeRetries,
   login,
   signup,
+  refreshSession,
+  requestPasswordReset,
+  confirmPasswordReset,
+  getEmailPolicy,
   getDashboard,
   getTailoredContent,
   getPlan,
   updatePlan,
+  sendRequest,
+  replayRequest,
+  getOpenApiSpec,
   health,
+  testConnection,
 };
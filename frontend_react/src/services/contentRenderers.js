@@ -0,0 +1,62 @@
+/**
+ * Registry of custom renderers for content shown by components/ContentRenderer.
+ * Renderers are tried before the built-in shapes (tables, description lists, links,
+ * dates), highest priority first, so a new content type can get its own UI:
+ *
+ *   registerContentRenderer({
+ *     id: "metrics",
+ *     match: (value, { key }) => key === "analytics",
+ *     component: MetricTiles, // receives { value, path, renderValue }
+ *   });
+ *
+ * match(value, { path, key, depth }) sees every value in the tree; `path` is the list
+ * of keys/indexes from the root. renderValue(value, key) renders a child with the
+ * registry and built-ins, for renderers that only handle the outer shape.
+ */
+
+let renderers = [];
+
+// PUBLIC_INTERFACE
+export function registerContentRenderer({ id, match, component, priority = 0 }) {
+  /** Add (or replace, by id) a renderer; returns a function that unregisters it. */
+  if (!id || typeof match !== "function" || !component) throw new Error("A content renderer needs an id, match() and component.");
+  const entry = { id, match, component, priority };
+  renderers = [...renderers.filter((r) => r.id !== id), entry].sort((a, b) => b.priority - a.priority);
+  return () => unregisterContentRenderer(id);
+}
+
+// PUBLIC_INTERFACE
+export function unregisterContentRenderer(id) {
+  /** Remove a renderer by id. */
+  renderers = renderers.filter((r) => r.id !== id);
+}
+
+// PUBLIC_INTERFACE
+export function findContentRenderer(value, context) {
+  /** The first registered renderer whose match() accepts the value, or null. */
+  return (
+    renderers.find((r) => {
+      try {
+        return r.match(value, context);
+      } catch {
+        // A faulty matcher must not break the whole view
+        return false;
+      }
+    }) || null
+  );
+}
+
+// PUBLIC_INTERFACE
+export function listContentRenderers() {
+  /** Registered renderers, in the order they are tried. */
+  return renderers;
+}
+
+const contentRenderers = {
+  registerContentRenderer,
+  unregisterContentRenderer,
+  findContentRenderer,
+  listContentRenderers,
+};
+
+export default contentRenderers;
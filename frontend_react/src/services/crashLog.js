@@ -0,0 +1,150 @@
+import * as networkLog from "./networkLog";
+import { getActiveEnvironment } from "./environments";
+
+/**
+ * Local log of render crashes caught by error boundaries (components/ErrorBoundary).
+ * Each entry records the error and component stacks, the route, the current tier and
+ * a summary of the last API calls (from the Network inspector log, without headers or
+ * bodies, so no credentials end up in a report). Entries persist to localStorage.
+ *
+ * Reporters let crashes be shipped elsewhere later (e.g. to a collector endpoint):
+ *   addCrashReporter((entry) => fetch("/crash", { method: "POST", body: JSON.stringify(entry) }));
+ * A reporter may return a promise; failures are ignored so reporting can never crash the app.
+ */
+
+const CRASH_LOG_KEY = "crash_log";
+const MAX_ENTRIES = 20;
+const RECENT_CALLS = 10;
+
+let entries = read();
+let context = { tier: null, userId: null };
+const reporters = new Set();
+const listeners = new Set();
+
+function read() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CRASH_LOG_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function write() {
+  try {
+    localStorage.setItem(CRASH_LOG_KEY, JSON.stringify(entries));
+  } catch {
+    // storage full or unavailable; the entry still reaches reporters
+  }
+  listeners.forEach((fn) => fn());
+}
+
+const recentCalls = () =>
+  networkLog.getEntries().slice(0, RECENT_CALLS).map((e) => ({
+    method: e.method,
+    path: String(e.path || "").split("?")[0],
+    status: e.status,
+    state: e.state,
+    durationMs: e.durationMs,
+    at: new Date(e.startedAt).toISOString(),
+    error: e.error?.message || null,
+  }));
+
+// PUBLIC_INTERFACE
+export function setCrashContext(next) {
+  /** Update who is signed in for future entries: { tier, userId } (AuthContext keeps this current). */
+  context = { ...context, ...(next || {}) };
+}
+
+// PUBLIC_INTERFACE
+export function recordCrash(error, { componentStack = null, boundary = "app" } = {}) {
+  /** Add a crash to the log and pass it to every reporter. Returns the entry. */
+  const entry = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    at: new Date().toISOString(),
+    boundary,
+    name: error?.name || "Error",
+    message: error?.message || String(error),
+    stack: error?.stack || null,
+    componentStack,
+    // The query string can hold secrets such as a password reset token, so only the path is kept
+    route: typeof window !== "undefined" ? window.location.pathname : null,
+    tier: context.tier,
+    userId: context.userId,
+    environment: getActiveEnvironment().name,
+    recentCalls: recentCalls(),
+  };
+  entries = [entry, ...entries].slice(0, MAX_ENTRIES);
+  write();
+  reporters.forEach((report) => {
+    try {
+      Promise.resolve(report(entry)).catch(() => {});
+    } catch {
+      // a failing reporter must not take the app down again
+    }
+  });
+  return entry;
+}
+
+// PUBLIC_INTERFACE
+export function buildDiagnosticReport(entry) {
+  /** Plain-text report for one entry, for pasting into a bug report. */
+  return [
+    `Crash report ${entry.id}`,
+    `Time: ${entry.at}`,
+    `Route: ${entry.route}`,
+    `Tier: ${entry.tier || "(signed out)"}`,
+    `Environment: ${entry.environment}`,
+    `User agent: ${typeof navigator !== "undefined" ? navigator.userAgent : "unknown"}`,
+    "",
+    `${entry.name}: ${entry.message}`,
+    entry.stack || "(no stack)",
+    "",
+    "Component stack:",
+    (entry.componentStack || "(none)").trim(),
+    "",
+    "Recent API calls (newest first):",
+    ...(entry.recentCalls.length
+      ? entry.recentCalls.map((c) => `  ${c.at} ${c.method} ${c.path} -> ${c.status ?? c.state}${c.error ? ` (${c.error})` : ""}`)
+      : ["  (none)"]),
+  ].join("\n");
+}
+
+// PUBLIC_INTERFACE
+export function addCrashReporter(reporter) {
+  /** Register `reporter(entry)` to be called for every new crash; returns a function that removes it. */
+  reporters.add(reporter);
+  return () => reporters.delete(reporter);
+}
+
+// PUBLIC_INTERFACE
+export function getCrashes() {
+  /** Logged crashes, newest first (a new array after every change). */
+  return entries;
+}
+
+// PUBLIC_INTERFACE
+export function clearCrashes() {
+  /** Delete the local crash log. */
+  entries = [];
+  write();
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to crash log changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const crashLog = {
+  setCrashContext,
+  recordCrash,
+  buildDiagnosticReport,
+  addCrashReporter,
+  getCrashes,
+  clearCrashes,
+  subscribe,
+};
+
+export default crashLog;
@@ -0,0 +1,17 @@
+import { clearCrashes, recordCrash } from './crashLog';
+import { clearEntries, recordRequest } from './networkLog';
+
+afterEach(() => {
+  clearCrashes();
+  clearEntries();
+  window.history.replaceState(null, '', '/');
+});
+
+test('keeps query strings, and the reset tokens they may carry, out of crash entries', () => {
+  window.history.replaceState(null, '', '/reset-password?token=secret-reset-token');
+  recordRequest({ method: 'get', url: '/auth/password-reset/verify?token=secret-reset-token' });
+  const entry = recordCrash(new Error('boom'));
+  expect(entry.route).toBe('/reset-password');
+  expect(entry.recentCalls[0].path).toBe('/auth/password-reset/verify');
+  expect(JSON.stringify(entry)).not.toContain('secret-reset-token');
+});
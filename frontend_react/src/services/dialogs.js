@@ -0,0 +1,86 @@
+/**
+ * Confirm and prompt dialogs as promises, the accessible replacement for
+ * window.confirm / window.prompt. A module-level store like services/notifications:
+ * any code can ask, and DialogsProvider renders the open requests (components/DialogStack)
+ * as stacked modals over whatever is already open.
+ *
+ * Dialog: { id, kind, title, message, confirmLabel, cancelLabel, danger, ... }
+ * - kind: "confirm" | "prompt"
+ * - danger: styles the confirm button as destructive and focuses Cancel first
+ * - prompt only: label, defaultValue, placeholder, required, validate(value) -> error message | null
+ */
+
+let dialogs = [];
+let nextId = 1;
+const resolvers = new Map();
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach((fn) => fn());
+}
+
+function open(kind, options) {
+  return new Promise((resolve) => {
+    const dialog = { ...options, id: nextId++, kind };
+    resolvers.set(dialog.id, resolve);
+    dialogs = [...dialogs, dialog];
+    emit();
+  });
+}
+
+// PUBLIC_INTERFACE
+export function confirm(options = {}) {
+  /**
+   * Ask a yes/no question. Resolves true when confirmed, false when cancelled or dismissed.
+   * e.g. if (await confirm({ title: "Delete?", message: "...", danger: true })) remove();
+   */
+  return open("confirm", options);
+}
+
+// PUBLIC_INTERFACE
+export function prompt(options = {}) {
+  /** Ask for a line of text. Resolves the entered string, or null when cancelled or dismissed. */
+  return open("prompt", options);
+}
+
+// PUBLIC_INTERFACE
+export function resolveDialog(id, value) {
+  /** Close a dialog, settling its promise with `value`. */
+  const resolve = resolvers.get(id);
+  if (!resolve) return;
+  resolvers.delete(id);
+  dialogs = dialogs.filter((d) => d.id !== id);
+  emit();
+  resolve(value);
+}
+
+// PUBLIC_INTERFACE
+export function cancelDialog(id) {
+  /** Close a dialog as cancelled: false for confirm, null for prompt. */
+  const dialog = dialogs.find((d) => d.id === id);
+  if (dialog) resolveDialog(id, dialog.kind === "confirm" ? false : null);
+}
+
+// PUBLIC_INTERFACE
+export function getDialogs() {
+  /** Open dialogs, oldest first; a new array after every change. */
+  return dialogs;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to dialog changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const dialogsService = {
+  confirm,
+  prompt,
+  resolveDialog,
+  cancelDialog,
+  getDialogs,
+  subscribe,
+};
+
+export default dialogsService;
@@ -0,0 +1,210 @@
+import { t } from "../i18n";
+
+/**
+ * Named backend environment profiles (e.g. local, staging, production) that can be
+ * switched at runtime from Settings. Two profiles always exist:
+ *  - "default": the build-time backend (REACT_APP_BACKEND_URL or the dev-port heuristic)
+ *  - "mock": the in-browser mock backend
+ * Custom profiles and the active selection are persisted to localStorage.
+ */
+
+const ENVIRONMENTS_KEY = "api_environments";
+const ACTIVE_KEY = "api_active_environment";
+// Written by earlier versions that only had a Live/Mock toggle
+const LEGACY_MOCK_KEY = "api_mock_backend";
+
+const ENV_BASE = (process.env.REACT_APP_BACKEND_URL || "").trim();
+const ENV_MOCK = (process.env.REACT_APP_USE_MOCK_API || "").trim().toLowerCase() === "true";
+
+export const DEFAULT_ENVIRONMENT_ID = "default";
+export const MOCK_ENVIRONMENT_ID = "mock";
+
+/**
+ * Determine the build-time backend base URL.
+ * - If REACT_APP_BACKEND_URL is provided, use it.
+ * - Else, if running on dev port 3000, try same host on port 3001.
+ * - Otherwise, fall back to same-origin (relative paths).
+ */
+// PUBLIC_INTERFACE
+export function getBuildDefaultBaseUrl() {
+  /** Returns the backend base URL the bundle was built for. */
+  if (ENV_BASE) return ENV_BASE;
+  if (typeof window !== "undefined" && window.location) {
+    if (window.location.port === "3000") {
+      const proto = window.location.protocol;
+      const host = window.location.hostname;
+      return `${proto}//${host}:3001`;
+    }
+  }
+  return ""; // same-origin
+}
+
+const builtIns = () => [
+  { id: DEFAULT_ENVIRONMENT_ID, name: "Default", baseUrl: getBuildDefaultBaseUrl(), mock: false, builtIn: true },
+  { id: MOCK_ENVIRONMENT_ID, name: "Mock", baseUrl: "", mock: true, builtIn: true },
+];
+
+function readCustom() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(ENVIRONMENTS_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((e) => e && e.id && e.name) : [];
+  } catch {
+    return [];
+  }
+}
+
+function readActiveId() {
+  try {
+    const stored = localStorage.getItem(ACTIVE_KEY);
+    if (stored) return stored;
+    const legacy = localStorage.getItem(LEGACY_MOCK_KEY);
+    if (legacy === "true" || legacy === "false") return legacy === "true" ? MOCK_ENVIRONMENT_ID : DEFAULT_ENVIRONMENT_ID;
+  } catch {
+    // ignore storage access errors
+  }
+  return ENV_MOCK ? MOCK_ENVIRONMENT_ID : DEFAULT_ENVIRONMENT_ID;
+}
+
+let custom = readCustom();
+let activeId = readActiveId();
+let snapshot = null;
+const listeners = new Set();
+
+function emit() {
+  snapshot = null;
+  listeners.forEach((fn) => fn());
+}
+
+function persist() {
+  try {
+    localStorage.setItem(ENVIRONMENTS_KEY, JSON.stringify(custom));
+    localStorage.setItem(ACTIVE_KEY, activeId);
+  } catch {
+    // ignore storage access errors; the selection still applies to this tab
+  }
+}
+
+function clearScopedStorage(environmentId) {
+  // Sessions (tokens, saved accounts, the refresh lock) stored for a backend the profile no
+  // longer points to must not be sent to whatever it points to now
+  try {
+    const suffix = `@${environmentId}`;
+    Object.keys(localStorage)
+      .filter((key) => key.endsWith(suffix))
+      .forEach((key) => localStorage.removeItem(key));
+  } catch {
+    // ignore storage access errors
+  }
+}
+
+// PUBLIC_INTERFACE
+export function listEnvironments() {
+  /** All profiles, built-ins first: [{ id, name, baseUrl, mock, builtIn? }]. */
+  return [...builtIns(), ...custom];
+}
+
+// PUBLIC_INTERFACE
+export function getActiveEnvironment() {
+  /** The profile requests currently go to; falls back to "default" if the stored one was deleted. */
+  const all = listEnvironments();
+  return all.find((e) => e.id === activeId) || all[0];
+}
+
+// PUBLIC_INTERFACE
+export function setActiveEnvironment(id) {
+  /** Switch all API traffic to another profile. */
+  if (!listEnvironments().some((e) => e.id === id) || id === getActiveEnvironment().id) return;
+  activeId = id;
+  persist();
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function validateEnvironment({ id, name, baseUrl } = {}, existing = listEnvironments()) {
+  /** Return an error message for an invalid profile, or null. */
+  if (!String(name || "").trim()) return t("environments.nameRequired");
+  if (!/^https?:\/\/[^\s/]+/i.test(String(baseUrl || "").trim())) return t("environments.baseUrlInvalid");
+  const clash = existing.find((e) => e.id !== id && e.name.toLowerCase() === String(name).trim().toLowerCase());
+  if (clash) return t("environments.nameTaken", { name: clash.name });
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function saveEnvironment({ id, name, baseUrl }) {
+  /**
+   * Create a custom profile (or update one when `id` is given). Returns the saved profile.
+   * Changing a profile's base URL signs out of it (see scopedStorageKey).
+   */
+  const profile = {
+    id: id || `env-${Date.now().toString(36)}`,
+    name: String(name).trim(),
+    baseUrl: String(baseUrl).trim().replace(/\/+$/, ""),
+    mock: false,
+  };
+  const previous = custom.find((e) => e.id === profile.id);
+  if (previous && previous.baseUrl !== profile.baseUrl) clearScopedStorage(profile.id);
+  custom = previous ? custom.map((e) => (e.id === profile.id ? profile : e)) : [...custom, profile];
+  persist();
+  emit();
+  return profile;
+}
+
+// PUBLIC_INTERFACE
+export function deleteEnvironment(id) {
+  /** Remove a custom profile and its stored sessions; switching back to "default" if it was active. */
+  custom = custom.filter((e) => e.id !== id);
+  clearScopedStorage(id);
+  if (activeId === id) activeId = DEFAULT_ENVIRONMENT_ID;
+  persist();
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function scopedStorageKey(key, environmentId = getActiveEnvironment().id) {
+  /**
+   * Namespace a storage key per environment so sessions never cross between backends.
+   * The "default" environment keeps the bare key, which existing sessions already use.
+   */
+  return environmentId === DEFAULT_ENVIRONMENT_ID ? key : `${key}@${environmentId}`;
+}
+
+// PUBLIC_INTERFACE
+export function getSnapshot() {
+  /** { environments, active } - a new object after every change (for useSyncExternalStore). */
+  if (!snapshot) snapshot = { environments: listEnvironments(), active: getActiveEnvironment() };
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to profile or selection changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Follow environment changes made in other tabs
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== null && event.key !== ENVIRONMENTS_KEY && event.key !== ACTIVE_KEY) return;
+    custom = readCustom();
+    activeId = readActiveId();
+    emit();
+  });
+}
+
+const environments = {
+  DEFAULT_ENVIRONMENT_ID,
+  MOCK_ENVIRONMENT_ID,
+  getBuildDefaultBaseUrl,
+  listEnvironments,
+  getActiveEnvironment,
+  setActiveEnvironment,
+  validateEnvironment,
+  saveEnvironment,
+  deleteEnvironment,
+  scopedStorageKey,
+  getSnapshot,
+  subscribe,
+};
+
+export default environments;
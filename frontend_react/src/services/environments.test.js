@@ -0,0 +1,52 @@
+import {
+  DEFAULT_ENVIRONMENT_ID,
+  deleteEnvironment,
+  getActiveEnvironment,
+  saveEnvironment,
+  scopedStorageKey,
+  setActiveEnvironment,
+  validateEnvironment,
+} from './environments';
+
+test('validates custom environment profiles', () => {
+  expect(validateEnvironment({ name: '', baseUrl: 'https://x.example.com' })).toMatch(/Name/);
+  expect(validateEnvironment({ name: 'Staging', baseUrl: 'staging.example.com' })).toMatch(/http/);
+  expect(validateEnvironment({ name: 'mock', baseUrl: 'https://x.example.com' })).toMatch(/already exists/);
+  expect(validateEnvironment({ name: 'Staging', baseUrl: 'https://staging.example.com' })).toBeNull();
+});
+
+test('switching environments scopes session storage keys', () => {
+  const staging = saveEnvironment({ name: 'Staging', baseUrl: 'https://staging.example.com/' });
+  expect(staging.baseUrl).toBe('https://staging.example.com');
+
+  expect(scopedStorageKey('auth_token')).toBe('auth_token');
+  setActiveEnvironment(staging.id);
+  expect(getActiveEnvironment().id).toBe(staging.id);
+  expect(scopedStorageKey('auth_token')).toBe(`auth_token@${staging.id}`);
+
+  deleteEnvironment(staging.id);
+  expect(getActiveEnvironment().id).toBe(DEFAULT_ENVIRONMENT_ID);
+});
+
+test('changing or deleting a profile drops the sessions stored for it', () => {
+  const staging = saveEnvironment({ id: 'env-staging', name: 'Staging', baseUrl: 'https://staging.example.com' });
+  const qa = saveEnvironment({ id: 'env-qa', name: 'QA', baseUrl: 'https://qa.example.com' });
+  const store = (env) => {
+    localStorage.setItem(`auth_token@${env.id}`, 'token');
+    localStorage.setItem(`auth_accounts@${env.id}`, '[]');
+  };
+  store(staging);
+  store(qa);
+
+  saveEnvironment({ ...staging, name: 'Staging EU' });
+  expect(localStorage.getItem(`auth_token@${staging.id}`)).toBe('token');
+
+  saveEnvironment({ ...staging, baseUrl: 'https://staging-eu.example.com' });
+  expect(localStorage.getItem(`auth_token@${staging.id}`)).toBeNull();
+  expect(localStorage.getItem(`auth_accounts@${staging.id}`)).toBeNull();
+
+  deleteEnvironment(qa.id);
+  expect(localStorage.getItem(`auth_token@${qa.id}`)).toBeNull();
+  expect(localStorage.getItem(`auth_accounts@${qa.id}`)).toBeNull();
+  deleteEnvironment(staging.id);
+});
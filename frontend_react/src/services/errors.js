@@ -0,0 +1,194 @@
+import { DEFAULT_RETRY_POLICY, parseRetryAfter } from "../utils/retry";
+import { isQuotaExceeded } from "../utils/usage";
+import { extractErrorMessage, parseValidationErrors } from "../utils/error";
+import { t } from "../i18n";
+
+/**
+ * Typed errors rejected by the API client (services/api.js). Every failed request
+ * rejects with an ApiError subclass, so callers can branch with `instanceof` and
+ * show `error.message` without guessing at response shapes:
+ *
+ *   ApiError          any other HTTP error (400, 404, ...)
+ *   ├─ AuthError        401/403 - not logged in, session expired or not allowed
+ *   ├─ NetworkError     no response: backend unreachable, CORS, timeout
+ *   ├─ ValidationError  422 - `fieldErrors` maps form fields to messages
+ *   ├─ RateLimitError   429 - `retryAfterMs`, and `quotaExceeded` for plan quotas
+ *   └─ ServerError      5xx
+ *
+ * All carry `status` (null without a response), `code`, `requestId` (the backend's
+ * X-Request-ID, else the Network inspector entry id), `retryable`, `detail` (the raw
+ * response body) and `response` / `cause` for code that needs the underlying exchange.
+ * Messages the client writes itself (rather than the backend) also carry `messageKey`
+ * and `messageParams`, so the UI can re-translate them after a language change.
+ * Cancelled requests are not wrapped: they keep axios' ERR_CANCELED code.
+ */
+
+// PUBLIC_INTERFACE
+export class ApiError extends Error {
+  /** Base class for failed API requests. */
+  constructor(
+    message,
+    { status = null, code = "api_error", requestId = null, retryable = false, detail = null, response = null, cause = null, messageKey = null, messageParams = {} } = {}
+  ) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.retryable = retryable;
+    this.detail = detail;
+    this.response = response;
+    this.cause = cause;
+    this.messageKey = messageKey;
+    this.messageParams = messageParams;
+    // Number of automatic retries made before giving up (set by the API client)
+    this.retryCount = 0;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class AuthError extends ApiError {
+  /** 401 (missing, invalid or expired credentials) or 403 (not allowed). */
+  constructor(message, options = {}) {
+    super(message, { code: options.status === 403 ? "forbidden" : "unauthorized", ...options });
+    this.name = "AuthError";
+  }
+}
+
+// PUBLIC_INTERFACE
+export class NetworkError extends ApiError {
+  /** The request got no response. `hint` holds troubleshooting steps for misconfiguration. */
+  constructor(message, { hint = null, ...options } = {}) {
+    super(message, { code: "network_error", retryable: true, ...options });
+    this.name = "NetworkError";
+    this.hint = hint;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ValidationError extends ApiError {
+  /** 422 with field errors: `fieldErrors` is { [field]: string[] }, `nonFieldErrors` a string[]. */
+  constructor(message, { fieldErrors = {}, nonFieldErrors = [], ...options } = {}) {
+    super(message, { code: "validation_error", status: 422, ...options });
+    this.name = "ValidationError";
+    this.fieldErrors = fieldErrors;
+    this.nonFieldErrors = nonFieldErrors;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class RateLimitError extends ApiError {
+  /** 429. `quotaExceeded` distinguishes a used-up plan quota from short-lived throttling. */
+  constructor(message, { retryAfterMs = null, quotaExceeded = false, ...options } = {}) {
+    super(message, {
+      code: quotaExceeded ? "quota_exceeded" : "rate_limited",
+      status: 429,
+      retryable: !quotaExceeded,
+      ...options,
+    });
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+    this.quotaExceeded = quotaExceeded;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ServerError extends ApiError {
+  /** 5xx; retryable for the statuses the retry policy treats as transient (502/503/504). */
+  constructor(message, options = {}) {
+    super(message, { code: "server_error", ...options });
+    this.name = "ServerError";
+  }
+}
+
+// Message translated now, with its key kept for re-translation
+const translated = (messageKey, messageParams = {}) => ({ message: t(messageKey, messageParams), messageKey, messageParams });
+
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+};
+
+const bodyCode = (data) => (data && typeof data === "object" && typeof data.code === "string" ? data.code : null);
+
+// PUBLIC_INTERFACE
+export function toApiError(error, { hint = null, sessionExpired = false, fallback } = {}) {
+  /**
+   * Convert an axios error into the matching ApiError subclass. Errors that are
+   * already typed and cancellations are returned unchanged; anything else that is not
+   * from a request (e.g. a bug in a caller) becomes a plain ApiError with code "client_error".
+   * - hint: troubleshooting text for NetworkError
+   * - sessionExpired: a 401 on an authenticated call whose session could not be refreshed
+   * - fallback: message when none can be derived
+   */
+  if (!error || error instanceof ApiError || error.code === "ERR_CANCELED") return error;
+  if (!error.isAxiosError && !error.response && !error.config) {
+    return new ApiError(extractErrorMessage(error, fallback), { code: "client_error", cause: error });
+  }
+  const response = error.response;
+  const config = error.config || {};
+  const base = {
+    requestId: readHeader(response?.headers, "x-request-id") || (config._logId != null ? `client-${config._logId}` : null),
+    response: response || null,
+    detail: response?.data ?? null,
+    cause: error,
+  };
+
+  if (!response) {
+    const timedOut = error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+    const target = `${config.baseURL || (typeof window !== "undefined" ? window.location.origin : "")}${config.url || ""}`;
+    const { message, ...keyed } = translated(timedOut ? "errors.timeout" : "errors.network", { target });
+    return new NetworkError(message, {
+      ...base,
+      ...keyed,
+      code: timedOut ? "timeout" : "network_error",
+      hint,
+    });
+  }
+
+  const { status, data } = response;
+  const generic = translated("errors.requestFailed", { status: String(status) });
+  const message = extractErrorMessage({ response }, generic.message);
+  const options = {
+    ...base,
+    status,
+    ...(bodyCode(data) ? { code: bodyCode(data) } : {}),
+    ...(message === generic.message ? { messageKey: generic.messageKey, messageParams: generic.messageParams } : {}),
+  };
+
+  if (status === 401 || status === 403) {
+    if (status === 401 && sessionExpired) {
+      const { message: expired, ...keyed } = translated("errors.sessionExpired");
+      return new AuthError(expired, { ...options, ...keyed });
+    }
+    return new AuthError(message, options);
+  }
+  if (status === 422) {
+    const parsed = parseValidationErrors({ response });
+    return new ValidationError(message, { ...options, fieldErrors: parsed.fieldErrors, nonFieldErrors: parsed.nonFieldErrors });
+  }
+  if (status === 429) {
+    return new RateLimitError(message, {
+      ...options,
+      retryAfterMs: parseRetryAfter(readHeader(response.headers, "retry-after")),
+      quotaExceeded: isQuotaExceeded(status, response.headers, data),
+    });
+  }
+  if (status >= 500) {
+    return new ServerError(message, { ...options, retryable: DEFAULT_RETRY_POLICY.statuses.includes(status) });
+  }
+  return new ApiError(message, { ...options, code: options.code || (status === 404 ? "not_found" : `http_${status}`) });
+}
+
+const errors = {
+  ApiError,
+  AuthError,
+  NetworkError,
+  ValidationError,
+  RateLimitError,
+  ServerError,
+  toApiError,
+};
+
+export default errors;
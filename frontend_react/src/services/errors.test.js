@@ -0,0 +1,50 @@
+import * as api from './api';
+import { resetMockDb } from './mockBackend';
+import { ApiError, AuthError, NetworkError, RateLimitError, ServerError, ValidationError, toApiError } from './errors';
+
+beforeEach(() => {
+  localStorage.clear();
+  resetMockDb();
+  api.setMockBackend(true);
+  api.setToken(null);
+});
+
+test('rejects failed requests with typed errors', async () => {
+  const invalid = await api.signup({ email: 'nope', password: '1' }).catch((e) => e);
+  expect(invalid).toBeInstanceOf(ValidationError);
+  expect(invalid).toMatchObject({ status: 422, code: 'validation_error', retryable: false });
+  expect(Object.keys(invalid.fieldErrors)).toEqual(['email', 'password']);
+  expect(invalid.requestId).toMatch(/^mock-/);
+
+  const badLogin = await api.login({ email: 'free@tata.co.in', password: 'wrong' }).catch((e) => e);
+  expect(badLogin).toBeInstanceOf(AuthError);
+  expect(badLogin.message).toBe('Incorrect email or password');
+
+  const badToken = await api.confirmPasswordReset({ token: 'unknown', newPassword: 'secret1' }).catch((e) => e);
+  expect(badToken).toBeInstanceOf(ApiError);
+  expect(badToken).toMatchObject({ status: 400, code: 'http_400', message: 'Invalid or expired reset token' });
+});
+
+test('classifies responses without a body shape of their own', () => {
+  const config = { url: '/dashboard/me', baseURL: 'http://api.test', _logId: 7 };
+  const offline = toApiError({ isAxiosError: true, code: 'ERR_NETWORK', config });
+  expect(offline).toBeInstanceOf(NetworkError);
+  expect(offline).toMatchObject({ retryable: true, status: null, requestId: 'client-7' });
+
+  const quota = toApiError({
+    isAxiosError: true,
+    config,
+    response: { status: 429, headers: { 'retry-after': '60' }, data: { detail: 'Daily quota exceeded' } },
+  });
+  expect(quota).toBeInstanceOf(RateLimitError);
+  expect(quota).toMatchObject({ quotaExceeded: true, retryable: false, retryAfterMs: 60000, code: 'quota_exceeded' });
+
+  const unavailable = toApiError({ isAxiosError: true, config, response: { status: 503, headers: {}, data: '' } });
+  expect(unavailable).toBeInstanceOf(ServerError);
+  expect(unavailable).toMatchObject({ status: 503, retryable: true });
+
+  // Callers such as the email policy query fall back on a plain 404
+  const missing = toApiError({ isAxiosError: true, config, response: { status: 404, headers: {}, data: { detail: 'Not Found' } } });
+  expect(missing).not.toBeInstanceOf(ServerError);
+  expect(missing).toMatchObject({ status: 404, code: 'not_found', retryable: false });
+});
@@ -0,0 +1,469 @@
+import { AxiosError } from "axios";
+import MOCK_OPENAPI from "./mockOpenApi";
+import { PACKAGE_TIERS, TIER_FEATURES } from "../utils/plans";
+import { checkEmail, normalizeEmailPolicy } from "../utils/emailPolicy";
+
+/**
+ * In-browser mock of the FastAPI backend, implemented as an axios adapter.
+ * When mock mode is enabled in services/api.js, every request made through the
+ * shared axios instance is answered here instead of going over the network.
+ *
+ * Users are persisted to localStorage so accounts survive reloads. A few demo
+ * accounts (one per package tier) are seeded on first use.
+ */
+
+const DB_KEY = "mock_backend_db";
+const TOKEN_TTL_SECONDS = 30 * 60;
+const REFRESH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const RESET_TTL_MS = 30 * 60 * 1000;
+const SIGNATURE = "mock-signature";
+const LATENCY_MS = 250;
+
+export const DEMO_PASSWORD = "password123";
+
+// Served by GET /auth/email-policy and enforced on signup and login
+export const MOCK_EMAIL_POLICY = {
+  allowed_domains: ["tata.co.in", "*.tata.co.in", "*.tataelxsi.com"],
+  blocked_domains: ["guest.tata.co.in"],
+  signup: { allowed_domains: ["tata.co.in", "*.tata.co.in"] },
+};
+
+const DEMO_USERS = PACKAGE_TIERS.map((tier, idx) => ({
+  id: idx + 1,
+  email: `${tier}@tata.co.in`,
+  password: DEMO_PASSWORD,
+  package_tier: tier,
+}));
+
+const ARTICLES = [
+  { id: 101, title: "Getting started with the Mock API", category: "guides", tiers: ["free", "pro", "enterprise"] },
+  { id: 102, title: "Authentication with bearer tokens", category: "guides", tiers: ["free", "pro", "enterprise"] },
+  { id: 201, title: "Understanding your usage analytics", category: "analytics", tiers: ["pro", "enterprise"] },
+  { id: 202, title: "Exporting data to CSV and JSON", category: "data", tiers: ["pro", "enterprise"] },
+  { id: 301, title: "Designing custom integrations", category: "integrations", tiers: ["enterprise"] },
+  { id: 302, title: "SLA and priority support playbook", category: "support", tiers: ["enterprise"] },
+];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function loadDb() {
+  try {
+    const raw = localStorage.getItem(DB_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed && Array.isArray(parsed.users)) return parsed;
+  } catch {
+    // fall through to a fresh database
+  }
+  return { users: clone(DEMO_USERS), nextId: DEMO_USERS.length + 1 };
+}
+
+function saveDb(db) {
+  try {
+    localStorage.setItem(DB_KEY, JSON.stringify(db));
+  } catch {
+    // storage may be full or unavailable; the mock keeps working in memory
+  }
+}
+
+// PUBLIC_INTERFACE
+export function resetMockDb() {
+  /** Drop all mock accounts and restore the seeded demo users. */
+  try {
+    localStorage.removeItem(DB_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+function base64UrlEncode(str) {
+  return btoa(unescape(encodeURIComponent(str)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const padded = str.replace(/-/g, "+").replace(/_/g, "/");
+  const pad = padded.length % 4 ? "=".repeat(4 - (padded.length % 4)) : "";
+  return decodeURIComponent(escape(atob(padded + pad)));
+}
+
+function issueToken(user, type = "access") {
+  const now = Math.floor(Date.now() / 1000);
+  const ttl = type === "refresh" ? REFRESH_TTL_SECONDS : TOKEN_TTL_SECONDS;
+  const header = base64UrlEncode(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64UrlEncode(
+    JSON.stringify({ sub: user.email, uid: user.id, type, iat: now, exp: now + ttl })
+  );
+  return `${header}.${payload}.${base64UrlEncode(SIGNATURE)}`;
+}
+
+function issueTokenResponse(user) {
+  return {
+    access_token: issueToken(user),
+    refresh_token: issueToken(user, "refresh"),
+    token_type: "bearer",
+  };
+}
+
+function verifyToken(token, type = "access") {
+  /** Return the token payload when signature, type and expiry are valid, else null. */
+  try {
+    const [, payload, signature] = String(token || "").split(".");
+    if (!payload || base64UrlDecode(signature || "") !== SIGNATURE) return null;
+    const claims = JSON.parse(base64UrlDecode(payload));
+    if (claims?.type !== type) return null;
+    if (typeof claims?.exp !== "number" || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, package_tier: user.package_tier };
+}
+
+// Response helpers mirroring FastAPI's error bodies
+const ok = (data, status = 200) => ({ status, data });
+const fail = (status, detail, headers) => ({ status, data: { detail }, headers });
+const fieldError = (loc, msg, type, input) => ({ type, loc, msg, input });
+
+const STATUS_TEXT = {
+  200: "OK",
+  201: "Created",
+  202: "Accepted",
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  405: "Method Not Allowed",
+  422: "Unprocessable Entity",
+  429: "Too Many Requests",
+};
+
+function getHeader(config, name) {
+  const headers = config?.headers || {};
+  if (typeof headers.get === "function") return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+function parseBody(config) {
+  const data = config?.data;
+  if (data == null || data === "") return {};
+  if (data instanceof URLSearchParams) return Object.fromEntries(data.entries());
+  if (typeof data === "object") return data;
+  const contentType = String(getHeader(config, "Content-Type") || "");
+  if (contentType.includes("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(data).entries());
+  }
+  try {
+    return JSON.parse(data);
+  } catch {
+    return undefined;
+  }
+}
+
+function validateEmail(value, loc) {
+  if (value === undefined || value === null || value === "") {
+    return fieldError(loc, "Field required", "missing", value ?? null);
+  }
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(value))) {
+    return fieldError(
+      loc,
+      "value is not a valid email address: An email address must have an @-sign.",
+      "value_error",
+      value
+    );
+  }
+  return null;
+}
+
+function authenticate(config, db) {
+  /** Resolve the bearer token to a stored user, or return a 401 result. */
+  const header = String(getHeader(config, "Authorization") || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return { error: fail(401, "Not authenticated", { "www-authenticate": "Bearer" }) };
+  const claims = verifyToken(match[1]);
+  const user = claims && db.users.find((u) => u.email === claims.sub);
+  if (!user) {
+    return { error: fail(401, "Could not validate credentials", { "www-authenticate": "Bearer" }) };
+  }
+  return { user };
+}
+
+function buildContent(user) {
+  const tier = user.package_tier;
+  const now = Date.now();
+  const items = ARTICLES.filter((a) => a.tiers.includes(tier)).map((a, idx) => ({
+    id: a.id,
+    title: a.title,
+    category: a.category,
+    url: `https://docs.example.com/articles/${a.id}`,
+    published_at: new Date(now - (idx + 1) * 86400000).toISOString(),
+  }));
+  const content = {
+    package_tier: tier,
+    title: `${tier.charAt(0).toUpperCase()}${tier.slice(1)} content`,
+    message: `Content tailored for the ${tier} package.`,
+    generated_at: new Date(now).toISOString(),
+    items,
+  };
+  if (tier !== "free") {
+    content.analytics = {
+      requests_today: 42 * (PACKAGE_TIERS.indexOf(tier) + 1),
+      average_latency_ms: 120,
+      error_rate: 0.01,
+    };
+  }
+  if (tier === "enterprise") {
+    content.reports = [
+      { id: "r-1", name: "Monthly usage", format: "pdf", url: "https://reports.example.com/r-1.pdf" },
+      { id: "r-2", name: "Audit trail", format: "csv", url: "https://reports.example.com/r-2.csv" },
+    ];
+    content.account_manager = { name: "Priya Nair", email: "priya.nair@tata.co.in" };
+  }
+  return content;
+}
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+const nextUtcMidnight = (ms) => {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+};
+
+function apiCallLimit(user) {
+  const feature = (TIER_FEATURES[user.package_tier] || []).find((f) => f.key === "api_calls");
+  return typeof feature?.limit === "number" ? feature.limit : null;
+}
+
+function meterApiCall(user, db) {
+  /**
+   * Count one authenticated call against the user's daily api_calls allowance.
+   * Returns { exceeded, usage: { used, limit, resets_at }, headers } with X-RateLimit-* headers.
+   */
+  const now = Date.now();
+  const limit = apiCallLimit(user);
+  db.usage = db.usage || {};
+  const record = db.usage[user.email]?.day === dayKey(now) ? db.usage[user.email] : { day: dayKey(now), api_calls: 0 };
+  const exceeded = limit !== null && record.api_calls >= limit;
+  if (!exceeded) record.api_calls += 1;
+  db.usage[user.email] = record;
+  saveDb(db);
+  const resetsAt = nextUtcMidnight(now);
+  const usage = { used: record.api_calls, limit, period: "day", resets_at: new Date(resetsAt).toISOString() };
+  const headers =
+    limit === null
+      ? {}
+      : {
+          "x-ratelimit-limit": String(limit),
+          "x-ratelimit-remaining": String(Math.max(0, limit - record.api_calls)),
+          "x-ratelimit-reset": String(Math.floor(resetsAt / 1000)),
+        };
+  if (exceeded) headers["retry-after"] = String(Math.ceil((resetsAt - now) / 1000));
+  return { exceeded, usage, headers };
+}
+
+// Route handlers: (ctx) => { status, data, headers? }
+const routes = {
+  "GET /": () => ok({ message: "Healthy", mode: "mock" }),
+
+  "GET /openapi.json": () => ok(MOCK_OPENAPI),
+
+  "GET /auth/email-policy": () => ok(clone(MOCK_EMAIL_POLICY)),
+
+  "POST /auth/login": ({ body, db }) => {
+    const errors = [];
+    if (!body?.username && !body?.email) errors.push(fieldError(["body", "username"], "Field required", "missing", null));
+    if (!body?.password) errors.push(fieldError(["body", "password"], "Field required", "missing", null));
+    if (errors.length) return fail(422, errors);
+    const email = String(body.username || body.email).trim().toLowerCase();
+    const domainError = checkEmail(email, normalizeEmailPolicy(MOCK_EMAIL_POLICY).login);
+    if (domainError) return fail(403, domainError);
+    const user = db.users.find((u) => u.email === email);
+    if (!user || user.password !== body.password) {
+      return fail(401, "Incorrect email or password", { "www-authenticate": "Bearer" });
+    }
+    return ok(issueTokenResponse(user));
+  },
+
+  "POST /auth/refresh": ({ body, db }) => {
+    if (!body?.refresh_token) {
+      return fail(422, [fieldError(["body", "refresh_token"], "Field required", "missing", null)]);
+    }
+    const claims = verifyToken(body.refresh_token, "refresh");
+    const user = claims && db.users.find((u) => u.email === claims.sub);
+    if (!user) return fail(401, "Invalid or expired refresh token", { "www-authenticate": "Bearer" });
+    return ok(issueTokenResponse(user));
+  },
+
+  "POST /auth/signup": ({ body, db }) => {
+    if (body === undefined) return fail(422, [fieldError(["body"], "JSON decode error", "json_invalid", null)]);
+    const errors = [];
+    const emailErr = validateEmail(body?.email, ["body", "email"]);
+    const domainError = !emailErr && checkEmail(body.email, normalizeEmailPolicy(MOCK_EMAIL_POLICY).signup);
+    if (emailErr) errors.push(emailErr);
+    else if (domainError) errors.push(fieldError(["body", "email"], domainError, "value_error", body.email));
+    if (!body?.password) {
+      errors.push(fieldError(["body", "password"], "Field required", "missing", null));
+    } else if (String(body.password).length < 6) {
+      errors.push(
+        fieldError(["body", "password"], "String should have at least 6 characters", "string_too_short", body.password)
+      );
+    }
+    const tier = body?.package_tier ?? "free";
+    if (!PACKAGE_TIERS.includes(tier)) {
+      errors.push(
+        fieldError(["body", "package_tier"], "Input should be 'free', 'pro' or 'enterprise'", "enum", tier)
+      );
+    }
+    if (errors.length) return fail(422, errors);
+    const email = String(body.email).trim().toLowerCase();
+    if (db.users.some((u) => u.email === email)) return fail(400, "Email already registered");
+    const user = { id: db.nextId, email, password: String(body.password), package_tier: tier };
+    db.users.push(user);
+    db.nextId += 1;
+    saveDb(db);
+    return ok(issueTokenResponse(user), 201);
+  },
+
+  "POST /auth/password-reset/request": ({ body, db }) => {
+    const emailErr = validateEmail(body?.email, ["body", "email"]);
+    if (emailErr) return fail(422, [emailErr]);
+    const email = String(body.email).trim().toLowerCase();
+    const message = `If an account exists for ${email}, we've sent a link to reset its password.`;
+    // Same answer for unknown emails so the endpoint can't be used to find accounts
+    if (!db.users.some((u) => u.email === email)) return ok({ message }, 202);
+    const token = `reset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    db.resetTokens = { ...(db.resetTokens || {}), [token]: { email, expires: Date.now() + RESET_TTL_MS } };
+    saveDb(db);
+    // No mail server here: hand the token back so the reset page can be tried
+    return ok({ message, reset_token: token }, 202);
+  },
+
+  "POST /auth/password-reset/confirm": ({ body, db }) => {
+    const errors = [];
+    if (!body?.token) errors.push(fieldError(["body", "token"], "Field required", "missing", null));
+    if (!body?.new_password) {
+      errors.push(fieldError(["body", "new_password"], "Field required", "missing", null));
+    } else if (String(body.new_password).length < 6) {
+      errors.push(
+        fieldError(["body", "new_password"], "String should have at least 6 characters", "string_too_short", body.new_password)
+      );
+    }
+    if (errors.length) return fail(422, errors);
+    const record = db.resetTokens?.[body.token];
+    const user = record && record.expires > Date.now() && db.users.find((u) => u.email === record.email);
+    if (!user) return fail(400, "Invalid or expired reset token");
+    user.password = String(body.new_password);
+    // Tokens are single use
+    delete db.resetTokens[body.token];
+    saveDb(db);
+    return ok({ message: "Your password has been reset. You can now log in." });
+  },
+
+  "GET /dashboard/me": ({ user, usage }) =>
+    ok({ user: publicUser(user), features: clone(TIER_FEATURES[user.package_tier] || []), usage: { api_calls: usage } }),
+
+  "GET /api/content": ({ user }) => ok(buildContent(user)),
+
+  "GET /account/plan": ({ user }) => ok({ package_tier: user.package_tier }),
+
+  "PUT /account/plan": ({ body, user, db }) => {
+    const tier = body?.package_tier;
+    if (tier === undefined) return fail(422, [fieldError(["body", "package_tier"], "Field required", "missing", null)]);
+    if (!PACKAGE_TIERS.includes(tier)) {
+      return fail(422, [
+        fieldError(["body", "package_tier"], "Input should be 'free', 'pro' or 'enterprise'", "enum", tier),
+      ]);
+    }
+    user.package_tier = tier;
+    saveDb(db);
+    return ok({ package_tier: tier });
+  },
+};
+
+const PUBLIC_ROUTES = new Set([
+  "GET /",
+  "GET /openapi.json",
+  "GET /auth/email-policy",
+  "POST /auth/login",
+  "POST /auth/signup",
+  "POST /auth/refresh",
+  "POST /auth/password-reset/request",
+  "POST /auth/password-reset/confirm",
+]);
+
+function resolvePath(config) {
+  const url = new URL(config?.url || "/", "http://mock.local");
+  const path = url.pathname.replace(/\/+$/, "") || "/";
+  return path;
+}
+
+function handle(config) {
+  const method = String(config?.method || "get").toUpperCase();
+  const path = resolvePath(config);
+  const routeKey = `${method} ${path}`;
+  const handler = routes[routeKey];
+  if (!handler) {
+    const knownPath = Object.keys(routes).some((k) => k.split(" ")[1] === path);
+    return knownPath ? fail(405, "Method Not Allowed") : fail(404, "Not Found");
+  }
+
+  const db = loadDb();
+  const ctx = { body: parseBody(config), db, config };
+  if (!PUBLIC_ROUTES.has(routeKey)) {
+    const { user, error } = authenticate(config, db);
+    if (error) return error;
+    ctx.user = user;
+    const meter = meterApiCall(user, db);
+    if (meter.exceeded) {
+      return fail(
+        429,
+        `Daily API call quota exceeded: the ${user.package_tier} plan allows ${meter.usage.limit} calls per day.`,
+        meter.headers
+      );
+    }
+    ctx.usage = meter.usage;
+    const result = handler(ctx);
+    return { ...result, headers: { ...meter.headers, ...(result.headers || {}) } };
+  }
+  return handler(ctx);
+}
+
+// PUBLIC_INTERFACE
+export async function mockAdapter(config) {
+  /**
+   * Axios adapter that answers requests from the in-browser mock backend.
+   * Resolves with an axios response for 2xx results and rejects with an AxiosError
+   * (carrying the response) otherwise, exactly like the real HTTP adapter.
+   */
+  await delay(LATENCY_MS);
+  const result = handle(config);
+  const response = {
+    data: clone(result.data),
+    status: result.status,
+    statusText: STATUS_TEXT[result.status] || "",
+    headers: {
+      "content-type": "application/json",
+      "x-mock-backend": "true",
+      "x-request-id": `mock-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      ...(result.headers || {}),
+    },
+    config,
+    request: { mock: true },
+  };
+  const validate = config?.validateStatus;
+  if (!validate || validate(response.status)) return response;
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
+
+export default mockAdapter;
@@ -0,0 +1,96 @@
+import * as api from './api';
+import { resetMockDb, DEMO_PASSWORD } from './mockBackend';
+import { NetworkError } from './errors';
+
+beforeEach(() => {
+  localStorage.clear();
+  resetMockDb();
+  api.setMockBackend(true);
+  api.setToken(null);
+});
+
+test('logs in a demo user and returns tier-specific dashboard and content', async () => {
+  const tokenRes = await api.login({ email: 'pro@tata.co.in', password: DEMO_PASSWORD });
+  expect(tokenRes.token_type).toBe('bearer');
+  api.setToken(tokenRes.access_token);
+
+  const dash = await api.getDashboard();
+  expect(dash.user).toMatchObject({ email: 'pro@tata.co.in', package_tier: 'pro' });
+  expect(dash.features.find((f) => f.key === 'analytics').enabled).toBe(true);
+
+  const content = await api.getTailoredContent();
+  expect(content.package_tier).toBe('pro');
+  expect(content.reports).toBeUndefined();
+});
+
+test('rejects protected calls with a 401 when the token is invalid', async () => {
+  api.setToken('not-a-token');
+  await expect(api.getDashboard()).rejects.toMatchObject({ response: { status: 401 } });
+});
+
+test('returns FastAPI-style 422 detail arrays for invalid signups', async () => {
+  const err = await api.signup({ email: 'nope', password: '1', package_tier: 'gold' }).catch((e) => e);
+  expect(err.response.status).toBe(422);
+  expect(err.response.data.detail.map((d) => d.loc[1])).toEqual(['email', 'password', 'package_tier']);
+});
+
+test('persists plan changes for the signed-in user', async () => {
+  const { access_token } = await api.signup({ email: 'qa@tata.co.in', password: 'secret1' });
+  api.setToken(access_token);
+  await expect(api.updatePlan('enterprise')).resolves.toEqual({ package_tier: 'enterprise' });
+  await expect(api.getPlan()).resolves.toEqual({ package_tier: 'enterprise' });
+});
+
+test('resets a password with a single-use token', async () => {
+  const { reset_token } = await api.requestPasswordReset('free@tata.co.in');
+  const short = await api.confirmPasswordReset({ token: reset_token, newPassword: '1' }).catch((e) => e);
+  expect(short.response.status).toBe(422);
+  expect(short.response.data.detail[0].loc).toEqual(['body', 'new_password']);
+
+  await api.confirmPasswordReset({ token: reset_token, newPassword: 'new-secret' });
+  await expect(api.login({ email: 'free@tata.co.in', password: 'new-secret' })).resolves.toHaveProperty('access_token');
+  await expect(api.confirmPasswordReset({ token: reset_token, newPassword: 'again1' })).rejects.toMatchObject({
+    response: { status: 400 },
+  });
+});
+
+test('refreshes once on 401 and replays the original request', async () => {
+  const tokenRes = await api.login({ email: 'free@tata.co.in', password: DEMO_PASSWORD });
+  const refresh = jest.fn(async () => {
+    const next = await api.refreshSession(tokenRes.refresh_token);
+    api.setToken(next.access_token);
+    return next.access_token;
+  });
+  const expire = jest.fn();
+  api.setSessionHandlers({ refresh, expire });
+  api.setToken('stale-token');
+
+  const [dash, plan] = await Promise.all([api.getDashboard(), api.getPlan()]);
+  expect(dash.user.email).toBe('free@tata.co.in');
+  expect(plan.package_tier).toBe('free');
+  expect(refresh).toHaveBeenCalledTimes(1);
+  expect(expire).not.toHaveBeenCalled();
+  api.setSessionHandlers(null);
+});
+
+test('keeps the session when the refresh fails for now instead of expiring it', async () => {
+  const offline = new NetworkError('Network Error', { retryable: true });
+  const expire = jest.fn();
+  api.setSessionHandlers({ refresh: jest.fn().mockRejectedValue(offline), expire });
+  api.setToken('stale-token');
+
+  await expect(api.getDashboard()).rejects.toBe(offline);
+  expect(expire).not.toHaveBeenCalled();
+
+  api.setSessionHandlers({ refresh: async () => null, expire });
+  await expect(api.getDashboard()).rejects.toMatchObject({ status: 401 });
+  expect(expire).toHaveBeenCalledTimes(1);
+  api.setSessionHandlers(null);
+});
+
+test('sendRequest resolves error statuses with headers and timing', async () => {
+  const res = await api.sendRequest({ method: 'GET', url: '/does-not-exist' });
+  expect(res).toMatchObject({ status: 404, data: { detail: 'Not Found' } });
+  expect(res.headers['x-mock-backend']).toBe('true');
+  expect(typeof res.durationMs).toBe('number');
+});
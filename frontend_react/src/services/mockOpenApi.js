@@ -0,0 +1,327 @@
+/**
+ * OpenAPI document served by the mock backend at /openapi.json.
+ * Mirrors what FastAPI generates for the real backend so the API Explorer
+ * catalog works the same way in mock mode.
+ */
+
+const validationErrorResponse = {
+  description: "Validation Error",
+  content: { "application/json": { schema: { $ref: "#/components/schemas/HTTPValidationError" } } },
+};
+
+const jsonResponse = (ref, description = "Successful Response") => ({
+  description,
+  content: { "application/json": { schema: { $ref: `#/components/schemas/${ref}` } } },
+});
+
+const bearer = [{ OAuth2PasswordBearer: [] }];
+
+const MOCK_OPENAPI = {
+  openapi: "3.1.0",
+  info: {
+    title: "Tailored API Response System",
+    description: "Mock of the FastAPI backend that tailors responses to the user's package tier.",
+    version: "0.1.0",
+  },
+  paths: {
+    "/": {
+      get: {
+        tags: ["Health"],
+        summary: "Health Check",
+        operationId: "health_check__get",
+        responses: { 200: { description: "Successful Response", content: { "application/json": { schema: {} } } } },
+      },
+    },
+    "/auth/signup": {
+      post: {
+        tags: ["Auth"],
+        summary: "Signup",
+        description: "Create a user account and return an access token.",
+        operationId: "signup_auth_signup_post",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/UserCreate" } } },
+        },
+        responses: { 201: jsonResponse("TokenResponse"), 422: validationErrorResponse },
+      },
+    },
+    "/auth/login": {
+      post: {
+        tags: ["Auth"],
+        summary: "Login",
+        description: "OAuth2 password flow. Send the email as `username`.",
+        operationId: "login_auth_login_post",
+        requestBody: {
+          required: true,
+          content: {
+            "application/x-www-form-urlencoded": { schema: { $ref: "#/components/schemas/Body_login_auth_login_post" } },
+          },
+        },
+        responses: { 200: jsonResponse("TokenResponse"), 422: validationErrorResponse },
+      },
+    },
+    "/auth/password-reset/request": {
+      post: {
+        tags: ["Auth"],
+        summary: "Request Password Reset",
+        description: "Email a password reset link. Always answers 202 so accounts cannot be discovered.",
+        operationId: "request_password_reset_auth_password_reset_request_post",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/PasswordResetRequest" } } },
+        },
+        responses: { 202: jsonResponse("MessageResponse"), 422: validationErrorResponse },
+      },
+    },
+    "/auth/password-reset/confirm": {
+      post: {
+        tags: ["Auth"],
+        summary: "Confirm Password Reset",
+        description: "Set a new password using the token from a reset link. Tokens are single use.",
+        operationId: "confirm_password_reset_auth_password_reset_confirm_post",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/PasswordResetConfirm" } } },
+        },
+        responses: { 200: jsonResponse("MessageResponse"), 422: validationErrorResponse },
+      },
+    },
+    "/auth/email-policy": {
+      get: {
+        tags: ["Auth"],
+        summary: "Email Policy",
+        description: "Email domains accepted for login and signup. `*.example.com` matches subdomains.",
+        operationId: "email_policy_auth_email_policy_get",
+        responses: { 200: jsonResponse("EmailPolicy") },
+      },
+    },
+    "/auth/refresh": {
+      post: {
+        tags: ["Auth"],
+        summary: "Refresh",
+        description: "Exchange a refresh token for a new token pair.",
+        operationId: "refresh_auth_refresh_post",
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/RefreshRequest" } } },
+        },
+        responses: { 200: jsonResponse("TokenResponse"), 422: validationErrorResponse },
+      },
+    },
+    "/dashboard/me": {
+      get: {
+        tags: ["Dashboard"],
+        summary: "Get Dashboard",
+        description: "Current user's profile and the features enabled by their package.",
+        operationId: "get_dashboard_dashboard_me_get",
+        security: bearer,
+        responses: { 200: jsonResponse("DashboardResponse") },
+      },
+    },
+    "/api/content": {
+      get: {
+        tags: ["Content"],
+        summary: "Get Tailored Content",
+        description: "Content tailored to the current user's package tier.",
+        operationId: "get_tailored_content_api_content_get",
+        security: bearer,
+        responses: { 200: jsonResponse("TailoredContentResponse") },
+      },
+    },
+    "/account/plan": {
+      get: {
+        tags: ["Account"],
+        summary: "Get Plan",
+        operationId: "get_plan_account_plan_get",
+        security: bearer,
+        responses: { 200: jsonResponse("PlanResponse") },
+      },
+      put: {
+        tags: ["Account"],
+        summary: "Update Plan",
+        operationId: "update_plan_account_plan_put",
+        security: bearer,
+        requestBody: {
+          required: true,
+          content: { "application/json": { schema: { $ref: "#/components/schemas/PlanUpdate" } } },
+        },
+        responses: { 200: jsonResponse("PlanResponse"), 422: validationErrorResponse },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      PackageTier: { type: "string", enum: ["free", "pro", "enterprise"], title: "PackageTier" },
+      UserCreate: {
+        type: "object",
+        title: "UserCreate",
+        required: ["email", "password"],
+        properties: {
+          email: { type: "string", format: "email", title: "Email" },
+          password: { type: "string", minLength: 6, title: "Password" },
+          package_tier: { $ref: "#/components/schemas/PackageTier", default: "free" },
+        },
+      },
+      Body_login_auth_login_post: {
+        type: "object",
+        title: "Body_login_auth_login_post",
+        required: ["username", "password"],
+        properties: {
+          grant_type: { anyOf: [{ type: "string", pattern: "^password$" }, { type: "null" }], title: "Grant Type" },
+          username: { type: "string", title: "Username" },
+          password: { type: "string", title: "Password" },
+          scope: { type: "string", title: "Scope", default: "" },
+        },
+      },
+      PasswordResetRequest: {
+        type: "object",
+        title: "PasswordResetRequest",
+        required: ["email"],
+        properties: { email: { type: "string", format: "email", title: "Email" } },
+      },
+      PasswordResetConfirm: {
+        type: "object",
+        title: "PasswordResetConfirm",
+        required: ["token", "new_password"],
+        properties: {
+          token: { type: "string", title: "Token" },
+          new_password: { type: "string", minLength: 6, title: "New Password" },
+        },
+      },
+      MessageResponse: {
+        type: "object",
+        title: "MessageResponse",
+        required: ["message"],
+        properties: { message: { type: "string", title: "Message" } },
+      },
+      EmailDomainRule: {
+        type: "object",
+        title: "EmailDomainRule",
+        properties: {
+          allowed_domains: { type: "array", items: { type: "string" }, title: "Allowed Domains" },
+          blocked_domains: { type: "array", items: { type: "string" }, title: "Blocked Domains" },
+        },
+      },
+      EmailPolicy: {
+        type: "object",
+        title: "EmailPolicy",
+        properties: {
+          allowed_domains: { type: "array", items: { type: "string" }, title: "Allowed Domains" },
+          blocked_domains: { type: "array", items: { type: "string" }, title: "Blocked Domains" },
+          login: { $ref: "#/components/schemas/EmailDomainRule" },
+          signup: { $ref: "#/components/schemas/EmailDomainRule" },
+        },
+      },
+      RefreshRequest: {
+        type: "object",
+        title: "RefreshRequest",
+        required: ["refresh_token"],
+        properties: { refresh_token: { type: "string", title: "Refresh Token" } },
+      },
+      TokenResponse: {
+        type: "object",
+        title: "TokenResponse",
+        required: ["access_token"],
+        properties: {
+          access_token: { type: "string", title: "Access Token" },
+          refresh_token: { anyOf: [{ type: "string" }, { type: "null" }], title: "Refresh Token" },
+          token_type: { type: "string", title: "Token Type", default: "bearer" },
+        },
+      },
+      UserPublic: {
+        type: "object",
+        title: "UserPublic",
+        required: ["id", "email", "package_tier"],
+        properties: {
+          id: { type: "integer", title: "Id" },
+          email: { type: "string", format: "email", title: "Email" },
+          package_tier: { $ref: "#/components/schemas/PackageTier" },
+        },
+      },
+      Feature: {
+        type: "object",
+        title: "Feature",
+        required: ["key", "label", "enabled"],
+        properties: {
+          key: { type: "string", title: "Key" },
+          label: { type: "string", title: "Label" },
+          enabled: { type: "boolean", title: "Enabled" },
+          limit: { anyOf: [{ type: "integer" }, { type: "null" }], title: "Limit" },
+        },
+      },
+      FeatureUsage: {
+        type: "object",
+        title: "FeatureUsage",
+        required: ["used"],
+        properties: {
+          used: { type: "integer", title: "Used" },
+          limit: { anyOf: [{ type: "integer" }, { type: "null" }], title: "Limit" },
+          period: { type: "string", title: "Period" },
+          resets_at: { type: "string", format: "date-time", title: "Resets At" },
+        },
+      },
+      DashboardResponse: {
+        type: "object",
+        title: "DashboardResponse",
+        required: ["user", "features"],
+        properties: {
+          user: { $ref: "#/components/schemas/UserPublic" },
+          features: { type: "array", items: { $ref: "#/components/schemas/Feature" }, title: "Features" },
+          usage: {
+            type: "object",
+            additionalProperties: { $ref: "#/components/schemas/FeatureUsage" },
+            title: "Usage",
+            description: "Usage of metered features in the current period, keyed by feature.",
+          },
+        },
+      },
+      TailoredContentResponse: {
+        type: "object",
+        title: "TailoredContentResponse",
+        required: ["package_tier", "items"],
+        properties: {
+          package_tier: { $ref: "#/components/schemas/PackageTier" },
+          title: { type: "string", title: "Title" },
+          message: { type: "string", title: "Message" },
+          generated_at: { type: "string", format: "date-time", title: "Generated At" },
+          items: { type: "array", items: { type: "object" }, title: "Items" },
+        },
+        additionalProperties: true,
+      },
+      PlanResponse: {
+        type: "object",
+        title: "PlanResponse",
+        required: ["package_tier"],
+        properties: { package_tier: { $ref: "#/components/schemas/PackageTier" } },
+      },
+      PlanUpdate: {
+        type: "object",
+        title: "PlanUpdate",
+        required: ["package_tier"],
+        properties: { package_tier: { $ref: "#/components/schemas/PackageTier" } },
+      },
+      ValidationError: {
+        type: "object",
+        title: "ValidationError",
+        required: ["loc", "msg", "type"],
+        properties: {
+          loc: { type: "array", items: { anyOf: [{ type: "string" }, { type: "integer" }] }, title: "Location" },
+          msg: { type: "string", title: "Message" },
+          type: { type: "string", title: "Error Type" },
+        },
+      },
+      HTTPValidationError: {
+        type: "object",
+        title: "HTTPValidationError",
+        properties: {
+          detail: { type: "array", items: { $ref: "#/components/schemas/ValidationError" }, title: "Detail" },
+        },
+      },
+    },
+    securitySchemes: {
+      OAuth2PasswordBearer: { type: "oauth2", flows: { password: { scopes: {}, tokenUrl: "auth/login" } } },
+    },
+  },
+};
+
+export default MOCK_OPENAPI;
@@ -0,0 +1,76 @@
+/**
+ * Stack of open modals (components/Modal), topmost last. Only the topmost modal
+ * handles Escape, overlay clicks and the focus trap, so a confirm dialog can open
+ * over Settings without both reacting. Body scrolling is locked while any is open.
+ */
+
+let stack = [];
+let savedBodyStyle = null;
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach((fn) => fn());
+}
+
+function lockScroll() {
+  const { body, documentElement } = document;
+  // Keep the layout from shifting when the scrollbar disappears
+  const scrollbar = window.innerWidth - documentElement.clientWidth;
+  savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+  body.style.overflow = "hidden";
+  if (scrollbar > 0) body.style.paddingRight = `${scrollbar}px`;
+}
+
+function unlockScroll() {
+  if (!savedBodyStyle) return;
+  document.body.style.overflow = savedBodyStyle.overflow;
+  document.body.style.paddingRight = savedBodyStyle.paddingRight;
+  savedBodyStyle = null;
+}
+
+// PUBLIC_INTERFACE
+export function pushModal(id) {
+  /** Put a modal on top of the stack (locks body scrolling for the first one). */
+  if (stack.includes(id)) return;
+  if (!stack.length) lockScroll();
+  stack = [...stack, id];
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function removeModal(id) {
+  /** Take a modal off the stack, wherever it is (unlocks scrolling after the last one). */
+  if (!stack.includes(id)) return;
+  stack = stack.filter((m) => m !== id);
+  if (!stack.length) unlockScroll();
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function getTopModal() {
+  /** Id of the topmost open modal, or null. */
+  return stack.length ? stack[stack.length - 1] : null;
+}
+
+// PUBLIC_INTERFACE
+export function getStack() {
+  /** Ids of the open modals, bottom first; a new array after every change. */
+  return stack;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to stack changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const modalStack = {
+  pushModal,
+  removeModal,
+  getTopModal,
+  getStack,
+  subscribe,
+};
+
+export default modalStack;
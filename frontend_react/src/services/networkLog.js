@@ -0,0 +1,247 @@
+/**
+ * In-memory log of every request that goes through the shared axios instance.
+ * Fed by the interceptors in services/api.js and read by the Network inspector.
+ * Only the most recent MAX_ENTRIES entries are kept. Bearer tokens are masked and
+ * password/token fields in bodies redacted before anything is stored. Replay still
+ * needs the original body, which is held separately and never becomes part of an entry.
+ */
+
+const MAX_ENTRIES = 200;
+
+let entries = [];
+let paused = false;
+let nextId = 1;
+// Original request bodies of entries whose logged body was redacted, by entry id; only
+// read by getReplayConfig so that replaying e.g. a login sends the real password
+const replayBodies = new Map();
+// Immutable snapshot handed to subscribers; replaced on every change
+let snapshot = { entries, paused };
+const listeners = new Set();
+
+function emit() {
+  snapshot = { entries, paused };
+  listeners.forEach((fn) => fn());
+}
+
+function update(id, patch) {
+  if (!entries.some((e) => e.id === id)) return;
+  entries = entries.map((e) => (e.id === id ? { ...e, ...patch } : e));
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function serializeBody(data) {
+  /** Render a request/response body as display text. */
+  if (data === undefined || data === null || data === "") return "";
+  if (typeof data === "string") return data;
+  if (data instanceof URLSearchParams) return data.toString();
+  try {
+    return JSON.stringify(data, null, 2);
+  } catch {
+    return String(data);
+  }
+}
+
+// Body fields that hold passwords or tokens; their values never reach the log
+const SECRET_FIELDS = ["password", "new_password", "token", "access_token", "refresh_token"];
+const REDACTED = "[redacted]";
+
+function redactValue(value) {
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, SECRET_FIELDS.includes(k.toLowerCase()) ? REDACTED : redactValue(v)])
+  );
+}
+
+function redactForm(params) {
+  const out = new URLSearchParams();
+  params.forEach((v, k) => out.append(k, SECRET_FIELDS.includes(k.toLowerCase()) ? REDACTED : v));
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function redactBody(data) {
+  /**
+   * A copy of a request/response body with password and token fields replaced.
+   * Handles parsed JSON, URLSearchParams and their string forms; other values pass through.
+   */
+  if (data instanceof URLSearchParams) return redactForm(data);
+  if (typeof data === "string") {
+    const text = data.trim();
+    if (/^[[{]/.test(text)) {
+      try {
+        return JSON.stringify(redactValue(JSON.parse(text)));
+      } catch {
+        return data;
+      }
+    }
+    // key=value&... bodies such as the login form
+    if (/^[^\s=&]+=[^\s]*$/.test(text)) return redactForm(new URLSearchParams(text)).toString();
+    return data;
+  }
+  return redactValue(data);
+}
+
+const byteSize = (text) => (text ? new Blob([text]).size : 0);
+
+const plainHeaders = (headers) =>
+  headers && typeof headers.toJSON === "function" ? headers.toJSON() : { ...(headers || {}) };
+
+// Keep enough of the bearer token to tell sessions apart without exposing it
+function maskHeaders(headers) {
+  const out = { ...headers };
+  Object.keys(out).forEach((k) => {
+    if (k.toLowerCase() === "authorization" && typeof out[k] === "string") {
+      out[k] = out[k].replace(/^(Bearer\s+)(.{6}).*(.{4})$/i, "$1$2…$3");
+    }
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function recordRequest(config, extra = {}) {
+  /** Record an outgoing request; returns the entry id (or null while paused). */
+  if (paused) return null;
+  const headers = plainHeaders(config?.headers);
+  const data = redactBody(config?.data);
+  const requestBody = serializeBody(data);
+  const replayHeaders = Object.fromEntries(Object.entries(headers).filter(([k]) => k.toLowerCase() !== "authorization"));
+  const entry = {
+    id: nextId++,
+    method: String(config?.method || "get").toUpperCase(),
+    url: (config?.baseURL || "") + (config?.url || ""),
+    path: config?.url || "",
+    params: config?.params || null,
+    startedAt: Date.now(),
+    state: "pending",
+    status: null,
+    statusText: "",
+    durationMs: null,
+    requestHeaders: maskHeaders(headers),
+    requestBody,
+    requestSize: byteSize(requestBody),
+    responseHeaders: {},
+    responseBody: "",
+    responseSize: 0,
+    error: null,
+    friendlyMessage: null,
+    hint: null,
+    // What is needed to send the request again (the current token is attached on replay)
+    replay: { method: config?.method, url: config?.url, params: config?.params, headers: replayHeaders, data },
+    ...extra,
+  };
+  if (config?.data !== undefined && requestBody !== serializeBody(config.data)) replayBodies.set(entry.id, config.data);
+  const all = [entry, ...entries];
+  entries = all.slice(0, MAX_ENTRIES);
+  all.slice(MAX_ENTRIES).forEach((e) => replayBodies.delete(e.id));
+  emit();
+  return entry.id;
+}
+
+// PUBLIC_INTERFACE
+export function recordResponse(id, response) {
+  /** Complete an entry with its HTTP response. */
+  if (id == null) return;
+  const entry = entries.find((e) => e.id === id);
+  const body = serializeBody(redactBody(response?.data));
+  update(id, {
+    state: "done",
+    status: response?.status ?? null,
+    statusText: response?.statusText || "",
+    durationMs: entry ? Date.now() - entry.startedAt : null,
+    responseHeaders: plainHeaders(response?.headers),
+    responseBody: body,
+    responseSize: byteSize(body),
+  });
+}
+
+// PUBLIC_INTERFACE
+export function recordError(id, error, finalError, note) {
+  /**
+   * Complete an entry that failed. `error` is the raw axios error; `finalError` is the
+   * typed error callers actually received (see services/errors), and
+   * `note` describes recovery such as a replay after token refresh.
+   */
+  if (id == null) return;
+  const entry = entries.find((e) => e.id === id);
+  const response = error?.response;
+  const body = serializeBody(redactBody(response?.data));
+  update(id, {
+    state: response ? "done" : "error",
+    status: response?.status ?? null,
+    statusText: response?.statusText || "",
+    durationMs: entry ? Date.now() - entry.startedAt : null,
+    responseHeaders: plainHeaders(response?.headers),
+    responseBody: body,
+    responseSize: byteSize(body),
+    error: { message: error?.message || String(error), code: error?.code || null },
+    friendlyMessage: finalError && finalError !== error ? finalError.message : null,
+    hint: finalError?.hint || null,
+    note: note || null,
+  });
+}
+
+// PUBLIC_INTERFACE
+export function getEntries() {
+  /** Current entries, newest first. */
+  return entries;
+}
+
+// PUBLIC_INTERFACE
+export function getReplayConfig(entry) {
+  /** The request config to send `entry` again, with its original (unredacted) body. */
+  if (!entry?.replay) return {};
+  return replayBodies.has(entry.id) ? { ...entry.replay, data: replayBodies.get(entry.id) } : entry.replay;
+}
+
+// PUBLIC_INTERFACE
+export function getSnapshot() {
+  /** { entries, paused } - a new object after every change (for useSyncExternalStore). */
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function clearEntries() {
+  /** Remove all recorded entries. */
+  entries = [];
+  replayBodies.clear();
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function setPaused(value) {
+  /** Pause or resume recording. */
+  paused = !!value;
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function isPaused() {
+  /** True while recording is paused. */
+  return paused;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to log changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const networkLog = {
+  serializeBody,
+  redactBody,
+  recordRequest,
+  recordResponse,
+  recordError,
+  getEntries,
+  getReplayConfig,
+  getSnapshot,
+  clearEntries,
+  setPaused,
+  isPaused,
+  subscribe,
+};
+
+export default networkLog;
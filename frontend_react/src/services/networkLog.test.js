@@ -0,0 +1,43 @@
+import { clearEntries, getEntries, getReplayConfig, recordRequest, recordResponse } from './networkLog';
+
+afterEach(() => clearEntries());
+
+test('redacts passwords in form and JSON request bodies but replays the originals', () => {
+  const formId = recordRequest({
+    method: 'post',
+    url: '/auth/login',
+    data: new URLSearchParams([['username', 'pro@tata.co.in'], ['password', 'hunter2']]),
+  });
+  const jsonId = recordRequest({
+    method: 'post',
+    url: '/auth/password-reset/confirm',
+    data: { token: 'reset-token', new_password: 'hunter3' },
+  });
+  const [json, form] = getEntries();
+  expect([form.id, json.id]).toEqual([formId, jsonId]);
+  expect(form.requestBody).toBe('username=pro%40tata.co.in&password=%5Bredacted%5D');
+  expect(form.replay.data.get('password')).toBe('[redacted]');
+  expect(JSON.parse(json.requestBody)).toEqual({ token: '[redacted]', new_password: '[redacted]' });
+  expect(json.replay.data).toEqual({ token: '[redacted]', new_password: '[redacted]' });
+  expect(JSON.stringify(getEntries())).not.toMatch(/hunter|reset-token/);
+
+  // Replaying sends the original body, kept outside the entries
+  expect(getReplayConfig(form).data.get('password')).toBe('hunter2');
+  expect(getReplayConfig(json).data).toEqual({ token: 'reset-token', new_password: 'hunter3' });
+  clearEntries();
+  expect(getReplayConfig(form).data.get('password')).toBe('[redacted]');
+});
+
+test('redacts tokens in auth responses, parsed or raw', () => {
+  const id = recordRequest({ method: 'post', url: '/auth/refresh' });
+  recordResponse(id, { status: 200, data: { access_token: 'a.b.c', refresh_token: 'r1', token_type: 'bearer' } });
+  expect(JSON.parse(getEntries()[0].responseBody)).toEqual({
+    access_token: '[redacted]',
+    refresh_token: '[redacted]',
+    token_type: 'bearer',
+  });
+
+  const raw = recordRequest({ method: 'post', url: '/auth/login' });
+  recordResponse(raw, { status: 200, data: '{"access_token":"a.b.c"}' });
+  expect(getEntries()[0].responseBody).toBe('{"access_token":"[redacted]"}');
+});
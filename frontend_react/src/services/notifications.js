@@ -0,0 +1,113 @@
+/**
+ * App-wide toast notifications. A module-level store so the API layer and other
+ * non-React code can notify; components use context/NotificationsContext, and
+ * NotificationsProvider renders the stack.
+ *
+ * Toast: { id, type, title, message, actions, duration, key, version }
+ * - type: "info" | "success" | "warning" | "error"
+ * - actions: [{ label, onClick }] - clicking one also dismisses the toast
+ * - duration: ms before auto-dismiss; 0 keeps the toast until dismissed
+ * - key: a toast with the same key replaces the earlier one instead of stacking
+ */
+
+export const TOAST_TYPES = ["info", "success", "warning", "error"];
+
+const DEFAULT_DURATIONS = { info: 5000, success: 4000, warning: 7000, error: 8000 };
+// Older toasts are dropped beyond this many
+const MAX_TOASTS = 5;
+
+let toasts = [];
+let nextId = 1;
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach((fn) => fn());
+}
+
+// PUBLIC_INTERFACE
+export function notify({ type = "info", title = null, message, actions = [], duration, key = null } = {}) {
+  /** Show a toast; returns its id (use it with dismiss). */
+  const kind = TOAST_TYPES.includes(type) ? type : "info";
+  const existing = key ? toasts.find((t) => t.key === key) : null;
+  const toast = {
+    id: existing ? existing.id : nextId++,
+    type: kind,
+    title,
+    message: message == null ? "" : String(message),
+    actions: Array.isArray(actions) ? actions : [],
+    duration: typeof duration === "number" ? duration : DEFAULT_DURATIONS[kind],
+    key,
+    // Bumped on replacement so the auto-dismiss timer restarts
+    version: existing ? existing.version + 1 : 0,
+  };
+  toasts = existing ? toasts.map((t) => (t.id === toast.id ? toast : t)) : [...toasts, toast].slice(-MAX_TOASTS);
+  emit();
+  return toast.id;
+}
+
+// PUBLIC_INTERFACE
+export function notifyInfo(message, options) {
+  /** Shorthand for notify({ type: "info", message, ...options }). */
+  return notify({ ...options, type: "info", message });
+}
+
+// PUBLIC_INTERFACE
+export function notifySuccess(message, options) {
+  /** Shorthand for notify({ type: "success", message, ...options }). */
+  return notify({ ...options, type: "success", message });
+}
+
+// PUBLIC_INTERFACE
+export function notifyWarning(message, options) {
+  /** Shorthand for notify({ type: "warning", message, ...options }). */
+  return notify({ ...options, type: "warning", message });
+}
+
+// PUBLIC_INTERFACE
+export function notifyError(message, options) {
+  /** Shorthand for notify({ type: "error", message, ...options }). */
+  return notify({ ...options, type: "error", message });
+}
+
+// PUBLIC_INTERFACE
+export function dismiss(id) {
+  /** Remove one toast. */
+  if (!toasts.some((t) => t.id === id)) return;
+  toasts = toasts.filter((t) => t.id !== id);
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function dismissAll() {
+  /** Remove every toast. */
+  toasts = [];
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function getSnapshot() {
+  /** Current toasts, oldest first (a new array after every change). */
+  return toasts;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to toast changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+const notifications = {
+  TOAST_TYPES,
+  notify,
+  notifyInfo,
+  notifySuccess,
+  notifyWarning,
+  notifyError,
+  dismiss,
+  dismissAll,
+  getSnapshot,
+  subscribe,
+};
+
+export default notifications;
@@ -0,0 +1,18 @@
+import { dismiss, dismissAll, getSnapshot, notify, notifyError } from './notifications';
+
+afterEach(() => dismissAll());
+
+test('stacks toasts and replaces those sharing a key', () => {
+  notify({ message: 'one' });
+  const id = notifyError('offline', { key: 'net' });
+  notifyError('still offline', { key: 'net' });
+  expect(getSnapshot().map((t) => t.message)).toEqual(['one', 'still offline']);
+  expect(getSnapshot()[1]).toMatchObject({ id, type: 'error', version: 1 });
+  dismiss(id);
+  expect(getSnapshot()).toHaveLength(1);
+});
+
+test('keeps only the newest toasts', () => {
+  for (let i = 0; i < 8; i += 1) notify({ message: `t${i}` });
+  expect(getSnapshot().map((t) => t.message)).toEqual(['t3', 't4', 't5', 't6', 't7']);
+});
@@ -0,0 +1,93 @@
+import * as api from "./api";
+import { getActiveEnvironment } from "./environments";
+import { getConfiguredEmailPolicy } from "../utils/emailPolicy";
+import { fetchQuery, invalidateQueries } from "./queryClient";
+
+/**
+ * Query keys and cached fetchers for the backend resources, plus the mutations that
+ * invalidate them. Components read these through hooks/useQuery; code outside React
+ * (e.g. AuthContext) calls the fetch* functions directly and shares the same cache.
+ */
+
+export const queryKeys = {
+  dashboard: ["dashboard"],
+  content: ["content"],
+  plan: ["plan"],
+  // Each environment serves its own spec
+  openapi: () => ["openapi", getActiveEnvironment().id],
+  emailPolicy: () => ["emailPolicy", getActiveEnvironment().id],
+};
+
+export const queryFns = {
+  dashboard: ({ signal }) => api.getDashboard({ signal }),
+  content: ({ signal }) => api.getTailoredContent({ signal }),
+  plan: ({ signal }) => api.getPlan({ signal }),
+  openapi: ({ signal }) => api.getOpenApiSpec({ signal }),
+  // The backend's policy wins; runtime configuration covers backends without the endpoint (404).
+  // Other failures stay query errors so they are retried instead of cached as the policy.
+  emailPolicy: ({ signal }) =>
+    api.getEmailPolicy({ signal, retry: false }).catch((error) => {
+      if (error?.status === 404) return getConfiguredEmailPolicy();
+      throw error;
+    }),
+};
+
+// PUBLIC_INTERFACE
+export function fetchDashboard(options) {
+  /** Cached /dashboard/me. options: see queryClient.fetchQuery (e.g. { force: true }). */
+  return fetchQuery(queryKeys.dashboard, queryFns.dashboard, options);
+}
+
+// PUBLIC_INTERFACE
+export function fetchTailoredContent(options) {
+  /** Cached /api/content. */
+  return fetchQuery(queryKeys.content, queryFns.content, options);
+}
+
+// PUBLIC_INTERFACE
+export function fetchPlan(options) {
+  /** Cached /account/plan. */
+  return fetchQuery(queryKeys.plan, queryFns.plan, options);
+}
+
+// PUBLIC_INTERFACE
+export function fetchOpenApiSpec(options) {
+  /** Cached OpenAPI document for the active backend. */
+  return fetchQuery(queryKeys.openapi(), queryFns.openapi, { staleTime: 5 * 60 * 1000, ...options });
+}
+
+// PUBLIC_INTERFACE
+export function fetchEmailPolicy(options) {
+  /** Cached raw email domain policy for the active backend (see utils/emailPolicy). */
+  return fetchQuery(queryKeys.emailPolicy(), queryFns.emailPolicy, { staleTime: 10 * 60 * 1000, ...options });
+}
+
+// PUBLIC_INTERFACE
+export function invalidateAccountQueries() {
+  /** Mark everything that depends on the user's account or plan as stale. */
+  invalidateQueries(queryKeys.dashboard);
+  invalidateQueries(queryKeys.content);
+  invalidateQueries(queryKeys.plan);
+}
+
+// PUBLIC_INTERFACE
+export async function updatePlan(packageTier) {
+  /** Change the plan, then invalidate the dashboard, content and plan queries. */
+  const plan = await api.updatePlan(packageTier);
+  invalidateAccountQueries();
+  return plan;
+}
+
+const queries = {
+  queryKeys,
+  queryFns,
+  fetchDashboard,
+  fetchTailoredContent,
+  fetchPlan,
+  fetchOpenApiSpec,
+  fetchEmailPolicy,
+  invalidateAccountQueries,
+  updatePlan,
+};
+
+export default queries;
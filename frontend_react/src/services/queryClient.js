@@ -0,0 +1,220 @@
+/**
+ * Keyed cache for server data shared by every component.
+ * - Concurrent fetches of the same key share one request (dedup).
+ * - Cached data is served immediately and refetched in the background once stale.
+ * - Fetches started by components are aborted when the last subscriber goes away.
+ * - invalidateQueries marks data stale and refetches whatever is on screen; callers
+ *   awaiting the superseded fetch receive the refetched data.
+ * Keys are arrays such as ["dashboard"]; a key prefix matches every key that starts with it.
+ */
+
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+// `generation` counts clearQueries calls, so subscribers notice a reset even when the
+// entry was already stale (e.g. its first fetch was still in flight)
+const INITIAL_STATE = Object.freeze({ data: undefined, error: null, updatedAt: 0, isFetching: false, isStale: true, generation: 0 });
+
+const queries = new Map();
+// Fetch promise -> the refetch that replaced it while imperative callers were awaiting it
+const successors = new WeakMap();
+
+// PUBLIC_INTERFACE
+export function hashKey(key) {
+  /** Stable string form of a query key. */
+  return JSON.stringify(Array.isArray(key) ? key : [key]);
+}
+
+const matchesPrefix = (key, prefix) => {
+  const p = Array.isArray(prefix) ? prefix : [prefix];
+  return p.every((part, i) => JSON.stringify(key[i]) === JSON.stringify(part));
+};
+
+function getQuery(key) {
+  const hash = hashKey(key);
+  if (!queries.has(hash)) {
+    queries.set(hash, {
+      key: Array.isArray(key) ? key : [key],
+      state: INITIAL_STATE,
+      listeners: new Set(),
+      fetcher: null,
+      promise: null,
+      controller: null,
+      fetchId: 0,
+      // Imperative callers awaiting the current fetch; it is never aborted while they wait
+      waiters: 0,
+    });
+  }
+  return queries.get(hash);
+}
+
+function setState(query, patch) {
+  query.state = { ...query.state, ...patch };
+  query.listeners.forEach((fn) => fn());
+}
+
+const isCanceled = (error) => error?.code === "ERR_CANCELED" || error?.name === "CanceledError" || error?.name === "AbortError";
+
+function startFetch(query, fetcher) {
+  const fetchId = ++query.fetchId;
+  const controller = new AbortController();
+  query.fetcher = fetcher;
+  query.controller = controller;
+  setState(query, { isFetching: true });
+  query.promise = Promise.resolve()
+    .then(() => fetcher({ signal: controller.signal }))
+    .then(
+      (data) => {
+        if (query.fetchId === fetchId) {
+          query.promise = null;
+          query.controller = null;
+          setState(query, { data, error: null, updatedAt: Date.now(), isFetching: false, isStale: false });
+        }
+        return data;
+      },
+      (error) => {
+        if (query.fetchId === fetchId) {
+          query.promise = null;
+          query.controller = null;
+          // A cancelled fetch keeps whatever was cached before it
+          setState(query, isCanceled(error) ? { isFetching: false } : { error, isFetching: false });
+        }
+        throw error;
+      }
+    );
+  return query.promise;
+}
+
+function awaitFetch(promise) {
+  /** Settle with `promise`, or with the fetch that superseded it (see invalidateQueries). */
+  const follow = (settle) => (value) => (successors.has(promise) ? awaitFetch(successors.get(promise)) : settle(value));
+  return promise.then(
+    follow((data) => data),
+    follow((error) => {
+      throw error;
+    })
+  );
+}
+
+// PUBLIC_INTERFACE
+export function fetchQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false, detached = false } = {}) {
+  /**
+   * Resolve the data for `key`, fetching only when needed.
+   * fetcher: ({ signal }) => Promise<data>, where signal aborts the underlying request.
+   * Options:
+   *  - staleTime: cached data younger than this is returned without a request
+   *  - force: always fetch (an in-flight request is still shared)
+   *  - detached: used by useQuery; the fetch may be aborted once no component subscribes
+   */
+  const query = getQuery(key);
+  const { state } = query;
+  const fresh = !state.isStale && state.updatedAt && Date.now() - state.updatedAt < staleTime;
+  let promise = query.promise;
+  if (!promise) {
+    if (!force && fresh) return Promise.resolve(state.data);
+    promise = startFetch(query, fetcher);
+  }
+  if (detached) return promise;
+  query.waiters += 1;
+  const release = () => {
+    query.waiters -= 1;
+  };
+  return awaitFetch(promise).then(
+    (data) => {
+      release();
+      return data;
+    },
+    (error) => {
+      release();
+      throw error;
+    }
+  );
+}
+
+// PUBLIC_INTERFACE
+export function getQueryState(key) {
+  /** Current { data, error, updatedAt, isFetching, isStale, generation } for a key; a new object after every change. */
+  return queries.get(hashKey(key))?.state || INITIAL_STATE;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeQuery(key, listener) {
+  /**
+   * Listen for state changes of one key; returns an unsubscribe function.
+   * When the last listener leaves, a fetch nobody else awaits is aborted.
+   */
+  const query = getQuery(key);
+  query.listeners.add(listener);
+  return () => {
+    query.listeners.delete(listener);
+    if (!query.listeners.size && query.waiters === 0) cancelQuery(query.key);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function cancelQuery(key) {
+  /** Abort the in-flight fetch for a key, keeping previously cached data. */
+  const query = queries.get(hashKey(key));
+  if (!query?.controller) return;
+  query.fetchId += 1;
+  query.controller.abort();
+  query.controller = null;
+  query.promise = null;
+  setState(query, { isFetching: false });
+}
+
+// PUBLIC_INTERFACE
+export function setQueryData(key, updater) {
+  /** Write data for a key directly (e.g. from a mutation response); updater may be a function of the old data. */
+  const query = getQuery(key);
+  const data = typeof updater === "function" ? updater(query.state.data) : updater;
+  setState(query, { data, error: null, updatedAt: Date.now(), isStale: false });
+}
+
+// PUBLIC_INTERFACE
+export function invalidateQueries(prefix) {
+  /**
+   * Mark every query under `prefix` stale. Queries currently shown by a component
+   * are refetched right away; the rest refetch the next time they are used.
+   */
+  queries.forEach((query) => {
+    if (!matchesPrefix(query.key, prefix)) return;
+    setState(query, { isStale: true });
+    if (query.listeners.size && query.fetcher) {
+      // A fetch someone awaits is superseded rather than aborted; they follow the refetch
+      const awaited = query.waiters > 0 ? query.promise : null;
+      if (!awaited) cancelQuery(query.key);
+      const refetch = startFetch(query, query.fetcher);
+      if (awaited) successors.set(awaited, refetch);
+      refetch.catch(() => {
+        // surfaced through the query state
+      });
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+export function clearQueries() {
+  /**
+   * Drop all cached data and abort in-flight fetches (e.g. on logout or account change).
+   * Mounted useQuery hooks see the new generation and fetch again.
+   */
+  queries.forEach((query) => {
+    cancelQuery(query.key);
+    setState(query, { ...INITIAL_STATE, generation: query.state.generation + 1 });
+    if (!query.listeners.size) queries.delete(hashKey(query.key));
+  });
+}
+
+const queryClient = {
+  DEFAULT_STALE_TIME,
+  hashKey,
+  fetchQuery,
+  getQueryState,
+  subscribeQuery,
+  cancelQuery,
+  setQueryData,
+  invalidateQueries,
+  clearQueries,
+};
+
+export default queryClient;
@@ -0,0 +1,75 @@
+import { renderHook, waitFor } from '@testing-library/react';
+import { useQuery } from '../hooks/useQuery';
+import { clearQueries, fetchQuery, getQueryState, invalidateQueries, subscribeQuery } from './queryClient';
+
+afterEach(() => clearQueries());
+
+test('dedupes concurrent fetches and serves fresh data from cache', async () => {
+  const fetcher = jest.fn(async () => ({ n: 1 }));
+  const [a, b] = await Promise.all([fetchQuery(['dash'], fetcher), fetchQuery(['dash'], fetcher)]);
+  expect(a).toBe(b);
+  await fetchQuery(['dash'], fetcher);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  await fetchQuery(['dash'], fetcher, { force: true });
+  expect(fetcher).toHaveBeenCalledTimes(2);
+});
+
+test('invalidation refetches subscribed queries and keeps stale data meanwhile', async () => {
+  let n = 0;
+  const fetcher = jest.fn(async () => ({ n: ++n }));
+  const unsubscribe = subscribeQuery(['content', 'x'], () => {});
+  await fetchQuery(['content', 'x'], fetcher, { detached: true });
+  invalidateQueries(['content']);
+  expect(getQueryState(['content', 'x'])).toMatchObject({ data: { n: 1 }, isFetching: true });
+  await new Promise((r) => setTimeout(r, 0));
+  expect(getQueryState(['content', 'x']).data).toEqual({ n: 2 });
+  unsubscribe();
+});
+
+test('aborts a component-owned fetch when the last subscriber leaves', async () => {
+  let signal;
+  const fetcher = ({ signal: s }) => {
+    signal = s;
+    return new Promise(() => {});
+  };
+  const unsubscribe = subscribeQuery(['slow'], () => {});
+  fetchQuery(['slow'], fetcher, { detached: true });
+  await Promise.resolve();
+  unsubscribe();
+  expect(signal.aborted).toBe(true);
+  expect(getQueryState(['slow']).isFetching).toBe(false);
+});
+
+test('invalidation hands callers awaiting a fetch the refetched data instead of aborting it', async () => {
+  const resolvers = [];
+  const signals = [];
+  const fetcher = ({ signal }) => {
+    signals.push(signal);
+    return new Promise((resolve) => resolvers.push(resolve));
+  };
+  const unsubscribe = subscribeQuery(['plan'], () => {});
+  const pending = fetchQuery(['plan'], fetcher);
+  await Promise.resolve();
+  invalidateQueries(['plan']);
+  await Promise.resolve();
+  expect(signals).toHaveLength(2);
+  expect(signals[0].aborted).toBe(false);
+  resolvers[0]({ tier: 'free' });
+  resolvers[1]({ tier: 'pro' });
+  await expect(pending).resolves.toEqual({ tier: 'pro' });
+  expect(getQueryState(['plan']).data).toEqual({ tier: 'pro' });
+  unsubscribe();
+});
+
+test('a mounted query fetches again after being cleared mid-fetch', async () => {
+  const resolvers = [];
+  const fetcher = () => new Promise((resolve) => resolvers.push(resolve));
+  const { result } = renderHook(() => useQuery(['me'], fetcher));
+  await waitFor(() => expect(resolvers).toHaveLength(1));
+
+  clearQueries();
+  await waitFor(() => expect(resolvers).toHaveLength(2));
+  resolvers[1]({ email: 'enterprise@tata.co.in' });
+  await waitFor(() => expect(result.current.isLoading).toBe(false));
+  expect(result.current.data).toEqual({ email: 'enterprise@tata.co.in' });
+});
@@ -0,0 +1,162 @@
+import { DEFAULT_PALETTE, THEME_MODES, isDefaultPalette, parsePalette } from "../utils/theme";
+
+/**
+ * The active theme: a mode (light, dark, auto or high-contrast) and a brand palette.
+ * Applied to <html> as data-theme (always "light", "dark" or "high-contrast") plus
+ * --primary / --accent / --secondary overrides for a custom palette. "auto" follows
+ * prefers-color-scheme live. Both settings are persisted to localStorage.
+ */
+
+// Written by earlier versions too, with "light" or "dark"
+const MODE_KEY = "theme";
+const PALETTE_KEY = "theme_palette";
+
+const colorSchemeQuery =
+  typeof window !== "undefined" && typeof window.matchMedia === "function" ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+
+function readMode() {
+  try {
+    const stored = localStorage.getItem(MODE_KEY);
+    if (THEME_MODES.includes(stored)) return stored;
+  } catch {
+    // ignore storage access errors
+  }
+  return "auto";
+}
+
+function readPalette() {
+  try {
+    return parsePalette(localStorage.getItem(PALETTE_KEY) || "") || DEFAULT_PALETTE;
+  } catch {
+    return DEFAULT_PALETTE;
+  }
+}
+
+let mode = readMode();
+let palette = readPalette();
+let systemDark = Boolean(colorSchemeQuery?.matches);
+let snapshot = null;
+const listeners = new Set();
+
+// PUBLIC_INTERFACE
+export function getResolvedTheme() {
+  /** The theme actually shown: "light", "dark" or "high-contrast" ("auto" resolved). */
+  if (mode === "auto") return systemDark ? "dark" : "light";
+  return mode;
+}
+
+function apply() {
+  if (typeof document === "undefined") return;
+  const root = document.documentElement;
+  const resolved = getResolvedTheme();
+  root.setAttribute("data-theme", resolved);
+  // Native controls and scrollbars follow the theme too
+  root.style.colorScheme = resolved === "dark" ? "dark" : "light";
+  // High contrast keeps its own colors so a low-contrast palette cannot undo it
+  const custom = resolved !== "high-contrast" && !isDefaultPalette(palette);
+  Object.keys(DEFAULT_PALETTE).forEach((role) => {
+    if (custom) root.style.setProperty(`--${role}`, palette[role]);
+    else root.style.removeProperty(`--${role}`);
+  });
+}
+
+function emit() {
+  snapshot = null;
+  apply();
+  listeners.forEach((fn) => fn());
+}
+
+function persist() {
+  try {
+    localStorage.setItem(MODE_KEY, mode);
+    if (isDefaultPalette(palette)) localStorage.removeItem(PALETTE_KEY);
+    else localStorage.setItem(PALETTE_KEY, JSON.stringify(palette));
+  } catch {
+    // ignore storage access errors; the theme still applies to this tab
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getThemeMode() {
+  /** The selected mode: "light" | "dark" | "auto" | "high-contrast". */
+  return mode;
+}
+
+// PUBLIC_INTERFACE
+export function setThemeMode(next) {
+  /** Select a mode; unknown values are ignored. */
+  if (!THEME_MODES.includes(next) || next === mode) return;
+  mode = next;
+  persist();
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function getPalette() {
+  /** The brand palette: { primary, accent, secondary } as "#rrggbb". */
+  return palette;
+}
+
+// PUBLIC_INTERFACE
+export function setPalette(changes) {
+  /** Change some or all palette colors; returns false (and changes nothing) if a color is invalid. */
+  const next = parsePalette({ ...palette, ...changes });
+  if (!next) return false;
+  palette = next;
+  persist();
+  emit();
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function resetPalette() {
+  /** Go back to the default brand colors. */
+  palette = DEFAULT_PALETTE;
+  persist();
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function getSnapshot() {
+  /** { mode, resolved, palette, custom } - a new object after every change (for useSyncExternalStore). */
+  if (!snapshot) snapshot = { mode, resolved: getResolvedTheme(), palette, custom: !isDefaultPalette(palette) };
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to theme changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Follow the system color scheme while in "auto"
+colorSchemeQuery?.addEventListener?.("change", (event) => {
+  systemDark = event.matches;
+  if (mode === "auto") emit();
+});
+
+// Follow theme changes made in other tabs
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== null && event.key !== MODE_KEY && event.key !== PALETTE_KEY) return;
+    mode = readMode();
+    palette = readPalette();
+    emit();
+  });
+}
+
+apply();
+
+const theme = {
+  getThemeMode,
+  setThemeMode,
+  getPalette,
+  setPalette,
+  resetPalette,
+  getResolvedTheme,
+  getSnapshot,
+  subscribe,
+};
+
+export default theme;
@@ -0,0 +1,185 @@
+import { DEFAULT_THRESHOLDS, FEATURE_PERIODS, periodKey, periodResetsAt } from "../utils/usage";
+
+/**
+ * Per-account, per-period usage counters for metered features.
+ * Counts come from the backend when it reports them (headers or `usage` fields) and
+ * from local counting otherwise. Persisted to localStorage so a reload keeps today's count,
+ * and shared with other tabs so their calls add up instead of overwriting each other.
+ */
+
+const USAGE_KEY = "usage_counters";
+const THRESHOLDS_KEY = "usage_warning_thresholds";
+
+function read(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or unavailable; counters still work for this session
+  }
+}
+
+// { counters: { [account]: { [feature]: Record } }, dismissed: { [account]: string[] } }
+// Record: { period, periodKey, used, limit, resetsAt, source: "server" | "local", updatedAt }
+const readStore = () => ({ counters: {}, dismissed: {}, ...read(USAGE_KEY, {}) });
+
+let store = readStore();
+let thresholds = read(THRESHOLDS_KEY, DEFAULT_THRESHOLDS);
+let activeAccount = null;
+let snapshot = null;
+const listeners = new Set();
+
+function current(record) {
+  /** A record as it stands now: counts from an earlier period read as zero. */
+  const period = record.period || "day";
+  if (record.periodKey === periodKey(period)) return record;
+  return { ...record, periodKey: periodKey(period), used: 0, resetsAt: periodResetsAt(period), source: "local" };
+}
+
+function buildSnapshot() {
+  const counters = store.counters[activeAccount] || {};
+  return {
+    account: activeAccount,
+    usage: Object.fromEntries(Object.entries(counters).map(([k, r]) => [k, current(r)])),
+    dismissed: store.dismissed[activeAccount] || [],
+    thresholds,
+  };
+}
+
+function emit() {
+  snapshot = null;
+  write(USAGE_KEY, store);
+  listeners.forEach((fn) => fn());
+}
+
+function updateRecord(feature, fn) {
+  if (!activeAccount) return;
+  // Start from what other tabs may have written since our last read
+  store = readStore();
+  const counters = store.counters[activeAccount] || {};
+  const period = counters[feature]?.period || FEATURE_PERIODS[feature] || "day";
+  const base = current(counters[feature] || { period, periodKey: null });
+  store = {
+    ...store,
+    counters: { ...store.counters, [activeAccount]: { ...counters, [feature]: { ...fn(base), updatedAt: Date.now() } } },
+  };
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function setActiveAccount(account) {
+  /** Select whose counters are read and written (the logged-in user's id or email; null when logged out). */
+  if (account === activeAccount) return;
+  activeAccount = account || null;
+  snapshot = null;
+  listeners.forEach((fn) => fn());
+}
+
+// PUBLIC_INTERFACE
+export function recordUsage(feature, amount = 1) {
+  /** Count `amount` local uses of a feature in the current period. */
+  updateRecord(feature, (r) => ({ ...r, used: r.used + amount, source: r.source || "local" }));
+}
+
+// PUBLIC_INTERFACE
+export function applyServerUsage(feature, { used, limit = null, resetsAt = null, period } = {}) {
+  /** Replace the local count with what the backend reported. */
+  updateRecord(feature, (r) => {
+    const p = period || r.period;
+    return {
+      ...r,
+      period: p,
+      periodKey: periodKey(p),
+      used,
+      limit: limit ?? r.limit ?? null,
+      resetsAt: resetsAt || periodResetsAt(p),
+      source: "server",
+    };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function getThresholds() {
+  /** Warning thresholds as sorted fractions, e.g. [0.8, 0.95]. */
+  return thresholds;
+}
+
+// PUBLIC_INTERFACE
+export function setThresholds(next) {
+  /** Change the warning thresholds (fractions of the limit). */
+  thresholds = Array.isArray(next) ? [...next].sort((a, b) => a - b) : DEFAULT_THRESHOLDS;
+  write(THRESHOLDS_KEY, thresholds);
+  emit();
+}
+
+const warningId = (feature, key, threshold) => `${feature}:${key}:${threshold}`;
+
+// PUBLIC_INTERFACE
+export function isWarningDismissed(feature, key, threshold) {
+  /** True when the user already dismissed this threshold warning for this period. */
+  return (store.dismissed[activeAccount] || []).includes(warningId(feature, key, threshold));
+}
+
+// PUBLIC_INTERFACE
+export function dismissWarning(feature, key, threshold) {
+  /** Hide a threshold warning until the next threshold or period. */
+  if (!activeAccount) return;
+  const list = (store.dismissed[activeAccount] || []).filter((id) => id.split(":")[1] === key);
+  store = { ...store, dismissed: { ...store.dismissed, [activeAccount]: [...list, warningId(feature, key, threshold)] } };
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function getSnapshot() {
+  /** { account, usage: { [feature]: Record }, dismissed, thresholds } for the active account. */
+  if (!snapshot) snapshot = buildSnapshot();
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(listener) {
+  /** Subscribe to usage changes; returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function clearUsage() {
+  /** Forget all counters and dismissed warnings. */
+  store = { counters: {}, dismissed: {} };
+  emit();
+}
+
+// Follow counts and settings changed in other tabs
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== null && event.key !== USAGE_KEY && event.key !== THRESHOLDS_KEY) return;
+    store = readStore();
+    thresholds = read(THRESHOLDS_KEY, DEFAULT_THRESHOLDS);
+    snapshot = null;
+    listeners.forEach((fn) => fn());
+  });
+}
+
+const usageTracker = {
+  setActiveAccount,
+  recordUsage,
+  applyServerUsage,
+  getThresholds,
+  setThresholds,
+  isWarningDismissed,
+  dismissWarning,
+  getSnapshot,
+  subscribe,
+  clearUsage,
+};
+
+export default usageTracker;
@@ -0,0 +1,36 @@
+import { clearUsage, getSnapshot, recordUsage, setActiveAccount, subscribe } from './usageTracker';
+
+beforeEach(() => {
+  localStorage.clear();
+  clearUsage();
+  setActiveAccount('pro@tata.co.in');
+});
+
+// What another tab leaves behind: its write to localStorage, then a storage event here
+function otherTabCounts(used, { notify = true } = {}) {
+  const store = JSON.parse(localStorage.getItem('usage_counters'));
+  store.counters['pro@tata.co.in'].api_calls.used = used;
+  localStorage.setItem('usage_counters', JSON.stringify(store));
+  if (notify) window.dispatchEvent(new StorageEvent('storage', { key: 'usage_counters' }));
+}
+
+test('follows counts written by other tabs and adds to them', () => {
+  recordUsage('api_calls');
+  const listener = jest.fn();
+  const unsubscribe = subscribe(listener);
+
+  otherTabCounts(5);
+  expect(listener).toHaveBeenCalled();
+  expect(getSnapshot().usage.api_calls.used).toBe(5);
+
+  recordUsage('api_calls');
+  expect(getSnapshot().usage.api_calls.used).toBe(6);
+  unsubscribe();
+});
+
+test('adds to counts another tab wrote even before its storage event arrives', () => {
+  recordUsage('api_calls');
+  otherTabCounts(3, { notify: false });
+  recordUsage('api_calls');
+  expect(getSnapshot().usage.api_calls.used).toBe(4);
+});
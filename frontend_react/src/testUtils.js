@@ -0,0 +1,53 @@
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider } from './context/AuthContext';
+import { DialogsProvider } from './context/DialogsContext';
+import { FeaturesProvider } from './context/FeaturesContext';
+import { NotificationsProvider } from './context/NotificationsContext';
+import * as api from './services/api';
+import { MOCK_ENVIRONMENT_ID, scopedStorageKey, setActiveEnvironment } from './services/environments';
+import { DEMO_PASSWORD, resetMockDb } from './services/mockBackend';
+import { clearQueries } from './services/queryClient';
+
+/**
+ * Shared fixtures for tests that render the app's providers against the in-browser
+ * mock backend: a clean slate per test, a stored session per demo tier, and a render
+ * helper with every provider the pages expect.
+ */
+
+export function resetMockSession() {
+  /** Forget stored sessions and cached data and start over on a fresh mock backend. */
+  localStorage.clear();
+  resetMockDb();
+  clearQueries();
+  setActiveEnvironment(MOCK_ENVIRONMENT_ID);
+  api.setToken(null);
+}
+
+export async function signInAs(tier) {
+  /** Store a session for the demo account of `tier`, as a previous visit would have; returns it. */
+  const tokens = await api.login({ email: `${tier}@tata.co.in`, password: DEMO_PASSWORD });
+  api.setToken(tokens.access_token);
+  const { user } = await api.getDashboard();
+  api.setToken(null);
+  const key = (name) => scopedStorageKey(name, MOCK_ENVIRONMENT_ID);
+  localStorage.setItem(key('auth_token'), tokens.access_token);
+  localStorage.setItem(key('auth_refresh_token'), tokens.refresh_token);
+  localStorage.setItem(key('auth_user'), JSON.stringify(user));
+  return { ...tokens, user };
+}
+
+export function renderWithSession(ui, { route = '/' } = {}) {
+  /** Render `ui` inside the notification, auth, features and dialog providers and a router at `route`. */
+  return render(
+    <NotificationsProvider>
+      <AuthProvider>
+        <FeaturesProvider>
+          <DialogsProvider>
+            <MemoryRouter initialEntries={[route]}>{ui}</MemoryRouter>
+          </DialogsProvider>
+        </FeaturesProvider>
+      </AuthProvider>
+    </NotificationsProvider>
+  );
+}
@@ -0,0 +1,34 @@
+// PUBLIC_INTERFACE
+export async function copyText(text) {
+  /**
+   * Copy text to the clipboard. Uses the async Clipboard API when available and
+   * falls back to a hidden textarea + execCommand for insecure origins.
+   * Resolves to true on success, false otherwise.
+   */
+  try {
+    if (navigator?.clipboard?.writeText) {
+      await navigator.clipboard.writeText(String(text));
+      return true;
+    }
+  } catch {
+    // fall through to the legacy path
+  }
+  try {
+    const el = document.createElement("textarea");
+    el.value = String(text);
+    el.setAttribute("readonly", "");
+    el.style.position = "fixed";
+    el.style.opacity = "0";
+    document.body.appendChild(el);
+    el.select();
+    const ok = document.execCommand("copy");
+    document.body.removeChild(el);
+    return ok;
+  } catch {
+    return false;
+  }
+}
+
+const clipboard = { copyText };
+
+export default clipboard;
@@ -0,0 +1,119 @@
+/**
+ * Recognize common shapes in JSON content (see components/ContentRenderer): arrays of
+ * records, key/value objects, lists, URLs, emails and ISO dates, plus the sorting and
+ * labelling helpers the renderer uses.
+ */
+
+const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// PUBLIC_INTERFACE
+export function isUrl(value) {
+  /** True for http(s) URL strings (other schemes are never rendered as links). */
+  return typeof value === "string" && URL_PATTERN.test(value);
+}
+
+// PUBLIC_INTERFACE
+export function isEmail(value) {
+  /** True for strings that look like an email address. */
+  return typeof value === "string" && EMAIL_PATTERN.test(value);
+}
+
+// PUBLIC_INTERFACE
+export function isIsoDate(value) {
+  /** True for ISO 8601 date or date-time strings such as "2026-10-19" or "2026-10-19T08:30:00Z". */
+  return typeof value === "string" && ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// PUBLIC_INTERFACE
+export function detectShape(value) {
+  /**
+   * Classify a JSON value:
+   * "empty" (null, undefined, "", [] or {}), "records" (array of objects), "list" (other arrays),
+   * "object", "url", "email", "date", "datetime", "boolean", "number" or "text".
+   */
+  if (value === null || value === undefined || value === "") return "empty";
+  if (Array.isArray(value)) {
+    if (!value.length) return "empty";
+    return value.every(isPlainObject) ? "records" : "list";
+  }
+  if (isPlainObject(value)) return Object.keys(value).length ? "object" : "empty";
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "number") return "number";
+  if (isUrl(value)) return "url";
+  if (isEmail(value)) return "email";
+  if (isIsoDate(value)) return value.length === 10 ? "date" : "datetime";
+  return "text";
+}
+
+// PUBLIC_INTERFACE
+export function isScalar(value) {
+  /** True when a value renders inline (not as a table, list or nested object). */
+  return !["records", "list", "object"].includes(detectShape(value));
+}
+
+// PUBLIC_INTERFACE
+export function recordColumns(rows) {
+  /** Union of the keys of an array of records, in first-seen order. */
+  const columns = [];
+  rows.forEach((row) => {
+    Object.keys(row || {}).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+const sortValue = (value) => {
+  if (typeof value === "number" || typeof value === "boolean") return Number(value);
+  if (isIsoDate(value)) return Date.parse(value);
+  if (value === null || value === undefined || value === "") return null;
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+// PUBLIC_INTERFACE
+export function sortRecords(rows, key, direction = "asc") {
+  /**
+   * A sorted copy of `rows` by `key`: numbers and dates by value, text in natural order
+   * ("item 2" before "item 10"). Empty values always go last.
+   */
+  const factor = direction === "desc" ? -1 : 1;
+  return rows
+    .map((row, index) => ({ row, index, value: sortValue(row?.[key]) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return a.value === b.value ? a.index - b.index : a.value === null ? 1 : -1;
+      const cmp =
+        typeof a.value === "number" && typeof b.value === "number"
+          ? a.value - b.value
+          : String(a.value).localeCompare(String(b.value), undefined, { numeric: true, sensitivity: "base" });
+      return cmp * factor || a.index - b.index;
+    })
+    .map((entry) => entry.row);
+}
+
+// PUBLIC_INTERFACE
+export function humanizeKey(key) {
+  /** "published_at" / "averageLatencyMs" -> "Published at" / "Average latency ms". */
+  const words = String(key)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .toLowerCase();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : String(key);
+}
+
+const contentShapes = {
+  isUrl,
+  isEmail,
+  isIsoDate,
+  detectShape,
+  isScalar,
+  recordColumns,
+  sortRecords,
+  humanizeKey,
+};
+
+export default contentShapes;
@@ -0,0 +1,28 @@
+import { detectShape, humanizeKey, recordColumns, sortRecords } from './contentShapes';
+
+test('detects common content shapes', () => {
+  expect(detectShape([{ id: 1 }, { id: 2 }])).toBe('records');
+  expect(detectShape(['a', 1])).toBe('list');
+  expect(detectShape({ a: 1 })).toBe('object');
+  expect(detectShape({})).toBe('empty');
+  expect(detectShape('https://docs.example.com/a')).toBe('url');
+  expect(detectShape('javascript:alert(1)')).toBe('text');
+  expect(detectShape('priya.nair@tata.co.in')).toBe('email');
+  expect(detectShape('2026-10-19')).toBe('date');
+  expect(detectShape('2026-10-19T08:30:00.000Z')).toBe('datetime');
+  expect(detectShape('2026-13-45T99:00')).toBe('text');
+  expect(humanizeKey('published_at')).toBe('Published at');
+  expect(humanizeKey('averageLatencyMs')).toBe('Average latency ms');
+});
+
+test('sorts records by numbers, dates and natural text, empty values last', () => {
+  const rows = [
+    { name: 'item 10', at: '2026-10-01T00:00:00Z', n: 3 },
+    { name: 'item 2', at: '2026-09-01T00:00:00Z' },
+    { name: 'Item 1', at: '2026-10-19T00:00:00Z', n: 1 },
+  ];
+  expect(recordColumns(rows)).toEqual(['name', 'at', 'n']);
+  expect(sortRecords(rows, 'name').map((r) => r.name)).toEqual(['Item 1', 'item 2', 'item 10']);
+  expect(sortRecords(rows, 'at', 'desc').map((r) => r.name)).toEqual(['Item 1', 'item 10', 'item 2']);
+  expect(sortRecords(rows, 'n', 'desc').map((r) => r.name)).toEqual(['item 10', 'Item 1', 'item 2']);
+});
@@ -0,0 +1,65 @@
+import { formatDateTime, t } from "../i18n";
+
+/**
+ * Saved /api/content responses for comparing tier tailoring over time.
+ * Snapshots are kept in localStorage so they survive across sessions.
+ */
+
+const SNAPSHOTS_KEY = "content_snapshots";
+const MAX_SNAPSHOTS = 30;
+
+// PUBLIC_INTERFACE
+export function listSnapshots() {
+  /** Return saved snapshots, newest first: [{ id, label, tier, email, takenAt, data }]. */
+  try {
+    const raw = localStorage.getItem(SNAPSHOTS_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function write(list) {
+  try {
+    localStorage.setItem(SNAPSHOTS_KEY, JSON.stringify(list.slice(0, MAX_SNAPSHOTS)));
+  } catch {
+    // storage full or unavailable; snapshots are best-effort
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveSnapshot({ data, tier, email, label } = {}) {
+  /** Save a content response and return the stored snapshot. Oldest snapshots are dropped past the cap. */
+  const takenAt = new Date().toISOString();
+  const snapshot = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    label: label || `${tier || t("guard.unknownPlan")} · ${formatDateTime(takenAt)}`,
+    tier: tier || null,
+    email: email || null,
+    takenAt,
+    data,
+  };
+  write([snapshot, ...listSnapshots()]);
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function deleteSnapshot(id) {
+  /** Remove one snapshot by id. */
+  write(listSnapshots().filter((s) => s.id !== id));
+}
+
+// PUBLIC_INTERFACE
+export function clearSnapshots() {
+  /** Remove all saved snapshots. */
+  try {
+    localStorage.removeItem(SNAPSHOTS_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+const contentSnapshots = { listSnapshots, saveSnapshot, deleteSnapshot, clearSnapshots };
+
+export default contentSnapshots;
@@ -0,0 +1,109 @@
+import { getLocale, t } from "../i18n";
+
+/**
+ * Which email domains may log in or sign up.
+ *
+ * A policy comes from the backend (GET /auth/email-policy) or runtime configuration,
+ * in the backend's snake_case shape:
+ *   {
+ *     allowed_domains: ["tata.co.in", "*.tata.com"],  // empty or missing = any domain
+ *     blocked_domains: ["contractors.tata.com"],      // always wins over allowed_domains
+ *     signup: { allowed_domains: [...] }               // optional per-action overrides
+ *     login: { ... }
+ *   }
+ * "*.example.com" matches any subdomain of example.com (but not example.com itself).
+ */
+
+export const DEFAULT_EMAIL_POLICY = { allowed_domains: ["tata.co.in"], blocked_domains: [] };
+
+const cleanList = (list) =>
+  Array.isArray(list)
+    ? list.map((d) => String(d || "").trim().toLowerCase().replace(/^@/, "")).filter(Boolean)
+    : null;
+
+// PUBLIC_INTERFACE
+export function normalizeEmailPolicy(raw) {
+  /** Resolve a raw policy into { login: { allow, block }, signup: { allow, block } }. */
+  const policy = raw && typeof raw === "object" ? raw : DEFAULT_EMAIL_POLICY;
+  const base = {
+    allow: cleanList(policy.allowed_domains) || [],
+    block: cleanList(policy.blocked_domains) || [],
+  };
+  const rule = (action) => {
+    const override = policy[action] && typeof policy[action] === "object" ? policy[action] : {};
+    return {
+      allow: cleanList(override.allowed_domains) || base.allow,
+      block: cleanList(override.blocked_domains) || base.block,
+    };
+  };
+  return { login: rule("login"), signup: rule("signup") };
+}
+
+// PUBLIC_INTERFACE
+export function getConfiguredEmailPolicy() {
+  /**
+   * The policy from runtime configuration: window.__APP_CONFIG__.emailPolicy (injected
+   * at deploy time), else the REACT_APP_EMAIL_POLICY JSON, else DEFAULT_EMAIL_POLICY.
+   */
+  const runtime = typeof window !== "undefined" ? window.__APP_CONFIG__?.emailPolicy : null;
+  if (runtime && typeof runtime === "object") return runtime;
+  const fromEnv = (process.env.REACT_APP_EMAIL_POLICY || "").trim();
+  if (fromEnv) {
+    try {
+      return JSON.parse(fromEnv);
+    } catch {
+      if (process.env.NODE_ENV !== "production") {
+        // eslint-disable-next-line no-console
+        console.warn("Ignoring REACT_APP_EMAIL_POLICY: not valid JSON");
+      }
+    }
+  }
+  return DEFAULT_EMAIL_POLICY;
+}
+
+// PUBLIC_INTERFACE
+export function domainMatches(domain, pattern) {
+  /** True when `domain` matches `pattern` ("example.com", "*.example.com" or "*"). */
+  const d = String(domain || "").toLowerCase();
+  if (pattern === "*") return !!d;
+  if (pattern.startsWith("*.")) return d.endsWith(pattern.slice(1));
+  return d === pattern;
+}
+
+// PUBLIC_INTERFACE
+export function describeDomains(patterns) {
+  /** Human-readable list of domains, e.g. "@tata.co.in or any subdomain of tata.com". */
+  const parts = patterns.map((p) =>
+    p === "*" ? t("email.anyDomain") : p.startsWith("*.") ? t("email.anySubdomain", { domain: p.slice(2) }) : `@${p}`
+  );
+  return new Intl.ListFormat(getLocale(), { type: "disjunction" }).format(parts);
+}
+
+// PUBLIC_INTERFACE
+export function checkEmail(email, rule) {
+  /**
+   * Validate an email against one action's rule ({ allow, block } from normalizeEmailPolicy).
+   * Returns an error message listing the accepted domains, or null when the email is allowed.
+   */
+  const value = String(email || "").trim().toLowerCase();
+  const at = value.lastIndexOf("@");
+  const domain = at > 0 ? value.slice(at + 1) : "";
+  const accepted = rule.allow.length ? ` ${t("email.acceptedDomains", { domains: describeDomains(rule.allow) })}` : "";
+  if (!domain || !domain.includes(".")) return `${t("email.invalid")}${accepted}`;
+  if (rule.block.some((p) => domainMatches(domain, p))) return `${t("email.blocked", { domain })}${accepted}`;
+  if (rule.allow.length && !rule.allow.some((p) => domainMatches(domain, p))) {
+    return t("email.mustEndWith", { domains: describeDomains(rule.allow) });
+  }
+  return null;
+}
+
+const emailPolicy = {
+  DEFAULT_EMAIL_POLICY,
+  normalizeEmailPolicy,
+  getConfiguredEmailPolicy,
+  domainMatches,
+  describeDomains,
+  checkEmail,
+};
+
+export default emailPolicy;
@@ -0,0 +1,26 @@
+import { checkEmail, domainMatches, normalizeEmailPolicy } from './emailPolicy';
+
+test('matches exact domains and wildcard subdomains', () => {
+  expect(domainMatches('tata.co.in', 'tata.co.in')).toBe(true);
+  expect(domainMatches('eu.tata.com', '*.tata.com')).toBe(true);
+  expect(domainMatches('tata.com', '*.tata.com')).toBe(false);
+  expect(domainMatches('nottata.com', '*.tata.com')).toBe(false);
+});
+
+test('applies per-action rules and blocklists', () => {
+  const policy = normalizeEmailPolicy({
+    allowed_domains: ['tata.co.in', '*.tata.com'],
+    blocked_domains: ['contractors.tata.com'],
+    signup: { allowed_domains: ['tata.co.in'] },
+  });
+  expect(checkEmail('a@eu.tata.com', policy.login)).toBeNull();
+  expect(checkEmail('a@contractors.tata.com', policy.login)).toMatch(/not accepted/);
+  expect(checkEmail('a@eu.tata.com', policy.signup)).toBe('Email must end with @tata.co.in.');
+  expect(checkEmail('a@gmail.com', policy.login)).toBe('Email must end with @tata.co.in or any subdomain of tata.com.');
+});
+
+test('an empty allow list accepts any domain', () => {
+  const policy = normalizeEmailPolicy({ allowed_domains: [] });
+  expect(checkEmail('someone@example.org', policy.signup)).toBeNull();
+  expect(checkEmail('someone', policy.signup)).toMatch(/valid email/);
+});
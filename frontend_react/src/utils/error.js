@@ -1,5 +1,7 @@
+ import { t } from "../i18n";
+
  // PUBLIC_INTERFACE
- export function extractErrorMessage(err, fallback = "An unexpected error occurred.") {
+ export function extractErrorMessage(err, fallback = t("errors.unexpected")) {
    /** 
     * Convert different error shapes (Axios/network/JSON/ValidationError arrays) into a user-friendly string.
     * - Accepts: string, Error, AxiosError, FastAPI {detail}, list of validation errors, plain objects.
@@ -11,6 +13,9 @@
      // If already a string, return as-is
      if (typeof err === "string") return err;
  
+     // Messages written by the API client (services/errors) follow the active language
+     if (typeof err.messageKey === "string") return t(err.messageKey, err.messageParams);
+ 
      // If it's a standard Error with a message
      if (err instanceof Error && err.message) return err.message;
  
@@ -93,6 +98,10 @@
     * - Unknown/absent fields aggregate into nonFieldErrors.
     */
    const result = { fieldErrors: {}, nonFieldErrors: [], status: undefined };
+   // ValidationErrors from the API client (services/errors) are already parsed
+   if (err?.fieldErrors && Array.isArray(err.nonFieldErrors)) {
+     return { fieldErrors: err.fieldErrors, nonFieldErrors: err.nonFieldErrors, status: err.status ?? undefined };
+   }
    try {
      const response = err?.response;
      const status = response?.status ?? err?.status;
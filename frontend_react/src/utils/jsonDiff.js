@@ -0,0 +1,127 @@
+/**
+ * Structural JSON diff used by the content comparison view.
+ * diffJson builds a tree of nodes; diffToLines flattens it into aligned
+ * left/right rows for side-by-side rendering.
+ */
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+const kindOf = (v) => (Array.isArray(v) ? "array" : isPlainObject(v) ? "object" : "value");
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (kindOf(a) !== kindOf(b) || kindOf(a) === "value") return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((k) => k in b && deepEqual(a[k], b[k]));
+}
+
+// Arrays of records are matched by `id` when every item has one, otherwise by index
+const hasIds = (arr) => arr.length > 0 && arr.every((item) => isPlainObject(item) && item.id !== undefined);
+
+function childPairs(left, right, kind) {
+  if (kind === "object") {
+    const keys = [...Object.keys(left), ...Object.keys(right).filter((k) => !(k in left))];
+    return keys.map((k) => ({ key: k, left: left[k], right: right[k] }));
+  }
+  if (hasIds(left) && hasIds(right)) {
+    const rightById = new Map(right.map((item) => [String(item.id), item]));
+    const leftIds = new Set(left.map((item) => String(item.id)));
+    return [
+      ...left.map((item, i) => ({ key: i, label: `id=${item.id}`, left: item, right: rightById.get(String(item.id)) })),
+      ...right
+        .filter((item) => !leftIds.has(String(item.id)))
+        .map((item) => ({ key: `+${item.id}`, label: `id=${item.id}`, left: undefined, right: item })),
+    ];
+  }
+  const length = Math.max(left.length, right.length);
+  return Array.from({ length }, (_, i) => ({ key: i, left: left[i], right: right[i] }));
+}
+
+// PUBLIC_INTERFACE
+export function diffJson(left, right, options = {}, key = null, path = []) {
+  /**
+   * Compare two JSON values structurally.
+   * options: { ignoreKeys?: string[] } - object keys skipped at any depth (e.g. timestamps)
+   * Returns a node: { key, label?, path, kind, status, left, right, children? }
+   * where status is 'added' | 'removed' | 'changed' | 'unchanged' | 'modified'
+   * ('modified' = container with changes somewhere below).
+   */
+  const base = { key, path, left, right };
+  if (left === undefined && right !== undefined) return { ...base, kind: kindOf(right), status: "added" };
+  if (right === undefined && left !== undefined) return { ...base, kind: kindOf(left), status: "removed" };
+
+  const kind = kindOf(left);
+  if (kind === "value" || kind !== kindOf(right)) {
+    return { ...base, kind, status: deepEqual(left, right) ? "unchanged" : "changed" };
+  }
+
+  const ignore = options.ignoreKeys || [];
+  const children = childPairs(left, right, kind)
+    .filter((pair) => kind !== "object" || !ignore.includes(pair.key))
+    .map((pair) => {
+      const child = diffJson(pair.left, pair.right, options, pair.key, [...path, pair.key]);
+      return pair.label ? { ...child, label: pair.label } : child;
+    });
+  const status = children.every((c) => c.status === "unchanged") ? "unchanged" : "modified";
+  return { ...base, kind, status, children };
+}
+
+// PUBLIC_INTERFACE
+export function summarizeDiff(node) {
+  /** Count leaf-level changes: { added, removed, changed }. */
+  const counts = { added: 0, removed: 0, changed: 0 };
+  const walk = (n) => {
+    if (n.status in counts) counts[n.status] += 1;
+    (n.children || []).forEach(walk);
+  };
+  walk(node);
+  return counts;
+}
+
+const prefix = (node) => (node.key === null ? "" : typeof node.key === "number" || String(node.key).startsWith("+") ? "" : `${JSON.stringify(node.key)}: `);
+
+function valueLines(value, depth, lead) {
+  /** Pretty-print a value as indented lines, with `lead` before the first line. */
+  const text = JSON.stringify(value, null, 2);
+  const parts = text === undefined ? ["undefined"] : text.split("\n");
+  return parts.map((t, i) => ({ depth, text: `${i === 0 ? lead : ""}${t}` }));
+}
+
+// PUBLIC_INTERFACE
+export function diffToLines(node, { onlyChanges = false } = {}, depth = 0) {
+  /**
+   * Flatten a diff tree into rows for side-by-side display.
+   * Each row: { status, left: { depth, text } | null, right: { depth, text } | null }.
+   * With onlyChanges, unchanged subtrees are skipped.
+   */
+  if (onlyChanges && node.status === "unchanged" && depth > 0) return [];
+  const lead = prefix(node);
+
+  if (node.status === "added") {
+    return valueLines(node.right, depth, lead).map((line) => ({ status: "added", left: null, right: line }));
+  }
+  if (node.status === "removed") {
+    return valueLines(node.left, depth, lead).map((line) => ({ status: "removed", left: line, right: null }));
+  }
+  if (!node.children) {
+    const left = valueLines(node.left, depth, lead);
+    const right = valueLines(node.right, depth, lead);
+    const rows = Math.max(left.length, right.length);
+    return Array.from({ length: rows }, (_, i) => ({ status: node.status, left: left[i] || null, right: right[i] || null }));
+  }
+
+  const [open, close] = node.kind === "array" ? ["[", "]"] : ["{", "}"];
+  const header = { depth, text: `${lead}${open}` };
+  const footer = { depth, text: close };
+  const status = node.status === "unchanged" ? "unchanged" : "modified";
+  return [
+    { status, left: header, right: header },
+    ...node.children.flatMap((child) => diffToLines(child, { onlyChanges }, depth + 1)),
+    { status, left: footer, right: footer },
+  ];
+}
+
+const jsonDiff = { diffJson, summarizeDiff, diffToLines };
+
+export default jsonDiff;
@@ -0,0 +1,23 @@
+import { diffJson, diffToLines, summarizeDiff } from './jsonDiff';
+
+const free = { package_tier: 'free', generated_at: 't1', items: [{ id: 1, title: 'A' }], quota: 100 };
+const pro = {
+  package_tier: 'pro',
+  generated_at: 't2',
+  items: [{ id: 1, title: 'A' }, { id: 2, title: 'B' }],
+  analytics: { requests: 3 },
+};
+
+test('classifies added, removed and changed keys', () => {
+  const diff = diffJson(free, pro, { ignoreKeys: ['generated_at'] });
+  expect(summarizeDiff(diff)).toEqual({ added: 2, removed: 1, changed: 1 });
+  const byKey = Object.fromEntries(diff.children.map((c) => [c.key, c.status]));
+  expect(byKey).toEqual({ package_tier: 'changed', items: 'modified', quota: 'removed', analytics: 'added' });
+});
+
+test('aligns rows side by side and can hide unchanged subtrees', () => {
+  const lines = diffToLines(diffJson(free, pro, { ignoreKeys: ['generated_at'] }), { onlyChanges: true });
+  const added = lines.filter((l) => l.status === 'added');
+  expect(added.every((l) => l.left === null && l.right)).toBe(true);
+  expect(lines.some((l) => l.left?.text.includes('"title": "A"'))).toBe(false);
+});
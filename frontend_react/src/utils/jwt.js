@@ -0,0 +1,41 @@
+// PUBLIC_INTERFACE
+export function decodeJwt(token) {
+  /**
+   * Decode the payload of a JWT without verifying its signature.
+   * Returns the claims object, or null when the token is missing or malformed.
+   */
+  try {
+    const payload = String(token || "").split(".")[1];
+    if (!payload) return null;
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+    const json = decodeURIComponent(
+      atob(padded)
+        .split("")
+        .map((c) => "%" + c.charCodeAt(0).toString(16).padStart(2, "0"))
+        .join("")
+    );
+    const claims = JSON.parse(json);
+    return claims && typeof claims === "object" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getTokenExpiry(token) {
+  /** Return the token's `exp` claim as epoch milliseconds, or null if it has none. */
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+}
+
+// PUBLIC_INTERFACE
+export function isTokenExpired(token, skewMs = 0) {
+  /** True when the token has an `exp` claim that is in the past (minus an optional skew). */
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - skewMs <= Date.now();
+}
+
+const jwt = { decodeJwt, getTokenExpiry, isTokenExpired };
+
+export default jwt;
@@ -0,0 +1,314 @@
+import { createDraft, createRow } from "./request";
+import { t } from "../i18n";
+
+/**
+ * Helpers for turning a FastAPI-generated OpenAPI document into an endpoint
+ * catalog and generated request forms for the API Explorer.
+ */
+
+const HTTP_OPERATIONS = ["get", "post", "put", "patch", "delete", "head", "options"];
+
+const FORM_CONTENT_TYPES = ["application/x-www-form-urlencoded", "multipart/form-data"];
+
+// PUBLIC_INTERFACE
+export function resolveSchema(spec, schema, seen = []) {
+  /**
+   * Resolve local $refs and flatten the constructs FastAPI emits:
+   * - allOf: merged into one object schema
+   * - anyOf/oneOf with a null branch (Optional[...]): unwrapped to the non-null branch
+   * Nested properties/items are resolved too; recursive refs are left as-is.
+   */
+  if (!schema || typeof schema !== "object") return schema;
+  if (schema.$ref) {
+    if (seen.includes(schema.$ref)) return { ...schema };
+    const target = String(schema.$ref)
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => (node ? node[key] : undefined), spec);
+    const { $ref, ...rest } = schema;
+    return resolveSchema(spec, { ...(target || {}), ...rest, title: rest.title || target?.title }, [...seen, $ref]);
+  }
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    return allOf
+      .map((s) => resolveSchema(spec, s, seen))
+      .reduce(
+        (acc, s) => ({
+          ...acc,
+          ...s,
+          properties: { ...(acc.properties || {}), ...(s?.properties || {}) },
+          required: [...(acc.required || []), ...(s?.required || [])],
+        }),
+        resolveSchema(spec, rest, seen)
+      );
+  }
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) {
+    const nonNull = variants.filter((v) => v?.type !== "null");
+    if (nonNull.length === 1) {
+      const rest = { ...schema };
+      delete rest.anyOf;
+      delete rest.oneOf;
+      return { ...resolveSchema(spec, nonNull[0], seen), ...rest, nullable: nonNull.length < variants.length };
+    }
+  }
+  const out = { ...schema };
+  if (schema.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([k, v]) => [k, resolveSchema(spec, v, seen)])
+    );
+  }
+  if (schema.items) out.items = resolveSchema(spec, schema.items, seen);
+  return out;
+}
+
+function pickContent(content) {
+  /** Choose the most useful media type from an OpenAPI `content` map. */
+  const types = Object.keys(content || {});
+  const type = types.find((t) => t.includes("json")) || types.find((t) => FORM_CONTENT_TYPES.includes(t)) || types[0];
+  return type ? { contentType: type, schema: content[type]?.schema } : null;
+}
+
+// PUBLIC_INTERFACE
+export function listOperations(spec) {
+  /**
+   * Flatten an OpenAPI document into operations grouped by tag.
+   * Returns [{ tag, operations: [Operation] }] where Operation is:
+   *   { id, method, path, summary, description, deprecated,
+   *     parameters: [{ name, in, required, description, schema }],
+   *     requestBody: { contentType, required, schema } | null,
+   *     responses: [{ status, description, contentType, schema }],
+   *     secured: boolean }
+   */
+  const groups = new Map();
+  const paths = spec?.paths || {};
+  Object.entries(paths).forEach(([path, item]) => {
+    const shared = item?.parameters || [];
+    HTTP_OPERATIONS.forEach((method) => {
+      const op = item?.[method];
+      if (!op) return;
+      const parameters = [...shared, ...(op.parameters || [])]
+        .map((p) => resolveSchema(spec, p))
+        .filter((p) => p && ["path", "query", "header"].includes(p.in))
+        .map((p) => ({
+          name: p.name,
+          in: p.in,
+          required: p.in === "path" ? true : !!p.required,
+          description: p.description || "",
+          schema: resolveSchema(spec, p.schema || {}),
+        }));
+      const body = op.requestBody ? resolveSchema(spec, op.requestBody) : null;
+      const picked = body ? pickContent(body.content) : null;
+      const responses = Object.entries(op.responses || {}).map(([status, r]) => {
+        const resolved = resolveSchema(spec, r);
+        const content = pickContent(resolved?.content);
+        return {
+          status,
+          description: resolved?.description || "",
+          contentType: content?.contentType || null,
+          schema: content ? resolveSchema(spec, content.schema) : null,
+        };
+      });
+      const operation = {
+        id: op.operationId || `${method}_${path}`,
+        method: method.toUpperCase(),
+        path,
+        summary: op.summary || "",
+        description: op.description || "",
+        deprecated: !!op.deprecated,
+        parameters,
+        requestBody: picked
+          ? { contentType: picked.contentType, required: !!body.required, schema: resolveSchema(spec, picked.schema) }
+          : null,
+        responses,
+        secured: Array.isArray(op.security) ? op.security.length > 0 : Array.isArray(spec?.security) && spec.security.length > 0,
+      };
+      (op.tags?.length ? op.tags : ["default"]).forEach((tag) => {
+        if (!groups.has(tag)) groups.set(tag, []);
+        groups.get(tag).push(operation);
+      });
+    });
+  });
+  return Array.from(groups.entries()).map(([tag, operations]) => ({ tag, operations }));
+}
+
+// PUBLIC_INTERFACE
+export function getOperationFields(operation) {
+  /**
+   * Describe the inputs of an operation as flat form fields.
+   * Returns [{ name, location: 'path'|'query'|'header'|'body', required, schema, description }].
+   * Object bodies become one field per property; any other body is a single raw JSON field.
+   */
+  const fields = (operation?.parameters || []).map((p) => ({
+    name: p.name,
+    location: p.in,
+    required: p.required,
+    schema: p.schema || {},
+    description: p.description || p.schema?.description || "",
+  }));
+  const body = operation?.requestBody;
+  if (body) {
+    const props = body.schema?.properties;
+    if (body.schema?.type === "object" || props) {
+      const required = body.schema?.required || [];
+      Object.entries(props || {}).forEach(([name, schema]) => {
+        fields.push({ name, location: "body", required: required.includes(name), schema: schema || {}, description: schema?.description || "" });
+      });
+    } else {
+      fields.push({ name: "body", location: "body", required: body.required, schema: { ...(body.schema || {}), raw: true }, description: "" });
+    }
+  }
+  return fields;
+}
+
+const fieldKey = (field) => `${field.location}:${field.name}`;
+
+// PUBLIC_INTERFACE
+export function getFieldKey(field) {
+  /** Stable key for a field in the values/errors maps. */
+  return fieldKey(field);
+}
+
+const isBlank = (v) => v === undefined || v === null || String(v).trim() === "";
+
+function coerce(schema, raw) {
+  /** Convert a form string into the schema's type. Throws with a user-facing message when invalid. */
+  const type = schema?.raw ? "raw" : schema?.type;
+  if (type === "integer") {
+    if (!/^-?\d+$/.test(String(raw).trim())) throw new Error(t("form.wholeNumber"));
+    return parseInt(raw, 10);
+  }
+  if (type === "number") {
+    const n = Number(raw);
+    if (Number.isNaN(n)) throw new Error(t("form.number"));
+    return n;
+  }
+  if (type === "boolean") return raw === true || raw === "true";
+  if (type === "array" || type === "object" || type === "raw") {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      throw new Error(t("form.json"));
+    }
+  }
+  return String(raw);
+}
+
+// PUBLIC_INTERFACE
+export function validateOperationInput(operation, values) {
+  /**
+   * Validate form values against the operation's fields.
+   * Checks required fields, enum membership and basic type coercion.
+   * Returns { errors: { [fieldKey]: string }, parsed: { [fieldKey]: any } }.
+   */
+  const errors = {};
+  const parsed = {};
+  getOperationFields(operation).forEach((field) => {
+    const key = fieldKey(field);
+    const raw = values?.[key];
+    if (isBlank(raw)) {
+      if (field.required && field.schema?.default === undefined) errors[key] = t("form.required");
+      return;
+    }
+    try {
+      const value = coerce(field.schema, raw);
+      if (Array.isArray(field.schema?.enum) && !field.schema.enum.includes(value)) {
+        errors[key] = t("form.oneOf", { values: field.schema.enum.join(", ") });
+        return;
+      }
+      parsed[key] = value;
+    } catch (e) {
+      errors[key] = e.message;
+    }
+  });
+  return { errors, parsed };
+}
+
+// PUBLIC_INTERFACE
+export function operationToDraft(operation, parsed) {
+  /**
+   * Build a request draft (see utils/request.createDraft) from validated values.
+   * Path params are substituted, query/header params become rows and body
+   * fields become a JSON or form-encoded body.
+   */
+  const fields = getOperationFields(operation);
+  let path = operation.path;
+  const params = [];
+  const headers = [];
+  const bodyValues = {};
+  let rawBody;
+  fields.forEach((field) => {
+    const key = fieldKey(field);
+    if (!(key in parsed)) return;
+    const value = parsed[key];
+    if (field.location === "path") path = path.replace(`{${field.name}}`, encodeURIComponent(String(value)));
+    else if (field.location === "query") params.push(createRow(field.name, String(value)));
+    else if (field.location === "header") headers.push(createRow(field.name, String(value)));
+    else if (field.schema?.raw) rawBody = value;
+    else bodyValues[field.name] = value;
+  });
+
+  const draft = createDraft({ method: operation.method, path, params, headers });
+  const body = operation.requestBody;
+  if (body) {
+    if (FORM_CONTENT_TYPES.includes(body.contentType)) {
+      draft.bodyType = "form";
+      draft.formBody = Object.entries(bodyValues).map(([k, v]) =>
+        createRow(k, typeof v === "object" ? JSON.stringify(v) : String(v))
+      );
+    } else {
+      draft.bodyType = "json";
+      const payload = rawBody !== undefined ? rawBody : bodyValues;
+      draft.jsonBody = JSON.stringify(payload, null, 2);
+    }
+  }
+  return draft;
+}
+
+// PUBLIC_INTERFACE
+export function findOperation(groups, method, path) {
+  /** Find the catalog operation matching a method and concrete path (templated segments match anything). */
+  const cleanPath = String(path || "").split("?")[0];
+  for (const group of groups || []) {
+    for (const op of group.operations) {
+      if (op.method !== String(method || "").toUpperCase()) continue;
+      const pattern = new RegExp(`^${op.path.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{[^}]+\}/g, "[^/]+")}/?$`);
+      if (pattern.test(cleanPath)) return op;
+    }
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function describeSchema(schema, depth = 0) {
+  /**
+   * Produce a compact, human-readable outline of a resolved schema, e.g.
+   * { id: "integer", tier: "free | pro | enterprise", items: [{ ... }] }.
+   */
+  if (!schema || typeof schema !== "object") return "any";
+  if (depth > 4) return schema.title || "object";
+  if (Array.isArray(schema.enum)) return schema.enum.join(" | ");
+  if (schema.type === "array") return [describeSchema(schema.items, depth + 1)];
+  if (schema.properties) {
+    const required = schema.required || [];
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([k, v]) => [required.includes(k) ? k : `${k}?`, describeSchema(v, depth + 1)])
+    );
+  }
+  const type = schema.type || (schema.$ref ? schema.$ref.split("/").pop() : "any");
+  const format = schema.format ? ` (${schema.format})` : "";
+  return `${type}${format}${schema.nullable ? " | null" : ""}`;
+}
+
+const openapi = {
+  resolveSchema,
+  listOperations,
+  getOperationFields,
+  getFieldKey,
+  validateOperationInput,
+  operationToDraft,
+  findOperation,
+  describeSchema,
+};
+
+export default openapi;
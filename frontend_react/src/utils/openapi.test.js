@@ -0,0 +1,27 @@
+import MOCK_OPENAPI from '../services/mockOpenApi';
+import { findOperation, listOperations, operationToDraft, validateOperationInput } from './openapi';
+
+const groups = listOperations(MOCK_OPENAPI);
+const op = (method, path) => findOperation(groups, method, path);
+
+test('groups operations by tag and resolves body schemas', () => {
+  expect(groups.map((g) => g.tag)).toEqual(['Health', 'Auth', 'Dashboard', 'Content', 'Account']);
+  const signup = op('POST', '/auth/signup');
+  expect(signup.requestBody.schema.properties.package_tier.enum).toEqual(['free', 'pro', 'enterprise']);
+  expect(op('GET', '/dashboard/me').secured).toBe(true);
+});
+
+test('validates required and enum fields', () => {
+  const { errors } = validateOperationInput(op('PUT', '/account/plan'), { 'body:package_tier': 'gold' });
+  expect(errors['body:package_tier']).toMatch(/free, pro, enterprise/);
+  const missing = validateOperationInput(op('POST', '/auth/login'), {});
+  expect(Object.keys(missing.errors)).toEqual(['body:username', 'body:password']);
+});
+
+test('builds a form-encoded draft for the login operation', () => {
+  const login = op('POST', '/auth/login');
+  const { parsed } = validateOperationInput(login, { 'body:username': 'pro@tata.co.in', 'body:password': 'pw' });
+  const draft = operationToDraft(login, parsed);
+  expect(draft.bodyType).toBe('form');
+  expect(draft.formBody.map((r) => [r.key, r.value])).toEqual([['username', 'pro@tata.co.in'], ['password', 'pw']]);
+});
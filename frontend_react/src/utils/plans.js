@@ -0,0 +1,79 @@
+import { hasMessage, t } from "../i18n";
+
+/**
+ * Package tier catalog shared by the Plans page and the mock backend.
+ * Features use the same shape /dashboard/me returns: { key, label, enabled, limit }.
+ */
+
+export const PACKAGE_TIERS = ["free", "pro", "enterprise"];
+
+export const TIER_LABELS = { free: "Free", pro: "Pro", enterprise: "Enterprise" };
+
+// Feature matrix per tier, in the same shape /dashboard/me returns.
+export const TIER_FEATURES = {
+  free: [
+    { key: "basic_content", label: "Basic content", enabled: true, limit: null },
+    { key: "api_calls", label: "API calls per day", enabled: true, limit: 100 },
+    { key: "analytics", label: "Usage analytics", enabled: false, limit: null },
+    { key: "data_export", label: "Data export", enabled: false, limit: null },
+    { key: "priority_support", label: "Priority support", enabled: false, limit: null },
+    { key: "custom_integrations", label: "Custom integrations", enabled: false, limit: null },
+  ],
+  pro: [
+    { key: "basic_content", label: "Basic content", enabled: true, limit: null },
+    { key: "api_calls", label: "API calls per day", enabled: true, limit: 10000 },
+    { key: "analytics", label: "Usage analytics", enabled: true, limit: null },
+    { key: "data_export", label: "Data export", enabled: true, limit: 50 },
+    { key: "priority_support", label: "Priority support", enabled: false, limit: null },
+    { key: "custom_integrations", label: "Custom integrations", enabled: false, limit: null },
+  ],
+  enterprise: [
+    { key: "basic_content", label: "Basic content", enabled: true, limit: null },
+    { key: "api_calls", label: "API calls per day", enabled: true, limit: 1000000 },
+    { key: "analytics", label: "Usage analytics", enabled: true, limit: null },
+    { key: "data_export", label: "Data export", enabled: true, limit: null },
+    { key: "priority_support", label: "Priority support", enabled: true, limit: null },
+    { key: "custom_integrations", label: "Custom integrations", enabled: true, limit: 25 },
+  ],
+};
+
+// PUBLIC_INTERFACE
+export function buildFeatureMatrix(featuresByTier, tiers = PACKAGE_TIERS) {
+  /**
+   * Combine per-tier feature lists into matrix rows.
+   * featuresByTier: { [tier]: Feature[] }
+   * Returns [{ key, label, cells: { [tier]: { enabled, limit } | null } }] in first-seen order;
+   * a null cell means the tier does not list that feature.
+   */
+  const rows = new Map();
+  tiers.forEach((tier) => {
+    (featuresByTier?.[tier] || []).forEach((f) => {
+      if (!f?.key) return;
+      if (!rows.has(f.key)) rows.set(f.key, { key: f.key, label: f.label || f.key, cells: {} });
+      rows.get(f.key).cells[tier] = { enabled: !!f.enabled, limit: typeof f.limit === "number" ? f.limit : null };
+    });
+  });
+  return Array.from(rows.values()).map((row) => ({
+    ...row,
+    cells: Object.fromEntries(tiers.map((t) => [t, row.cells[t] || null])),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function featureLabel(feature) {
+  /** Display name of a feature: the translation for known keys, else the label the backend sent. */
+  const key = `features.${feature?.key}`;
+  return hasMessage(key) ? t(key) : feature?.label || feature?.key || "";
+}
+
+// PUBLIC_INTERFACE
+export function tierAtLeast(tier, minTier) {
+  /** True when `tier` is `minTier` or higher in PACKAGE_TIERS order. Unknown tiers never qualify. */
+  const rank = PACKAGE_TIERS.indexOf(tier);
+  const required = PACKAGE_TIERS.indexOf(minTier);
+  return rank !== -1 && required !== -1 && rank >= required;
+}
+
+const plans = { PACKAGE_TIERS, TIER_LABELS, TIER_FEATURES, buildFeatureMatrix, featureLabel, tierAtLeast };
+
+export default plans;
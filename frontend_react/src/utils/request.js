@@ -0,0 +1,102 @@
+import { t } from "../i18n";
+
+/**
+ * Helpers for composing ad-hoc API requests (used by the API Explorer).
+ * A "draft" is the editable form state; buildRequestConfig turns it into the
+ * { method, url, params, headers, data } shape accepted by services/api.js.
+ */
+
+export const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+
+export const BODY_TYPES = ["none", "json", "form"];
+
+const METHODS_WITHOUT_BODY = ["GET", "HEAD", "OPTIONS"];
+
+// PUBLIC_INTERFACE
+export function createRow(key = "", value = "") {
+  /** Create an editable key/value row (query param, header or form field). */
+  return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, key, value, enabled: true };
+}
+
+// PUBLIC_INTERFACE
+export function createDraft(overrides = {}) {
+  /** Create a request draft with sensible defaults, merged with the given overrides. */
+  return {
+    method: "GET",
+    path: "/",
+    params: [],
+    headers: [],
+    bodyType: "none",
+    jsonBody: "",
+    formBody: [],
+    ...overrides,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function methodAllowsBody(method) {
+  /** True when the HTTP method conventionally carries a request body. */
+  return !METHODS_WITHOUT_BODY.includes(String(method || "").toUpperCase());
+}
+
+// Full URLs, including protocol-relative ones ("//host/path")
+const ABSOLUTE_URL = /^([a-z][a-z\d+.-]*:)?\/\//i;
+
+const hasHeader = (headers, name) =>
+  Object.keys(headers).some((k) => k.toLowerCase() === name.toLowerCase());
+
+const activeRows = (rows) => (rows || []).filter((r) => r.enabled && String(r.key || "").trim());
+
+// PUBLIC_INTERFACE
+export function rowsToObject(rows) {
+  /** Convert enabled, non-empty key/value rows to a plain object. */
+  return activeRows(rows).reduce((acc, r) => {
+    acc[r.key.trim()] = r.value;
+    return acc;
+  }, {});
+}
+
+// PUBLIC_INTERFACE
+export function buildRequestConfig(draft) {
+  /**
+   * Validate a draft and convert it into a request description.
+   * Returns { config, error } where config is:
+   *   { method, url, params, headers, data, bodyType }
+   * `data` is a parsed JSON value or a URLSearchParams instance; error is a string when invalid.
+   */
+  const method = String(draft?.method || "GET").toUpperCase();
+  let url = String(draft?.path || "").trim();
+  if (!url) return { config: null, error: t("composer.pathRequired") };
+  // Requests carry the session token, so they only ever go to the active backend
+  if (ABSOLUTE_URL.test(url)) return { config: null, error: t("composer.absoluteUrl") };
+  if (!url.startsWith("/")) url = `/${url}`;
+
+  const headers = rowsToObject(draft?.headers);
+  const params = rowsToObject(draft?.params);
+  let data;
+  let bodyType = methodAllowsBody(method) ? draft?.bodyType || "none" : "none";
+
+  if (bodyType === "json") {
+    const text = String(draft?.jsonBody || "").trim();
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        return { config: null, error: t("composer.invalidJson", { message: e.message }) };
+      }
+      if (!hasHeader(headers, "Content-Type")) headers["Content-Type"] = "application/json";
+    } else {
+      bodyType = "none";
+    }
+  } else if (bodyType === "form") {
+    data = new URLSearchParams();
+    activeRows(draft?.formBody).forEach((r) => data.append(r.key.trim(), r.value));
+    if (!hasHeader(headers, "Content-Type")) headers["Content-Type"] = "application/x-www-form-urlencoded";
+  }
+
+  return { config: { method, url, params, headers, data, bodyType }, error: null };
+}
+
+const requestUtils = { HTTP_METHODS, BODY_TYPES, createRow, createDraft, methodAllowsBody, rowsToObject, buildRequestConfig };
+
+export default requestUtils;
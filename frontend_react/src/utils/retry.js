@@ -0,0 +1,80 @@
+import { t } from "../i18n";
+
+/**
+ * Retry policy helpers for the API client: which failures are transient,
+ * how long to wait before the next attempt and how to read Retry-After.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelayMs: 300,
+  maxDelayMs: 5000,
+  // A Retry-After longer than this is not waited out; the error goes to the caller instead
+  maxRetryAfterMs: 30000,
+  statuses: [429, 502, 503, 504],
+  // Only safe methods are retried by default; PUT/POST/PATCH/DELETE may have side effects
+  methods: ["get", "head", "options"],
+};
+
+// PUBLIC_INTERFACE
+export function parseRetryAfter(value, now = Date.now()) {
+  /**
+   * Convert a Retry-After header (delta-seconds or HTTP-date) into milliseconds.
+   * Returns null when the header is missing or unparseable.
+   */
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+// PUBLIC_INTERFACE
+export function backoffDelay(attempt, policy = DEFAULT_RETRY_POLICY, random = Math.random) {
+  /**
+   * Exponential backoff with jitter for the given 1-based attempt.
+   * Half of the window is fixed and half random, so concurrent clients spread out
+   * without any retry firing immediately.
+   */
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const window = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(window / 2 + random() * (window / 2));
+}
+
+// PUBLIC_INTERFACE
+export function describeRetryReason(error) {
+  /** Short label for why a request failed, e.g. "503" or "network error" (in the active language). */
+  if (error?.response) return String(error.response.status);
+  if (error?.code === "ECONNABORTED" || error?.code === "ETIMEDOUT") return t("retry.timeout");
+  return t("retry.networkError");
+}
+
+// PUBLIC_INTERFACE
+export function getRetryDecision(error, attempt, policy = DEFAULT_RETRY_POLICY) {
+  /**
+   * Decide whether a failed request should be sent again.
+   * attempt: 1-based number of the retry being considered.
+   * Returns { retry: false } or { retry: true, delayMs, reason }.
+   */
+  const p = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const config = error?.config;
+  if (!config || attempt > p.retries) return { retry: false };
+  if (!p.methods.includes(String(config.method || "get").toLowerCase())) return { retry: false };
+  if (error?.code === "ERR_CANCELED") return { retry: false };
+
+  const response = error?.response;
+  if (response && !p.statuses.includes(response.status)) return { retry: false };
+
+  const reason = describeRetryReason(error);
+  const retryAfter = response ? parseRetryAfter(response.headers?.["retry-after"]) : null;
+  if (retryAfter !== null) {
+    if (retryAfter > p.maxRetryAfterMs) return { retry: false };
+    return { retry: true, delayMs: retryAfter, reason };
+  }
+  return { retry: true, delayMs: backoffDelay(attempt, p), reason };
+}
+
+const retry = { DEFAULT_RETRY_POLICY, parseRetryAfter, backoffDelay, describeRetryReason, getRetryDecision };
+
+export default retry;
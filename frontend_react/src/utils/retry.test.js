@@ -0,0 +1,30 @@
+import { backoffDelay, getRetryDecision, parseRetryAfter } from './retry';
+
+const failure = (method, status, headers = {}) => ({
+  config: { method },
+  response: status ? { status, headers } : undefined,
+  code: status ? 'ERR_BAD_RESPONSE' : 'ERR_NETWORK',
+});
+
+test('parses Retry-After seconds and HTTP dates', () => {
+  expect(parseRetryAfter('2')).toBe(2000);
+  expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(10000);
+  expect(parseRetryAfter('soon')).toBeNull();
+});
+
+test('backs off exponentially with bounded jitter', () => {
+  const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+  expect(backoffDelay(1, policy, () => 0)).toBe(50);
+  expect(backoffDelay(3, policy, () => 1)).toBe(400);
+  expect(backoffDelay(10, policy, () => 1)).toBe(1000);
+});
+
+test('retries only idempotent requests on transient failures', () => {
+  expect(getRetryDecision(failure('get'), 1).retry).toBe(true);
+  expect(getRetryDecision(failure('get', 503), 1).reason).toBe('503');
+  expect(getRetryDecision(failure('get', 429, { 'retry-after': '1' }), 1)).toEqual({ retry: true, delayMs: 1000, reason: '429' });
+  expect(getRetryDecision(failure('get', 500), 1).retry).toBe(false);
+  expect(getRetryDecision(failure('put', 503), 1).retry).toBe(false);
+  expect(getRetryDecision(failure('post'), 1).retry).toBe(false);
+  expect(getRetryDecision(failure('get', 503), 4).retry).toBe(false);
+});
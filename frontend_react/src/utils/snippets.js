@@ -0,0 +1,175 @@
+/**
+ * Code snippet generators for API Explorer requests.
+ * Each generator takes a request config as produced by utils/request.buildRequestConfig
+ * ({ method, url, params, headers, data, bodyType }) plus { baseUrl, token }.
+ */
+
+export const TOKEN_PLACEHOLDER = "<your_token>";
+
+export const SNIPPET_LANGUAGES = [
+  { id: "curl", label: "curl" },
+  { id: "fetch", label: "JavaScript fetch" },
+  { id: "axios", label: "axios" },
+  { id: "python", label: "Python requests" },
+  { id: "httpie", label: "HTTPie" },
+];
+
+// Quote a value for POSIX shells
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+const jsString = (value) => JSON.stringify(String(value));
+
+function pyLiteral(value, indent = 0) {
+  /** Render a JSON value as a Python literal. */
+  const pad = " ".repeat(indent + 4);
+  const end = " ".repeat(indent);
+  if (value === null || value === undefined) return "None";
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (typeof value === "number") return String(value);
+  if (typeof value === "string") return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    if (!value.length) return "[]";
+    return `[\n${value.map((v) => `${pad}${pyLiteral(v, indent + 4)}`).join(",\n")},\n${end}]`;
+  }
+  const entries = Object.entries(value);
+  if (!entries.length) return "{}";
+  return `{\n${entries.map(([k, v]) => `${pad}${JSON.stringify(k)}: ${pyLiteral(v, indent + 4)}`).join(",\n")},\n${end}}`;
+}
+
+const formEntries = (data) => (data instanceof URLSearchParams ? Array.from(data.entries()) : Object.entries(data || {}));
+
+function prepare(config, { baseUrl = "", token } = {}) {
+  /** Normalize a request config into the pieces every generator needs. */
+  const method = String(config?.method || "GET").toUpperCase();
+  const path = String(config?.url || "/");
+  const base = /^https?:\/\//i.test(path) ? "" : String(baseUrl || "").replace(/\/+$/, "");
+  const query = new URLSearchParams(config?.params || {}).toString();
+  const url = `${base}${path}${query ? (path.includes("?") ? "&" : "?") + query : ""}`;
+
+  const headers = { ...(config?.headers || {}) };
+  const hasAuth = Object.keys(headers).some((k) => k.toLowerCase() === "authorization");
+  // Login/signup/refresh are public; they never need a bearer token
+  const isAuthEndpoint = /^\/auth\//.test(path);
+  if (!hasAuth && !isAuthEndpoint && token !== null) headers.Authorization = `Bearer ${token || TOKEN_PLACEHOLDER}`;
+
+  const bodyType = config?.data === undefined ? "none" : config?.bodyType || "json";
+  // Content-Type is implied by the way each tool sends JSON or form bodies
+  const explicitHeaders = Object.fromEntries(
+    Object.entries(headers).filter(([k]) => bodyType === "none" || k.toLowerCase() !== "content-type")
+  );
+  return { method, url, headers, explicitHeaders, bodyType, data: config?.data };
+}
+
+const generators = {
+  curl(req) {
+    const lines = [`curl -X ${req.method} ${shellQuote(req.url)}`];
+    Object.entries(req.explicitHeaders).forEach(([k, v]) => lines.push(`  -H ${shellQuote(`${k}: ${v}`)}`));
+    if (req.bodyType === "json") {
+      lines.push(`  -H ${shellQuote("Content-Type: application/json")}`);
+      lines.push(`  -d ${shellQuote(JSON.stringify(req.data))}`);
+    } else if (req.bodyType === "form") {
+      formEntries(req.data).forEach(([k, v]) => lines.push(`  --data-urlencode ${shellQuote(`${k}=${v}`)}`));
+    }
+    return lines.join(" \\\n");
+  },
+
+  fetch(req) {
+    const headers = { ...req.explicitHeaders };
+    let body = "";
+    if (req.bodyType === "json") {
+      headers["Content-Type"] = "application/json";
+      body = `  body: JSON.stringify(${JSON.stringify(req.data, null, 2).replace(/\n/g, "\n  ")}),\n`;
+    } else if (req.bodyType === "form") {
+      const fields = formEntries(req.data).map(([k, v]) => `    [${jsString(k)}, ${jsString(v)}],`).join("\n");
+      body = `  // URLSearchParams sends application/x-www-form-urlencoded\n  body: new URLSearchParams([\n${fields}\n  ]),\n`;
+    }
+    const headerLines = Object.entries(headers).map(([k, v]) => `    ${jsString(k)}: ${jsString(v)},`).join("\n");
+    return [
+      `const response = await fetch(${jsString(req.url)}, {`,
+      `  method: ${jsString(req.method)},`,
+      headerLines ? `  headers: {\n${headerLines}\n  },` : null,
+      body ? body.replace(/\n$/, "") : null,
+      "});",
+      "const data = await response.json();",
+      "console.log(response.status, data);",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  },
+
+  axios(req) {
+    const headerLines = Object.entries(req.explicitHeaders).map(([k, v]) => `    ${jsString(k)}: ${jsString(v)},`).join("\n");
+    let data = null;
+    if (req.bodyType === "json") {
+      data = `  data: ${JSON.stringify(req.data, null, 2).replace(/\n/g, "\n  ")},`;
+    } else if (req.bodyType === "form") {
+      const fields = formEntries(req.data).map(([k, v]) => `    [${jsString(k)}, ${jsString(v)}],`).join("\n");
+      data = `  // axios form-encodes URLSearchParams bodies\n  data: new URLSearchParams([\n${fields}\n  ]),`;
+    }
+    return [
+      'import axios from "axios";',
+      "",
+      "const response = await axios({",
+      `  method: ${jsString(req.method.toLowerCase())},`,
+      `  url: ${jsString(req.url)},`,
+      headerLines ? `  headers: {\n${headerLines}\n  },` : null,
+      data,
+      "});",
+      "console.log(response.status, response.data);",
+    ]
+      .filter((l) => l !== null)
+      .join("\n");
+  },
+
+  python(req) {
+    const lines = ["import requests", ""];
+    lines.push(`url = ${JSON.stringify(req.url)}`);
+    const hasHeaders = Object.keys(req.explicitHeaders).length > 0;
+    if (hasHeaders) lines.push(`headers = ${pyLiteral(req.explicitHeaders)}`);
+    const args = ["url"];
+    if (hasHeaders) args.push("headers=headers");
+    if (req.bodyType === "json") {
+      lines.push(`payload = ${pyLiteral(req.data)}`);
+      args.push("json=payload");
+    } else if (req.bodyType === "form") {
+      // requests form-encodes a dict passed as data=
+      lines.push(`data = ${pyLiteral(Object.fromEntries(formEntries(req.data)))}`);
+      args.push("data=data");
+    }
+    lines.push("");
+    lines.push(`response = requests.request(${JSON.stringify(req.method)}, ${args.join(", ")})`);
+    lines.push("print(response.status_code, response.json())");
+    return lines.join("\n");
+  },
+
+  httpie(req) {
+    const parts = [`http${req.bodyType === "form" ? " --form" : ""} ${req.method} ${shellQuote(req.url)}`];
+    Object.entries(req.explicitHeaders).forEach(([k, v]) => parts.push(shellQuote(`${k}:${v}`)));
+    if (req.bodyType === "form") {
+      formEntries(req.data).forEach(([k, v]) => parts.push(shellQuote(`${k}=${v}`)));
+    }
+    const command = parts.join(" \\\n  ");
+    if (req.bodyType === "json") {
+      // Piping raw JSON keeps nested values and types intact
+      return `echo ${shellQuote(JSON.stringify(req.data))} | ${command}`;
+    }
+    return command;
+  },
+};
+
+// PUBLIC_INTERFACE
+export function generateSnippet(language, config, options = {}) {
+  /**
+   * Generate a ready-to-run snippet for the given language id (see SNIPPET_LANGUAGES).
+   * options: { baseUrl?: string, token?: string|null } - token `undefined`/"" uses the
+   * placeholder, `null` omits the Authorization header entirely.
+   */
+  const generator = generators[language];
+  if (!generator || !config) return "";
+  return generator(prepare(config, options));
+}
+
+const snippets = { TOKEN_PLACEHOLDER, SNIPPET_LANGUAGES, generateSnippet };
+
+export default snippets;
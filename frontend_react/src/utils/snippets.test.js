@@ -0,0 +1,48 @@
+import { SNIPPET_LANGUAGES, generateSnippet } from './snippets';
+
+const options = { baseUrl: 'http://api.test/', token: 'tok' };
+
+test('escapes single quotes for the shell in curl and HTTPie', () => {
+  const config = {
+    method: 'POST',
+    url: "/api/content?q=it's",
+    headers: { 'X-Note': "don't" },
+    data: { title: "Bob's plan" },
+    bodyType: 'json',
+  };
+  const curl = generateSnippet('curl', config, options);
+  expect(curl).toContain("curl -X POST 'http://api.test/api/content?q=it'\\''s'");
+  expect(curl).toContain("-H 'X-Note: don'\\''t'");
+  expect(curl).toContain(`-d '{"title":"Bob'\\''s plan"}'`);
+
+  const httpie = generateSnippet('httpie', config, options);
+  expect(httpie).toContain(`echo '{"title":"Bob'\\''s plan"}' | http POST 'http://api.test/api/content?q=it'\\''s'`);
+  expect(httpie).toContain("'X-Note:don'\\''t'");
+});
+
+test('every generator sends form bodies as application/x-www-form-urlencoded', () => {
+  const config = {
+    method: 'POST',
+    url: '/auth/login',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    data: new URLSearchParams([['username', "o'neil@example.com"], ['password', 'a&b=c']]),
+    bodyType: 'form',
+  };
+  const snippets = Object.fromEntries(SNIPPET_LANGUAGES.map(({ id }) => [id, generateSnippet(id, config, options)]));
+
+  expect(snippets.curl).toContain("--data-urlencode 'username=o'\\''neil@example.com'");
+  expect(snippets.curl).toContain("--data-urlencode 'password=a&b=c'");
+  expect(snippets.httpie).toContain("http --form POST 'http://api.test/auth/login'");
+  expect(snippets.httpie).toContain("'password=a&b=c'");
+  expect(snippets.fetch).toContain('body: new URLSearchParams([');
+  expect(snippets.fetch).toContain('["password", "a&b=c"]');
+  expect(snippets.axios).toContain('data: new URLSearchParams([');
+  expect(snippets.python).toContain('"password": "a&b=c"');
+  expect(snippets.python).toContain('requests.request("POST", url, data=data)');
+
+  Object.values(snippets).forEach((snippet) => {
+    // The tool sets the form content type itself, and login never carries a bearer token
+    expect(snippet).not.toMatch(/Content-Type/i);
+    expect(snippet).not.toContain('Bearer');
+  });
+});
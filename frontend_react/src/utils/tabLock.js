@@ -0,0 +1,75 @@
+/**
+ * A best-effort lock shared by the browser tabs of this origin, kept in localStorage.
+ * Used to elect a single tab for work that must not run in parallel, such as
+ * exchanging a rotating refresh token. Locks expire on their own, so a tab that
+ * closes while holding one cannot block the others for long.
+ */
+
+// Identifies this tab as a lock owner
+export const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Two tabs can write the lock at almost the same moment; re-reading after this
+// delay lets the later write win for both of them
+const SETTLE_MS = 50;
+
+function readLock(key) {
+  try {
+    const lock = JSON.parse(localStorage.getItem(key) || "null");
+    return lock && typeof lock.owner === "string" && typeof lock.expires === "number" ? lock : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function isLockHeld(key, owner = TAB_ID) {
+  /** True when another owner holds an unexpired lock under `key`. */
+  const lock = readLock(key);
+  return Boolean(lock && lock.owner !== owner && lock.expires > Date.now());
+}
+
+// PUBLIC_INTERFACE
+export async function acquireLock(key, ttlMs, owner = TAB_ID) {
+  /** Try to take the lock for `ttlMs`; resolves true when this owner holds it. */
+  if (isLockHeld(key, owner)) return false;
+  try {
+    localStorage.setItem(key, JSON.stringify({ owner, expires: Date.now() + ttlMs }));
+  } catch {
+    // Without storage there is nothing to coordinate with
+    return true;
+  }
+  await new Promise((resolve) => setTimeout(resolve, SETTLE_MS));
+  return readLock(key)?.owner === owner;
+}
+
+// PUBLIC_INTERFACE
+export function releaseLock(key, owner = TAB_ID) {
+  /** Release the lock if this owner holds it. */
+  if (readLock(key)?.owner !== owner) return;
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // ignore storage access errors; the lock expires anyway
+  }
+}
+
+// PUBLIC_INTERFACE
+export function waitForStorageChange(keys, timeoutMs) {
+  /** Resolve when another tab changes one of `keys` (or clears storage), or after `timeoutMs`. */
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      window.removeEventListener("storage", onStorage);
+      resolve();
+    };
+    const onStorage = (event) => {
+      if (event.key === null || keys.includes(event.key)) done();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    window.addEventListener("storage", onStorage);
+  });
+}
+
+const tabLock = { TAB_ID, isLockHeld, acquireLock, releaseLock, waitForStorageChange };
+
+export default tabLock;
@@ -0,0 +1,21 @@
+import { acquireLock, isLockHeld, releaseLock, waitForStorageChange } from './tabLock';
+
+test('lets only one tab hold the lock until it is released or expires', async () => {
+  localStorage.clear();
+  expect(await acquireLock('refresh_lock', 10000, 'tab-a')).toBe(true);
+  expect(isLockHeld('refresh_lock', 'tab-b')).toBe(true);
+  expect(await acquireLock('refresh_lock', 10000, 'tab-b')).toBe(false);
+
+  releaseLock('refresh_lock', 'tab-b');
+  expect(isLockHeld('refresh_lock', 'tab-b')).toBe(true);
+  releaseLock('refresh_lock', 'tab-a');
+  expect(await acquireLock('refresh_lock', -1, 'tab-b')).toBe(true);
+  // tab-b's lock has already expired
+  expect(await acquireLock('refresh_lock', 10000, 'tab-a')).toBe(true);
+});
+
+test('waits for another tab to write a key', async () => {
+  const waiting = waitForStorageChange(['auth_token'], 10000);
+  window.dispatchEvent(new StorageEvent('storage', { key: 'auth_token', newValue: 'next' }));
+  await expect(waiting).resolves.toBeUndefined();
+});
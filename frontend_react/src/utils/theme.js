@@ -0,0 +1,128 @@
+/**
+ * Theme helpers: theme modes, brand palettes (primary / accent / secondary), hex
+ * parsing, WCAG contrast ratios and palette JSON import/export. The live theme
+ * state is in services/theme.
+ */
+
+// "auto" follows prefers-color-scheme; "high-contrast" ignores custom palettes
+export const THEME_MODES = ["light", "dark", "auto", "high-contrast"];
+
+export const PALETTE_ROLES = ["primary", "accent", "secondary"];
+
+// Matches the :root variables in App.css
+export const DEFAULT_PALETTE = { primary: "#1976d2", accent: "#ff9800", secondary: "#424242" };
+
+// Page backgrounds (--bg) the palette is drawn on
+export const THEME_BACKGROUNDS = { light: "#ffffff", dark: "#0f172a" };
+
+// How each palette color is used in App.css, and the contrast it needs there
+const CONTRAST_CHECKS = [
+  // Navbar, active segmented items: white text on primary
+  { id: "primaryText", role: "primary", against: "#ffffff", minimum: 4.5 },
+  // Bold links and focus outlines drawn in primary on the page
+  { id: "primaryOnBackground", role: "primary", against: "background", minimum: 3 },
+  // .btn: dark text on accent
+  { id: "accentText", role: "accent", against: "#1f2937", minimum: 4.5 },
+  // Method tags: white text on secondary
+  { id: "secondaryText", role: "secondary", against: "#ffffff", minimum: 4.5 },
+];
+
+// PUBLIC_INTERFACE
+export function normalizeHex(value) {
+  /** "#ABC" / "abc" / "#aabbcc" -> "#aabbcc"; null for anything else. */
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value || "").trim());
+  if (!match) return null;
+  const hex = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+const channel = (c) => {
+  const v = c / 255;
+  return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+// PUBLIC_INTERFACE
+export function relativeLuminance(hex) {
+  /** WCAG relative luminance (0-1) of a hex color; null when it does not parse. */
+  const normalized = normalizeHex(hex);
+  if (!normalized) return null;
+  const n = parseInt(normalized.slice(1), 16);
+  return 0.2126 * channel((n >> 16) & 255) + 0.7152 * channel((n >> 8) & 255) + 0.0722 * channel(n & 255);
+}
+
+// PUBLIC_INTERFACE
+export function contrastRatio(a, b) {
+  /** WCAG contrast ratio between two hex colors, from 1 to 21; null when either does not parse. */
+  const la = relativeLuminance(a);
+  const lb = relativeLuminance(b);
+  if (la === null || lb === null) return null;
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// PUBLIC_INTERFACE
+export function paletteWarnings(palette, background = THEME_BACKGROUNDS.light) {
+  /**
+   * Pairings in the palette whose contrast is too low, e.g.
+   * [{ id: "primaryText", role: "primary", ratio: 3.2, minimum: 4.5 }]. Empty when all pass.
+   */
+  return CONTRAST_CHECKS.map((check) => {
+    const ratio = contrastRatio(palette[check.role], check.against === "background" ? background : check.against);
+    return { id: check.id, role: check.role, ratio: ratio === null ? null : Math.round(ratio * 100) / 100, minimum: check.minimum };
+  }).filter((w) => w.ratio !== null && w.ratio < w.minimum);
+}
+
+// PUBLIC_INTERFACE
+export function isDefaultPalette(palette) {
+  /** True when every role still has its default color. */
+  return PALETTE_ROLES.every((role) => normalizeHex(palette?.[role]) === DEFAULT_PALETTE[role]);
+}
+
+// PUBLIC_INTERFACE
+export function parsePalette(input) {
+  /**
+   * Read a palette from JSON text (or an already parsed object):
+   * { "primary": "#1976d2", "accent": "#ff9800", "secondary": "#424242" }.
+   * Missing roles keep their defaults and unknown keys are ignored.
+   * Returns the normalized palette, or null when the input is not a palette.
+   */
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) return null;
+  const given = PALETTE_ROLES.filter((role) => data[role] !== undefined);
+  if (!given.length) return null;
+  const palette = { ...DEFAULT_PALETTE };
+  for (const role of given) {
+    const hex = normalizeHex(data[role]);
+    if (!hex) return null;
+    palette[role] = hex;
+  }
+  return palette;
+}
+
+// PUBLIC_INTERFACE
+export function serializePalette(palette) {
+  /** Palette as pretty-printed JSON, in the format parsePalette reads. */
+  return JSON.stringify(Object.fromEntries(PALETTE_ROLES.map((role) => [role, palette[role]])), null, 2);
+}
+
+const themeUtils = {
+  THEME_MODES,
+  PALETTE_ROLES,
+  DEFAULT_PALETTE,
+  THEME_BACKGROUNDS,
+  normalizeHex,
+  relativeLuminance,
+  contrastRatio,
+  paletteWarnings,
+  isDefaultPalette,
+  parsePalette,
+  serializePalette,
+};
+
+export default themeUtils;
@@ -0,0 +1,22 @@
+import { contrastRatio, isDefaultPalette, normalizeHex, paletteWarnings, parsePalette, serializePalette, DEFAULT_PALETTE } from './theme';
+
+test('normalizes hex colors and computes contrast ratios', () => {
+  expect(normalizeHex('#ABC')).toBe('#aabbcc');
+  expect(normalizeHex('1976D2')).toBe('#1976d2');
+  expect(normalizeHex('blue')).toBeNull();
+  expect(contrastRatio('#000', '#fff')).toBeCloseTo(21);
+  expect(contrastRatio('#777777', '#777777')).toBeCloseTo(1);
+  expect(paletteWarnings(DEFAULT_PALETTE)).toEqual([]);
+  expect(paletteWarnings({ ...DEFAULT_PALETTE, primary: '#ffeb3b' }).map((w) => w.id)).toEqual(['primaryText', 'primaryOnBackground']);
+});
+
+test('imports and exports palettes as JSON', () => {
+  const palette = parsePalette('{ "primary": "#C2185B", "accent": "#0F0", "brand": "ignored" }');
+  expect(palette).toEqual({ primary: '#c2185b', accent: '#00ff00', secondary: '#424242' });
+  expect(parsePalette(serializePalette(palette))).toEqual(palette);
+  expect(parsePalette('{ "primary": "red" }')).toBeNull();
+  expect(parsePalette('[]')).toBeNull();
+  expect(parsePalette('not json')).toBeNull();
+  expect(isDefaultPalette(palette)).toBe(false);
+  expect(isDefaultPalette(parsePalette({ primary: '#1976D2' }))).toBe(true);
+});
@@ -0,0 +1,128 @@
+/**
+ * Helpers for metering feature usage against plan limits: billing periods,
+ * reading usage reported by the backend, warning thresholds and quota errors.
+ */
+
+// Features whose `limit` is a per-period allowance, and the period it applies to
+export const FEATURE_PERIODS = { api_calls: "day", data_export: "day" };
+
+// Warn when usage reaches these fractions of the limit
+export const DEFAULT_THRESHOLDS = [0.8, 0.95];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// PUBLIC_INTERFACE
+export function periodKey(period, date = new Date()) {
+  /** Identifier of the period containing `date` (UTC): "2026-10-19" for day, "2026-10" for month. */
+  const d = new Date(date);
+  const month = `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}`;
+  return period === "month" ? month : `${month}-${pad(d.getUTCDate())}`;
+}
+
+// PUBLIC_INTERFACE
+export function periodResetsAt(period, date = new Date()) {
+  /** Epoch ms at which the period containing `date` ends (UTC). */
+  const d = new Date(date);
+  if (period === "month") return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const readHeader = (headers, name) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+};
+
+// PUBLIC_INTERFACE
+export function parseUsageHeaders(headers) {
+  /**
+   * Read X-RateLimit-Limit / -Remaining / -Reset (epoch seconds) response headers.
+   * Returns { used, limit, resetsAt } or null when the backend did not send them.
+   */
+  const limit = toNumber(readHeader(headers, "x-ratelimit-limit"));
+  const remaining = toNumber(readHeader(headers, "x-ratelimit-remaining"));
+  if (limit === null || remaining === null) return null;
+  const reset = toNumber(readHeader(headers, "x-ratelimit-reset"));
+  return { used: Math.max(0, limit - remaining), limit, resetsAt: reset === null ? null : reset * 1000 };
+}
+
+// PUBLIC_INTERFACE
+export function parseUsageFields(body) {
+  /**
+   * Read a `usage` object from a response body, e.g.
+   * { usage: { api_calls: { used: 12, limit: 100, period: "day", resets_at: "..." } } }.
+   * Returns { [featureKey]: { used, limit, period, resetsAt } } (empty when absent).
+   */
+  const usage = body && typeof body === "object" ? body.usage : null;
+  if (!usage || typeof usage !== "object") return {};
+  const out = {};
+  Object.entries(usage).forEach(([key, u]) => {
+    const used = toNumber(u?.used);
+    if (used === null) return;
+    const resetsAt = u?.resets_at ? Date.parse(u.resets_at) : NaN;
+    out[key] = {
+      used,
+      limit: toNumber(u?.limit),
+      period: u?.period || FEATURE_PERIODS[key] || "day",
+      resetsAt: Number.isNaN(resetsAt) ? null : resetsAt,
+    };
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function highestThreshold(used, limit, thresholds = DEFAULT_THRESHOLDS) {
+  /** The largest threshold that used/limit has reached, or null. */
+  if (typeof limit !== "number" || limit <= 0) return null;
+  const ratio = used / limit;
+  const reached = thresholds.filter((t) => ratio >= t);
+  return reached.length ? Math.max(...reached) : null;
+}
+
+// PUBLIC_INTERFACE
+export function parseThresholds(text) {
+  /**
+   * Parse a list of percentages such as "80, 95" into sorted fractions [0.8, 0.95].
+   * Returns null when any entry is not a number between 1 and 100.
+   */
+  const parts = String(text || "")
+    .split(",")
+    .map((p) => p.trim().replace(/%$/, ""))
+    .filter(Boolean);
+  if (!parts.length) return [];
+  const values = parts.map(Number);
+  if (values.some((v) => !Number.isFinite(v) || v < 1 || v > 100)) return null;
+  return Array.from(new Set(values.map((v) => v / 100))).sort((a, b) => a - b);
+}
+
+// PUBLIC_INTERFACE
+export function isQuotaExceeded(status, headers, body) {
+  /**
+   * True when a response means a plan quota is used up (not a short-lived rate limit):
+   * a 429 with no remaining allowance, or whose detail mentions the quota.
+   */
+  if (status !== 429) return false;
+  if (toNumber(readHeader(headers, "x-ratelimit-remaining")) === 0) return true;
+  const detail = typeof body?.detail === "string" ? body.detail : typeof body === "string" ? body : "";
+  return /quota/i.test(detail);
+}
+
+const usageUtils = {
+  FEATURE_PERIODS,
+  DEFAULT_THRESHOLDS,
+  periodKey,
+  periodResetsAt,
+  parseUsageHeaders,
+  parseUsageFields,
+  highestThreshold,
+  parseThresholds,
+  isQuotaExceeded,
+};
+
+export default usageUtils;
@@ -0,0 +1,24 @@
+import { highestThreshold, isQuotaExceeded, parseThresholds, parseUsageFields, parseUsageHeaders, periodKey } from './usage';
+
+test('reads usage from rate limit headers and body fields', () => {
+  expect(parseUsageHeaders({ 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '40', 'x-ratelimit-reset': '10' })).toEqual({
+    used: 60,
+    limit: 100,
+    resetsAt: 10000,
+  });
+  expect(parseUsageHeaders({})).toBeNull();
+  expect(parseUsageFields({ usage: { api_calls: { used: 3, limit: 100 } } })).toEqual({
+    api_calls: { used: 3, limit: 100, period: 'day', resetsAt: null },
+  });
+});
+
+test('computes periods, thresholds and quota errors', () => {
+  expect(periodKey('day', Date.UTC(2026, 9, 19, 23))).toBe('2026-10-19');
+  expect(periodKey('month', Date.UTC(2026, 9, 19))).toBe('2026-10');
+  expect(parseThresholds('95, 80%')).toEqual([0.8, 0.95]);
+  expect(parseThresholds('120')).toBeNull();
+  expect(highestThreshold(96, 100, [0.8, 0.95])).toBe(0.95);
+  expect(highestThreshold(10, 100, [0.8])).toBeNull();
+  expect(isQuotaExceeded(429, { 'x-ratelimit-remaining': '0' }, null)).toBe(true);
+  expect(isQuotaExceeded(429, {}, { detail: 'Too many requests, slow down' })).toBe(false);
+});